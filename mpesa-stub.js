@@ -0,0 +1,182 @@
+import http from 'http';
+import crypto from 'crypto';
+import dotenv from 'dotenv';
+
+dotenv.config();
+
+// Local stand-in for the Daraja API so the M-Pesa flow can be tried without Safaricom.
+// Point the backend at it with MPESA_BASE_URL=http://localhost:4010 (any key/secret works).
+//
+//   MPESA_STUB_PORT         port to listen on (default 4010)
+//   MPESA_STUB_DELAY_MS     delay before the STK callback is sent (default 3000)
+//   MPESA_STUB_RESULT_CODE  result sent in the callback: 0 paid, 1032 cancelled, 1 failed (default 0)
+//
+// Paybill payments: register the C2B URLs through the backend, then
+//   POST /mpesa/c2b/v1/simulate { Amount, Msisdn, BillRefNumber }
+// runs validation and, if accepted, confirmation against them.
+
+const PORT = parseInt(process.env.MPESA_STUB_PORT, 10) || 4010;
+const DELAY_MS = parseInt(process.env.MPESA_STUB_DELAY_MS, 10) || 3000;
+const RESULT_CODE = parseInt(process.env.MPESA_STUB_RESULT_CODE, 10) || 0;
+const TOKEN = 'stub-access-token';
+
+// C2B URLs registered by the backend
+const c2bUrls = {};
+
+const readBody = (req) => new Promise((resolve) => {
+  let data = '';
+  req.on('data', chunk => { data += chunk; });
+  req.on('end', () => {
+    try {
+      resolve(data ? JSON.parse(data) : {});
+    } catch (error) {
+      resolve({});
+    }
+  });
+});
+
+const send = (res, status, body) => {
+  res.writeHead(status, { 'Content-Type': 'application/json' });
+  res.end(JSON.stringify(body));
+};
+
+const receiptNumber = () => `S${crypto.randomBytes(5).toString('hex').toUpperCase().slice(0, 9)}`;
+
+// Post the STK result back the way Daraja does
+const sendStkCallback = async (request, ids) => {
+  const stkCallback = {
+    ...ids,
+    ResultCode: RESULT_CODE,
+    ResultDesc: RESULT_CODE === 0
+      ? 'The service request is processed successfully.'
+      : (RESULT_CODE === 1032 ? 'Request cancelled by user' : 'The balance is insufficient for the transaction.')
+  };
+
+  if (RESULT_CODE === 0) {
+    stkCallback.CallbackMetadata = {
+      Item: [
+        { Name: 'Amount', Value: request.Amount },
+        { Name: 'MpesaReceiptNumber', Value: receiptNumber() },
+        { Name: 'TransactionDate', Value: Number(new Date().toISOString().replace(/\D/g, '').slice(0, 14)) },
+        { Name: 'PhoneNumber', Value: Number(request.PhoneNumber) }
+      ]
+    };
+  }
+
+  try {
+    const response = await fetch(request.CallBackURL, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ Body: { stkCallback } })
+    });
+    console.log(`Callback for ${ids.CheckoutRequestID}: ${response.status} ${await response.text()}`);
+  } catch (error) {
+    console.error(`Callback for ${ids.CheckoutRequestID} failed: ${error.message}`);
+  }
+};
+
+const postJson = async (url, body) => {
+  const response = await fetch(url, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(body)
+  });
+  return { status: response.status, body: await response.json().catch(() => ({})) };
+};
+
+// Send a paybill payment through validation and confirmation the way Daraja does
+const simulateC2b = async (request) => {
+  const notification = {
+    TransactionType: 'Pay Bill',
+    TransID: receiptNumber(),
+    TransTime: new Date().toISOString().replace(/\D/g, '').slice(0, 14),
+    TransAmount: String(request.Amount),
+    BusinessShortCode: String(request.ShortCode || ''),
+    BillRefNumber: request.BillRefNumber,
+    MSISDN: String(request.Msisdn),
+    FirstName: 'John',
+    MiddleName: '',
+    LastName: 'Doe'
+  };
+
+  const validation = await postJson(c2bUrls.validationUrl, notification);
+  console.log(`C2B validation for ${notification.BillRefNumber}: ${validation.status} ${JSON.stringify(validation.body)}`);
+
+  if (String(validation.body.ResultCode) !== '0') {
+    return { notification, validation: validation.body };
+  }
+
+  const confirmation = await postJson(c2bUrls.confirmationUrl, notification);
+  console.log(`C2B confirmation ${notification.TransID}: ${confirmation.status} ${JSON.stringify(confirmation.body)}`);
+
+  return { notification, validation: validation.body, confirmation: confirmation.body };
+};
+
+const server = http.createServer(async (req, res) => {
+  const url = new URL(req.url, `http://localhost:${PORT}`);
+
+  if (req.method === 'GET' && url.pathname === '/oauth/v1/generate') {
+    if (!(req.headers.authorization || '').startsWith('Basic ')) {
+      return send(res, 400, { errorMessage: 'Invalid Authentication passed' });
+    }
+    return send(res, 200, { access_token: TOKEN, expires_in: '3599' });
+  }
+
+  if (req.method === 'POST' && url.pathname === '/mpesa/stkpush/v1/processrequest') {
+    if (req.headers.authorization !== `Bearer ${TOKEN}`) {
+      return send(res, 401, { errorMessage: 'Invalid Access Token' });
+    }
+
+    const request = await readBody(req);
+    if (!request.CallBackURL || !request.PhoneNumber || !(request.Amount >= 1)) {
+      return send(res, 400, { errorMessage: 'Bad Request - Invalid request body' });
+    }
+
+    const ids = {
+      MerchantRequestID: `stub-${crypto.randomUUID()}`,
+      CheckoutRequestID: `ws_CO_${Date.now()}${crypto.randomInt(1000, 9999)}`
+    };
+
+    console.log(`STK push: KES ${request.Amount} from ${request.PhoneNumber} (${request.AccountReference}) -> ${ids.CheckoutRequestID}`);
+    setTimeout(() => sendStkCallback(request, ids), DELAY_MS);
+
+    return send(res, 200, {
+      ...ids,
+      ResponseCode: '0',
+      ResponseDescription: 'Success. Request accepted for processing',
+      CustomerMessage: 'Success. Request accepted for processing'
+    });
+  }
+
+  if (req.method === 'POST' && url.pathname === '/mpesa/c2b/v1/registerurl') {
+    if (req.headers.authorization !== `Bearer ${TOKEN}`) {
+      return send(res, 401, { errorMessage: 'Invalid Access Token' });
+    }
+
+    const request = await readBody(req);
+    c2bUrls.validationUrl = request.ValidationURL;
+    c2bUrls.confirmationUrl = request.ConfirmationURL;
+    console.log(`C2B URLs registered: ${request.ValidationURL} ${request.ConfirmationURL}`);
+
+    return send(res, 200, { OriginatorCoversationID: crypto.randomUUID(), ResponseCode: '0', ResponseDescription: 'Success' });
+  }
+
+  if (req.method === 'POST' && url.pathname === '/mpesa/c2b/v1/simulate') {
+    if (!c2bUrls.confirmationUrl) {
+      return send(res, 400, { errorMessage: 'No C2B URLs registered' });
+    }
+
+    const request = await readBody(req);
+    try {
+      return send(res, 200, await simulateC2b(request));
+    } catch (error) {
+      return send(res, 502, { errorMessage: error.message });
+    }
+  }
+
+  return send(res, 404, { errorMessage: 'Not found' });
+});
+
+server.listen(PORT, () => {
+  console.log(`M-Pesa stub listening on http://localhost:${PORT}`);
+});
@@ -15,6 +15,7 @@ import db from './src/config/database.js';
 // Import routes and middleware
 import routes from './src/routes/index.js';
 import { errorHandler, notFound } from './src/middleware/errorMiddleware.js';
+import { startScheduledJobs } from './src/jobs/index.js';
 
 config();
 
@@ -73,6 +74,9 @@ const startServer = async () => {
       console.log(`📡 API available at http://localhost:${PORT}/api`);
       console.log(`🏥 Health check at http://localhost:${PORT}/health`);
     });
+
+    // Start nightly jobs (policy arrears, quote expiry, claim queue)
+    const stopScheduledJobs = startScheduledJobs();
     
     // Handle server errors
     server.on('error', (error) => {
@@ -87,6 +91,7 @@ const startServer = async () => {
     // Handle process termination
     process.on('SIGTERM', () => {
       console.log('SIGTERM received. Shutting down gracefully...');
+      stopScheduledJobs();
       server.close(() => {
         console.log('Server closed.');
         process.exit(0);
@@ -95,6 +100,7 @@ const startServer = async () => {
     
     process.on('SIGINT', () => {
       console.log('SIGINT received. Shutting down gracefully...');
+      stopScheduledJobs();
       server.close(() => {
         console.log('Server closed.');
         process.exit(0);
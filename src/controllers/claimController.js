@@ -0,0 +1,384 @@
+import initializeModels from '../models/index.js';
+import { validationResult } from 'express-validator';
+import asyncHandler from '../utils/asyncHandler.js';
+import AppError from '../utils/appError.js';
+import claimService from '../services/claimService.js';
+import claimAssignmentService from '../services/claimAssignmentService.js';
+import claimDocumentService from '../services/claimDocumentService.js';
+import claimLedgerService from '../services/claimLedgerService.js';
+import claimScreeningService from '../services/claimScreeningService.js';
+import { Op } from 'sequelize';
+
+let Claim, Policy, Client, User;
+
+// Columns the claim list can be sorted by
+const SORTABLE_CLAIM_FIELDS = ['createdAt', 'claimNumber', 'dateOfLoss', 'dateReported', 'estimatedAmount', 'approvedAmount', 'status'];
+
+// Initialize models when needed
+const initializeClaimController = async () => {
+  if (!Claim) {
+    const models = await initializeModels();
+    Claim = models.Claim;
+    Policy = models.Policy;
+    Client = models.Client;
+    User = models.User;
+  }
+};
+
+// Load the claim in the URL, checking the user may see it
+const findClaim = async (req, options = {}) => {
+  await initializeClaimController();
+  const claim = await Claim.findByPk(req.params.id, options);
+
+  if (!claim) {
+    throw new AppError('Claim not found', 404);
+  }
+
+  await claimService.assertCanAccess(claim, req.user);
+  return claim;
+};
+
+// Get all claims with filtering and pagination
+export const getClaims = asyncHandler(async (req, res, next) => {
+  await initializeClaimController();
+  const {
+    page = 1,
+    limit = 20,
+    search,
+    status,
+    policyId,
+    clientId,
+    assignedTo,
+    startDate,
+    endDate,
+    sortBy = 'createdAt',
+    sortOrder = 'DESC'
+  } = req.query;
+
+  const offset = (page - 1) * limit;
+  const where = {};
+
+  // Search by claim number
+  if (search) {
+    where.claimNumber = { [Op.like]: `%${search.toUpperCase()}%` };
+  }
+
+  if (status) where.status = status;
+  if (policyId) where.policyId = policyId;
+  if (clientId) where.clientId = clientId;
+  if (assignedTo) where.assignedTo = assignedTo;
+
+  // Customers only see their own claims
+  const client = await claimService.getClientForUser(req.user);
+  if (client) where.clientId = client.id;
+
+  // Date range filter on the date of loss
+  if (startDate || endDate) {
+    where.dateOfLoss = {};
+    if (startDate) where.dateOfLoss[Op.gte] = startDate;
+    if (endDate) where.dateOfLoss[Op.lte] = endDate;
+  }
+
+  if (!SORTABLE_CLAIM_FIELDS.includes(sortBy)) {
+    return next(new AppError(`sortBy must be one of ${SORTABLE_CLAIM_FIELDS.join(', ')}`, 400));
+  }
+
+  if (!['ASC', 'DESC'].includes(String(sortOrder).toUpperCase())) {
+    return next(new AppError('sortOrder must be ASC or DESC', 400));
+  }
+
+  const { count, rows } = await Claim.findAndCountAll({
+    where,
+    order: [[sortBy, String(sortOrder).toUpperCase()]],
+    limit: parseInt(limit),
+    offset: parseInt(offset),
+    include: [
+      {
+        model: Policy,
+        as: 'policy',
+        attributes: ['id', 'policyNumber', 'status']
+      },
+      {
+        model: Client,
+        as: 'client',
+        attributes: ['id', 'firstName', 'lastName', 'email']
+      },
+      {
+        model: User,
+        as: 'assignedToUser',
+        attributes: ['id', 'firstName', 'lastName']
+      }
+    ]
+  });
+
+  res.status(200).json({
+    success: true,
+    data: {
+      claims: rows,
+      pagination: {
+        page: parseInt(page),
+        pages: Math.ceil(count / limit),
+        total: count,
+        limit: parseInt(limit)
+      }
+    }
+  });
+});
+
+// Get single claim
+export const getClaim = asyncHandler(async (req, res) => {
+  await initializeClaimController();
+  const claim = await findClaim(req, {
+    include: [
+      { model: Policy, as: 'policy' },
+      { model: Client, as: 'client' },
+      { model: User, as: 'assignedToUser', attributes: ['id', 'firstName', 'lastName', 'email'] }
+    ]
+  });
+
+  res.status(200).json({
+    success: true,
+    data: { claim }
+  });
+});
+
+// File a claim against an active policy
+export const createClaim = asyncHandler(async (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return next(new AppError('Validation failed', 400, errors.array()));
+  }
+
+  const claim = await claimService.fileClaim(req.body, req.user);
+  const checklist = await claimDocumentService.getChecklist(claim);
+
+  res.status(201).json({
+    success: true,
+    data: { claim, checklist }
+  });
+});
+
+// Edit a draft claim
+export const updateClaim = asyncHandler(async (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return next(new AppError('Validation failed', 400, errors.array()));
+  }
+
+  const claim = await findClaim(req);
+  await claimService.updateClaim(claim, req.body, req.user.id);
+
+  res.status(200).json({
+    success: true,
+    data: { claim }
+  });
+});
+
+// Move a claim through its workflow (submit, review, approve, reject, close)
+export const updateClaimStatus = asyncHandler(async (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return next(new AppError('Validation failed', 400, errors.array()));
+  }
+
+  // Customers and agents may only submit drafts; reviewing and deciding claims is for staff
+  if (['customer', 'agent'].includes(req.user.role) && req.body.status !== 'SUBMITTED') {
+    return next(new AppError(`${req.user.role === 'customer' ? 'Customers' : 'Agents'} can only submit claims`, 403));
+  }
+
+  const claim = await findClaim(req);
+  await claimService.updateStatus(claim, req.body, req.user.id);
+
+  // In warn mode a claim can be submitted with documents outstanding; show what is missing
+  const checklist = req.body.status === 'SUBMITTED' ? await claimDocumentService.getChecklist(claim) : undefined;
+
+  res.status(200).json({
+    success: true,
+    data: { claim, checklist }
+  });
+});
+
+// Open claims per adjuster with SLA flags; adjusters only see their own queue
+export const getClaimQueue = asyncHandler(async (req, res) => {
+  const adjusterId = req.user.role === 'claims' ? req.user.id : req.query.adjusterId;
+  const queue = await claimAssignmentService.getQueue({ adjusterId });
+
+  res.status(200).json({
+    success: true,
+    data: queue
+  });
+});
+
+// Reassign a claim to another adjuster
+export const reassignClaim = asyncHandler(async (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return next(new AppError('Validation failed', 400, errors.array()));
+  }
+
+  const claim = await findClaim(req);
+  const assignment = await claimAssignmentService.reassign(claim, req.body.assignedTo, req.body.reason, req.user.id);
+
+  res.status(200).json({
+    success: true,
+    data: { claim, assignment }
+  });
+});
+
+// Get a claim's assignment history
+export const getClaimAssignments = asyncHandler(async (req, res) => {
+  const claim = await findClaim(req);
+  const assignments = await claimAssignmentService.getHistory(claim);
+
+  res.status(200).json({
+    success: true,
+    data: { assignments }
+  });
+});
+
+// Get a claim's financial ledger with reserve and payment totals
+export const getClaimLedger = asyncHandler(async (req, res) => {
+  const claim = await findClaim(req);
+  const ledger = await claimLedgerService.getLedger(claim);
+
+  res.status(200).json({
+    success: true,
+    data: ledger
+  });
+});
+
+// Add a reserve, payment, recovery or salvage entry to a claim's ledger
+export const addClaimLedgerEntry = asyncHandler(async (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return next(new AppError('Validation failed', 400, errors.array()));
+  }
+
+  const claim = await findClaim(req);
+  const result = await claimLedgerService.addEntry(claim, req.body, req.user.id);
+
+  res.status(201).json({
+    success: true,
+    data: { claim, ...result }
+  });
+});
+
+// Claims referred by fraud screening, highest risk first
+export const getReferralQueue = asyncHandler(async (req, res) => {
+  const claims = await claimScreeningService.getReferralQueue();
+
+  res.status(200).json({
+    success: true,
+    count: claims.length,
+    data: { claims }
+  });
+});
+
+// Clear a referred claim or confirm it as fraudulent
+export const decideReferral = asyncHandler(async (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return next(new AppError('Validation failed', 400, errors.array()));
+  }
+
+  const claim = await findClaim(req);
+  await claimService.decideReferral(claim, req.body.decision, req.body.notes, req.user.id);
+
+  res.status(200).json({
+    success: true,
+    data: { claim }
+  });
+});
+
+// Required documents for a claim and which are still outstanding
+export const getClaimChecklist = asyncHandler(async (req, res) => {
+  const claim = await findClaim(req);
+  const checklist = await claimDocumentService.getChecklist(claim);
+
+  res.status(200).json({
+    success: true,
+    data: { checklist }
+  });
+});
+
+// Upload a supporting document for a claim
+export const uploadClaimDocument = asyncHandler(async (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return next(new AppError('Validation failed', 400, errors.array()));
+  }
+
+  const claim = await findClaim(req);
+  const document = await claimDocumentService.uploadDocument(claim, req.file, req.body, req.user.id);
+  const checklist = await claimDocumentService.getChecklist(claim);
+
+  res.status(201).json({
+    success: true,
+    data: { document, checklist }
+  });
+});
+
+// Verify or reject a claim document
+export const reviewClaimDocument = asyncHandler(async (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return next(new AppError('Validation failed', 400, errors.array()));
+  }
+
+  const claim = await findClaim(req);
+  const document = await claimDocumentService.reviewDocument(claim, req.params.documentId, req.body, req.user.id);
+  const checklist = await claimDocumentService.getChecklist(claim);
+
+  res.status(200).json({
+    success: true,
+    data: { document, checklist }
+  });
+});
+
+// Download a claim document (uploaded or generated)
+export const downloadClaimDocument = asyncHandler(async (req, res) => {
+  const claim = await findClaim(req);
+  const document = await claimDocumentService.getDocumentFile(claim, req.params.documentId);
+
+  res.set('Content-Type', document.mimeType || 'application/octet-stream');
+  res.download(document.filePath, document.originalName);
+});
+
+// Get a claim's current discharge voucher and settlement letter
+export const getSettlementDocuments = asyncHandler(async (req, res) => {
+  const claim = await findClaim(req);
+  const documents = await claimDocumentService.getSettlementDocuments(claim);
+
+  res.status(200).json({
+    success: true,
+    data: documents
+  });
+});
+
+// Regenerate the discharge voucher and settlement letter
+export const generateSettlementDocuments = asyncHandler(async (req, res) => {
+  const claim = await findClaim(req);
+  const documents = await claimDocumentService.generateSettlementDocuments(claim, req.user.id);
+
+  res.status(201).json({
+    success: true,
+    data: documents
+  });
+});
+
+// Email the settlement letter and discharge voucher to the client
+export const sendSettlementDocuments = asyncHandler(async (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return next(new AppError('Validation failed', 400, errors.array()));
+  }
+
+  const claim = await findClaim(req);
+  const result = await claimDocumentService.sendSettlementDocuments(claim, req.body, req.user.id);
+
+  res.status(200).json({
+    success: true,
+    message: `Settlement documents sent to ${result.sentTo}`,
+    data: result
+  });
+});
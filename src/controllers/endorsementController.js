@@ -0,0 +1,111 @@
+import initializeModels from '../models/index.js';
+import { validationResult } from 'express-validator';
+import asyncHandler from '../utils/asyncHandler.js';
+import AppError from '../utils/appError.js';
+import endorsementService from '../services/endorsementService.js';
+
+let Policy, Endorsement;
+
+// Initialize models when needed
+const initializeEndorsementController = async () => {
+  if (!Policy) {
+    const models = await initializeModels();
+    Policy = models.Policy;
+    Endorsement = models.Endorsement;
+  }
+};
+
+// Find an endorsement that belongs to the policy in the URL
+const findPolicyEndorsement = async (req) => {
+  return Endorsement.findOne({
+    where: {
+      id: req.params.endorsementId,
+      policyId: req.params.id
+    }
+  });
+};
+
+// Get the endorsement log of a policy
+export const getEndorsements = asyncHandler(async (req, res, next) => {
+  await initializeEndorsementController();
+  const policy = await Policy.findByPk(req.params.id);
+
+  if (!policy) {
+    return next(new AppError('Policy not found', 404));
+  }
+
+  const endorsements = await endorsementService.getEndorsements(policy);
+
+  res.status(200).json({
+    success: true,
+    data: { endorsements }
+  });
+});
+
+// Raise an endorsement and compute its pro-rata premium
+export const createEndorsement = asyncHandler(async (req, res, next) => {
+  await initializeEndorsementController();
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return next(new AppError('Validation failed', 400, errors.array()));
+  }
+
+  const policy = await Policy.findByPk(req.params.id);
+
+  if (!policy) {
+    return next(new AppError('Policy not found', 404));
+  }
+
+  const endorsement = await endorsementService.createEndorsement(policy, req.body, req.user.id);
+
+  res.status(201).json({
+    success: true,
+    data: { endorsement }
+  });
+});
+
+// Approve an endorsement and apply it to the policy
+export const approveEndorsement = asyncHandler(async (req, res, next) => {
+  await initializeEndorsementController();
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return next(new AppError('Validation failed', 400, errors.array()));
+  }
+
+  const endorsement = await findPolicyEndorsement(req);
+
+  if (!endorsement) {
+    return next(new AppError('Endorsement not found', 404));
+  }
+
+  const result = await endorsementService.approveEndorsement(endorsement, req.user.id, {
+    paymentMethod: req.body.paymentMethod
+  });
+
+  res.status(200).json({
+    success: true,
+    data: result
+  });
+});
+
+// Reject an endorsement
+export const rejectEndorsement = asyncHandler(async (req, res, next) => {
+  await initializeEndorsementController();
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return next(new AppError('Validation failed', 400, errors.array()));
+  }
+
+  const endorsement = await findPolicyEndorsement(req);
+
+  if (!endorsement) {
+    return next(new AppError('Endorsement not found', 404));
+  }
+
+  await endorsementService.rejectEndorsement(endorsement, req.body.reason, req.user.id);
+
+  res.status(200).json({
+    success: true,
+    data: { endorsement }
+  });
+});
@@ -1,8 +1,16 @@
 import Payment from '../models/Payment.js';
 import asyncHandler from 'express-async-handler';
+import { validationResult } from 'express-validator';
+import AppError from '../utils/appError.js';
+import mpesaService from '../services/mpesaService.js';
+import claimService from '../services/claimService.js';
+import paymentAllocationService from '../services/paymentAllocationService.js';
+import reconciliationService from '../services/reconciliationService.js';
+import paymentTransactionService from '../services/paymentTransactionService.js';
+import paymentRefundService from '../services/paymentRefundService.js';
 
 /**
- * @desc    Get payments by customer code
+ * @desc    Get payments by customer code (view payments and captured receipts)
  * @route   GET /api/payments/customer/:customerCode
  * @access  Private
  */
@@ -10,28 +18,10 @@ const getPaymentsByCustomer = asyncHandler(async (req, res) => {
   try {
     const { customerCode } = req.params;
     const { page = 1, limit = 10 } = req.query;
-    const offset = (page - 1) * limit;
 
-    const payments = await Payment.findByCustomerCode(customerCode, {
-      attributes: [
-        'PAYMENT_ID',
-        'CUSTOMER_CODE',
-        'POLICY_ID',
-        'AMOUNT',
-        'PAYMENT_METHOD',
-        'MPESA_CODE',
-        'TRANSACTION_ID',
-        'PAYMENT_DATE',
-        'CREATED_AT',
-        'UPDATED_AT'
-      ],
-      limit: parseInt(limit),
-      offset: parseInt(offset),
-      order: [['PAYMENT_DATE', 'DESC']],
-      raw: true
-    });
+    const { rows: payments } = await paymentTransactionService.getPaymentHistory({ customerCode }, { page, limit });
 
-    const summary = await Payment.getCustomerPaymentSummary(customerCode);
+    const summary = await paymentTransactionService.getCustomerSummary(customerCode);
 
     // Format payments to include formatted dates and M-Pesa details
     const formattedPayments = payments.map(payment => ({
@@ -41,7 +31,8 @@ const getPaymentsByCustomer = asyncHandler(async (req, res) => {
       updatedAt: payment.UPDATED_AT ? new Date(payment.UPDATED_AT).toISOString() : null,
       mpesaCode: payment.MPESA_CODE || null,
       paymentMethod: payment.PAYMENT_METHOD,
-      transactionId: payment.TRANSACTION_ID || null
+      transactionId: payment.TRANSACTION_ID || null,
+      source: payment.SOURCE
     }));
 
     res.json({
@@ -49,8 +40,8 @@ const getPaymentsByCustomer = asyncHandler(async (req, res) => {
       data: formattedPayments,
       summary: {
         ...summary,
-        averagePayment: payments.length > 0 
-          ? (summary.totalPaid / payments.length).toFixed(2) 
+        averagePayment: summary.totalPayments > 0 
+          ? (summary.totalAmount / summary.totalPayments).toFixed(2) 
           : 0,
         paymentMethods: payments.reduce((acc, payment) => {
           const method = payment.PAYMENT_METHOD || 'UNKNOWN';
@@ -77,7 +68,7 @@ const getPaymentsByCustomer = asyncHandler(async (req, res) => {
 const getPaymentSummary = asyncHandler(async (req, res) => {
   try {
     const { customerCode } = req.params;
-    const summary = await Payment.getCustomerPaymentSummary(customerCode);
+    const summary = await paymentTransactionService.getCustomerSummary(customerCode);
     
     res.json({
       success: true,
@@ -94,7 +85,7 @@ const getPaymentSummary = asyncHandler(async (req, res) => {
 });
 
 /**
- * @desc    Search payments with filters
+ * @desc    Search payments with filters (view payments and captured receipts)
  * @route   GET /api/payments/search
  * @access  Private
  */
@@ -111,48 +102,15 @@ const searchPayments = asyncHandler(async (req, res) => {
       limit = 10 
     } = req.query;
     
-    const offset = (page - 1) * limit;
-    
-    const whereClause = {};
-    
-    if (customerCode) whereClause.CUSTOMER_CODE = customerCode;
-    if (policyId) whereClause.POLICY_ID = policyId;
-    
-    if (startDate || endDate) {
-      whereClause.PAYMENT_DATE = {};
-      if (startDate) whereClause.PAYMENT_DATE[Op.gte] = new Date(startDate);
-      if (endDate) whereClause.PAYMENT_DATE[Op.lte] = new Date(endDate);
-    }
-    
-    if (minAmount || maxAmount) {
-      whereClause.AMOUNT = {};
-      if (minAmount) whereClause.AMOUNT[Op.gte] = parseFloat(minAmount);
-      if (maxAmount) whereClause.AMOUNT[Op.lte] = parseFloat(maxAmount);
-    }
-    
-    const { count, rows: payments } = await Payment.findAndCountAll({
-      attributes: [
-        'PAYMENT_ID',
-        'CUSTOMER_CODE',
-        'POLICY_ID',
-        'AMOUNT',
-        'PAYMENT_METHOD',
-        'MPESA_CODE',
-        'TRANSACTION_ID',
-        'PAYMENT_DATE',
-        'CREATED_AT',
-        'UPDATED_AT'
-      ],
-      where: whereClause,
-      limit: parseInt(limit),
-      offset: parseInt(offset),
-      order: [['PAYMENT_DATE', 'DESC']],
-      raw: true
-    });
+    const { count, rows: payments } = await paymentTransactionService.getPaymentHistory(
+      { customerCode, policyId, startDate, endDate, minAmount, maxAmount },
+      { page, limit }
+    );
     
-    const latestMpesaPayment = await Payment.findOne({
+    const latestMpesaPayment = customerCode ? await Payment.findOne({
       attributes: [
         'MPESA_CODE',
+        'AMOUNT',
         'PAYMENT_DATE',
         'CREATED_AT',
         'UPDATED_AT'
@@ -164,9 +122,9 @@ const searchPayments = asyncHandler(async (req, res) => {
       },
       order: [['PAYMENT_DATE', 'DESC']],
       raw: true
-    });
+    }) : null;
 
-    const result = await Payment.getCustomerPaymentSummary(customerCode);
+    const result = customerCode ? await paymentTransactionService.getCustomerSummary(customerCode) : null;
 
     res.json({
       success: true,
@@ -175,8 +133,8 @@ const searchPayments = asyncHandler(async (req, res) => {
       currentPage: parseInt(page),
       data: payments,
       summary: {
-        totalPaid: parseFloat(result?.totalPaid || 0),
-        paymentCount: parseInt(result?.paymentCount || 0),
+        totalPaid: parseFloat(result?.totalAmount || 0),
+        paymentCount: parseInt(result?.totalPayments || 0),
         mpesaDetails: latestMpesaPayment ? {
           lastMpesaCode: latestMpesaPayment.MPESA_CODE,
           lastPaymentDate: latestMpesaPayment.PAYMENT_DATE ? new Date(latestMpesaPayment.PAYMENT_DATE).toISOString() : null,
@@ -196,8 +154,435 @@ const searchPayments = asyncHandler(async (req, res) => {
   }
 });
 
+/**
+ * @desc    Get a payment from the view or a captured receipt
+ * @route   GET /api/payments/:id
+ * @access  Private
+ */
+const getPaymentById = asyncHandler(async (req, res) => {
+  const result = await paymentTransactionService.getPaymentById(req.params.id);
+
+  res.status(200).json({
+    success: true,
+    data: result
+  });
+});
+
+/**
+ * @desc    Receipt a cash, cheque or bank transfer payment (pending validation)
+ * @route   POST /api/payments
+ * @access  Private (admin, agent)
+ */
+const createPayment = asyncHandler(async (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return next(new AppError('Validation failed', 400, errors.array()));
+  }
+
+  const receipt = await paymentTransactionService.captureReceipt(req.body, req.user.id);
+
+  res.status(201).json({
+    success: true,
+    data: { receipt }
+  });
+});
+
+/**
+ * @desc    Receipts by status (default: waiting for validation)
+ * @route   GET /api/payments/receipts?status=PENDING
+ * @access  Private (admin, agent)
+ */
+const getReceipts = asyncHandler(async (req, res) => {
+  const receipts = await paymentTransactionService.getReceipts({ status: req.query.status });
+
+  res.status(200).json({
+    success: true,
+    count: receipts.length,
+    data: receipts
+  });
+});
+
+/**
+ * @desc    Correct a receipt that has not been validated
+ * @route   PUT /api/payments/:id
+ * @access  Private (admin)
+ */
+const updatePayment = asyncHandler(async (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return next(new AppError('Validation failed', 400, errors.array()));
+  }
+
+  const receipt = await paymentTransactionService.updateReceipt(req.params.id, req.body, req.user.id);
+
+  res.status(200).json({
+    success: true,
+    data: { receipt }
+  });
+});
+
+/**
+ * @desc    Cancel a receipt captured in error (before validation)
+ * @route   DELETE /api/payments/:id
+ * @access  Private (admin)
+ */
+const cancelPayment = asyncHandler(async (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return next(new AppError('Validation failed', 400, errors.array()));
+  }
+
+  const receipt = await paymentTransactionService.cancelReceipt(req.params.id, req.body.reason, req.user.id);
+
+  res.status(200).json({
+    success: true,
+    data: { receipt }
+  });
+});
+
+/**
+ * @desc    Validate a receipt so it counts towards the policy's installments
+ * @route   POST /api/payments/:id/validate
+ * @access  Private (admin)
+ */
+const validatePayment = asyncHandler(async (req, res) => {
+  const receipt = await paymentTransactionService.validateReceipt(req.params.id, req.user.id);
+
+  res.status(200).json({
+    success: true,
+    data: { receipt }
+  });
+});
+
+/**
+ * @desc    Reject a receipt whose money was not received
+ * @route   POST /api/payments/:id/reject
+ * @access  Private (admin)
+ */
+const rejectPayment = asyncHandler(async (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return next(new AppError('Validation failed', 400, errors.array()));
+  }
+
+  const receipt = await paymentTransactionService.rejectReceipt(req.params.id, req.body.reason, req.user.id);
+
+  res.status(200).json({
+    success: true,
+    data: { receipt }
+  });
+});
+
+/**
+ * @desc    Prompt the customer's phone to pay a policy installment (Lipa na M-Pesa Online)
+ * @route   POST /api/payments/mpesa/stk-push
+ * @access  Private (admin, agent, customer)
+ */
+const initiateStkPush = asyncHandler(async (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return next(new AppError('Validation failed', 400, errors.array()));
+  }
+
+  // Customers may only pay for their own policies
+  const client = await claimService.getClientForUser(req.user);
+  const result = await mpesaService.initiateStkPush(req.body, client, req.user.id);
+
+  res.status(202).json({
+    success: true,
+    message: result.customerMessage || 'Payment request sent to the phone',
+    data: result
+  });
+});
+
+/**
+ * @desc    STK push result from Daraja; completes the matching pending payment
+ * @route   POST /api/payments/mpesa/callback?ref=&signature=
+ * @access  Public (signature checked)
+ */
+const mpesaCallback = asyncHandler(async (req, res) => {
+  const { outcome } = await mpesaService.handleStkCallback(req.query, req.body);
+
+  res.status(200).json({
+    ResultCode: 0,
+    ResultDesc: `Accepted (${outcome})`
+  });
+});
+
+/**
+ * @desc    Register the paybill C2B validation and confirmation URLs with Daraja
+ * @route   POST /api/payments/mpesa/c2b/register
+ * @access  Private (admin)
+ */
+const registerC2bUrls = asyncHandler(async (req, res) => {
+  const result = await mpesaService.registerC2bUrls();
+
+  res.status(200).json({
+    success: true,
+    data: result
+  });
+});
+
+/**
+ * @desc    Paybill validation from Daraja; rejects account numbers that are not policy numbers
+ * @route   POST /api/payments/c2b/validation?signature=
+ * @access  Public (signature checked)
+ */
+const c2bValidation = asyncHandler(async (req, res) => {
+  const result = await mpesaService.validateC2b(req.query, req.body);
+
+  res.status(200).json(result);
+});
+
+/**
+ * @desc    Paybill confirmation from Daraja; allocates the payment or holds it in suspense
+ * @route   POST /api/payments/c2b/confirmation?signature=
+ * @access  Public (signature checked)
+ */
+const c2bConfirmation = asyncHandler(async (req, res) => {
+  const { outcome } = await mpesaService.confirmC2b(req.query, req.body);
+
+  res.status(200).json({
+    ResultCode: 0,
+    ResultDesc: `Accepted (${outcome})`
+  });
+});
+
+/**
+ * @desc    Receipts waiting in suspense for manual allocation
+ * @route   GET /api/payments/suspense?status=UNALLOCATED
+ * @access  Private (admin, agent)
+ */
+const getSuspenseQueue = asyncHandler(async (req, res) => {
+  const entries = await paymentAllocationService.getSuspenseQueue({ status: req.query.status || 'UNALLOCATED' });
+
+  res.status(200).json({
+    success: true,
+    count: entries.length,
+    data: entries
+  });
+});
+
+/**
+ * @desc    Allocate a suspense receipt to a policy's unpaid installments
+ * @route   POST /api/payments/suspense/:id/allocate
+ * @access  Private (admin)
+ */
+const allocateSuspense = asyncHandler(async (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return next(new AppError('Validation failed', 400, errors.array()));
+  }
+
+  const result = await paymentAllocationService.allocateSuspense(
+    req.params.id,
+    req.body.policyId,
+    req.body.notes,
+    req.user.id
+  );
+
+  res.status(200).json({
+    success: true,
+    data: result
+  });
+});
+
+/**
+ * @desc    Reconcile an uploaded bank or M-Pesa statement (CSV/XLSX) against system payments
+ * @route   POST /api/payments/reconciliation
+ * @access  Private (admin)
+ */
+const createReconciliation = asyncHandler(async (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return next(new AppError('Validation failed', 400, errors.array()));
+  }
+
+  const report = await reconciliationService.createReconciliation(req.file, req.body.source, req.user.id);
+
+  res.status(201).json({
+    success: true,
+    data: report
+  });
+});
+
+/**
+ * @desc    Reconciliations run so far
+ * @route   GET /api/payments/reconciliation?source=
+ * @access  Private (admin)
+ */
+const getReconciliations = asyncHandler(async (req, res) => {
+  const reconciliations = await reconciliationService.getReconciliations({ source: req.query.source });
+
+  res.status(200).json({
+    success: true,
+    count: reconciliations.length,
+    data: reconciliations
+  });
+});
+
+/**
+ * @desc    Reconciliation report: matched, unmatched statement and unmatched system items
+ * @route   GET /api/payments/reconciliation/:id
+ * @access  Private (admin)
+ */
+const getReconciliationReport = asyncHandler(async (req, res) => {
+  const report = await reconciliationService.getReport(req.params.id);
+
+  res.status(200).json({
+    success: true,
+    data: report
+  });
+});
+
+/**
+ * @desc    Match an unmatched statement line to system payments by hand
+ * @route   POST /api/payments/reconciliation/:id/lines/:lineId/match
+ * @access  Private (admin)
+ */
+const matchReconciliationLine = asyncHandler(async (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return next(new AppError('Validation failed', 400, errors.array()));
+  }
+
+  const result = await reconciliationService.manualMatch(
+    req.params.id,
+    req.params.lineId,
+    req.body.paymentIds,
+    req.user.id
+  );
+
+  res.status(200).json({
+    success: true,
+    data: result
+  });
+});
+
+/**
+ * @desc    Write off an unmatched statement line
+ * @route   POST /api/payments/reconciliation/:id/lines/:lineId/write-off
+ * @access  Private (admin)
+ */
+const writeOffReconciliationLine = asyncHandler(async (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return next(new AppError('Validation failed', 400, errors.array()));
+  }
+
+  const line = await reconciliationService.writeOff(
+    req.params.id,
+    req.params.lineId,
+    req.body.reason,
+    req.user.id
+  );
+
+  res.status(200).json({
+    success: true,
+    data: { line }
+  });
+});
+
+/**
+ * @desc    Raise a refund against a completed payment (full or partial)
+ * @route   POST /api/payments/:id/refunds
+ * @access  Private (admin, agent)
+ */
+const requestRefund = asyncHandler(async (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return next(new AppError('Validation failed', 400, errors.array()));
+  }
+
+  const refund = await paymentRefundService.requestRefund(req.params.id, req.body, req.user.id);
+
+  res.status(201).json({
+    success: true,
+    data: { refund }
+  });
+});
+
+/**
+ * @desc    Refunds by status (default: waiting for approval)
+ * @route   GET /api/payments/refunds?status=PENDING&paymentId=
+ * @access  Private (admin, agent)
+ */
+const getRefunds = asyncHandler(async (req, res) => {
+  const refunds = await paymentRefundService.getRefunds({
+    status: req.query.status,
+    paymentId: req.query.paymentId
+  });
+
+  res.status(200).json({
+    success: true,
+    count: refunds.length,
+    data: refunds
+  });
+});
+
+/**
+ * @desc    Approve a refund raised by another user
+ * @route   POST /api/payments/refunds/:refundId/approve
+ * @access  Private (admin)
+ */
+const approveRefund = asyncHandler(async (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return next(new AppError('Validation failed', 400, errors.array()));
+  }
+
+  const result = await paymentRefundService.approveRefund(req.params.refundId, req.body, req.user.id);
+
+  res.status(200).json({
+    success: true,
+    data: result
+  });
+});
+
+/**
+ * @desc    Reject a refund raised by another user
+ * @route   POST /api/payments/refunds/:refundId/reject
+ * @access  Private (admin)
+ */
+const rejectRefund = asyncHandler(async (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return next(new AppError('Validation failed', 400, errors.array()));
+  }
+
+  const refund = await paymentRefundService.rejectRefund(req.params.refundId, req.body.reason, req.user.id);
+
+  res.status(200).json({
+    success: true,
+    data: { refund }
+  });
+});
+
 export { 
   getPaymentsByCustomer, 
   getPaymentSummary, 
-  searchPayments 
+  searchPayments,
+  getPaymentById,
+  createPayment,
+  getReceipts,
+  updatePayment,
+  cancelPayment,
+  validatePayment,
+  rejectPayment,
+  requestRefund,
+  getRefunds,
+  approveRefund,
+  rejectRefund,
+  initiateStkPush,
+  mpesaCallback,
+  registerC2bUrls,
+  c2bValidation,
+  c2bConfirmation,
+  getSuspenseQueue,
+  allocateSuspense,
+  createReconciliation,
+  getReconciliations,
+  getReconciliationReport,
+  matchReconciliationLine,
+  writeOffReconciliationLine
 };
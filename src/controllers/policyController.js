@@ -0,0 +1,509 @@
+import initializeModels from '../models/index.js';
+import { validationResult } from 'express-validator';
+import asyncHandler from '../utils/asyncHandler.js';
+import AppError from '../utils/appError.js';
+import policyLifecycleService from '../services/policyLifecycleService.js';
+import policyRenewalService from '../services/policyRenewalService.js';
+import policyCancellationService from '../services/policyCancellationService.js';
+import installmentService from '../services/installmentService.js';
+import policyArrearsService from '../services/policyArrearsService.js';
+import { Op } from 'sequelize';
+
+let Policy, Client, Product, Payment, Document, Quote;
+
+// Fields a caller may set when creating a policy; counters, adjusted premium and status are system-managed
+const CREATABLE_POLICY_FIELDS = [
+  'policyNumber',
+  'quoteId',
+  'clientId',
+  'productId',
+  'intermediaryId',
+  'sumInsured',
+  'annualPremium',
+  'downPayment',
+  'installmentFrequency',
+  'totalInstallments',
+  'policyStartDate',
+  'policyEndDate'
+];
+
+// Fields a caller may change on an existing policy
+const UPDATABLE_POLICY_FIELDS = [
+  'sumInsured',
+  'annualPremium',
+  'intermediaryId',
+  'installmentFrequency',
+  'totalInstallments',
+  'policyStartDate',
+  'policyEndDate'
+];
+
+// Fields that the installment schedule is built from
+const SCHEDULE_POLICY_FIELDS = ['annualPremium', 'installmentFrequency', 'totalInstallments', 'policyStartDate', 'policyEndDate'];
+
+// Columns the policy list can be sorted by
+const SORTABLE_POLICY_FIELDS = ['createdAt', 'policyNumber', 'policyStartDate', 'policyEndDate', 'annualPremium', 'sumInsured', 'status'];
+
+// Copy only the allowed fields that were sent
+const pickFields = (body, fields) => Object.fromEntries(
+  fields.filter(field => body[field] !== undefined).map(field => [field, body[field]])
+);
+
+// Initialize models when needed
+const initializePolicyController = async () => {
+  if (!Policy) {
+    const models = await initializeModels();
+    Policy = models.Policy;
+    Client = models.Client;
+    Product = models.Product;
+    Payment = models.Payment;
+    Document = models.Document;
+    Quote = models.Quote;
+  }
+};
+
+// Get all policies with filtering and pagination
+export const getPolicies = asyncHandler(async (req, res, next) => {
+  await initializePolicyController();
+  const {
+    page = 1,
+    limit = 20,
+    search,
+    status,
+    productId,
+    intermediaryId,
+    clientId,
+    startDate,
+    endDate,
+    sortBy = 'createdAt',
+    sortOrder = 'DESC'
+  } = req.query;
+
+  const offset = (page - 1) * limit;
+  const where = {};
+
+  // Search by policy number
+  if (search) {
+    where.policyNumber = { [Op.like]: `%${search.toUpperCase()}%` };
+  }
+
+  if (status) where.status = status;
+  if (productId) where.productId = productId;
+  if (intermediaryId) where.intermediaryId = intermediaryId;
+  if (clientId) where.clientId = clientId;
+
+  // Date range filter on the policy start date
+  if (startDate || endDate) {
+    where.policyStartDate = {};
+    if (startDate) where.policyStartDate[Op.gte] = new Date(startDate);
+    if (endDate) {
+      const end = new Date(endDate);
+      end.setHours(23, 59, 59, 999);
+      where.policyStartDate[Op.lte] = end;
+    }
+  }
+
+  if (!SORTABLE_POLICY_FIELDS.includes(sortBy)) {
+    return next(new AppError(`sortBy must be one of ${SORTABLE_POLICY_FIELDS.join(', ')}`, 400));
+  }
+
+  if (!['ASC', 'DESC'].includes(String(sortOrder).toUpperCase())) {
+    return next(new AppError('sortOrder must be ASC or DESC', 400));
+  }
+
+  const order = [[sortBy, String(sortOrder).toUpperCase()]];
+
+  const { count, rows } = await Policy.findAndCountAll({
+    where,
+    order,
+    limit: parseInt(limit),
+    offset: parseInt(offset),
+    include: [
+      {
+        model: Client,
+        as: 'client',
+        attributes: ['id', 'firstName', 'lastName', 'email']
+      },
+      {
+        model: Product,
+        as: 'product',
+        attributes: ['id', 'name', 'code', 'category']
+      }
+    ]
+  });
+
+  res.status(200).json({
+    success: true,
+    data: {
+      policies: rows,
+      pagination: {
+        page: parseInt(page),
+        pages: Math.ceil(count / limit),
+        total: count,
+        limit: parseInt(limit)
+      }
+    }
+  });
+});
+
+// Get single policy
+export const getPolicy = asyncHandler(async (req, res, next) => {
+  await initializePolicyController();
+  const policy = await Policy.findByPk(req.params.id, {
+    include: [
+      { model: Client, as: 'client' },
+      { model: Product, as: 'product' },
+      { model: Payment, as: 'payments' },
+      { model: Document, as: 'documents' }
+    ]
+  });
+
+  if (!policy) {
+    return next(new AppError('Policy not found', 404));
+  }
+
+  res.status(200).json({
+    success: true,
+    data: { policy }
+  });
+});
+
+// Create new policy
+export const createPolicy = asyncHandler(async (req, res, next) => {
+  await initializePolicyController();
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return next(new AppError('Validation failed', 400, errors.array()));
+  }
+
+  const client = await Client.findByPk(req.body.clientId);
+  if (!client) {
+    return next(new AppError('Client not found', 404));
+  }
+
+  const product = await Product.findByPk(req.body.productId);
+  if (!product) {
+    return next(new AppError('Product not found', 404));
+  }
+
+  const transaction = await Policy.sequelize.transaction();
+  let policy;
+
+  try {
+    policy = await Policy.create({
+      ...pickFields(req.body, CREATABLE_POLICY_FIELDS),
+      status: 'ACTIVE',
+      createdBy: req.user.id
+    }, { transaction });
+
+    await policyLifecycleService.recordHistory(policy, null, 'ACTIVE', {
+      actorId: req.user.id,
+      reason: 'Policy created',
+      transaction
+    });
+
+    await installmentService.generateSchedule(policy, { transaction });
+
+    await transaction.commit();
+  } catch (error) {
+    await transaction.rollback();
+    throw error;
+  }
+
+  res.status(201).json({
+    success: true,
+    data: { policy }
+  });
+});
+
+// Update policy
+export const updatePolicy = asyncHandler(async (req, res, next) => {
+  await initializePolicyController();
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return next(new AppError('Validation failed', 400, errors.array()));
+  }
+
+  const policy = await Policy.findByPk(req.params.id);
+
+  if (!policy) {
+    return next(new AppError('Policy not found', 404));
+  }
+
+  const updates = pickFields(req.body, UPDATABLE_POLICY_FIELDS);
+  const transaction = await Policy.sequelize.transaction();
+
+  try {
+    // Status and cancellation go through their own endpoints
+    await policy.update({
+      ...updates,
+      updatedBy: req.user.id
+    }, { transaction });
+
+    // Premium, plan and period changes reshape the schedule; this is refused
+    // once payments have been matched to it
+    if (SCHEDULE_POLICY_FIELDS.some(field => updates[field] !== undefined)) {
+      await installmentService.generateSchedule(policy, { transaction });
+    }
+
+    await transaction.commit();
+  } catch (error) {
+    await transaction.rollback();
+    throw error;
+  }
+
+  res.status(200).json({
+    success: true,
+    data: { policy }
+  });
+});
+
+// Cancel policy (policies are never hard deleted)
+export const cancelPolicy = asyncHandler(async (req, res, next) => {
+  await initializePolicyController();
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return next(new AppError('Validation failed', 400, errors.array()));
+  }
+
+  const policy = await Policy.findByPk(req.params.id);
+
+  if (!policy) {
+    return next(new AppError('Policy not found', 404));
+  }
+
+  const { cancellationReason, cancellationDate, refundMethod, paymentMethod } = req.body;
+
+  const result = await policyCancellationService.cancelPolicy(policy, {
+    reason: cancellationReason,
+    cancellationDate,
+    refundMethod,
+    paymentMethod
+  }, req.user.id);
+
+  res.status(200).json({
+    success: true,
+    message: 'Policy cancelled successfully',
+    data: result
+  });
+});
+
+// Preview the refund for cancelling a policy
+export const getCancellationQuote = asyncHandler(async (req, res, next) => {
+  await initializePolicyController();
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return next(new AppError('Validation failed', 400, errors.array()));
+  }
+
+  const policy = await Policy.findByPk(req.params.id, {
+    include: [{ model: Product, as: 'product' }]
+  });
+
+  if (!policy) {
+    return next(new AppError('Policy not found', 404));
+  }
+
+  const refund = await policyCancellationService.calculateRefund(policy, policy.product, {
+    cancellationDate: req.query.cancellationDate,
+    refundMethod: req.query.refundMethod
+  });
+
+  res.status(200).json({
+    success: true,
+    data: { refund }
+  });
+});
+
+// Change policy status through the lifecycle rules
+export const updatePolicyStatus = asyncHandler(async (req, res, next) => {
+  await initializePolicyController();
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return next(new AppError('Validation failed', 400, errors.array()));
+  }
+
+  const policy = await Policy.findByPk(req.params.id);
+
+  if (!policy) {
+    return next(new AppError('Policy not found', 404));
+  }
+
+  const { status, reason } = req.body;
+
+  await policyLifecycleService.transition(policy, status, {
+    actorId: req.user.id,
+    reason
+  });
+
+  res.status(200).json({
+    success: true,
+    data: { policy }
+  });
+});
+
+// Get policy status history
+export const getPolicyHistory = asyncHandler(async (req, res, next) => {
+  await initializePolicyController();
+  const policy = await Policy.findByPk(req.params.id);
+
+  if (!policy) {
+    return next(new AppError('Policy not found', 404));
+  }
+
+  const history = await policyLifecycleService.getHistory(policy);
+
+  res.status(200).json({
+    success: true,
+    data: { history }
+  });
+});
+
+// Raise a renewal quote for a single policy
+export const renewPolicy = asyncHandler(async (req, res, next) => {
+  await initializePolicyController();
+  const policy = await Policy.findByPk(req.params.id);
+
+  if (!policy) {
+    return next(new AppError('Policy not found', 404));
+  }
+
+  const quote = await policyRenewalService.createRenewalQuote(policy, req.user.id);
+
+  res.status(201).json({
+    success: true,
+    data: { quote }
+  });
+});
+
+// Raise renewal quotes for all policies expiring inside a window
+export const renewExpiringPolicies = asyncHandler(async (req, res, next) => {
+  await initializePolicyController();
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return next(new AppError('Validation failed', 400, errors.array()));
+  }
+
+  const { days, fromDate, toDate } = req.body;
+  const { created, skipped } = await policyRenewalService.createRenewalQuotes(
+    { days, fromDate, toDate },
+    req.user.id
+  );
+
+  res.status(201).json({
+    success: true,
+    data: {
+      created,
+      skipped,
+      summary: {
+        created: created.length,
+        skipped: skipped.length
+      }
+    }
+  });
+});
+
+// Accept a renewal quote and issue the successor policy
+export const acceptRenewal = asyncHandler(async (req, res, next) => {
+  await initializePolicyController();
+  const quote = await Quote.findByPk(req.params.quoteId);
+
+  if (!quote) {
+    return next(new AppError('Quote not found', 404));
+  }
+
+  const policy = await policyRenewalService.acceptRenewal(quote, req.user.id);
+
+  res.status(201).json({
+    success: true,
+    data: { policy, quote }
+  });
+});
+
+// Get policy installment schedule
+export const getPolicySchedule = asyncHandler(async (req, res, next) => {
+  await initializePolicyController();
+  const policy = await Policy.findByPk(req.params.id);
+
+  if (!policy) {
+    return next(new AppError('Policy not found', 404));
+  }
+
+  const schedule = await installmentService.getSchedule(policy);
+
+  res.status(200).json({
+    success: true,
+    data: schedule
+  });
+});
+
+// Regenerate policy installment schedule
+export const generatePolicySchedule = asyncHandler(async (req, res, next) => {
+  await initializePolicyController();
+  const policy = await Policy.findByPk(req.params.id);
+
+  if (!policy) {
+    return next(new AppError('Policy not found', 404));
+  }
+
+  await installmentService.generateSchedule(policy);
+  const schedule = await installmentService.getSchedule(policy);
+
+  res.status(201).json({
+    success: true,
+    data: schedule
+  });
+});
+
+// Match payments to installments and refresh the counters
+export const syncPolicySchedule = asyncHandler(async (req, res, next) => {
+  await initializePolicyController();
+  const policy = await Policy.findByPk(req.params.id);
+
+  if (!policy) {
+    return next(new AppError('Policy not found', 404));
+  }
+
+  const { unmatched } = await installmentService.syncInstallments(policy);
+  const schedule = await installmentService.getSchedule(policy);
+
+  res.status(200).json({
+    success: true,
+    data: {
+      ...schedule,
+      unmatchedPayments: unmatched
+    }
+  });
+});
+
+// Run the arrears check now instead of waiting for the nightly job
+export const processPolicyArrears = asyncHandler(async (req, res) => {
+  const summary = await policyArrearsService.processArrears();
+
+  res.status(200).json({
+    success: true,
+    data: summary
+  });
+});
+
+// Restore cover on a suspended or lapsed policy once arrears are cleared
+export const reinstatePolicy = asyncHandler(async (req, res, next) => {
+  await initializePolicyController();
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return next(new AppError('Validation failed', 400, errors.array()));
+  }
+
+  const policy = await Policy.findByPk(req.params.id);
+
+  if (!policy) {
+    return next(new AppError('Policy not found', 404));
+  }
+
+  await policyArrearsService.reinstatePolicy(policy, req.user.id, req.body.reason);
+
+  res.status(200).json({
+    success: true,
+    data: { policy }
+  });
+});
@@ -0,0 +1,143 @@
+import initializeModels from '../models/index.js';
+import { validationResult } from 'express-validator';
+import asyncHandler from '../utils/asyncHandler.js';
+import AppError from '../utils/appError.js';
+import ratingRulesService from '../services/ratingRulesService.js';
+import { getRequirements } from '../utils/claimChecklist.js';
+
+let Product, ProductRatingRule;
+
+// Initialize models when needed
+const initializeProductController = async () => {
+  if (!Product) {
+    const models = await initializeModels();
+    Product = models.Product;
+    ProductRatingRule = models.ProductRatingRule;
+  }
+};
+
+// Get a product's rating rule versions
+export const getRatingRules = asyncHandler(async (req, res, next) => {
+  await initializeProductController();
+  const product = await Product.findByPk(req.params.id);
+
+  if (!product) {
+    return next(new AppError('Product not found', 404));
+  }
+
+  const ruleSets = await ratingRulesService.getRuleSets(product);
+
+  res.status(200).json({
+    success: true,
+    data: ruleSets
+  });
+});
+
+// Upload a new rating rule version
+export const uploadRatingRules = asyncHandler(async (req, res, next) => {
+  await initializeProductController();
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return next(new AppError('Validation failed', 400, errors.array()));
+  }
+
+  const product = await Product.findByPk(req.params.id);
+
+  if (!product) {
+    return next(new AppError('Product not found', 404));
+  }
+
+  const ruleSet = await ratingRulesService.uploadRuleSet(product, req.body, req.user.id);
+
+  res.status(201).json({
+    success: true,
+    data: { ruleSet }
+  });
+});
+
+// Put a rating rule version into use
+export const activateRatingRules = asyncHandler(async (req, res, next) => {
+  await initializeProductController();
+  const ruleSet = await ProductRatingRule.findOne({
+    where: {
+      productId: req.params.id,
+      version: req.params.version
+    }
+  });
+
+  if (!ruleSet) {
+    return next(new AppError('Rating rule version not found', 404));
+  }
+
+  await ratingRulesService.activate(ruleSet, req.user.id);
+
+  res.status(200).json({
+    success: true,
+    data: { ruleSet }
+  });
+});
+
+// Price a sample risk against a rule table without saving it
+export const previewRatingRules = asyncHandler(async (req, res, next) => {
+  await initializeProductController();
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return next(new AppError('Validation failed', 400, errors.array()));
+  }
+
+  const product = await Product.findByPk(req.params.id);
+
+  if (!product) {
+    return next(new AppError('Product not found', 404));
+  }
+
+  const breakdown = await ratingRulesService.previewRules(product, req.body);
+
+  res.status(200).json({
+    success: true,
+    data: { breakdown }
+  });
+});
+
+// Get the documents a product's claims must include, and whether they are the category defaults
+export const getClaimDocumentRequirements = asyncHandler(async (req, res, next) => {
+  await initializeProductController();
+  const product = await Product.findByPk(req.params.id);
+
+  if (!product) {
+    return next(new AppError('Product not found', 404));
+  }
+
+  res.status(200).json({
+    success: true,
+    data: {
+      requirements: getRequirements(product),
+      isDefault: !product.claimDocumentRequirements
+    }
+  });
+});
+
+// Set the documents a product's claims must include
+export const updateClaimDocumentRequirements = asyncHandler(async (req, res, next) => {
+  await initializeProductController();
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return next(new AppError('Validation failed', 400, errors.array()));
+  }
+
+  const product = await Product.findByPk(req.params.id);
+
+  if (!product) {
+    return next(new AppError('Product not found', 404));
+  }
+
+  await product.update({ claimDocumentRequirements: req.body.requirements, updatedBy: req.user.id });
+
+  res.status(200).json({
+    success: true,
+    data: {
+      requirements: product.claimDocumentRequirements,
+      isDefault: !product.claimDocumentRequirements
+    }
+  });
+});
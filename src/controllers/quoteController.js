@@ -1,6 +1,55 @@
 import Quote from '../models/Quote.js';
+import initializeModels from '../models/index.js';
 import asyncHandler from 'express-async-handler';
+import { validationResult } from 'express-validator';
+import { Op } from 'sequelize';
 import moment from 'moment';
+import AppError from '../utils/appError.js';
+import quoteBindingService from '../services/quoteBindingService.js';
+import quoteService from '../services/quoteService.js';
+import quoteLifecycleService from '../services/quoteLifecycleService.js';
+import quoteRevisionService from '../services/quoteRevisionService.js';
+import quoteAnalyticsService from '../services/quoteAnalyticsService.js';
+
+let models;
+
+// Initialize models when needed
+const initializeQuoteController = async () => {
+  if (!models) {
+    models = await initializeModels();
+  }
+};
+
+// Build the CREATED_AT condition for a date range filter
+// (range=daily|weekly|monthly, or a custom startDate/endDate)
+const buildDateCondition = ({ range, startDate, endDate }) => {
+  const dateCondition = {};
+  const now = moment();
+
+  if (range === 'daily') {
+    dateCondition.CREATED_AT = {
+      [Op.gte]: now.clone().startOf('day').toDate(),
+      [Op.lte]: now.clone().endOf('day').toDate()
+    };
+  } else if (range === 'weekly') {
+    dateCondition.CREATED_AT = {
+      [Op.gte]: now.clone().startOf('week').toDate(),
+      [Op.lte]: now.clone().endOf('week').toDate()
+    };
+  } else if (range === 'monthly') {
+    dateCondition.CREATED_AT = {
+      [Op.gte]: now.clone().startOf('month').toDate(),
+      [Op.lte]: now.clone().endOf('month').toDate()
+    };
+  } else if (startDate && endDate) {
+    dateCondition.CREATED_AT = {
+      [Op.gte]: moment(startDate).startOf('day').toDate(),
+      [Op.lte]: moment(endDate).endOf('day').toDate()
+    };
+  }
+
+  return dateCondition;
+};
 
 /**
  * @desc    Get quotes with date range filtering
@@ -8,35 +57,12 @@ import moment from 'moment';
  * @access  Private
  */
 const getQuotes = asyncHandler(async (req, res) => {
+  await initializeQuoteController();
   try {
-    const { range, startDate, endDate, page = 1, limit = 10 } = req.query;
+    const { page = 1, limit = 10 } = req.query;
     const offset = (page - 1) * limit;
 
-    // Build date range condition
-    const dateCondition = {};
-    const now = moment();
-    
-    if (range === 'daily') {
-      dateCondition.CREATED_AT = {
-        [Op.gte]: now.startOf('day').toDate(),
-        [Op.lte]: now.endOf('day').toDate()
-      };
-    } else if (range === 'weekly') {
-      dateCondition.CREATED_AT = {
-        [Op.gte]: now.startOf('week').toDate(),
-        [Op.lte]: now.endOf('week').toDate()
-      };
-    } else if (range === 'monthly') {
-      dateCondition.CREATED_AT = {
-        [Op.gte]: now.startOf('month').toDate(),
-        [Op.lte]: now.endOf('month').toDate()
-      };
-    } else if (startDate && endDate) {
-      dateCondition.CREATED_AT = {
-        [Op.gte]: moment(startDate).startOf('day').toDate(),
-        [Op.lte]: moment(endDate).endOf('day').toDate()
-      };
-    }
+    const dateCondition = buildDateCondition(req.query);
 
     const { count, rows: quotes } = await Quote.findAndCountAll({
       where: dateCondition,
@@ -85,34 +111,9 @@ const getQuotes = asyncHandler(async (req, res) => {
  * @access  Private/Admin
  */
 const getQuoteStats = asyncHandler(async (req, res) => {
+  await initializeQuoteController();
   try {
-    const { range, startDate, endDate } = req.query;
-    
-    // Build date range condition
-    const dateCondition = {};
-    const now = moment();
-    
-    if (range === 'daily') {
-      dateCondition.CREATED_AT = {
-        [Op.gte]: now.startOf('day').toDate(),
-        [Op.lte]: now.endOf('day').toDate()
-      };
-    } else if (range === 'weekly') {
-      dateCondition.CREATED_AT = {
-        [Op.gte]: now.startOf('week').toDate(),
-        [Op.lte]: now.endOf('week').toDate()
-      };
-    } else if (range === 'monthly') {
-      dateCondition.CREATED_AT = {
-        [Op.gte]: now.startOf('month').toDate(),
-        [Op.lte]: now.endOf('month').toDate()
-      };
-    } else if (startDate && endDate) {
-      dateCondition.CREATED_AT = {
-        [Op.gte]: moment(startDate).startOf('day').toDate(),
-        [Op.lte]: moment(endDate).endOf('day').toDate()
-      };
-    }
+    const dateCondition = buildDateCondition(req.query);
 
     const quotes = await Quote.findAll({
       where: dateCondition,
@@ -175,4 +176,320 @@ const getQuoteStats = asyncHandler(async (req, res) => {
   }
 });
 
-export { getQuotes, getQuoteStats };
+/**
+ * @desc    Quote conversion funnel by product, intermediary and creator
+ * @route   GET /api/quotes/funnel
+ * @access  Private/Admin
+ */
+const getQuoteFunnel = asyncHandler(async (req, res) => {
+  const funnel = await quoteAnalyticsService.getFunnel(buildDateCondition(req.query));
+
+  res.status(200).json({
+    success: true,
+    data: funnel
+  });
+});
+
+/**
+ * @desc    Price a risk without saving a quote
+ * @route   POST /api/quotes/calculate
+ * @access  Private
+ */
+const calculateQuote = asyncHandler(async (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return next(new AppError('Validation failed', 400, errors.array()));
+  }
+
+  const result = await quoteService.calculate(req.body);
+
+  res.status(200).json({
+    success: true,
+    data: result
+  });
+});
+
+/**
+ * @desc    Price the same risk against several products side by side
+ * @route   POST /api/quotes/compare-products
+ * @access  Private
+ */
+const compareProducts = asyncHandler(async (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return next(new AppError('Validation failed', 400, errors.array()));
+  }
+
+  const result = await quoteService.compareProducts(req.body);
+
+  res.status(200).json({
+    success: true,
+    data: result
+  });
+});
+
+/**
+ * @desc    Rate a risk and save it as a quote
+ * @route   POST /api/quotes
+ * @access  Private/Admin/Agent
+ */
+const createQuote = asyncHandler(async (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return next(new AppError('Validation failed', 400, errors.array()));
+  }
+
+  const quote = await quoteService.createQuote(req.body, req.user.id);
+
+  res.status(201).json({
+    success: true,
+    data: { quote }
+  });
+});
+
+// Load the quote in the URL or fail with 404
+const findQuote = async (req, next) => {
+  await initializeQuoteController();
+  const quote = await models.Quote.findByPk(req.params.id);
+
+  if (!quote) {
+    next(new AppError('Quote not found', 404));
+  }
+
+  return quote;
+};
+
+/**
+ * @desc    Re-price a quote, recording the new figures as a revision
+ * @route   PUT /api/quotes/:id
+ * @access  Private/Admin/Agent
+ */
+const updateQuote = asyncHandler(async (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return next(new AppError('Validation failed', 400, errors.array()));
+  }
+
+  const quote = await findQuote(req, next);
+  if (!quote) return;
+
+  const result = await quoteService.updateQuote(quote, req.body, req.user.id);
+
+  res.status(200).json({
+    success: true,
+    data: result
+  });
+});
+
+/**
+ * @desc    List a quote's revisions
+ * @route   GET /api/quotes/:id/revisions
+ * @access  Private
+ */
+const getQuoteRevisions = asyncHandler(async (req, res, next) => {
+  const quote = await findQuote(req, next);
+  if (!quote) return;
+
+  const revisions = await quoteRevisionService.getRevisions(quote);
+
+  res.status(200).json({
+    success: true,
+    count: revisions.length,
+    data: revisions
+  });
+});
+
+/**
+ * @desc    Diff two revisions of a quote field by field
+ * @route   GET /api/quotes/:id/revisions/compare?from=1&to=2
+ * @access  Private
+ */
+const compareQuoteRevisions = asyncHandler(async (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return next(new AppError('Validation failed', 400, errors.array()));
+  }
+
+  const quote = await findQuote(req, next);
+  if (!quote) return;
+
+  const result = await quoteRevisionService.compareRevisions(
+    quote,
+    parseInt(req.query.from, 10),
+    parseInt(req.query.to, 10)
+  );
+
+  res.status(200).json({
+    success: true,
+    data: result
+  });
+});
+
+/**
+ * @desc    Submit a draft quote (held for approval if over-discounted)
+ * @route   POST /api/quotes/:id/submit
+ * @access  Private/Admin/Agent
+ */
+const submitQuote = asyncHandler(async (req, res, next) => {
+  const quote = await findQuote(req, next);
+  if (!quote) return;
+
+  const result = await quoteLifecycleService.submit(quote, req.user.id);
+
+  res.status(200).json({
+    success: true,
+    data: result
+  });
+});
+
+/**
+ * @desc    Approve a quote held for its discount
+ * @route   POST /api/quotes/:id/approve
+ * @access  Private/Admin
+ */
+const approveQuote = asyncHandler(async (req, res, next) => {
+  const quote = await findQuote(req, next);
+  if (!quote) return;
+
+  await quoteLifecycleService.approve(quote, req.user.id);
+
+  res.status(200).json({
+    success: true,
+    data: { quote }
+  });
+});
+
+/**
+ * @desc    Decline a quote
+ * @route   POST /api/quotes/:id/decline
+ * @access  Private/Admin/Agent
+ */
+const declineQuote = asyncHandler(async (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return next(new AppError('Validation failed', 400, errors.array()));
+  }
+
+  const quote = await findQuote(req, next);
+  if (!quote) return;
+
+  await quoteLifecycleService.decline(quote, req.body.reason, req.user.id);
+
+  res.status(200).json({
+    success: true,
+    data: { quote }
+  });
+});
+
+/**
+ * @desc    Record the client's acceptance of a quote
+ * @route   POST /api/quotes/:id/accept
+ * @access  Private/Admin/Agent
+ */
+const acceptQuote = asyncHandler(async (req, res, next) => {
+  const quote = await findQuote(req, next);
+  if (!quote) return;
+
+  await quoteLifecycleService.accept(quote, req.user.id);
+
+  res.status(200).json({
+    success: true,
+    data: { quote }
+  });
+});
+
+/**
+ * @desc    Download the quotation PDF
+ * @route   GET /api/quotes/:id/pdf
+ * @access  Private
+ */
+const getQuotePdf = asyncHandler(async (req, res, next) => {
+  const quote = await findQuote(req, next);
+  if (!quote) return;
+
+  const { buffer, fileName } = await quoteService.renderQuotePdf(quote);
+
+  res.set({
+    'Content-Type': 'application/pdf',
+    'Content-Disposition': `${req.query.download === 'true' ? 'attachment' : 'inline'}; filename="${fileName}"`,
+    'Content-Length': buffer.length
+  });
+  res.status(200).send(buffer);
+});
+
+/**
+ * @desc    Email the quotation PDF to the client
+ * @route   POST /api/quotes/:id/send
+ * @access  Private/Admin/Agent
+ */
+const sendQuote = asyncHandler(async (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return next(new AppError('Validation failed', 400, errors.array()));
+  }
+
+  const quote = await findQuote(req, next);
+  if (!quote) return;
+
+  await quoteService.sendQuote(quote, req.body, req.user.id);
+
+  res.status(200).json({
+    success: true,
+    data: { quote }
+  });
+});
+
+/**
+ * @desc    Bind a quote and issue the policy
+ * @route   POST /api/quotes/:id/bind
+ * @access  Private/Admin/Agent
+ */
+const bindQuote = asyncHandler(async (req, res, next) => {
+  await initializeQuoteController();
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return next(new AppError('Validation failed', 400, errors.array()));
+  }
+
+  const quote = await models.Quote.findByPk(req.params.id);
+
+  if (!quote) {
+    return next(new AppError('Quote not found', 404));
+  }
+
+  const { policyStartDate, policyEndDate, installmentFrequency, totalInstallments, downPayment } = req.body;
+  const result = await quoteBindingService.bindQuote(quote, req.user.id, {
+    policyStartDate,
+    policyEndDate,
+    installmentFrequency,
+    totalInstallments,
+    downPayment
+  });
+
+  res.status(201).json({
+    success: true,
+    data: {
+      quote,
+      ...result
+    }
+  });
+});
+
+export {
+  getQuotes,
+  getQuoteStats,
+  getQuoteFunnel,
+  calculateQuote,
+  compareProducts,
+  createQuote,
+  updateQuote,
+  getQuoteRevisions,
+  compareQuoteRevisions,
+  submitQuote,
+  approveQuote,
+  declineQuote,
+  acceptQuote,
+  getQuotePdf,
+  sendQuote,
+  bindQuote
+};
@@ -0,0 +1,29 @@
+import { scheduleDaily } from './scheduler.js';
+import policyArrearsService from '../services/policyArrearsService.js';
+import quoteLifecycleService from '../services/quoteLifecycleService.js';
+import claimAssignmentService from '../services/claimAssignmentService.js';
+
+/**
+ * Start the nightly background jobs.
+ * Set DISABLE_SCHEDULED_JOBS=true to run the API without them (e.g. on extra instances).
+ * @returns {Function} Function that stops every scheduled job
+ */
+export const startScheduledJobs = () => {
+  if (process.env.DISABLE_SCHEDULED_JOBS === 'true') {
+    console.log('ℹ️  Scheduled jobs are disabled');
+    return () => {};
+  }
+
+  const stops = [
+    // Suspend or lapse policies in arrears
+    scheduleDaily('policy-arrears', { hour: 1 }, () => policyArrearsService.processArrears()),
+
+    // Expire quotes past their validity period
+    scheduleDaily('quote-expiry', { hour: 0, minute: 30 }, () => quoteLifecycleService.expireQuotes()),
+
+    // Assign waiting claims and flag reviews past the SLA
+    scheduleDaily('claim-queue', { hour: 2 }, () => claimAssignmentService.processClaimQueue())
+  ];
+
+  return () => stops.forEach(stop => stop());
+};
@@ -0,0 +1,38 @@
+/**
+ * Run a task once a day at a fixed local time.
+ * Errors are logged so one failed run does not stop later runs.
+ * @param {string} name - Job name used in logs
+ * @param {Object} time - Time of day to run at
+ * @param {number} [time.hour=0] - Hour (0-23)
+ * @param {number} [time.minute=0] - Minute (0-59)
+ * @param {Function} task - Async function to run
+ * @returns {Function} Function that cancels the schedule
+ */
+export const scheduleDaily = (name, { hour = 0, minute = 0 } = {}, task) => {
+  let timer = null;
+
+  const msUntilNextRun = () => {
+    const now = new Date();
+    const next = new Date(now);
+    next.setHours(hour, minute, 0, 0);
+    if (next <= now) {
+      next.setDate(next.getDate() + 1);
+    }
+    return next - now;
+  };
+
+  const run = async () => {
+    console.log(`⏰ Running scheduled job: ${name}`);
+    try {
+      const result = await task();
+      console.log(`✅ Scheduled job ${name} finished`, result !== undefined ? JSON.stringify(result) : '');
+    } catch (error) {
+      console.error(`❌ Scheduled job ${name} failed:`, error.message);
+    }
+    timer = setTimeout(run, msUntilNextRun());
+  };
+
+  timer = setTimeout(run, msUntilNextRun());
+
+  return () => clearTimeout(timer);
+};
@@ -0,0 +1,43 @@
+import path from 'path';
+import multer from 'multer';
+import AppError from '../utils/appError.js';
+
+// What each kind of upload may be; statements are checked by extension since
+// browsers report CSV and Excel files under a variety of MIME types
+const UPLOAD_KINDS = {
+  document: {
+    accepts: file => ['application/pdf', 'image/jpeg', 'image/png'].includes(file.mimetype),
+    message: 'Only PDF, JPEG and PNG files can be uploaded'
+  },
+  statement: {
+    accepts: file => ['.csv', '.xlsx', '.xls'].includes(path.extname(file.originalname || '').toLowerCase()),
+    message: 'Only CSV, XLSX and XLS statements can be uploaded'
+  }
+};
+
+// Largest upload accepted, in megabytes
+const MAX_UPLOAD_MB = parseInt(process.env.MAX_UPLOAD_MB, 10) || 10;
+
+const uploaders = Object.fromEntries(Object.entries(UPLOAD_KINDS).map(([kind, { accepts, message }]) => [kind, multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: MAX_UPLOAD_MB * 1024 * 1024 },
+  fileFilter: (req, file, cb) => {
+    if (!accepts(file)) {
+      return cb(new AppError(message, 400));
+    }
+    cb(null, true);
+  }
+})]));
+
+// Accept a single file in the given form field, reporting upload problems as 400s
+export const uploadSingle = (field, kind = 'document') => (req, res, next) => {
+  uploaders[kind].single(field)(req, res, (error) => {
+    if (error instanceof multer.MulterError) {
+      const message = error.code === 'LIMIT_FILE_SIZE'
+        ? `File is larger than ${MAX_UPLOAD_MB}MB`
+        : error.message;
+      return next(new AppError(message, 400));
+    }
+    next(error);
+  });
+};
@@ -1,4 +1,4 @@
-import { DataTypes } from 'sequelize';
+import { DataTypes, Op } from 'sequelize';
 import BaseModel from './BaseModel.js';
 
 /**
@@ -46,6 +46,23 @@ class Claim extends BaseModel {
       },
 
       // Claim Details
+      claimType: {
+        field: 'CLAIM_TYPE',
+        type: DataTypes.ENUM(
+          'ACCIDENT',
+          'THEFT',
+          'FIRE',
+          'FLOOD',
+          'ILLNESS',
+          'DEATH',
+          'LIABILITY',
+          'OTHER'
+        ),
+        defaultValue: 'OTHER',
+        allowNull: false,
+        comment: 'Kind of loss; drives the required documents checklist'
+      },
+      
       dateOfLoss: {
         field: 'DATE_OF_LOSS',
         type: DataTypes.DATEONLY,
@@ -137,6 +154,20 @@ class Claim extends BaseModel {
         comment: 'Date when claim was assigned for processing'
       },
       
+      reviewStartedAt: {
+        field: 'REVIEW_STARTED_AT',
+        type: DataTypes.DATE,
+        allowNull: true,
+        comment: 'When the claim went under review (starts the review SLA timer)'
+      },
+      
+      slaBreachedAt: {
+        field: 'SLA_BREACHED_AT',
+        type: DataTypes.DATE,
+        allowNull: true,
+        comment: 'When the claim was flagged as under review past the SLA'
+      },
+      
       dateCompleted: {
         field: 'DATE_COMPLETED',
         type: DataTypes.DATE,
@@ -144,6 +175,57 @@ class Claim extends BaseModel {
         comment: 'Date when claim processing was completed'
       },
 
+      // Fraud Screening
+      riskScore: {
+        field: 'RISK_SCORE',
+        type: DataTypes.INTEGER,
+        allowNull: true,
+        comment: 'Fraud screening score from the rules triggered on submit'
+      },
+      
+      riskFlags: {
+        field: 'RISK_FLAGS',
+        type: DataTypes.JSON,
+        allowNull: true,
+        defaultValue: [],
+        comment: 'Screening rules the claim triggered [{rule, score, detail}]'
+      },
+      
+      screenedAt: {
+        field: 'SCREENED_AT',
+        type: DataTypes.DATE,
+        allowNull: true,
+        comment: 'When the claim was last screened'
+      },
+      
+      referralStatus: {
+        field: 'REFERRAL_STATUS',
+        type: DataTypes.ENUM('PENDING', 'CLEARED', 'CONFIRMED'),
+        allowNull: true,
+        comment: 'Outcome of the fraud referral (null if never referred)'
+      },
+      
+      referralNotes: {
+        field: 'REFERRAL_NOTES',
+        type: DataTypes.TEXT,
+        allowNull: true,
+        comment: 'Investigator notes on the referral'
+      },
+      
+      referralReviewedBy: {
+        field: 'REFERRAL_REVIEWED_BY',
+        type: DataTypes.UUID,
+        allowNull: true,
+        comment: 'User who decided the referral'
+      },
+      
+      referralReviewedAt: {
+        field: 'REFERRAL_REVIEWED_AT',
+        type: DataTypes.DATE,
+        allowNull: true,
+        comment: 'When the referral was decided'
+      },
+
       // Additional Information
       policeReportNumber: {
         field: 'POLICE_REPORT_NUMBER',
@@ -159,6 +241,21 @@ class Claim extends BaseModel {
         comment: 'Whether a police report was filed'
       },
       
+      // Audit Fields
+      createdBy: {
+        field: 'CREATED_BY',
+        type: DataTypes.UUID,
+        allowNull: false,
+        comment: 'User who filed the claim'
+      },
+
+      updatedBy: {
+        field: 'UPDATED_BY',
+        type: DataTypes.UUID,
+        allowNull: true,
+        comment: 'User who last updated the claim'
+      },
+
       metadata: {
         field: 'METADATA',
         type: DataTypes.JSONB,
@@ -220,6 +317,8 @@ class Claim extends BaseModel {
         byClient: (clientId) => ({ where: { CLIENT_ID: clientId } }),
         byPolicy: (policyId) => ({ where: { POLICY_ID: policyId } }),
         byAssignedUser: (userId) => ({ where: { ASSIGNED_TO: userId } }),
+        referred: { where: { REFERRAL_STATUS: 'PENDING' } },
+        slaBreached: { where: { status: 'UNDER_REVIEW', SLA_BREACHED_AT: { [Op.ne]: null } } },
         
         // Date-based scopes
         recent: { order: [['createdAt', 'DESC']], limit: 10 },
@@ -259,6 +358,10 @@ class Claim extends BaseModel {
         {
           name: 'IDX_CLAIM_DATE_REPORTED',
           fields: ['DATE_REPORTED']
+        },
+        {
+          name: 'IDX_CLAIM_REFERRAL_STATUS',
+          fields: ['REFERRAL_STATUS']
         }
       ]
     };
@@ -295,6 +398,22 @@ class Claim extends BaseModel {
       onUpdate: 'CASCADE'
     });
     
+    // Claim has an assignment history
+    this.hasMany(models.ClaimAssignment, {
+      foreignKey: 'CLAIM_ID',
+      as: 'assignments',
+      onDelete: 'CASCADE',
+      onUpdate: 'CASCADE'
+    });
+    
+    // Claim has a financial ledger
+    this.hasMany(models.ClaimLedgerEntry, {
+      foreignKey: 'CLAIM_ID',
+      as: 'ledgerEntries',
+      onDelete: 'CASCADE',
+      onUpdate: 'CASCADE'
+    });
+    
     // Claim has many Documents
     this.hasMany(models.Document, {
       foreignKey: 'CLAIM_ID',
@@ -331,9 +450,11 @@ class Claim extends BaseModel {
   /**
    * Submit the claim for review
    * @param {string} userId - ID of the user submitting the claim
+   * @param {Object} [options] - Options
+   * @param {Transaction} [options.transaction] - Transaction to write in
    * @returns {Promise<Claim>} The updated claim
    */
-  async submit(userId) {
+  async submit(userId, { transaction } = {}) {
     if (this.status !== 'DRAFT') {
       throw new Error('Only draft claims can be submitted');
     }
@@ -341,6 +462,24 @@ class Claim extends BaseModel {
     return this.update({
       status: 'SUBMITTED',
       updatedBy: userId
+    }, { transaction });
+  }
+  
+  /**
+   * Start reviewing a submitted claim
+   * @param {string} userId - ID of the user reviewing the claim
+   * @returns {Promise<Claim>} The updated claim
+   */
+  async startReview(userId) {
+    if (this.status !== 'SUBMITTED') {
+      throw new Error('Only submitted claims can be put under review');
+    }
+    
+    return this.update({
+      status: 'UNDER_REVIEW',
+      assignedTo: this.assignedTo || userId,
+      reviewStartedAt: new Date(),
+      updatedBy: userId
     });
   }
   
@@ -348,9 +487,11 @@ class Claim extends BaseModel {
    * Approve the claim
    * @param {number} approvedAmount - The approved claim amount
    * @param {string} userId - ID of the user approving the claim
+   * @param {Object} [options] - Options
+   * @param {Transaction} [options.transaction] - Transaction to write in
    * @returns {Promise<Claim>} The updated claim
    */
-  async approve(approvedAmount, userId) {
+  async approve(approvedAmount, userId, { transaction } = {}) {
     if (!['SUBMITTED', 'UNDER_REVIEW'].includes(this.status)) {
       throw new Error('Only submitted or under review claims can be approved');
     }
@@ -360,7 +501,7 @@ class Claim extends BaseModel {
       approvedAmount: approvedAmount || this.estimatedAmount,
       assignedTo: userId, // Auto-assign to approver
       updatedBy: userId
-    });
+    }, { transaction });
   }
   
   /**
@@ -386,46 +527,107 @@ class Claim extends BaseModel {
   }
   
   /**
-   * Record a payment against this claim
+   * Close a rejected or fully paid claim
+   * @param {string} userId - ID of the user closing the claim
+   * @returns {Promise<Claim>} The updated claim
+   */
+  async close(userId) {
+    if (!['REJECTED', 'PAID'].includes(this.status)) {
+      throw new Error('Only rejected or paid claims can be closed');
+    }
+    
+    return this.update({
+      status: 'CLOSED',
+      updatedBy: userId
+    });
+  }
+  
+  /**
+   * Get the claim's financial position from its ledger
+   * @param {Object} [options] - Query options
+   * @param {Transaction} [options.transaction] - Transaction to read in
+   * @returns {Promise<Object>} Ledger summary (see ClaimLedgerEntry.summarize)
+   */
+  async getLedgerSummary({ transaction } = {}) {
+    const { ClaimLedgerEntry } = this.sequelize.models;
+    const entries = await ClaimLedgerEntry.findAll({
+      where: { claimId: this.id },
+      order: [['CREATED_AT', 'ASC']],
+      transaction
+    });
+    
+    return ClaimLedgerEntry.summarize(entries);
+  }
+  
+  /**
+   * Record a payment against this claim as a ledger entry.
+   * Payments may not take the total paid past the approved amount or the policy's sum insured.
    * @param {number} amount - The payment amount
    * @param {string} paymentMethod - The payment method used
    * @param {string} reference - Payment reference number
    * @param {string} userId - ID of the user recording the payment
    * @param {string} [notes] - Optional payment notes
-   * @returns {Promise<Object>} The created payment record
+   * @param {Date|string} [entryDate] - Date the payment was made (defaults to today)
+   * @returns {Promise<Object>} The created ledger entry
    */
-  async recordPayment(amount, paymentMethod, reference, userId, notes) {
+  async recordPayment(amount, paymentMethod, reference, userId, notes, entryDate) {
     if (this.status !== 'APPROVED' && this.status !== 'PAID') {
       throw new Error('Only approved or paid claims can receive payments');
     }
     
-    const payment = await this.sequelize.models.Payment.create({
-      claimId: this.id,
-      clientId: this.clientId,
-      amount,
-      paymentMethod,
-      reference,
-      notes,
-      status: 'COMPLETED',
-      createdBy: userId,
-      updatedBy: userId
-    });
-    
-    // Update claim's paid amount and status
-    const newPaidAmount = (this.paidAmount || 0) + amount;
-    let newStatus = this.status;
+    const { ClaimLedgerEntry, Policy } = this.sequelize.models;
+    const paymentAmount = parseFloat(amount);
     
-    if (newPaidAmount >= (this.approvedAmount || 0)) {
-      newStatus = 'PAID';
+    if (!(paymentAmount > 0)) {
+      throw new Error('Payment amount must be greater than zero');
     }
     
-    await this.update({
-      paidAmount: newPaidAmount,
-      status: newStatus,
-      updatedBy: userId
-    });
+    const transaction = await this.sequelize.transaction();
     
-    return payment;
+    try {
+      // Lock the claim so concurrent payments are checked against the cap one at a time
+      const locked = await this.constructor.findByPk(this.id, { transaction, lock: transaction.LOCK.UPDATE });
+      if (locked.status !== 'APPROVED' && locked.status !== 'PAID') {
+        throw new Error('Only approved or paid claims can receive payments');
+      }
+      
+      const approvedAmount = parseFloat(locked.approvedAmount || 0);
+      const { paidAmount } = await this.getLedgerSummary({ transaction });
+      const newPaidAmount = Math.round((paidAmount + paymentAmount) * 100) / 100;
+      
+      if (newPaidAmount > approvedAmount) {
+        throw new Error(`Payment would take the total paid to ${newPaidAmount}, above the approved amount of ${approvedAmount}`);
+      }
+      
+      const policy = await Policy.findByPk(this.policyId, { transaction });
+      if (policy && newPaidAmount > parseFloat(policy.sumInsured)) {
+        throw new Error(`Payment would take the total paid to ${newPaidAmount}, above the policy sum insured of ${parseFloat(policy.sumInsured)}`);
+      }
+      
+      const entry = await ClaimLedgerEntry.create({
+        claimId: this.id,
+        entryType: 'PAYMENT',
+        amount: paymentAmount,
+        entryDate: entryDate || new Date(),
+        paymentMethod,
+        reference,
+        notes,
+        createdBy: userId
+      }, { transaction });
+      
+      // Paid amount always follows the ledger
+      await this.update({
+        paidAmount: newPaidAmount,
+        status: newPaidAmount >= approvedAmount ? 'PAID' : locked.status,
+        updatedBy: userId
+      }, { transaction });
+      
+      await transaction.commit();
+      return entry;
+    } catch (error) {
+      await transaction.rollback();
+      throw error;
+    }
   }
   
   /**
@@ -0,0 +1,133 @@
+import { DataTypes } from 'sequelize';
+import BaseModel from './BaseModel.js';
+
+/**
+ * ClaimAssignment model recording every time a claim is assigned or reassigned to an adjuster
+ * @extends BaseModel
+ */
+class ClaimAssignment extends BaseModel {
+  /**
+   * Initialize the ClaimAssignment model
+   * @param {Object} sequelize - Sequelize instance
+   * @returns {Model} Initialized ClaimAssignment model
+   */
+  static init(sequelize) {
+    const attributes = {
+      // Primary Key
+      id: {
+        field: 'ASSIGNMENT_ID',
+        type: DataTypes.UUID,
+        defaultValue: DataTypes.UUIDV4,
+        primaryKey: true,
+        comment: 'Primary key for the assignment record'
+      },
+
+      // References
+      claimId: {
+        field: 'CLAIM_ID',
+        type: DataTypes.UUID,
+        allowNull: false,
+        comment: 'The claim that was assigned'
+      },
+
+      // Assignment Details
+      assignedTo: {
+        field: 'ASSIGNED_TO',
+        type: DataTypes.UUID,
+        allowNull: false,
+        comment: 'Adjuster the claim was assigned to'
+      },
+
+      previousAssignee: {
+        field: 'PREVIOUS_ASSIGNEE',
+        type: DataTypes.UUID,
+        allowNull: true,
+        comment: 'Adjuster who held the claim before (null on first assignment)'
+      },
+
+      method: {
+        field: 'METHOD',
+        type: DataTypes.ENUM('ROUND_ROBIN', 'LEAST_OPEN', 'MANUAL'),
+        allowNull: false,
+        comment: 'How the adjuster was chosen'
+      },
+
+      reason: {
+        field: 'REASON',
+        type: DataTypes.TEXT,
+        allowNull: true,
+        comment: 'Reason given for a manual reassignment'
+      },
+
+      // Audit Fields
+      assignedBy: {
+        field: 'ASSIGNED_BY',
+        type: DataTypes.UUID,
+        allowNull: true,
+        comment: 'User who made the assignment (null for automatic assignment)'
+      },
+
+      assignedAt: {
+        field: 'ASSIGNED_AT',
+        type: DataTypes.DATE,
+        allowNull: false,
+        defaultValue: DataTypes.NOW,
+        comment: 'When the assignment was made'
+      }
+    };
+
+    const options = {
+      modelName: 'ClaimAssignment',
+      tableName: 'CLAIM_ASSIGNMENTS',
+      schema: 'EASYBIMA',
+      timestamps: true,
+      createdAt: 'CREATED_AT',
+      updatedAt: false,
+      paranoid: false,
+      indexes: [
+        {
+          name: 'IDX_CLAIM_ASSIGNMENTS_CLAIM',
+          fields: ['CLAIM_ID']
+        },
+        {
+          name: 'IDX_CLAIM_ASSIGNMENTS_ASSIGNED_AT',
+          fields: ['ASSIGNED_AT']
+        }
+      ]
+    };
+
+    return super.initModel(attributes, options, sequelize);
+  }
+
+  /**
+   * Define model associations
+   * @param {Object} models - The models object containing all models
+   */
+  static associate(models) {
+    // Assignment belongs to a Claim
+    this.belongsTo(models.Claim, {
+      foreignKey: 'CLAIM_ID',
+      as: 'claim',
+      onDelete: 'CASCADE',
+      onUpdate: 'CASCADE'
+    });
+
+    // Assignment is held by a User
+    this.belongsTo(models.User, {
+      foreignKey: 'ASSIGNED_TO',
+      as: 'assignee',
+      onDelete: 'CASCADE',
+      onUpdate: 'CASCADE'
+    });
+
+    // Assignment was made by a User
+    this.belongsTo(models.User, {
+      foreignKey: 'ASSIGNED_BY',
+      as: 'assigner',
+      onDelete: 'SET NULL',
+      onUpdate: 'CASCADE'
+    });
+  }
+}
+
+export { ClaimAssignment as default };
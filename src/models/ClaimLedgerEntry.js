@@ -0,0 +1,178 @@
+import { DataTypes } from 'sequelize';
+import BaseModel from './BaseModel.js';
+
+/**
+ * ClaimLedgerEntry model holding the financial movements on a claim:
+ * reserve settings and adjustments, payments, recoveries and salvage
+ * @extends BaseModel
+ */
+class ClaimLedgerEntry extends BaseModel {
+  /**
+   * Initialize the ClaimLedgerEntry model
+   * @param {Object} sequelize - Sequelize instance
+   * @returns {Model} Initialized ClaimLedgerEntry model
+   */
+  static init(sequelize) {
+    const attributes = {
+      // Primary Key
+      id: {
+        field: 'ENTRY_ID',
+        type: DataTypes.UUID,
+        defaultValue: DataTypes.UUIDV4,
+        primaryKey: true,
+        comment: 'Primary key for the ledger entry'
+      },
+
+      // References
+      claimId: {
+        field: 'CLAIM_ID',
+        type: DataTypes.UUID,
+        allowNull: false,
+        comment: 'The claim this entry belongs to'
+      },
+
+      // Entry Details
+      entryType: {
+        field: 'ENTRY_TYPE',
+        type: DataTypes.ENUM('RESERVE_SET', 'RESERVE_ADJUST', 'PAYMENT', 'RECOVERY', 'SALVAGE'),
+        allowNull: false,
+        comment: 'Kind of movement'
+      },
+
+      amount: {
+        field: 'AMOUNT',
+        type: DataTypes.DECIMAL(12, 2),
+        allowNull: false,
+        comment: 'Amount; only RESERVE_ADJUST entries may be negative'
+      },
+
+      entryDate: {
+        field: 'ENTRY_DATE',
+        type: DataTypes.DATEONLY,
+        allowNull: false,
+        defaultValue: DataTypes.NOW,
+        comment: 'Date the movement took effect'
+      },
+
+      paymentMethod: {
+        field: 'PAYMENT_METHOD',
+        type: DataTypes.ENUM('MPESA', 'BANK_TRANSFER', 'CASH', 'CHEQUE', 'CARD'),
+        allowNull: true,
+        comment: 'How money was paid or received'
+      },
+
+      reference: {
+        field: 'REFERENCE',
+        type: DataTypes.STRING(100),
+        allowNull: true,
+        comment: 'Payment, recovery or salvage sale reference'
+      },
+
+      notes: {
+        field: 'NOTES',
+        type: DataTypes.TEXT,
+        allowNull: true,
+        comment: 'Notes on the entry'
+      },
+
+      // Audit Fields
+      createdBy: {
+        field: 'CREATED_BY',
+        type: DataTypes.UUID,
+        allowNull: false,
+        comment: 'User who made the entry'
+      }
+    };
+
+    const options = {
+      modelName: 'ClaimLedgerEntry',
+      tableName: 'CLAIM_LEDGER_ENTRIES',
+      schema: 'EASYBIMA',
+      timestamps: true,
+      createdAt: 'CREATED_AT',
+      updatedAt: false,
+      paranoid: false,
+      indexes: [
+        {
+          name: 'IDX_CLAIM_LEDGER_CLAIM',
+          fields: ['CLAIM_ID']
+        },
+        {
+          name: 'IDX_CLAIM_LEDGER_TYPE',
+          fields: ['ENTRY_TYPE']
+        }
+      ]
+    };
+
+    return super.initModel(attributes, options, sequelize);
+  }
+
+  /**
+   * Define model associations
+   * @param {Object} models - The models object containing all models
+   */
+  static associate(models) {
+    // Entry belongs to a Claim
+    this.belongsTo(models.Claim, {
+      foreignKey: 'CLAIM_ID',
+      as: 'claim',
+      onDelete: 'CASCADE',
+      onUpdate: 'CASCADE'
+    });
+
+    // Entry was made by a User
+    this.belongsTo(models.User, {
+      foreignKey: 'CREATED_BY',
+      as: 'creator',
+      onDelete: 'RESTRICT',
+      onUpdate: 'CASCADE'
+    });
+  }
+
+  /**
+   * Work out a claim's reserve and payment position from its ledger entries
+   * @param {Array<ClaimLedgerEntry>} entries - Entries in the order they were made
+   * @returns {Object} Reserve, paid, recovered, salvage, outstanding reserve and net incurred
+   */
+  static summarize(entries) {
+    const round = amount => Math.round(amount * 100) / 100;
+    const totals = { reserve: 0, paid: 0, recovered: 0, salvage: 0 };
+
+    entries.forEach((entry) => {
+      const amount = parseFloat(entry.amount);
+
+      switch (entry.entryType) {
+        case 'RESERVE_SET':
+          totals.reserve = amount;
+          break;
+        case 'RESERVE_ADJUST':
+          totals.reserve += amount;
+          break;
+        case 'PAYMENT':
+          totals.paid += amount;
+          break;
+        case 'RECOVERY':
+          totals.recovered += amount;
+          break;
+        case 'SALVAGE':
+          totals.salvage += amount;
+          break;
+        default:
+          break;
+      }
+    });
+
+    const outstandingReserve = Math.max(0, totals.reserve - totals.paid);
+
+    return {
+      reserve: round(totals.reserve),
+      paidAmount: round(totals.paid),
+      recoveredAmount: round(totals.recovered),
+      salvageAmount: round(totals.salvage),
+      outstandingReserve: round(outstandingReserve),
+      netIncurred: round(totals.paid + outstandingReserve - totals.recovered - totals.salvage)
+    };
+  }
+}
+
+export { ClaimLedgerEntry as default };
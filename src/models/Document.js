@@ -28,6 +28,12 @@ class Document extends Model {
           allowNull: true,
           comment: "The policy this document is associated with (if any)",
         },
+        claimId: {
+          field: "CLAIM_ID",
+          type: DataTypes.UUID,
+          allowNull: true,
+          comment: "The claim this document supports (if any)",
+        },
 
         // Document Metadata
         documentType: {
@@ -36,6 +42,8 @@ class Document extends Model {
             "POLICY_DOCUMENT",
             "CERTIFICATE",
             "SCHEDULE",
+            "DISCHARGE_VOUCHER",
+            "SETTLEMENT_LETTER",
             "VALUATION_SLIP",
             "CONFIRMATION_LETTER",
             "CLAIM_FORM",
@@ -47,6 +55,10 @@ class Document extends Model {
             "PROOF_OF_PAYMENT",
             "MEDICAL_REPORT",
             "POLICE_REPORT",
+            "DRIVING_LICENCE",
+            "LOGBOOK",
+            "REPAIR_ESTIMATE",
+            "DEATH_CERTIFICATE",
             "QUOTATION",
             "RECEIPT",
             "INVOICE",
@@ -174,6 +186,10 @@ class Document extends Model {
             name: "IDX_DOCUMENTS_POLICY_ID",
             fields: ["POLICY_ID"],
           },
+          {
+            name: "IDX_DOCUMENTS_CLAIM_ID",
+            fields: ["CLAIM_ID"],
+          },
           {
             name: "IDX_DOCUMENTS_TYPE_STATUS",
             fields: ["DOCUMENT_TYPE", "STATUS"],
@@ -196,6 +212,14 @@ class Document extends Model {
       onUpdate: "CASCADE",
     });
 
+    // Document belongs to a Claim (optional)
+    this.belongsTo(models.Claim, {
+      foreignKey: "CLAIM_ID",
+      as: "claim",
+      onDelete: "SET NULL",
+      onUpdate: "CASCADE",
+    });
+
     // Document belongs to a User (creator)
     this.belongsTo(models.User, {
       foreignKey: "CREATED_BY",
@@ -0,0 +1,258 @@
+import { DataTypes } from 'sequelize';
+import BaseModel from './BaseModel.js';
+
+/**
+ * Endorsement model representing mid-term changes to a live policy
+ * @extends BaseModel
+ */
+class Endorsement extends BaseModel {
+  /**
+   * Initialize the Endorsement model
+   * @param {Object} sequelize - Sequelize instance
+   * @returns {Model} Initialized Endorsement model
+   */
+  static init(sequelize) {
+    const attributes = {
+      // Primary Key
+      id: {
+        field: 'ENDORSEMENT_ID',
+        type: DataTypes.UUID,
+        defaultValue: DataTypes.UUIDV4,
+        primaryKey: true,
+        comment: 'Primary key for the endorsement record'
+      },
+
+      // Endorsement Identification
+      endorsementNumber: {
+        field: 'ENDORSEMENT_NUMBER',
+        type: DataTypes.STRING(50),
+        unique: true,
+        allowNull: false,
+        comment: 'Unique endorsement reference number'
+      },
+
+      policyId: {
+        field: 'POLICY_ID',
+        type: DataTypes.UUID,
+        allowNull: false,
+        comment: 'The policy being endorsed'
+      },
+
+      // Endorsement Details
+      endorsementType: {
+        field: 'ENDORSEMENT_TYPE',
+        type: DataTypes.ENUM(
+          'SUM_INSURED_CHANGE',
+          'ADD_COVER',
+          'REMOVE_COVER',
+          'CHANGE_INSURED_ITEM',
+          'OTHER'
+        ),
+        allowNull: false,
+        comment: 'Type of change being made to the policy'
+      },
+
+      description: {
+        field: 'DESCRIPTION',
+        type: DataTypes.TEXT,
+        allowNull: true,
+        comment: 'Description of the change'
+      },
+
+      changes: {
+        field: 'CHANGES',
+        type: DataTypes.JSON,
+        defaultValue: {},
+        comment: 'Policy fields changed by the endorsement, applied on approval'
+      },
+
+      effectiveDate: {
+        field: 'EFFECTIVE_DATE',
+        type: DataTypes.DATEONLY,
+        allowNull: false,
+        comment: 'Date the change takes effect'
+      },
+
+      // Financial Details
+      previousSumInsured: {
+        field: 'PREVIOUS_SUM_INSURED',
+        type: DataTypes.DECIMAL(15, 2),
+        allowNull: false,
+        comment: 'Sum insured before the endorsement'
+      },
+
+      newSumInsured: {
+        field: 'NEW_SUM_INSURED',
+        type: DataTypes.DECIMAL(15, 2),
+        allowNull: false,
+        validate: {
+          min: 0
+        },
+        comment: 'Sum insured after the endorsement'
+      },
+
+      previousAnnualPremium: {
+        field: 'PREVIOUS_ANNUAL_PREMIUM',
+        type: DataTypes.DECIMAL(10, 2),
+        allowNull: false,
+        comment: 'Annual premium rate basis before the endorsement'
+      },
+
+      newAnnualPremium: {
+        field: 'NEW_ANNUAL_PREMIUM',
+        type: DataTypes.DECIMAL(10, 2),
+        allowNull: false,
+        validate: {
+          min: 0
+        },
+        comment: 'Annual premium rate basis after the endorsement'
+      },
+
+      daysRemaining: {
+        field: 'DAYS_REMAINING',
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        comment: 'Days of cover left from the effective date to the policy end date'
+      },
+
+      termDays: {
+        field: 'TERM_DAYS',
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        comment: 'Total days in the policy period'
+      },
+
+      premiumAdjustment: {
+        field: 'PREMIUM_ADJUSTMENT',
+        type: DataTypes.DECIMAL(10, 2),
+        allowNull: false,
+        defaultValue: 0,
+        comment: 'Pro-rata premium: positive for additional premium, negative for return premium'
+      },
+
+      // Status
+      status: {
+        field: 'STATUS',
+        type: DataTypes.ENUM('PENDING', 'APPROVED', 'REJECTED'),
+        defaultValue: 'PENDING',
+        allowNull: false,
+        comment: 'Current status of the endorsement'
+      },
+
+      rejectionReason: {
+        field: 'REJECTION_REASON',
+        type: DataTypes.TEXT,
+        allowNull: true,
+        comment: 'Reason for rejection if applicable'
+      },
+
+      paymentId: {
+        field: 'PAYMENT_ID',
+        type: DataTypes.UUID,
+        allowNull: true,
+        comment: 'Return premium refund (PAYMENT_TRANSACTIONS) raised on approval'
+      },
+
+      // Audit Fields
+      approvedBy: {
+        field: 'APPROVED_BY',
+        type: DataTypes.UUID,
+        allowNull: true,
+        comment: 'User who approved or rejected the endorsement'
+      },
+
+      approvedAt: {
+        field: 'APPROVED_AT',
+        type: DataTypes.DATE,
+        allowNull: true,
+        comment: 'When the endorsement was approved or rejected'
+      },
+
+      createdBy: {
+        field: 'CREATED_BY',
+        type: DataTypes.UUID,
+        allowNull: false,
+        comment: 'User who raised the endorsement'
+      },
+
+      updatedBy: {
+        field: 'UPDATED_BY',
+        type: DataTypes.UUID,
+        allowNull: true,
+        comment: 'User who last updated the endorsement'
+      }
+    };
+
+    const options = {
+      modelName: 'Endorsement',
+      tableName: 'ENDORSEMENTS',
+      schema: 'EASYBIMA',
+      paranoid: true,
+      hooks: {
+        beforeValidate: (endorsement) => {
+          // Generate endorsement number if not provided
+          if (!endorsement.endorsementNumber) {
+            const prefix = 'END-';
+            const timestamp = new Date().getTime().toString().slice(-6);
+            const random = Math.floor(1000 + Math.random() * 9000);
+            endorsement.endorsementNumber = `${prefix}${timestamp}${random}`;
+          }
+        }
+      },
+      scopes: {
+        pending: { where: { status: 'PENDING' } },
+        approved: { where: { status: 'APPROVED' } },
+        byPolicy: (policyId) => ({ where: { POLICY_ID: policyId } })
+      },
+      indexes: [
+        {
+          name: 'IDX_ENDORSEMENT_NUMBER',
+          fields: ['ENDORSEMENT_NUMBER'],
+          unique: true
+        },
+        {
+          name: 'IDX_ENDORSEMENT_POLICY',
+          fields: ['POLICY_ID']
+        },
+        {
+          name: 'IDX_ENDORSEMENT_STATUS',
+          fields: ['STATUS']
+        }
+      ]
+    };
+
+    return super.initModel(attributes, options, sequelize);
+  }
+
+  /**
+   * Define model associations
+   * @param {Object} models - The models object containing all models
+   */
+  static associate(models) {
+    // Endorsement belongs to a Policy
+    this.belongsTo(models.Policy, {
+      foreignKey: 'POLICY_ID',
+      as: 'policy',
+      onDelete: 'RESTRICT',
+      onUpdate: 'CASCADE'
+    });
+
+    // Endorsement is approved by a User
+    this.belongsTo(models.User, {
+      foreignKey: 'APPROVED_BY',
+      as: 'approver',
+      onDelete: 'SET NULL',
+      onUpdate: 'CASCADE'
+    });
+
+    // Endorsement is created by a User
+    this.belongsTo(models.User, {
+      foreignKey: 'CREATED_BY',
+      as: 'creator',
+      onDelete: 'SET NULL',
+      onUpdate: 'CASCADE'
+    });
+  }
+}
+
+export { Endorsement as default };
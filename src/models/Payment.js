@@ -178,6 +178,14 @@ class Payment extends Model {
    * @param {Object} models - Object containing all models
    */
   static associate(models) {
+    // Payment belongs to a Policy
+    this.belongsTo(models.Policy, {
+      foreignKey: "POLICY_ID",
+      as: "policy",
+      onDelete: "SET NULL",
+      onUpdate: "CASCADE",
+    });
+
     // Payment belongs to a User (validator)
     this.belongsTo(models.User, {
       foreignKey: "VALIDATED_BY",
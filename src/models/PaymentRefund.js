@@ -0,0 +1,195 @@
+import { DataTypes } from 'sequelize';
+import BaseModel from './BaseModel.js';
+
+/**
+ * PaymentRefund model for a refund raised against a completed payment.
+ * It waits as PENDING until a second user approves or rejects it.
+ * @extends BaseModel
+ */
+class PaymentRefund extends BaseModel {
+  /**
+   * Initialize the PaymentRefund model
+   * @param {Object} sequelize - Sequelize instance
+   * @returns {Model} Initialized PaymentRefund model
+   */
+  static init(sequelize) {
+    const attributes = {
+      // Primary Key
+      id: {
+        field: 'REFUND_ID',
+        type: DataTypes.UUID,
+        defaultValue: DataTypes.UUIDV4,
+        primaryKey: true,
+        comment: 'Primary key for the refund'
+      },
+
+      // References
+      paymentId: {
+        field: 'PAYMENT_ID',
+        type: DataTypes.UUID,
+        allowNull: false,
+        comment: 'Payment (VW_PAYMENT) or receipt (PAYMENT_TRANSACTIONS) being refunded'
+      },
+
+      paymentSource: {
+        field: 'PAYMENT_SOURCE',
+        type: DataTypes.ENUM('PAYMENT_VIEW', 'RECEIPT'),
+        allowNull: false,
+        comment: 'Where the refunded payment is recorded'
+      },
+
+      policyId: {
+        field: 'POLICY_ID',
+        type: DataTypes.UUID,
+        allowNull: false,
+        comment: 'Policy the refunded payment was for'
+      },
+
+      // Refund Details
+      amount: {
+        field: 'AMOUNT',
+        type: DataTypes.DECIMAL(10, 2),
+        allowNull: false,
+        validate: {
+          min: 0.01
+        },
+        comment: 'Amount to refund; may be less than the payment'
+      },
+
+      refundMethod: {
+        field: 'REFUND_METHOD',
+        type: DataTypes.ENUM('MPESA', 'BANK_TRANSFER', 'CASH', 'CHEQUE', 'CARD'),
+        allowNull: false,
+        comment: 'How the money is paid back'
+      },
+
+      reason: {
+        field: 'REASON',
+        type: DataTypes.TEXT,
+        allowNull: false,
+        comment: 'Why the refund is needed'
+      },
+
+      notes: {
+        field: 'NOTES',
+        type: DataTypes.TEXT,
+        allowNull: true,
+        comment: 'Notes on the refund'
+      },
+
+      // Approval
+      status: {
+        field: 'STATUS',
+        type: DataTypes.ENUM('PENDING', 'APPROVED', 'REJECTED'),
+        allowNull: false,
+        defaultValue: 'PENDING',
+        comment: 'Approval status'
+      },
+
+      reviewedBy: {
+        field: 'REVIEWED_BY',
+        type: DataTypes.UUID,
+        allowNull: true,
+        comment: 'User who approved or rejected the refund (never the requester)'
+      },
+
+      reviewedAt: {
+        field: 'REVIEWED_AT',
+        type: DataTypes.DATE,
+        allowNull: true,
+        comment: 'When the refund was approved or rejected'
+      },
+
+      rejectionReason: {
+        field: 'REJECTION_REASON',
+        type: DataTypes.TEXT,
+        allowNull: true,
+        comment: 'Why the refund was rejected'
+      },
+
+      refundReference: {
+        field: 'REFUND_REFERENCE',
+        type: DataTypes.STRING(100),
+        allowNull: true,
+        comment: 'Reference of the money paid back (M-Pesa code, transfer or cheque number)'
+      },
+
+      adjustmentId: {
+        field: 'ADJUSTMENT_ID',
+        type: DataTypes.UUID,
+        allowNull: true,
+        comment: 'Negative ADJUSTMENT entry written on approval'
+      },
+
+      // Audit Fields
+      requestedBy: {
+        field: 'REQUESTED_BY',
+        type: DataTypes.UUID,
+        allowNull: false,
+        comment: 'User who raised the refund'
+      }
+    };
+
+    const options = {
+      modelName: 'PaymentRefund',
+      tableName: 'PAYMENT_REFUNDS',
+      schema: 'EASYBIMA',
+      timestamps: true,
+      createdAt: 'CREATED_AT',
+      updatedAt: 'UPDATED_AT',
+      paranoid: false,
+      indexes: [
+        {
+          name: 'IDX_PAYMENT_REFUNDS_PAYMENT',
+          fields: ['PAYMENT_ID']
+        },
+        {
+          name: 'IDX_PAYMENT_REFUNDS_STATUS',
+          fields: ['STATUS']
+        }
+      ]
+    };
+
+    return super.initModel(attributes, options, sequelize);
+  }
+
+  /**
+   * Define model associations
+   * @param {Object} models - The models object containing all models
+   */
+  static associate(models) {
+    // Refund belongs to a Policy
+    this.belongsTo(models.Policy, {
+      foreignKey: 'POLICY_ID',
+      as: 'policy',
+      onDelete: 'RESTRICT',
+      onUpdate: 'CASCADE'
+    });
+
+    // Approval writes an adjustment entry
+    this.belongsTo(models.PaymentTransaction, {
+      foreignKey: 'ADJUSTMENT_ID',
+      as: 'adjustment',
+      onDelete: 'SET NULL',
+      onUpdate: 'CASCADE'
+    });
+
+    // Refund was raised by a User
+    this.belongsTo(models.User, {
+      foreignKey: 'REQUESTED_BY',
+      as: 'requester',
+      onDelete: 'RESTRICT',
+      onUpdate: 'CASCADE'
+    });
+
+    // Refund was approved or rejected by a User
+    this.belongsTo(models.User, {
+      foreignKey: 'REVIEWED_BY',
+      as: 'reviewer',
+      onDelete: 'SET NULL',
+      onUpdate: 'CASCADE'
+    });
+  }
+}
+
+export { PaymentRefund as default };
@@ -0,0 +1,176 @@
+import { DataTypes } from 'sequelize';
+import BaseModel from './BaseModel.js';
+
+/**
+ * PaymentSuspense model holding money received that could not be matched
+ * to a policy installment, until someone allocates it by hand
+ * @extends BaseModel
+ */
+class PaymentSuspense extends BaseModel {
+  /**
+   * Initialize the PaymentSuspense model
+   * @param {Object} sequelize - Sequelize instance
+   * @returns {Model} Initialized PaymentSuspense model
+   */
+  static init(sequelize) {
+    const attributes = {
+      // Primary Key
+      id: {
+        field: 'SUSPENSE_ID',
+        type: DataTypes.UUID,
+        defaultValue: DataTypes.UUIDV4,
+        primaryKey: true,
+        comment: 'Primary key for the suspense entry'
+      },
+
+      // Receipt Details
+      source: {
+        field: 'SOURCE',
+        type: DataTypes.ENUM('MPESA_C2B'),
+        allowNull: false,
+        defaultValue: 'MPESA_C2B',
+        comment: 'Channel the money came in through'
+      },
+
+      reference: {
+        field: 'REFERENCE',
+        type: DataTypes.STRING(100),
+        allowNull: false,
+        unique: true,
+        comment: 'Receipt reference, e.g. the M-Pesa transaction code'
+      },
+
+      amount: {
+        field: 'AMOUNT',
+        type: DataTypes.DECIMAL(12, 2),
+        allowNull: false,
+        comment: 'Amount held in suspense'
+      },
+
+      receivedAt: {
+        field: 'RECEIVED_AT',
+        type: DataTypes.DATE,
+        allowNull: false,
+        comment: 'When the money was received'
+      },
+
+      accountReference: {
+        field: 'ACCOUNT_REFERENCE',
+        type: DataTypes.STRING(100),
+        allowNull: true,
+        comment: 'Account number the payer entered (expected to be a policy number)'
+      },
+
+      payerPhone: {
+        field: 'PAYER_PHONE',
+        type: DataTypes.STRING(20),
+        allowNull: true,
+        comment: 'Payer phone number'
+      },
+
+      payerName: {
+        field: 'PAYER_NAME',
+        type: DataTypes.STRING(200),
+        allowNull: true,
+        comment: 'Payer name as given by the channel'
+      },
+
+      reason: {
+        field: 'REASON',
+        type: DataTypes.ENUM('UNKNOWN_ACCOUNT', 'POLICY_NOT_PAYABLE', 'OVERPAYMENT'),
+        allowNull: false,
+        comment: 'Why the receipt could not be allocated automatically'
+      },
+
+      // Allocation
+      status: {
+        field: 'STATUS',
+        type: DataTypes.ENUM('UNALLOCATED', 'ALLOCATED'),
+        allowNull: false,
+        defaultValue: 'UNALLOCATED',
+        comment: 'Whether the money has been allocated to a policy'
+      },
+
+      policyId: {
+        field: 'POLICY_ID',
+        type: DataTypes.UUID,
+        allowNull: true,
+        comment: 'Policy the money was allocated to'
+      },
+
+      allocatedBy: {
+        field: 'ALLOCATED_BY',
+        type: DataTypes.UUID,
+        allowNull: true,
+        comment: 'User who allocated the money'
+      },
+
+      allocatedAt: {
+        field: 'ALLOCATED_AT',
+        type: DataTypes.DATE,
+        allowNull: true,
+        comment: 'When the money was allocated'
+      },
+
+      notes: {
+        field: 'NOTES',
+        type: DataTypes.TEXT,
+        allowNull: true,
+        comment: 'Notes on the receipt or its allocation'
+      },
+
+      payload: {
+        field: 'PAYLOAD',
+        type: DataTypes.JSON,
+        allowNull: true,
+        comment: 'Notification as received from the channel'
+      }
+    };
+
+    const options = {
+      modelName: 'PaymentSuspense',
+      tableName: 'PAYMENT_SUSPENSE',
+      schema: 'EASYBIMA',
+      timestamps: true,
+      createdAt: 'CREATED_AT',
+      updatedAt: 'UPDATED_AT',
+      paranoid: false,
+      indexes: [
+        {
+          name: 'IDX_PAYMENT_SUSPENSE_STATUS',
+          fields: ['STATUS']
+        },
+        {
+          name: 'IDX_PAYMENT_SUSPENSE_ACCOUNT',
+          fields: ['ACCOUNT_REFERENCE']
+        }
+      ]
+    };
+
+    return super.initModel(attributes, options, sequelize);
+  }
+
+  /**
+   * Define model associations
+   * @param {Object} models - The models object containing all models
+   */
+  static associate(models) {
+    // Allocated money belongs to a Policy
+    this.belongsTo(models.Policy, {
+      foreignKey: 'POLICY_ID',
+      as: 'policy',
+      onDelete: 'SET NULL',
+      onUpdate: 'CASCADE'
+    });
+
+    // Allocation was made by a User
+    this.belongsTo(models.User, {
+      foreignKey: 'ALLOCATED_BY',
+      as: 'allocator',
+      onDelete: 'SET NULL',
+      onUpdate: 'CASCADE'
+    });
+  }
+}
+
+export { PaymentSuspense as default };
@@ -0,0 +1,261 @@
+import { DataTypes } from 'sequelize';
+import BaseModel from './BaseModel.js';
+
+/**
+ * PaymentTransaction model for every payment the application records itself:
+ * receipts captured by staff (cash, cheque, bank transfer), M-Pesa STK and
+ * paybill payments, and premium adjustments and refunds. Payment reads the
+ * VW_PAYMENT view and cannot be written. Staff receipts count once validated
+ * by a second user.
+ * @extends BaseModel
+ */
+class PaymentTransaction extends BaseModel {
+  /**
+   * Initialize the PaymentTransaction model
+   * @param {Object} sequelize - Sequelize instance
+   * @returns {Model} Initialized PaymentTransaction model
+   */
+  static init(sequelize) {
+    const attributes = {
+      // Primary Key
+      id: {
+        field: 'PAYMENT_TRANSACTION_ID',
+        type: DataTypes.UUID,
+        defaultValue: DataTypes.UUIDV4,
+        primaryKey: true,
+        comment: 'Primary key for the payment transaction'
+      },
+
+      receiptNumber: {
+        field: 'RECEIPT_NUMBER',
+        type: DataTypes.STRING(50),
+        allowNull: true,
+        unique: true,
+        comment: 'Receipt number given to the payer (rows recorded before receipting have none)'
+      },
+
+      // References
+      customerCode: {
+        field: 'CUSTOMER_CODE',
+        type: DataTypes.STRING(50),
+        allowNull: false,
+        comment: 'Customer the payment is from or to'
+      },
+
+      policyId: {
+        field: 'POLICY_ID',
+        type: DataTypes.UUID,
+        allowNull: false,
+        comment: 'Policy the payment is for'
+      },
+
+      // Payment Details
+      amount: {
+        field: 'AMOUNT',
+        type: DataTypes.DECIMAL(10, 2),
+        allowNull: false,
+        validate: {
+          // Only refund adjustments take money off
+          signMatchesType(value) {
+            const amount = parseFloat(value);
+            if (amount === 0 || (amount < 0 && this.paymentType !== 'ADJUSTMENT')) {
+              throw new Error('Amount must be greater than zero');
+            }
+          }
+        },
+        comment: 'Amount received; negative on refund adjustments'
+      },
+
+      paymentMethod: {
+        field: 'PAYMENT_METHOD',
+        type: DataTypes.ENUM('CASH', 'CHEQUE', 'BANK_TRANSFER', 'MPESA', 'CARD'),
+        allowNull: false,
+        comment: 'How the money was received (or, for a refund adjustment, paid back)'
+      },
+
+      reference: {
+        field: 'REFERENCE',
+        type: DataTypes.STRING(100),
+        allowNull: true,
+        comment: 'Cheque number, bank transfer or refund reference'
+      },
+
+      transactionId: {
+        field: 'TRANSACTION_ID',
+        type: DataTypes.STRING(100),
+        allowNull: true,
+        unique: true,
+        comment: 'M-Pesa CheckoutRequestID or paybill TransID (suffixed when split across installments)'
+      },
+
+      mpesaCode: {
+        field: 'MPESA_CODE',
+        type: DataTypes.STRING(50),
+        allowNull: true,
+        comment: 'M-Pesa receipt code'
+      },
+
+      paymentDate: {
+        field: 'PAYMENT_DATE',
+        type: DataTypes.DATE,
+        allowNull: false,
+        defaultValue: DataTypes.NOW,
+        comment: 'When the money was received or paid back'
+      },
+
+      paymentType: {
+        field: 'PAYMENT_TYPE',
+        type: DataTypes.ENUM('DOWN_PAYMENT', 'INSTALLMENT', 'FULL_PAYMENT', 'ADJUSTMENT'),
+        allowNull: false,
+        defaultValue: 'INSTALLMENT',
+        comment: 'What the payment is for'
+      },
+
+      installmentNumber: {
+        field: 'INSTALLMENT_NUMBER',
+        type: DataTypes.INTEGER,
+        allowNull: true,
+        comment: 'Installment the payment is for (0 is the down payment)'
+      },
+
+      // Validation
+      status: {
+        field: 'STATUS',
+        type: DataTypes.ENUM('PENDING', 'COMPLETED', 'FAILED', 'REJECTED', 'CANCELLED', 'REFUNDED'),
+        allowNull: false,
+        defaultValue: 'PENDING',
+        comment: 'PENDING until validated or confirmed by M-Pesa; COMPLETED and REFUNDED payments count towards the policy'
+      },
+
+      validatedBy: {
+        field: 'VALIDATED_BY',
+        type: DataTypes.UUID,
+        allowNull: true,
+        comment: 'User who validated or rejected the receipt'
+      },
+
+      validatedAt: {
+        field: 'VALIDATED_AT',
+        type: DataTypes.DATE,
+        allowNull: true,
+        comment: 'When the receipt was validated or rejected'
+      },
+
+      rejectionReason: {
+        field: 'REJECTION_REASON',
+        type: DataTypes.TEXT,
+        allowNull: true,
+        comment: 'Why the receipt was rejected or cancelled'
+      },
+
+      notes: {
+        field: 'NOTES',
+        type: DataTypes.TEXT,
+        allowNull: true,
+        comment: 'Notes on the payment'
+      },
+
+      // Audit Fields
+      createdBy: {
+        field: 'CREATED_BY',
+        type: DataTypes.UUID,
+        allowNull: false,
+        comment: 'User who recorded the payment'
+      },
+
+      updatedBy: {
+        field: 'UPDATED_BY',
+        type: DataTypes.UUID,
+        allowNull: true,
+        comment: 'User who last updated the payment'
+      }
+    };
+
+    const options = {
+      modelName: 'PaymentTransaction',
+      tableName: 'PAYMENT_TRANSACTIONS',
+      schema: 'EASYBIMA',
+      timestamps: true,
+      createdAt: 'CREATED_AT',
+      updatedAt: 'UPDATED_AT',
+      paranoid: false,
+      hooks: {
+        beforeValidate: (receipt) => {
+          // Generate receipt number if not provided
+          if (!receipt.receiptNumber) {
+            const prefix = 'RCT-';
+            const timestamp = new Date().getTime().toString().slice(-6);
+            const random = Math.floor(1000 + Math.random() * 9000);
+            receipt.receiptNumber = `${prefix}${timestamp}${random}`;
+          }
+        }
+      },
+      indexes: [
+        {
+          name: 'IDX_PAYMENT_TXN_RECEIPT',
+          fields: ['RECEIPT_NUMBER'],
+          unique: true
+        },
+        {
+          name: 'IDX_PAYMENT_TXN_CUSTOMER',
+          fields: ['CUSTOMER_CODE']
+        },
+        {
+          name: 'IDX_PAYMENT_TXN_POLICY',
+          fields: ['POLICY_ID']
+        },
+        {
+          name: 'IDX_PAYMENT_TXN_STATUS',
+          fields: ['STATUS']
+        },
+        {
+          name: 'IDX_PAYMENT_TXN_REFERENCE',
+          fields: ['REFERENCE']
+        },
+        {
+          name: 'IDX_PAYMENT_TXN_TRANSACTION',
+          fields: ['TRANSACTION_ID'],
+          unique: true
+        },
+        {
+          name: 'IDX_PAYMENT_TXN_MPESA_CODE',
+          fields: ['MPESA_CODE']
+        }
+      ]
+    };
+
+    return super.initModel(attributes, options, sequelize);
+  }
+
+  /**
+   * Define model associations
+   * @param {Object} models - The models object containing all models
+   */
+  static associate(models) {
+    // Payment belongs to a Policy
+    this.belongsTo(models.Policy, {
+      foreignKey: 'POLICY_ID',
+      as: 'policy',
+      onDelete: 'RESTRICT',
+      onUpdate: 'CASCADE'
+    });
+
+    // Payment was recorded by a User
+    this.belongsTo(models.User, {
+      foreignKey: 'CREATED_BY',
+      as: 'creator',
+      onDelete: 'RESTRICT',
+      onUpdate: 'CASCADE'
+    });
+
+    // Receipt was validated by a User
+    this.belongsTo(models.User, {
+      foreignKey: 'VALIDATED_BY',
+      as: 'validator',
+      onDelete: 'SET NULL',
+      onUpdate: 'CASCADE'
+    });
+  }
+}
+
+export { PaymentTransaction as default };
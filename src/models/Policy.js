@@ -394,6 +394,30 @@ class Policy extends BaseModel {
       onDelete: "CASCADE",
       onUpdate: "CASCADE",
     });
+
+    // Policy has many status history entries
+    this.hasMany(models.PolicyStatusHistory, {
+      foreignKey: "POLICY_ID",
+      as: "statusHistory",
+      onDelete: "CASCADE",
+      onUpdate: "CASCADE",
+    });
+
+    // Policy has many Endorsements
+    this.hasMany(models.Endorsement, {
+      foreignKey: "POLICY_ID",
+      as: "endorsements",
+      onDelete: "RESTRICT",
+      onUpdate: "CASCADE",
+    });
+
+    // Policy has many scheduled Installments
+    this.hasMany(models.PolicyInstallment, {
+      foreignKey: "POLICY_ID",
+      as: "installments",
+      onDelete: "CASCADE",
+      onUpdate: "CASCADE",
+    });
   }
 
   /**
@@ -401,14 +425,22 @@ class Policy extends BaseModel {
    */
   
   /**
-   * Calculate the total amount paid for this policy
+   * Calculate the total amount paid for this policy, net of approved refunds
    * @returns {Promise<number>} Total amount paid
    */
   async calculateTotalPaid() {
+    const { PaymentTransaction } = this.sequelize.models;
+
+    // Refunds are negative adjustments, so the total is net of money paid back;
+    // a refunded receipt still counts in full and its adjustment takes the refund off
     const payments = await this.getPayments({
       where: { status: 'COMPLETED' }
     });
-    return payments.reduce((total, payment) => total + parseFloat(payment.amount), 0);
+    const transactions = await PaymentTransaction.findAll({
+      where: { policyId: this.id, status: ['COMPLETED', 'REFUNDED'] }
+    });
+
+    return [...payments, ...transactions].reduce((total, payment) => total + parseFloat(payment.amount), 0);
   }
 
   /**
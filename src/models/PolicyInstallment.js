@@ -0,0 +1,144 @@
+import { DataTypes } from 'sequelize';
+import BaseModel from './BaseModel.js';
+
+/**
+ * PolicyInstallment model representing one dated row of a policy's payment schedule.
+ * Installment 0 is the down payment; installments 1..n follow the policy's frequency.
+ * @extends BaseModel
+ */
+class PolicyInstallment extends BaseModel {
+  /**
+   * Initialize the PolicyInstallment model
+   * @param {Object} sequelize - Sequelize instance
+   * @returns {Model} Initialized PolicyInstallment model
+   */
+  static init(sequelize) {
+    const attributes = {
+      // Primary Key
+      id: {
+        field: 'INSTALLMENT_ID',
+        type: DataTypes.UUID,
+        defaultValue: DataTypes.UUIDV4,
+        primaryKey: true,
+        comment: 'Primary key for the installment record'
+      },
+
+      // References
+      policyId: {
+        field: 'POLICY_ID',
+        type: DataTypes.UUID,
+        allowNull: false,
+        comment: 'The policy this installment belongs to'
+      },
+
+      // Installment Details
+      installmentNumber: {
+        field: 'INSTALLMENT_NUMBER',
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        validate: {
+          min: 0
+        },
+        comment: 'Position in the schedule (0 = down payment)'
+      },
+
+      dueDate: {
+        field: 'DUE_DATE',
+        type: DataTypes.DATEONLY,
+        allowNull: false,
+        comment: 'Date the installment falls due'
+      },
+
+      amount: {
+        field: 'AMOUNT',
+        type: DataTypes.DECIMAL(10, 2),
+        allowNull: false,
+        validate: {
+          min: 0
+        },
+        comment: 'Amount due for this installment'
+      },
+
+      paidAmount: {
+        field: 'PAID_AMOUNT',
+        type: DataTypes.DECIMAL(10, 2),
+        allowNull: false,
+        defaultValue: 0,
+        comment: 'Amount received against this installment'
+      },
+
+      status: {
+        field: 'STATUS',
+        type: DataTypes.ENUM('PENDING', 'PARTIALLY_PAID', 'PAID', 'OVERDUE', 'CANCELLED'),
+        defaultValue: 'PENDING',
+        allowNull: false,
+        comment: 'Current status of the installment'
+      },
+
+      paidAt: {
+        field: 'PAID_AT',
+        type: DataTypes.DATE,
+        allowNull: true,
+        comment: 'When the installment was fully paid'
+      },
+
+      lastPaymentId: {
+        field: 'LAST_PAYMENT_ID',
+        type: DataTypes.UUID,
+        allowNull: true,
+        comment: 'Most recent payment matched to this installment'
+      }
+    };
+
+    const options = {
+      modelName: 'PolicyInstallment',
+      tableName: 'POLICY_INSTALLMENTS',
+      schema: 'EASYBIMA',
+      paranoid: true,
+      scopes: {
+        unpaid: { where: { status: ['PENDING', 'PARTIALLY_PAID', 'OVERDUE'] } },
+        byPolicy: (policyId) => ({ where: { POLICY_ID: policyId } })
+      },
+      indexes: [
+        {
+          name: 'IDX_INSTALLMENT_POLICY_NUMBER',
+          fields: ['POLICY_ID', 'INSTALLMENT_NUMBER']
+        },
+        {
+          name: 'IDX_INSTALLMENT_DUE_DATE',
+          fields: ['DUE_DATE']
+        },
+        {
+          name: 'IDX_INSTALLMENT_STATUS',
+          fields: ['STATUS']
+        }
+      ]
+    };
+
+    return super.initModel(attributes, options, sequelize);
+  }
+
+  /**
+   * Define model associations
+   * @param {Object} models - The models object containing all models
+   */
+  static associate(models) {
+    // Installment belongs to a Policy
+    this.belongsTo(models.Policy, {
+      foreignKey: 'POLICY_ID',
+      as: 'policy',
+      onDelete: 'CASCADE',
+      onUpdate: 'CASCADE'
+    });
+  }
+
+  /**
+   * Amount still owed on this installment
+   * @returns {number} Outstanding amount
+   */
+  getOutstanding() {
+    return Math.max(0, Math.round((parseFloat(this.amount) - parseFloat(this.paidAmount || 0)) * 100) / 100);
+  }
+}
+
+export { PolicyInstallment as default };
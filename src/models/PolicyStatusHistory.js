@@ -0,0 +1,118 @@
+import { DataTypes } from 'sequelize';
+import BaseModel from './BaseModel.js';
+
+/**
+ * PolicyStatusHistory model recording every status transition of a policy
+ * @extends BaseModel
+ */
+class PolicyStatusHistory extends BaseModel {
+  /**
+   * Initialize the PolicyStatusHistory model
+   * @param {Object} sequelize - Sequelize instance
+   * @returns {Model} Initialized PolicyStatusHistory model
+   */
+  static init(sequelize) {
+    const attributes = {
+      // Primary Key
+      id: {
+        field: 'HISTORY_ID',
+        type: DataTypes.UUID,
+        defaultValue: DataTypes.UUIDV4,
+        primaryKey: true,
+        comment: 'Primary key for the status history record'
+      },
+
+      // References
+      policyId: {
+        field: 'POLICY_ID',
+        type: DataTypes.UUID,
+        allowNull: false,
+        comment: 'The policy whose status changed'
+      },
+
+      // Transition Details
+      fromStatus: {
+        field: 'FROM_STATUS',
+        type: DataTypes.STRING(20),
+        allowNull: true,
+        comment: 'Status before the transition (null when the policy was created)'
+      },
+
+      toStatus: {
+        field: 'TO_STATUS',
+        type: DataTypes.STRING(20),
+        allowNull: false,
+        comment: 'Status after the transition'
+      },
+
+      reason: {
+        field: 'REASON',
+        type: DataTypes.TEXT,
+        allowNull: true,
+        comment: 'Reason given for the transition'
+      },
+
+      // Audit Fields
+      changedBy: {
+        field: 'CHANGED_BY',
+        type: DataTypes.UUID,
+        allowNull: true,
+        comment: 'User who performed the transition (null for system jobs)'
+      },
+
+      changedAt: {
+        field: 'CHANGED_AT',
+        type: DataTypes.DATE,
+        allowNull: false,
+        defaultValue: DataTypes.NOW,
+        comment: 'When the transition happened'
+      }
+    };
+
+    const options = {
+      modelName: 'PolicyStatusHistory',
+      tableName: 'POLICY_STATUS_HISTORY',
+      schema: 'EASYBIMA',
+      timestamps: true,
+      createdAt: 'CREATED_AT',
+      updatedAt: false,
+      paranoid: false,
+      indexes: [
+        {
+          name: 'IDX_POLICY_STATUS_HISTORY_POLICY',
+          fields: ['POLICY_ID']
+        },
+        {
+          name: 'IDX_POLICY_STATUS_HISTORY_CHANGED_AT',
+          fields: ['CHANGED_AT']
+        }
+      ]
+    };
+
+    return super.initModel(attributes, options, sequelize);
+  }
+
+  /**
+   * Define model associations
+   * @param {Object} models - The models object containing all models
+   */
+  static associate(models) {
+    // History entry belongs to a Policy
+    this.belongsTo(models.Policy, {
+      foreignKey: 'POLICY_ID',
+      as: 'policy',
+      onDelete: 'CASCADE',
+      onUpdate: 'CASCADE'
+    });
+
+    // History entry was made by a User
+    this.belongsTo(models.User, {
+      foreignKey: 'CHANGED_BY',
+      as: 'actor',
+      onDelete: 'SET NULL',
+      onUpdate: 'CASCADE'
+    });
+  }
+}
+
+export { PolicyStatusHistory as default };
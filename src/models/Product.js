@@ -184,6 +184,52 @@ const Product = (sequelize) => {
         comment: "Tax rate applicable to this product (% of premium)",
       },
 
+      // Cancellation Terms
+      cancellationRefundMethod: {
+        field: "CANCELLATION_REFUND_METHOD",
+        type: DataTypes.ENUM("PRO_RATA", "SHORT_PERIOD"),
+        defaultValue: "PRO_RATA",
+        allowNull: false,
+        comment: "How refunds are calculated when a policy is cancelled mid-term",
+      },
+      shortPeriodScale: {
+        field: "SHORT_PERIOD_SCALE",
+        type: DataTypes.JSON,
+        allowNull: true,
+        comment:
+          "Array of {upToMonths, chargePercent} bands; % of annual premium retained for the months in force",
+      },
+
+      // Claims
+      claimDocumentRequirements: {
+        field: "CLAIM_DOCUMENT_REQUIREMENTS",
+        type: DataTypes.JSON,
+        allowNull: true,
+        comment: "Required claim documents by claim type ({ALL: [...], THEFT: [...]}); overrides the category defaults",
+      },
+
+      // Arrears Terms
+      suspensionGraceInstallments: {
+        field: "SUSPENSION_GRACE_INSTALLMENTS",
+        type: DataTypes.INTEGER,
+        defaultValue: 1,
+        allowNull: false,
+        validate: {
+          min: 0,
+        },
+        comment: "Overdue installments tolerated before an active policy is suspended",
+      },
+      lapseGraceInstallments: {
+        field: "LAPSE_GRACE_INSTALLMENTS",
+        type: DataTypes.INTEGER,
+        defaultValue: 3,
+        allowNull: false,
+        validate: {
+          min: 0,
+        },
+        comment: "Overdue installments tolerated before a policy lapses",
+      },
+
       // Product Lifecycle
       status: {
         field: "STATUS",
@@ -328,6 +374,11 @@ const Product = (sequelize) => {
       as: "commissions"
     });
 
+    ProductModel.hasMany(models.ProductRatingRule, {
+      foreignKey: "PRODUCT_ID",
+      as: "ratingRules"
+    });
+
     // Belongs to relationships
     ProductModel.belongsTo(models.User, {
       foreignKey: "CREATED_BY",
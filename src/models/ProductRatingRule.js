@@ -0,0 +1,144 @@
+import { DataTypes } from 'sequelize';
+import BaseModel from './BaseModel.js';
+
+/**
+ * ProductRatingRule model holding one version of a product's rating rule table.
+ * Only one version per product is ACTIVE at a time; it is what the quote calculator uses.
+ * @extends BaseModel
+ */
+class ProductRatingRule extends BaseModel {
+  /**
+   * Initialize the ProductRatingRule model
+   * @param {Object} sequelize - Sequelize instance
+   * @returns {Model} Initialized ProductRatingRule model
+   */
+  static init(sequelize) {
+    const attributes = {
+      // Primary Key
+      id: {
+        field: 'RATING_RULE_ID',
+        type: DataTypes.UUID,
+        defaultValue: DataTypes.UUIDV4,
+        primaryKey: true,
+        comment: 'Primary key for the rating rule version'
+      },
+
+      // References
+      productId: {
+        field: 'PRODUCT_ID',
+        type: DataTypes.UUID,
+        allowNull: false,
+        comment: 'The product these rules rate'
+      },
+
+      // Rule Details
+      version: {
+        field: 'VERSION',
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        validate: {
+          min: 1
+        },
+        comment: 'Version number, increasing per product'
+      },
+
+      category: {
+        field: 'CATEGORY',
+        type: DataTypes.STRING(30),
+        allowNull: false,
+        comment: 'Product category the rules were written for'
+      },
+
+      rules: {
+        field: 'RULES',
+        type: DataTypes.JSON,
+        allowNull: false,
+        comment: 'Rule table: {baseRate?, factors: [{name, input, type, ...}]}'
+      },
+
+      status: {
+        field: 'STATUS',
+        type: DataTypes.ENUM('DRAFT', 'ACTIVE', 'RETIRED'),
+        defaultValue: 'DRAFT',
+        allowNull: false,
+        comment: 'Whether this version is in use'
+      },
+
+      notes: {
+        field: 'NOTES',
+        type: DataTypes.TEXT,
+        allowNull: true,
+        comment: 'What changed in this version'
+      },
+
+      // Audit Fields
+      activatedBy: {
+        field: 'ACTIVATED_BY',
+        type: DataTypes.UUID,
+        allowNull: true,
+        comment: 'User who put this version into use'
+      },
+
+      activatedAt: {
+        field: 'ACTIVATED_AT',
+        type: DataTypes.DATE,
+        allowNull: true,
+        comment: 'When this version was put into use'
+      },
+
+      createdBy: {
+        field: 'CREATED_BY',
+        type: DataTypes.UUID,
+        allowNull: false,
+        comment: 'User who uploaded this version'
+      }
+    };
+
+    const options = {
+      modelName: 'ProductRatingRule',
+      tableName: 'PRODUCT_RATING_RULES',
+      schema: 'EASYBIMA',
+      paranoid: true,
+      scopes: {
+        active: { where: { status: 'ACTIVE' } }
+      },
+      indexes: [
+        {
+          name: 'IDX_RATING_RULE_PRODUCT_VERSION',
+          unique: true,
+          fields: ['PRODUCT_ID', 'VERSION']
+        },
+        {
+          name: 'IDX_RATING_RULE_STATUS',
+          fields: ['STATUS']
+        }
+      ]
+    };
+
+    return super.initModel(attributes, options, sequelize);
+  }
+
+  /**
+   * Define model associations
+   * @param {Object} models - The models object containing all models
+   */
+  static associate(models) {
+    // Rule version belongs to a Product
+    this.belongsTo(models.Product, {
+      foreignKey: 'PRODUCT_ID',
+      as: 'product',
+      onDelete: 'CASCADE',
+      onUpdate: 'CASCADE'
+    });
+
+    // Rule version was uploaded by a User
+    this.belongsTo(models.User, {
+      foreignKey: 'CREATED_BY',
+      as: 'creator',
+      onDelete: 'SET NULL',
+      onUpdate: 'CASCADE'
+    });
+  }
+}
+
+export { ProductRatingRule as default };
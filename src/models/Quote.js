@@ -60,6 +60,16 @@ class Quote extends Model {
       },
       comment: "Intermediary who generated the quote (if any)",
     },
+    renewalOfPolicyId: {
+      field: "RENEWAL_OF_POLICY_ID",
+      type: DataTypes.UUID,
+      allowNull: true,
+      references: {
+        model: "POLICIES",
+        key: "POLICY_ID",
+      },
+      comment: "Policy this quote renews (if it is a renewal quote)",
+    },
 
     // Coverage Details
     sumInsured: {
@@ -72,7 +82,20 @@ class Quote extends Model {
       comment: "Total sum insured for the quote",
     },
 
+    riskDetails: {
+      field: "RISK_DETAILS",
+      type: DataTypes.JSON,
+      defaultValue: {},
+      comment: "Risk inputs the quote was rated on (e.g. vehicleAge, destination)",
+    },
+
     // Premium Calculation
+    ratingRuleVersion: {
+      field: "RATING_RULE_VERSION",
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      comment: "Product rating rule version used (null when rated on the flat base rate)",
+    },
     basePremium: {
       field: "BASE_PREMIUM",
       type: DataTypes.DECIMAL(15, 2),
@@ -145,7 +168,16 @@ class Quote extends Model {
     // Status & Lifecycle
     status: {
       field: "STATUS",
-      type: DataTypes.ENUM("COMPLETED", "PENDING"),
+      type: DataTypes.ENUM(
+        "DRAFT",
+        "PENDING_APPROVAL",
+        "APPROVED",
+        "SENT",
+        "ACCEPTED",
+        "DECLINED",
+        "EXPIRED",
+        "CONVERTED"
+      ),
       defaultValue: "DRAFT",
       allowNull: false,
       comment: "Current status of the quote",
@@ -164,6 +196,18 @@ class Quote extends Model {
       allowNull: true,
       comment: "Notes visible to the client",
     },
+    sendLog: {
+      field: "SEND_LOG",
+      type: DataTypes.JSON,
+      defaultValue: [],
+      comment: "Array of send records {sentAt, sentTo, sentBy, messageId}",
+    },
+    lastSentAt: {
+      field: "LAST_SENT_AT",
+      type: DataTypes.DATE,
+      allowNull: true,
+      comment: "When the quotation was last emailed to the client",
+    },
     declineReason: {
       field: "DECLINE_REASON",
       type: DataTypes.TEXT,
@@ -204,6 +248,12 @@ class Quote extends Model {
       },
       comment: "User who approved the quote",
     },
+    acceptedAt: {
+      field: "ACCEPTED_AT",
+      type: DataTypes.DATE,
+      allowNull: true,
+      comment: "When the client accepted the quote",
+    },
     createdAt: {
       field: "CREATED_AT",
       type: DataTypes.DATE,
@@ -354,31 +404,51 @@ class Quote extends Model {
       onDelete: "SET NULL",
       onUpdate: "CASCADE",
     });
+
+    this.belongsTo(models.Policy, {
+      foreignKey: "RENEWAL_OF_POLICY_ID",
+      as: "renewalOf",
+      onDelete: "SET NULL",
+      onUpdate: "CASCADE",
+    });
+
+    this.hasMany(models.QuoteRevision, {
+      foreignKey: "QUOTE_ID",
+      as: "revisions",
+      onDelete: "RESTRICT",
+      onUpdate: "CASCADE",
+    });
   }
 
   /**
    * Instance method to check if quote is still valid
-   * @returns {boolean} Whether the quote is currently valid
+   * @returns {boolean} Whether the quote is open and inside its validity period
    */
   isValid() {
     if (!this.validFrom || !this.validTo) return false;
     
-    const now = new Date();
-    const validFrom = new Date(this.validFrom);
-    const validTo = new Date(this.validTo);
+    const now = moment();
+    const validFrom = moment(this.validFrom).startOf('day');
+    const validTo = moment(this.validTo).endOf('day');
+    const openStatuses = ['DRAFT', 'PENDING_APPROVAL', 'APPROVED', 'SENT', 'ACCEPTED'];
     
-    return now >= validFrom && now <= validTo && this.status === 'PENDING';
+    return now.isSameOrAfter(validFrom) && now.isSameOrBefore(validTo) && openStatuses.includes(this.status);
   }
 
   /**
    * Instance method to convert quote to policy
    * @param {Object} options - Conversion options
    * @param {string} options.convertedById - ID of user performing the conversion
+   * @param {Date} [options.policyStartDate] - Cover start date (defaults to today)
+   * @param {Date} [options.policyEndDate] - Cover end date (defaults to one year of cover)
+   * @param {string} [options.policyNumber] - Policy number (defaults to one derived from the quote number)
+   * @param {Object} [options.paymentPlan] - Installment plan {installmentFrequency, totalInstallments, downPayment}
+   * @param {Transaction} [options.transaction] - Existing transaction to join
    * @returns {Promise<Policy>} The newly created policy
    */
-  async convertToPolicy({ convertedById } = {}) {
-    if (this.status !== 'PENDING') {
-      throw new Error('Only pending quotes can be converted to policies');
+  async convertToPolicy({ convertedById, policyStartDate, policyEndDate, policyNumber, paymentPlan = {}, transaction: outerTransaction } = {}) {
+    if (this.status !== 'ACCEPTED') {
+      throw new Error('Only accepted quotes can be converted to policies');
     }
 
     if (!this.isValid()) {
@@ -387,9 +457,14 @@ class Quote extends Model {
 
     // Get models to avoid circular dependency
     const Policy = this.constructor.sequelize.models.Policy;
+
+    const startDate = moment(policyStartDate || new Date()).startOf('day');
+    const endDate = policyEndDate
+      ? moment(policyEndDate)
+      : startDate.clone().add(1, 'year').subtract(1, 'day').endOf('day');
     
-    // Start a transaction
-    const transaction = await this.sequelize.transaction();
+    // Start a transaction unless the caller already has one
+    const transaction = outerTransaction || await this.sequelize.transaction();
     
     try {
       // Create the policy
@@ -397,13 +472,14 @@ class Quote extends Model {
         {
           clientId: this.clientId,
           productId: this.productId,
+          intermediaryId: this.intermediaryId,
           quoteId: this.id,
-          policyNumber: `POL-${this.quoteNumber}`,
-          startDate: new Date(),
-          endDate: this.validTo,
+          policyNumber: policyNumber || `POL-${this.quoteNumber}`,
+          policyStartDate: startDate.toDate(),
+          policyEndDate: endDate.toDate(),
           sumInsured: this.sumInsured,
-          basePremium: this.basePremium,
-          totalPremium: this.totalPremium,
+          annualPremium: this.totalPremium,
+          ...paymentPlan,
           status: 'ACTIVE',
           createdBy: convertedById,
         },
@@ -417,12 +493,12 @@ class Quote extends Model {
       await this.save({ transaction });
 
       // Commit the transaction
-      await transaction.commit();
+      if (!outerTransaction) await transaction.commit();
 
       return policy;
     } catch (error) {
       // Rollback the transaction in case of error
-      await transaction.rollback();
+      if (!outerTransaction) await transaction.rollback();
       throw error;
     }
   }
@@ -0,0 +1,126 @@
+import { DataTypes } from 'sequelize';
+import BaseModel from './BaseModel.js';
+
+/**
+ * QuoteRevision model holding an immutable snapshot of a quote's pricing.
+ * A revision is written when the quote is created and every time it is re-priced.
+ * @extends BaseModel
+ */
+class QuoteRevision extends BaseModel {
+  /**
+   * Initialize the QuoteRevision model
+   * @param {Object} sequelize - Sequelize instance
+   * @returns {Model} Initialized QuoteRevision model
+   */
+  static init(sequelize) {
+    const attributes = {
+      // Primary Key
+      id: {
+        field: 'REVISION_ID',
+        type: DataTypes.UUID,
+        defaultValue: DataTypes.UUIDV4,
+        primaryKey: true,
+        comment: 'Primary key for the quote revision'
+      },
+
+      // References
+      quoteId: {
+        field: 'QUOTE_ID',
+        type: DataTypes.UUID,
+        allowNull: false,
+        comment: 'The quote this revision belongs to'
+      },
+
+      // Revision Details
+      revisionNumber: {
+        field: 'REVISION_NUMBER',
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        validate: {
+          min: 1
+        },
+        comment: 'Revision number, increasing per quote'
+      },
+
+      snapshot: {
+        field: 'SNAPSHOT',
+        type: DataTypes.JSON,
+        allowNull: false,
+        comment: 'Quote pricing at this revision (sum insured, breakdown, notes, validity)'
+      },
+
+      changeReason: {
+        field: 'CHANGE_REASON',
+        type: DataTypes.TEXT,
+        allowNull: true,
+        comment: 'Why the quote was re-priced'
+      },
+
+      // Audit Fields
+      createdBy: {
+        field: 'CREATED_BY',
+        type: DataTypes.UUID,
+        allowNull: false,
+        comment: 'User who made the revision'
+      }
+    };
+
+    const options = {
+      modelName: 'QuoteRevision',
+      tableName: 'QUOTE_REVISIONS',
+      schema: 'EASYBIMA',
+      timestamps: true,
+      createdAt: 'CREATED_AT',
+      updatedAt: false,
+      paranoid: false,
+      hooks: {
+        // Revisions are a history; they are never changed or removed
+        beforeUpdate: () => {
+          throw new Error('Quote revisions are immutable');
+        },
+        beforeDestroy: () => {
+          throw new Error('Quote revisions are immutable');
+        },
+        beforeBulkUpdate: () => {
+          throw new Error('Quote revisions are immutable');
+        },
+        beforeBulkDestroy: () => {
+          throw new Error('Quote revisions are immutable');
+        }
+      },
+      indexes: [
+        {
+          name: 'IDX_QUOTE_REVISION_NUMBER',
+          unique: true,
+          fields: ['QUOTE_ID', 'REVISION_NUMBER']
+        }
+      ]
+    };
+
+    return super.initModel(attributes, options, sequelize);
+  }
+
+  /**
+   * Define model associations
+   * @param {Object} models - The models object containing all models
+   */
+  static associate(models) {
+    // Revision belongs to a Quote
+    this.belongsTo(models.Quote, {
+      foreignKey: 'QUOTE_ID',
+      as: 'quote',
+      onDelete: 'RESTRICT',
+      onUpdate: 'CASCADE'
+    });
+
+    // Revision was made by a User
+    this.belongsTo(models.User, {
+      foreignKey: 'CREATED_BY',
+      as: 'creator',
+      onDelete: 'RESTRICT',
+      onUpdate: 'CASCADE'
+    });
+  }
+}
+
+export { QuoteRevision as default };
@@ -0,0 +1,114 @@
+import { DataTypes } from 'sequelize';
+import BaseModel from './BaseModel.js';
+
+/**
+ * Reconciliation model for one uploaded bank or M-Pesa statement
+ * checked against the payments recorded in the system
+ * @extends BaseModel
+ */
+class Reconciliation extends BaseModel {
+  /**
+   * Initialize the Reconciliation model
+   * @param {Object} sequelize - Sequelize instance
+   * @returns {Model} Initialized Reconciliation model
+   */
+  static init(sequelize) {
+    const attributes = {
+      // Primary Key
+      id: {
+        field: 'RECONCILIATION_ID',
+        type: DataTypes.UUID,
+        defaultValue: DataTypes.UUIDV4,
+        primaryKey: true,
+        comment: 'Primary key for the reconciliation'
+      },
+
+      // Statement Details
+      source: {
+        field: 'SOURCE',
+        type: DataTypes.ENUM('BANK', 'MPESA'),
+        allowNull: false,
+        comment: 'Kind of statement uploaded'
+      },
+
+      fileName: {
+        field: 'FILE_NAME',
+        type: DataTypes.STRING(255),
+        allowNull: false,
+        comment: 'Name of the uploaded statement file'
+      },
+
+      periodStart: {
+        field: 'PERIOD_START',
+        type: DataTypes.DATE,
+        allowNull: false,
+        comment: 'Earliest transaction date on the statement'
+      },
+
+      periodEnd: {
+        field: 'PERIOD_END',
+        type: DataTypes.DATE,
+        allowNull: false,
+        comment: 'Latest transaction date on the statement'
+      },
+
+      dateToleranceDays: {
+        field: 'DATE_TOLERANCE_DAYS',
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        defaultValue: 2,
+        comment: 'Days either side of a statement date a payment could be matched on amount'
+      },
+
+      // Audit Fields
+      createdBy: {
+        field: 'CREATED_BY',
+        type: DataTypes.UUID,
+        allowNull: false,
+        comment: 'User who uploaded the statement'
+      }
+    };
+
+    const options = {
+      modelName: 'Reconciliation',
+      tableName: 'RECONCILIATIONS',
+      schema: 'EASYBIMA',
+      timestamps: true,
+      createdAt: 'CREATED_AT',
+      updatedAt: false,
+      paranoid: false,
+      indexes: [
+        {
+          name: 'IDX_RECONCILIATIONS_SOURCE',
+          fields: ['SOURCE']
+        }
+      ]
+    };
+
+    return super.initModel(attributes, options, sequelize);
+  }
+
+  /**
+   * Define model associations
+   * @param {Object} models - The models object containing all models
+   */
+  static associate(models) {
+    // Reconciliation has one line per statement credit
+    this.hasMany(models.ReconciliationLine, {
+      foreignKey: 'RECONCILIATION_ID',
+      as: 'lines',
+      onDelete: 'CASCADE',
+      onUpdate: 'CASCADE'
+    });
+
+    // Statement was uploaded by a User
+    this.belongsTo(models.User, {
+      foreignKey: 'CREATED_BY',
+      as: 'creator',
+      onDelete: 'SET NULL',
+      onUpdate: 'CASCADE'
+    });
+  }
+}
+
+export { Reconciliation as default };
@@ -0,0 +1,175 @@
+import { DataTypes } from 'sequelize';
+import BaseModel from './BaseModel.js';
+
+/**
+ * ReconciliationLine model for a money-in line on an uploaded statement
+ * and the system payments it was matched to, if any
+ * @extends BaseModel
+ */
+class ReconciliationLine extends BaseModel {
+  /**
+   * Initialize the ReconciliationLine model
+   * @param {Object} sequelize - Sequelize instance
+   * @returns {Model} Initialized ReconciliationLine model
+   */
+  static init(sequelize) {
+    const attributes = {
+      // Primary Key
+      id: {
+        field: 'LINE_ID',
+        type: DataTypes.UUID,
+        defaultValue: DataTypes.UUIDV4,
+        primaryKey: true,
+        comment: 'Primary key for the statement line'
+      },
+
+      // References
+      reconciliationId: {
+        field: 'RECONCILIATION_ID',
+        type: DataTypes.UUID,
+        allowNull: false,
+        comment: 'The reconciliation this line belongs to'
+      },
+
+      // Statement Line
+      lineNumber: {
+        field: 'LINE_NUMBER',
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        comment: 'Row number on the statement file'
+      },
+
+      transactionDate: {
+        field: 'TRANSACTION_DATE',
+        type: DataTypes.DATE,
+        allowNull: false,
+        comment: 'Date of the transaction on the statement'
+      },
+
+      reference: {
+        field: 'REFERENCE',
+        type: DataTypes.STRING(100),
+        allowNull: true,
+        comment: 'Bank reference or M-Pesa receipt number'
+      },
+
+      description: {
+        field: 'DESCRIPTION',
+        type: DataTypes.STRING(500),
+        allowNull: true,
+        comment: 'Narrative on the statement'
+      },
+
+      amount: {
+        field: 'AMOUNT',
+        type: DataTypes.DECIMAL(12, 2),
+        allowNull: false,
+        comment: 'Amount received'
+      },
+
+      raw: {
+        field: 'RAW',
+        type: DataTypes.JSON,
+        allowNull: true,
+        comment: 'Statement row as uploaded'
+      },
+
+      // Matching
+      status: {
+        field: 'STATUS',
+        type: DataTypes.ENUM('MATCHED', 'UNMATCHED', 'WRITTEN_OFF'),
+        allowNull: false,
+        defaultValue: 'UNMATCHED',
+        comment: 'Whether the line has been accounted for'
+      },
+
+      matchMethod: {
+        field: 'MATCH_METHOD',
+        type: DataTypes.ENUM('TRANSACTION_ID', 'MPESA_CODE', 'AMOUNT_DATE', 'MANUAL'),
+        allowNull: true,
+        comment: 'How the line was matched'
+      },
+
+      paymentIds: {
+        field: 'PAYMENT_IDS',
+        type: DataTypes.JSON,
+        allowNull: true,
+        comment: 'Payments the line was matched to (a receipt may be split across installments)'
+      },
+
+      variance: {
+        field: 'VARIANCE',
+        type: DataTypes.DECIMAL(12, 2),
+        allowNull: true,
+        comment: 'Statement amount less the matched payments'
+      },
+
+      writeOffReason: {
+        field: 'WRITE_OFF_REASON',
+        type: DataTypes.TEXT,
+        allowNull: true,
+        comment: 'Why the line was written off'
+      },
+
+      resolvedBy: {
+        field: 'RESOLVED_BY',
+        type: DataTypes.UUID,
+        allowNull: true,
+        comment: 'User who matched or wrote off the line by hand'
+      },
+
+      resolvedAt: {
+        field: 'RESOLVED_AT',
+        type: DataTypes.DATE,
+        allowNull: true,
+        comment: 'When the line was matched or written off'
+      }
+    };
+
+    const options = {
+      modelName: 'ReconciliationLine',
+      tableName: 'RECONCILIATION_LINES',
+      schema: 'EASYBIMA',
+      timestamps: true,
+      createdAt: 'CREATED_AT',
+      updatedAt: 'UPDATED_AT',
+      paranoid: false,
+      indexes: [
+        {
+          name: 'IDX_RECONCILIATION_LINES_RECON',
+          fields: ['RECONCILIATION_ID']
+        },
+        {
+          name: 'IDX_RECONCILIATION_LINES_STATUS',
+          fields: ['STATUS']
+        }
+      ]
+    };
+
+    return super.initModel(attributes, options, sequelize);
+  }
+
+  /**
+   * Define model associations
+   * @param {Object} models - The models object containing all models
+   */
+  static associate(models) {
+    // Line belongs to a Reconciliation
+    this.belongsTo(models.Reconciliation, {
+      foreignKey: 'RECONCILIATION_ID',
+      as: 'reconciliation',
+      onDelete: 'CASCADE',
+      onUpdate: 'CASCADE'
+    });
+
+    // Manual match or write-off was made by a User
+    this.belongsTo(models.User, {
+      foreignKey: 'RESOLVED_BY',
+      as: 'resolver',
+      onDelete: 'SET NULL',
+      onUpdate: 'CASCADE'
+    });
+  }
+}
+
+export { ReconciliationLine as default };
@@ -4,7 +4,7 @@ import crypto from 'crypto';
 import BaseModel from './BaseModel.js';
 
 /**
- * User model representing system users (admins, agents, customers)
+ * User model representing system users (admins, agents, claims adjusters, customers)
  * @extends BaseModel
  */
 class User extends BaseModel {
@@ -186,12 +186,12 @@ class User extends BaseModel {
       // Role and Status
       role: {
         field: 'ROLE',
-        type: DataTypes.ENUM('admin', 'agent', 'customer'),
+        type: DataTypes.ENUM('admin', 'agent', 'claims', 'customer'),
         allowNull: false,
         defaultValue: 'customer',
         validate: {
           isIn: {
-            args: [['admin', 'agent', 'customer']],
+            args: [['admin', 'agent', 'claims', 'customer']],
             msg: 'Invalid user role'
           }
         },
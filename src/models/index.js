@@ -13,6 +13,18 @@ import Reminder from './Reminder.js';
 import Claim from './Claim.js';
 import Product from './Product.js';
 import Intermediary from './Intermediary.js';
+import PolicyStatusHistory from './PolicyStatusHistory.js';
+import Endorsement from './Endorsement.js';
+import PaymentTransaction from './PaymentTransaction.js';
+import PolicyInstallment from './PolicyInstallment.js';
+import ProductRatingRule from './ProductRatingRule.js';
+import QuoteRevision from './QuoteRevision.js';
+import ClaimAssignment from './ClaimAssignment.js';
+import ClaimLedgerEntry from './ClaimLedgerEntry.js';
+import PaymentSuspense from './PaymentSuspense.js';
+import Reconciliation from './Reconciliation.js';
+import ReconciliationLine from './ReconciliationLine.js';
+import PaymentRefund from './PaymentRefund.js';
 
 // Initialize database connection
 let models = null;
@@ -32,6 +44,18 @@ const initModels = (sequelize) => {
     // Class-based models that also use .init()
     Commission: Commission.init(sequelize),
     Claim: Claim.init(sequelize),
+    PolicyStatusHistory: PolicyStatusHistory.init(sequelize),
+    Endorsement: Endorsement.init(sequelize),
+    PaymentTransaction: PaymentTransaction.init(sequelize),
+    PolicyInstallment: PolicyInstallment.init(sequelize),
+    ProductRatingRule: ProductRatingRule.init(sequelize),
+    QuoteRevision: QuoteRevision.init(sequelize),
+    ClaimAssignment: ClaimAssignment.init(sequelize),
+    ClaimLedgerEntry: ClaimLedgerEntry.init(sequelize),
+    PaymentSuspense: PaymentSuspense.init(sequelize),
+    Reconciliation: Reconciliation.init(sequelize),
+    ReconciliationLine: ReconciliationLine.init(sequelize),
+    PaymentRefund: PaymentRefund.init(sequelize),
     
     // Factory function models - these are called directly
     Valuation: Valuation(sequelize),
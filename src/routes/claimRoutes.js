@@ -1,60 +1,150 @@
 import express from 'express';
+import { body } from 'express-validator';
+import * as claimController from '../controllers/claimController.js';
 import { protect, authorize } from '../middleware/authMiddleware.js';
+import { uploadSingle } from '../middleware/uploadMiddleware.js';
+import { CLAIM_TYPES, CLAIM_DOCUMENT_TYPES } from '../utils/claimChecklist.js';
 
 const router = express.Router();
 
 // Apply authentication to all routes
 router.use(protect);
 
-// Routes will be implemented later
+// Claim validation rules
+const claimValidation = [
+  body('policyId').isUUID().withMessage('Valid policy ID is required'),
+  body('claimType').optional().isIn(CLAIM_TYPES).withMessage(`Claim type must be one of ${CLAIM_TYPES.join(', ')}`),
+  body('dateOfLoss').isISO8601().withMessage('Date of loss must be a valid date'),
+  body('description').notEmpty().trim().withMessage('Description of the loss is required'),
+  body('location').notEmpty().trim().withMessage('Location of the loss is required'),
+  body('estimatedAmount').optional().isFloat({ min: 0 }).withMessage('Estimated amount must be a positive number').toFloat(),
+  body('policeReportNumber').optional().trim(),
+  body('isPoliceReport').optional().isBoolean().withMessage('isPoliceReport must be true or false').toBoolean(),
+  body('saveAsDraft').optional().isBoolean().withMessage('saveAsDraft must be true or false').toBoolean()
+];
+
+// Draft claim update validation rules
+const claimUpdateValidation = [
+  body('claimType').optional().isIn(CLAIM_TYPES).withMessage(`Claim type must be one of ${CLAIM_TYPES.join(', ')}`),
+  body('dateOfLoss').optional().isISO8601().withMessage('Date of loss must be a valid date'),
+  body('description').optional().notEmpty().trim().withMessage('Description cannot be empty'),
+  body('location').optional().notEmpty().trim().withMessage('Location cannot be empty'),
+  body('estimatedAmount').optional().isFloat({ min: 0 }).withMessage('Estimated amount must be a positive number').toFloat(),
+  body('policeReportNumber').optional().trim(),
+  body('isPoliceReport').optional().isBoolean().withMessage('isPoliceReport must be true or false').toBoolean()
+];
+
+// Status change validation rules
+const statusValidation = [
+  body('status')
+    .isIn(['SUBMITTED', 'UNDER_REVIEW', 'APPROVED', 'REJECTED', 'CLOSED'])
+    .withMessage('Status must be SUBMITTED, UNDER_REVIEW, APPROVED, REJECTED or CLOSED'),
+  body('approvedAmount').optional().isFloat({ min: 0 }).withMessage('Approved amount must be a positive number').toFloat(),
+  body('reason')
+    .if(body('status').equals('REJECTED'))
+    .notEmpty().trim().withMessage('Rejection reason is required')
+];
+
+// Reassignment validation rules
+const reassignValidation = [
+  body('assignedTo').isUUID().withMessage('Valid adjuster ID is required'),
+  body('reason').notEmpty().trim().withMessage('Reason for reassignment is required')
+];
+
+// Ledger entry validation rules
+const ledgerEntryValidation = [
+  body('entryType')
+    .isIn(['RESERVE_SET', 'RESERVE_ADJUST', 'PAYMENT', 'RECOVERY', 'SALVAGE'])
+    .withMessage('Entry type must be RESERVE_SET, RESERVE_ADJUST, PAYMENT, RECOVERY or SALVAGE'),
+  body('amount').isFloat().withMessage('Amount must be a number').toFloat(),
+  body('entryDate').optional().isISO8601().withMessage('Entry date must be a valid date'),
+  body('paymentMethod')
+    .if(body('entryType').equals('PAYMENT'))
+    .isIn(['MPESA', 'BANK_TRANSFER', 'CASH', 'CHEQUE', 'CARD'])
+    .withMessage('Valid payment method is required for payments'),
+  body('reference').optional().trim(),
+  body('notes').optional().trim()
+];
+
+// Referral decision validation rules
+const referralValidation = [
+  body('decision').isIn(['CLEARED', 'CONFIRMED']).withMessage('Decision must be CLEARED or CONFIRMED'),
+  body('notes').notEmpty().trim().withMessage('Notes on the decision are required')
+];
+
+// Claim document validation rules
+const claimDocumentValidation = [
+  body('documentType').isIn(CLAIM_DOCUMENT_TYPES).withMessage('Valid document type is required'),
+  body('description').optional().trim()
+];
+
+// Document review validation rules
+const documentReviewValidation = [
+  body('status').isIn(['VERIFIED', 'REJECTED']).withMessage('Status must be VERIFIED or REJECTED'),
+  body('reason')
+    .if(body('status').equals('REJECTED'))
+    .notEmpty().trim().withMessage('Rejection reason is required')
+];
+
+// Settlement document email validation rules
+const settlementSendValidation = [
+  body('to').optional().isEmail().withMessage('Recipient must be a valid email').normalizeEmail(),
+  body('message').optional().trim()
+];
+
+// Adjuster queues (CLAIM_REVIEW_SLA_DAYS sets when claims under review are flagged)
+router.get('/queue', authorize('admin', 'claims'), claimController.getClaimQueue);
+
+// Claims referred by fraud screening (CLAIM_REFERRAL_THRESHOLD sets the referral score)
+router.get('/referrals', authorize('admin', 'claims'), claimController.getReferralQueue);
+
 router.route('/')
-  .get((req, res) => {
-    res.status(200).json({
-      success: true,
-      message: 'Get claims endpoint - to be implemented',
-      data: []
-    });
-  })
-  .post(authorize('admin', 'agent', 'client'), (req, res) => {
-    res.status(201).json({
-      success: true,
-      message: 'File claim endpoint - to be implemented',
-      data: {}
-    });
-  });
+  .get(claimController.getClaims)
+  .post(authorize('admin', 'agent', 'customer'), claimValidation, claimController.createClaim);
 
 router.route('/:id')
-  .get((req, res) => {
-    res.status(200).json({
-      success: true,
-      message: 'Get claim by ID endpoint - to be implemented',
-      data: {}
-    });
-  })
-  .put(authorize('admin', 'claims'), (req, res) => {
-    res.status(200).json({
-      success: true,
-      message: 'Update claim endpoint - to be implemented',
-      data: {}
-    });
-  });
+  .get(claimController.getClaim)
+  .put(authorize('admin', 'agent', 'claims', 'customer'), claimUpdateValidation, claimController.updateClaim);
 
 router.route('/:id/status')
-  .patch(authorize('admin', 'claims'), (req, res) => {
-    res.status(200).json({
-      success: true,
-      message: 'Update claim status endpoint - to be implemented',
-      data: {}
-    });
-  });
-
-router.route('/:id/documents')
-  .post(authorize('admin', 'agent', 'client'), (req, res) => {
-    res.status(201).json({
-      success: true,
-      message: 'Upload claim document endpoint - to be implemented',
-      data: {}
-    });
-  });
+  .patch(authorize('admin', 'agent', 'claims', 'customer'), statusValidation, claimController.updateClaimStatus);
+
+router.route('/:id/assignments')
+  .get(authorize('admin', 'claims'), claimController.getClaimAssignments)
+  .post(authorize('admin', 'claims'), reassignValidation, claimController.reassignClaim);
+
+router.post('/:id/referral', authorize('admin'), referralValidation, claimController.decideReferral);
+
+router.route('/:id/ledger')
+  .get(authorize('admin', 'claims'), claimController.getClaimLedger)
+  .post(authorize('admin', 'claims'), ledgerEntryValidation, claimController.addClaimLedgerEntry);
+
+// Required documents by product category and claim type (CLAIM_DOCUMENT_ENFORCEMENT sets block or warn on submit)
+router.get('/:id/checklist', claimController.getClaimChecklist);
+
+// Multipart upload with the file in the "file" field
+router.post(
+  '/:id/documents',
+  authorize('admin', 'agent', 'claims', 'customer'),
+  uploadSingle('file'),
+  claimDocumentValidation,
+  claimController.uploadClaimDocument
+);
+
+router.get('/:id/documents/:documentId/download', claimController.downloadClaimDocument);
+
+router.patch(
+  '/:id/documents/:documentId',
+  authorize('admin', 'claims'),
+  documentReviewValidation,
+  claimController.reviewClaimDocument
+);
+
+// Discharge voucher and settlement letter, generated when the claim is approved
+router.route('/:id/settlement-documents')
+  .get(claimController.getSettlementDocuments)
+  .post(authorize('admin', 'claims'), claimController.generateSettlementDocuments);
+
+router.post('/:id/settlement-documents/send', authorize('admin', 'claims'), settlementSendValidation, claimController.sendSettlementDocuments);
 
 export default router;
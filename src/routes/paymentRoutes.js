@@ -1,14 +1,120 @@
 import express from 'express';
+import { body } from 'express-validator';
 import { protect, authorize } from '../middleware/authMiddleware.js';
+import { uploadSingle } from '../middleware/uploadMiddleware.js';
 import { 
   getPaymentsByCustomer, 
   getPaymentSummary, 
-  searchPayments 
+  searchPayments,
+  getPaymentById,
+  createPayment,
+  getReceipts,
+  updatePayment,
+  cancelPayment,
+  validatePayment,
+  rejectPayment,
+  requestRefund,
+  getRefunds,
+  approveRefund,
+  rejectRefund,
+  initiateStkPush,
+  mpesaCallback,
+  registerC2bUrls,
+  c2bValidation,
+  c2bConfirmation,
+  getSuspenseQueue,
+  allocateSuspense,
+  createReconciliation,
+  getReconciliations,
+  getReconciliationReport,
+  matchReconciliationLine,
+  writeOffReconciliationLine
 } from '../controllers/paymentController.js';
 
 const router = express.Router();
 
-// Apply authentication to all routes
+// STK push validation rules
+const stkPushValidation = [
+  body('policyId').isUUID().withMessage('Valid policy ID is required'),
+  body('installmentNumber').isInt({ min: 0 }).withMessage('Installment number must be 0 or more').toInt(),
+  body('phone').optional().trim(),
+  body('amount').optional().isFloat({ gt: 0 }).withMessage('Amount must be greater than zero').toFloat()
+];
+
+// Suspense allocation validation rules
+const suspenseAllocationValidation = [
+  body('policyId').isUUID().withMessage('Valid policy ID is required'),
+  body('notes').optional().trim()
+];
+
+// Receipt capture validation rules
+const receiptValidation = [
+  body('policyId').isUUID().withMessage('Valid policy ID is required'),
+  body('amount').isFloat({ gt: 0 }).withMessage('Amount must be greater than zero').toFloat(),
+  body('paymentMethod').isIn(['CASH', 'CHEQUE', 'BANK_TRANSFER']).withMessage('Payment method must be CASH, CHEQUE or BANK_TRANSFER'),
+  body('reference')
+    .if(body('paymentMethod').isIn(['CHEQUE', 'BANK_TRANSFER']))
+    .trim().notEmpty().withMessage('Cheque number or transfer reference is required'),
+  body('reference').optional({ nullable: true }).trim(),
+  body('paymentDate').optional().isISO8601().withMessage('Payment date must be a valid date').toDate(),
+  body('installmentNumber').optional().isInt({ min: 0 }).withMessage('Installment number must be 0 or more').toInt(),
+  body('notes').optional().trim()
+];
+
+// Receipt correction validation rules
+const receiptUpdateValidation = [
+  body('amount').optional().isFloat({ gt: 0 }).withMessage('Amount must be greater than zero').toFloat(),
+  body('reference').optional({ nullable: true }).trim(),
+  body('paymentDate').optional().isISO8601().withMessage('Payment date must be a valid date').toDate(),
+  body('installmentNumber').optional().isInt({ min: 0 }).withMessage('Installment number must be 0 or more').toInt(),
+  body('notes').optional().trim()
+];
+
+// Receipt cancellation and rejection validation rules
+const receiptReasonValidation = [
+  body('reason').trim().notEmpty().withMessage('Reason is required')
+];
+
+// Refund request validation rules
+const refundValidation = [
+  body('amount').optional().isFloat({ gt: 0 }).withMessage('Refund amount must be greater than zero').toFloat(),
+  body('reason').trim().notEmpty().withMessage('Refund reason is required'),
+  body('refundMethod').isIn(['MPESA', 'BANK_TRANSFER', 'CASH', 'CHEQUE', 'CARD']).withMessage('Invalid refund method'),
+  body('notes').optional().trim()
+];
+
+// Refund approval validation rules
+const refundApprovalValidation = [
+  body('refundReference').optional().trim()
+];
+
+// Statement upload validation rules (checked after the upload so the form fields are parsed)
+const reconciliationValidation = [
+  body('source').isIn(['BANK', 'MPESA']).withMessage('Source must be BANK or MPESA')
+];
+
+// Manual match validation rules
+const reconciliationMatchValidation = [
+  body('paymentIds').isArray({ min: 1 }).withMessage('At least one payment ID is required'),
+  body('paymentIds.*').isUUID().withMessage('Payment IDs must be valid UUIDs')
+];
+
+// Write-off validation rules
+const reconciliationWriteOffValidation = [
+  body('reason').trim().notEmpty().withMessage('Write-off reason is required')
+];
+
+// Daraja posts STK results here without a token; the signed ref in the URL is checked instead
+// POST /api/payments/mpesa/callback?ref=<paymentId>&signature=<hmac>
+router.post('/mpesa/callback', mpesaCallback);
+
+// Paybill (C2B) URLs registered with Daraja; their path must not contain "mpesa"
+// POST /api/payments/c2b/validation?signature=<hmac>
+// POST /api/payments/c2b/confirmation?signature=<hmac>
+router.post('/c2b/validation', c2bValidation);
+router.post('/c2b/confirmation', c2bConfirmation);
+
+// Apply authentication to all other routes
 router.use(protect);
 
 // Search payments with filters
@@ -23,36 +129,51 @@ router.get('/customer/:customerCode', getPaymentsByCustomer);
 // GET /api/payments/summary/ABC123
 router.get('/summary/:customerCode', getPaymentSummary);
 
-// Create a new payment (placeholder for future implementation)
-router.post('/', authorize('admin', 'agent'), (req, res) => {
-  res.status(201).json({
-    success: true,
-    message: 'Record payment endpoint - to be implemented',
-    data: {}
-  });
-});
+// Start an M-Pesa STK push for a policy installment
+// POST /api/payments/mpesa/stk-push { policyId, installmentNumber, phone?, amount? }
+router.post('/mpesa/stk-push', authorize('admin', 'agent', 'customer'), stkPushValidation, initiateStkPush);
+
+// Register the paybill C2B URLs (MPESA_C2B_URL) with Daraja
+router.post('/mpesa/c2b/register', authorize('admin'), registerC2bUrls);
+
+// Paybill receipts that could not be matched to a policy installment
+// GET /api/payments/suspense?status=UNALLOCATED
+router.get('/suspense', authorize('admin', 'agent'), getSuspenseQueue);
+router.post('/suspense/:id/allocate', authorize('admin'), suspenseAllocationValidation, allocateSuspense);
+
+// Statement reconciliation
+// POST /api/payments/reconciliation (multipart: file, source=BANK|MPESA)
+router.route('/reconciliation')
+  .get(authorize('admin'), getReconciliations)
+  .post(authorize('admin'), uploadSingle('file', 'statement'), reconciliationValidation, createReconciliation);
+router.get('/reconciliation/:id', authorize('admin'), getReconciliationReport);
+router.post('/reconciliation/:id/lines/:lineId/match', authorize('admin'), reconciliationMatchValidation, matchReconciliationLine);
+router.post('/reconciliation/:id/lines/:lineId/write-off', authorize('admin'), reconciliationWriteOffValidation, writeOffReconciliationLine);
+
+// Receipt cash, cheque and bank transfer payments; they count once validated by a second user
+// POST /api/payments { policyId, amount, paymentMethod, reference?, paymentDate?, installmentNumber?, notes? }
+router.post('/', authorize('admin', 'agent'), receiptValidation, createPayment);
+
+// Receipts waiting for validation
+// GET /api/payments/receipts?status=PENDING
+router.get('/receipts', authorize('admin', 'agent'), getReceipts);
+
+// Refunds need a second user to approve them
+// GET /api/payments/refunds?status=PENDING
+router.get('/refunds', authorize('admin', 'agent'), getRefunds);
+router.post('/refunds/:refundId/approve', authorize('admin'), refundApprovalValidation, approveRefund);
+router.post('/refunds/:refundId/reject', authorize('admin'), receiptReasonValidation, rejectRefund);
+
+router.post('/:id/validate', authorize('admin'), validatePayment);
+router.post('/:id/reject', authorize('admin'), receiptReasonValidation, rejectPayment);
+
+// POST /api/payments/:id/refunds { amount?, reason, refundMethod, notes? }
+router.post('/:id/refunds', authorize('admin', 'agent'), refundValidation, requestRefund);
 
-// Keep existing routes for future implementation
+// Payments from the view are read-only; PUT and DELETE apply to receipts not yet validated
 router.route('/:id')
-  .get((req, res) => {
-    res.status(200).json({
-      success: true,
-      message: 'Get payment by ID endpoint - to be implemented',
-      data: {}
-    });
-  })
-  .put(authorize('admin'), (req, res) => {
-    res.status(200).json({
-      success: true,
-      message: 'Update payment endpoint - to be implemented',
-      data: {}
-    });
-  })
-  .delete(authorize('admin'), (req, res) => {
-    res.status(200).json({
-      success: true,
-      message: 'Void payment endpoint - to be implemented'
-    });
-  });
+  .get(getPaymentById)
+  .put(authorize('admin'), receiptUpdateValidation, updatePayment)
+  .delete(authorize('admin'), receiptReasonValidation, cancelPayment);
 
 export default router;
@@ -1,4 +1,7 @@
 import express from 'express';
+import { body, query } from 'express-validator';
+import * as policyController from '../controllers/policyController.js';
+import * as endorsementController from '../controllers/endorsementController.js';
 import { protect, authorize } from '../middleware/authMiddleware.js';
 
 const router = express.Router();
@@ -6,43 +9,124 @@ const router = express.Router();
 // Apply authentication to all routes
 router.use(protect);
 
-// Routes will be implemented later
+// Policy validation rules
+const policyValidation = [
+  body('policyNumber').notEmpty().trim().withMessage('Policy number is required'),
+  body('clientId').isUUID().withMessage('Valid client ID is required'),
+  body('productId').isUUID().withMessage('Valid product ID is required'),
+  body('intermediaryId').optional({ nullable: true }).isUUID().withMessage('Invalid intermediary ID'),
+  body('quoteId').optional({ nullable: true }).isUUID().withMessage('Invalid quote ID'),
+  body('sumInsured').isFloat({ min: 0 }).withMessage('Sum insured must be a positive number'),
+  body('annualPremium').isFloat({ min: 0 }).withMessage('Annual premium must be a positive number'),
+  body('downPayment').optional().isFloat({ min: 0 }).withMessage('Down payment must be a positive number'),
+  body('installmentAmount').optional().isFloat({ min: 0 }).withMessage('Installment amount must be a positive number'),
+  body('installmentFrequency').optional().isIn(['MONTHLY', 'QUARTERLY', 'SEMI_ANNUAL', 'ANNUAL']),
+  body('totalInstallments').optional().isInt({ min: 1 }).withMessage('Total installments must be at least 1'),
+  body('policyStartDate').isISO8601().withMessage('Valid policy start date is required'),
+  body('policyEndDate').isISO8601().withMessage('Valid policy end date is required')
+];
+
+// Policy update validation rules (all fields optional)
+const policyUpdateValidation = [
+  body('sumInsured').optional().isFloat({ min: 0 }).withMessage('Sum insured must be a positive number'),
+  body('annualPremium').optional().isFloat({ min: 0 }).withMessage('Annual premium must be a positive number'),
+  body('intermediaryId').optional({ nullable: true }).isUUID().withMessage('Invalid intermediary ID'),
+  body('installmentFrequency').optional().isIn(['MONTHLY', 'QUARTERLY', 'SEMI_ANNUAL', 'ANNUAL']),
+  body('totalInstallments').optional().isInt({ min: 1 }).withMessage('Total installments must be at least 1'),
+  body('policyStartDate').optional().isISO8601().withMessage('Valid policy start date is required'),
+  body('policyEndDate').optional().isISO8601().withMessage('Valid policy end date is required')
+];
+
+// Cancellation validation rules
+const cancellationValidation = [
+  body('cancellationReason').notEmpty().trim().withMessage('Cancellation reason is required'),
+  body('cancellationDate').optional().isISO8601().withMessage('Cancellation date must be a valid date'),
+  body('refundMethod').optional().isIn(['PRO_RATA', 'SHORT_PERIOD']).withMessage('Invalid refund method'),
+  body('paymentMethod').optional().isIn(['MPESA', 'BANK_TRANSFER', 'CASH', 'CHEQUE', 'CARD']).withMessage('Invalid payment method')
+];
+
+const cancellationQuoteValidation = [
+  query('cancellationDate').optional().isISO8601().withMessage('Cancellation date must be a valid date'),
+  query('refundMethod').optional().isIn(['PRO_RATA', 'SHORT_PERIOD']).withMessage('Invalid refund method')
+];
+
+// Status change validation rules
+const statusValidation = [
+  // Cancellation settles refunds and commission, so it goes through DELETE /:id
+  body('status').isIn(['ACTIVE', 'LAPSED', 'EXPIRED', 'SUSPENDED']).withMessage('Invalid policy status'),
+  body('reason').notEmpty().trim().withMessage('Reason is required')
+];
+
+// Renewal batch validation rules
+const renewalBatchValidation = [
+  body('days').optional().isInt({ min: 1, max: 90 }).withMessage('Days must be between 1 and 90').toInt(),
+  body('fromDate').optional().isISO8601().withMessage('From date must be a valid date'),
+  body('toDate').optional().isISO8601().withMessage('To date must be a valid date')
+];
+
+// Reinstatement validation rules
+const reinstatementValidation = [
+  body('reason').optional().trim()
+];
+
+// Endorsement validation rules
+const endorsementValidation = [
+  body('endorsementType').isIn(['SUM_INSURED_CHANGE', 'ADD_COVER', 'REMOVE_COVER', 'CHANGE_INSURED_ITEM', 'OTHER']).withMessage('Invalid endorsement type'),
+  body('effectiveDate').optional().isISO8601().withMessage('Effective date must be a valid date'),
+  body('newSumInsured').optional().isFloat({ min: 0 }).withMessage('New sum insured must be a positive number'),
+  body('newAnnualPremium').optional().isFloat({ min: 0 }).withMessage('New annual premium must be a positive number'),
+  body('additionalAnnualPremium').optional().isFloat().withMessage('Additional annual premium must be a number'),
+  body('changes').optional().isObject().withMessage('Changes must be an object'),
+  body('changes.intermediaryId').optional({ nullable: true }).isUUID().withMessage('Invalid intermediary ID'),
+  body('description').optional().trim()
+];
+
+const endorsementApprovalValidation = [
+  body('paymentMethod').optional().isIn(['MPESA', 'BANK_TRANSFER', 'CASH', 'CHEQUE', 'CARD']).withMessage('Invalid payment method')
+];
+
+const endorsementRejectionValidation = [
+  body('reason').notEmpty().trim().withMessage('Rejection reason is required')
+];
+
+// Routes
 router.route('/')
-  .get((req, res) => {
-    res.status(200).json({
-      success: true,
-      message: 'Get policies endpoint - to be implemented',
-      data: []
-    });
-  })
-  .post(authorize('admin', 'agent'), (req, res) => {
-    res.status(201).json({
-      success: true,
-      message: 'Create policy endpoint - to be implemented',
-      data: {}
-    });
-  });
+  .get(policyController.getPolicies)
+  .post(authorize('admin', 'agent'), policyValidation, policyController.createPolicy);
+
+router.post('/renewals', authorize('admin', 'agent'), renewalBatchValidation, policyController.renewExpiringPolicies);
+
+router.post('/renewals/:quoteId/accept', authorize('admin', 'agent'), policyController.acceptRenewal);
+
+router.post('/arrears/run', authorize('admin'), policyController.processPolicyArrears);
 
 router.route('/:id')
-  .get((req, res) => {
-    res.status(200).json({
-      success: true,
-      message: 'Get policy by ID endpoint - to be implemented',
-      data: {}
-    });
-  })
-  .put(authorize('admin', 'agent'), (req, res) => {
-    res.status(200).json({
-      success: true,
-      message: 'Update policy endpoint - to be implemented',
-      data: {}
-    });
-  })
-  .delete(authorize('admin'), (req, res) => {
-    res.status(200).json({
-      success: true,
-      message: 'Cancel policy endpoint - to be implemented'
-    });
-  });
+  .get(policyController.getPolicy)
+  .put(authorize('admin', 'agent'), policyUpdateValidation, policyController.updatePolicy)
+  .delete(authorize('admin'), cancellationValidation, policyController.cancelPolicy);
+
+router.patch('/:id/status', authorize('admin'), statusValidation, policyController.updatePolicyStatus);
+
+router.get('/:id/history', policyController.getPolicyHistory);
+
+router.route('/:id/schedule')
+  .get(policyController.getPolicySchedule)
+  .post(authorize('admin', 'agent'), policyController.generatePolicySchedule);
+
+router.post('/:id/schedule/sync', authorize('admin', 'agent', 'accountant'), policyController.syncPolicySchedule);
+
+router.get('/:id/cancellation-quote', authorize('admin', 'agent'), cancellationQuoteValidation, policyController.getCancellationQuote);
+
+router.post('/:id/reinstate', authorize('admin', 'agent'), reinstatementValidation, policyController.reinstatePolicy);
+
+router.post('/:id/renew', authorize('admin', 'agent'), policyController.renewPolicy);
+
+router.route('/:id/endorsements')
+  .get(endorsementController.getEndorsements)
+  .post(authorize('admin', 'agent'), endorsementValidation, endorsementController.createEndorsement);
+
+router.patch('/:id/endorsements/:endorsementId/approve', authorize('admin'), endorsementApprovalValidation, endorsementController.approveEndorsement);
+
+router.patch('/:id/endorsements/:endorsementId/reject', authorize('admin'), endorsementRejectionValidation, endorsementController.rejectEndorsement);
 
 export default router;
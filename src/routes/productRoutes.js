@@ -1,11 +1,39 @@
 import express from 'express';
+import { body } from 'express-validator';
 import { protect, authorize } from '../middleware/authMiddleware.js';
+import * as productController from '../controllers/productController.js';
+import { validateRequirements } from '../utils/claimChecklist.js';
 
 const router = express.Router();
 
 // Apply authentication to all routes
 router.use(protect);
 
+// Rating rule validation rules
+const ratingRulesValidation = [
+  body('rules').isObject().withMessage('Rules must be an object'),
+  body('rules.factors').isArray().withMessage('Rules must contain a factors array'),
+  body('notes').optional().trim(),
+  body('activate').optional().isBoolean().withMessage('Activate must be true or false').toBoolean()
+];
+
+const ratingPreviewValidation = [
+  body('rules').optional().isObject().withMessage('Rules must be an object'),
+  body('version').optional().isInt({ min: 1 }).withMessage('Version must be a positive number').toInt(),
+  body('sumInsured').isFloat({ gt: 0 }).withMessage('Sum insured must be greater than zero').toFloat(),
+  body('riskFactors').optional().isObject().withMessage('Risk factors must be an object')
+];
+
+// Claim document requirements validation rules (null goes back to the category defaults)
+const claimDocumentsValidation = [
+  body('requirements').custom((requirements) => {
+    if (requirements === null) return true;
+    const problems = validateRequirements(requirements);
+    if (problems.length > 0) throw new Error(problems.join('; '));
+    return true;
+  })
+];
+
 // Routes will be implemented later
 router.route('/')
   .get((req, res) => {
@@ -45,4 +73,16 @@ router.route('/:id')
     });
   });
 
+router.route('/:id/rating-rules')
+  .get(authorize('admin'), productController.getRatingRules)
+  .post(authorize('admin'), ratingRulesValidation, productController.uploadRatingRules);
+
+router.post('/:id/rating-rules/preview', authorize('admin'), ratingPreviewValidation, productController.previewRatingRules);
+
+router.patch('/:id/rating-rules/:version/activate', authorize('admin'), productController.activateRatingRules);
+
+router.route('/:id/claim-documents')
+  .get(authorize('admin', 'claims'), productController.getClaimDocumentRequirements)
+  .put(authorize('admin'), claimDocumentsValidation, productController.updateClaimDocumentRequirements);
+
 export default router;
@@ -1,12 +1,107 @@
 import express from 'express';
+import { body, query } from 'express-validator';
 import { protect, authorize } from '../middleware/authMiddleware.js';
-import { getQuotes, getQuoteStats } from '../controllers/quoteController.js';
+import {
+  getQuotes,
+  getQuoteStats,
+  getQuoteFunnel,
+  calculateQuote,
+  compareProducts,
+  createQuote,
+  updateQuote,
+  getQuoteRevisions,
+  compareQuoteRevisions,
+  submitQuote,
+  approveQuote,
+  declineQuote,
+  acceptQuote,
+  getQuotePdf,
+  sendQuote,
+  bindQuote
+} from '../controllers/quoteController.js';
 
 const router = express.Router();
 
 // Apply authentication to all routes
 router.use(protect);
 
+// Rating validation rules (shared by calculate and create)
+const adjustmentValidation = (field) => [
+  body(field).optional().isArray().withMessage(`${field} must be an array`),
+  body(`${field}.*.type`).notEmpty().withMessage(`Each ${field} entry needs a type`),
+  body(`${field}.*.rate`).optional().isFloat().withMessage(`${field} rate must be a number`),
+  body(`${field}.*.amount`).optional().isFloat({ min: 0 }).withMessage(`${field} amount must be a positive number`)
+];
+
+const riskValidation = [
+  body('sumInsured').isFloat({ gt: 0 }).withMessage('Sum insured must be greater than zero').toFloat(),
+  body('riskFactors').optional().isObject().withMessage('Risk factors must be an object'),
+  ...adjustmentValidation('loadings'),
+  ...adjustmentValidation('discounts'),
+  ...adjustmentValidation('fees')
+];
+
+const ratingValidation = [
+  body('productId').isUUID().withMessage('Valid product ID is required'),
+  ...riskValidation
+];
+
+// Product comparison validation rules
+const compareProductsValidation = [
+  body('productIds').isArray({ min: 2, max: 10 }).withMessage('Between 2 and 10 product IDs are required'),
+  body('productIds.*').isUUID().withMessage('Invalid product ID'),
+  ...riskValidation
+];
+
+// Re-pricing validation rules (anything left out keeps its previous value)
+const updateValidation = [
+  body('sumInsured').optional().isFloat({ gt: 0 }).withMessage('Sum insured must be greater than zero').toFloat(),
+  body('riskFactors').optional().isObject().withMessage('Risk factors must be an object'),
+  ...adjustmentValidation('loadings'),
+  ...adjustmentValidation('discounts'),
+  ...adjustmentValidation('fees'),
+  body('validTo').optional().isISO8601().withMessage('Valid to must be a valid date'),
+  body('notes').optional().trim(),
+  body('clientNotes').optional().trim(),
+  body('changeReason').optional().trim()
+];
+
+// Revision comparison validation rules
+const compareRevisionsValidation = [
+  query('from').isInt({ min: 1 }).withMessage('From revision number is required'),
+  query('to').isInt({ min: 1 }).withMessage('To revision number is required')
+];
+
+const quoteValidation = [
+  ...ratingValidation,
+  body('clientId').isUUID().withMessage('Valid client ID is required'),
+  body('intermediaryId').optional({ nullable: true }).isUUID().withMessage('Invalid intermediary ID'),
+  body('validFrom').optional().isISO8601().withMessage('Valid from must be a valid date'),
+  body('validTo').optional().isISO8601().withMessage('Valid to must be a valid date'),
+  body('notes').optional().trim(),
+  body('clientNotes').optional().trim()
+];
+
+// Decline validation rules
+const declineValidation = [
+  body('reason').notEmpty().trim().withMessage('Decline reason is required')
+];
+
+// Send validation rules
+const sendValidation = [
+  body('to').optional().isEmail().withMessage('Recipient must be a valid email').normalizeEmail(),
+  body('message').optional().trim()
+];
+
+// Bind validation rules
+const bindValidation = [
+  body('policyStartDate').optional().isISO8601().withMessage('Policy start date must be a valid date'),
+  body('policyEndDate').optional().isISO8601().withMessage('Policy end date must be a valid date'),
+  body('installmentFrequency').optional().isIn(['MONTHLY', 'QUARTERLY', 'SEMI_ANNUAL', 'ANNUAL']).withMessage('Invalid installment frequency'),
+  body('totalInstallments').optional().isInt({ min: 1, max: 12 }).withMessage('Total installments must be between 1 and 12').toInt(),
+  body('downPayment').optional().isFloat({ min: 0 }).withMessage('Down payment must be a positive number').toFloat()
+];
+
 /**
  * @route   GET /api/quotes
  * @desc    Get quotes with optional date range filtering
@@ -29,16 +124,59 @@ router.get('/', getQuotes);
  */
 router.route('/')
   .get(getQuotes)
-  .post(authorize('admin', 'agent'), (req, res) => {
-    res.status(201).json({
-      success: true,
-      message: 'Create quote endpoint - to be implemented',
-      data: {}
-    });
-  });
+  .post(authorize('admin', 'agent'), quoteValidation, createQuote);
+
+/**
+ * @route   POST /api/quotes/calculate
+ * @desc    Dry-run the rating engine and return the itemised premium
+ * @body    {string} productId - Product to rate against
+ * @body    {number} sumInsured - Sum insured
+ * @body    {Object} [riskFactors] - Category risk inputs for the product's rating rules
+ * @body    {Array} [loadings] - Extra loadings {type, rate|amount, description}
+ * @body    {Array} [discounts] - Discounts {type, rate|amount, description}
+ * @body    {Array} [fees] - Fees {type, amount, description}
+ * @access  Private
+ */
+router.post('/calculate', ratingValidation, calculateQuote);
+
+/**
+ * @route   POST /api/quotes/compare-products
+ * @desc    Price one risk against several products and diff each against the cheapest
+ * @body    {Array<string>} productIds - Products to compare (2-10)
+ * @body    {number} sumInsured - Sum insured
+ * @body    {Object} [riskFactors] - Category risk inputs for the products' rating rules
+ * @body    {Array} [loadings] - Extra loadings {type, rate|amount, description}
+ * @body    {Array} [discounts] - Discounts {type, rate|amount, description}
+ * @body    {Array} [fees] - Fees {type, amount, description}
+ * @access  Private
+ */
+router.post('/compare-products', compareProductsValidation, compareProducts);
 
 router.get('/stats', authorize('admin'), getQuoteStats);
 
+/**
+ * @route   GET /api/quotes/funnel
+ * @desc    Conversion funnel (created → approved → sent → accepted → converted) with
+ *          average premium per stage and median days to convert, by product, intermediary and creator
+ * @query   {string} [range] - Date range filter (daily, weekly, monthly)
+ * @query   {string} [startDate] - Start date for custom range (YYYY-MM-DD)
+ * @query   {string} [endDate] - End date for custom range (YYYY-MM-DD)
+ * @access  Private/Admin
+ */
+router.get('/funnel', authorize('admin'), getQuoteFunnel);
+
+/**
+ * @route   PUT /api/quotes/:id
+ * @desc    Re-price a quote and record a revision; submitted, approved or sent quotes go back to DRAFT
+ * @body    {number} [sumInsured] - New sum insured
+ * @body    {Object} [riskFactors] - New risk inputs
+ * @body    {Array} [loadings] - Manual loadings (replace the previous ones)
+ * @body    {Array} [discounts] - Manual discounts (replace the previous ones)
+ * @body    {Array} [fees] - Fees (replace the previous ones)
+ * @body    {string} [validTo] - New end of validity
+ * @body    {string} [changeReason] - Why the quote was re-priced
+ * @access  Private/Admin/Agent
+ */
 router.route('/:id')
   .get((req, res) => {
     res.status(200).json({
@@ -47,13 +185,7 @@ router.route('/:id')
       data: {}
     });
   })
-  .put(authorize('admin', 'agent'), (req, res) => {
-    res.status(200).json({
-      success: true,
-      message: 'Update quote endpoint - to be implemented',
-      data: {}
-    });
-  })
+  .put(authorize('admin', 'agent'), updateValidation, updateQuote)
   .delete(authorize('admin'), (req, res) => {
     res.status(200).json({
       success: true,
@@ -61,4 +193,78 @@ router.route('/:id')
     });
   });
 
+/**
+ * @route   GET /api/quotes/:id/revisions
+ * @desc    List a quote's revisions, oldest first
+ * @access  Private
+ */
+router.get('/:id/revisions', getQuoteRevisions);
+
+/**
+ * @route   GET /api/quotes/:id/revisions/compare
+ * @desc    Diff two revisions of a quote field by field
+ * @query   {number} from - Earlier revision number
+ * @query   {number} to - Later revision number
+ * @access  Private
+ */
+router.get('/:id/revisions/compare', compareRevisionsValidation, compareQuoteRevisions);
+
+/**
+ * @route   POST /api/quotes/:id/submit
+ * @desc    Submit a draft quote; discounts above QUOTE_DISCOUNT_APPROVAL_THRESHOLD % need approval
+ * @access  Private/Admin/Agent
+ */
+router.post('/:id/submit', authorize('admin', 'agent'), submitQuote);
+
+/**
+ * @route   POST /api/quotes/:id/approve
+ * @desc    Approve a quote pending approval (not by its creator)
+ * @access  Private/Admin
+ */
+router.post('/:id/approve', authorize('admin'), approveQuote);
+
+/**
+ * @route   POST /api/quotes/:id/decline
+ * @desc    Decline an open quote
+ * @body    {string} reason - Reason for declining
+ * @access  Private/Admin/Agent
+ */
+router.post('/:id/decline', authorize('admin', 'agent'), declineValidation, declineQuote);
+
+/**
+ * @route   POST /api/quotes/:id/accept
+ * @desc    Record the client's acceptance of an approved or sent quote
+ * @access  Private/Admin/Agent
+ */
+router.post('/:id/accept', authorize('admin', 'agent'), acceptQuote);
+
+/**
+ * @route   GET /api/quotes/:id/pdf
+ * @desc    Render the quotation PDF
+ * @query   {boolean} [download] - Send as an attachment instead of inline
+ * @access  Private
+ */
+router.get('/:id/pdf', getQuotePdf);
+
+/**
+ * @route   POST /api/quotes/:id/send
+ * @desc    Email the quotation PDF to the client and log the send
+ * @body    {string} [to] - Recipient (defaults to the client's email)
+ * @body    {string} [message] - Custom email body
+ * @access  Private/Admin/Agent
+ */
+router.post('/:id/send', authorize('admin', 'agent'), sendValidation, sendQuote);
+
+/**
+ * @route   POST /api/quotes/:id/bind
+ * @desc    Bind an accepted quote: issue the policy, installment plan, commission and schedule
+ * @body    {string} [policyStartDate] - Cover start date (defaults to today)
+ * @body    {string} [policyEndDate] - Cover end date (defaults to one year of cover)
+ * @body    {string} [installmentFrequency] - MONTHLY, QUARTERLY, SEMI_ANNUAL or ANNUAL
+ * @body    {number} [totalInstallments] - Number of regular installments
+ * @body    {number} [downPayment] - Amount due on the start date
+ * @access  Private/Admin/Agent
+ */
+router.post('/:id/bind', authorize('admin', 'agent'), bindValidation, bindQuote);
+
 export default router;
@@ -3,6 +3,7 @@ import { body, query } from 'express-validator';
 import { protect, authorize } from '../middleware/authMiddleware.js';
 import asyncHandler from '../utils/asyncHandler.js';
 import AppError from '../utils/appError.js';
+import policyRenewalService from '../services/policyRenewalService.js';
 
 const router = express.Router();
 
@@ -191,21 +192,14 @@ router.get(
     const targetDate = new Date();
     targetDate.setDate(targetDate.getDate() + days);
     
-    // TODO: Replace with actual database query
-    // Example: const policies = await Policy.find({
-    //   endDate: { $lte: targetDate, $gte: new Date() },
-    //   status: 'active'
-    // }).populate('clientId', 'firstName lastName email phone');
-    
-    // Mock response - remove when database is connected
-    const mockPolicies = [];
+    const policies = await policyRenewalService.findExpiringPolicies({ days });
     
     res.status(200).json({
       success: true,
-      count: mockPolicies.length,
+      count: policies.length,
       days,
       expiryDate: targetDate,
-      data: mockPolicies
+      data: policies
     });
   })
 );
@@ -0,0 +1,119 @@
+import Claim from '../../models/Claim.js';
+import ClaimLedgerEntry from '../../models/ClaimLedgerEntry.js';
+import claimLedgerService from '../claimLedgerService.js';
+
+const entry = (entryType, amount) => ({ entryType, amount: String(amount) });
+
+// A claim backed by fake ledger and policy tables; payments run through Claim.recordPayment
+const buildClaim = ({ status = 'APPROVED', approvedAmount = '50000.00', sumInsured = '40000.00', entries = [] } = {}) => {
+  const ledger = [...entries];
+
+  const claim = {
+    id: 'claim-1',
+    policyId: 'policy-1',
+    status,
+    approvedAmount,
+    recordPayment: Claim.prototype.recordPayment,
+    getLedgerSummary: Claim.prototype.getLedgerSummary,
+    update: async function (values) {
+      Object.assign(this, values);
+      return this;
+    }
+  };
+
+  // recordPayment re-reads the claim under a row lock
+  claim.constructor = { findByPk: async () => ({ ...claim }) };
+
+  claim.sequelize = {
+    transaction: async () => ({ LOCK: { UPDATE: 'UPDATE' }, commit: async () => {}, rollback: async () => {} }),
+    models: {
+      ClaimLedgerEntry: {
+        summarize: ClaimLedgerEntry.summarize,
+        findAll: async () => ledger,
+        create: async (values) => {
+          ledger.push(values);
+          return values;
+        }
+      },
+      Policy: { findByPk: async () => ({ sumInsured }) }
+    }
+  };
+
+  return { claim, ledger };
+};
+
+describe('ClaimLedgerEntry.summarize', () => {
+  it('adds up reserves, payments, recoveries and salvage', () => {
+    expect(ClaimLedgerEntry.summarize([
+      entry('RESERVE_SET', 30000),
+      entry('RESERVE_ADJUST', 5000),
+      entry('PAYMENT', 20000),
+      entry('RECOVERY', 2500),
+      entry('SALVAGE', 1000.5)
+    ])).toEqual({
+      reserve: 35000,
+      paidAmount: 20000,
+      recoveredAmount: 2500,
+      salvageAmount: 1000.5,
+      outstandingReserve: 15000,
+      netIncurred: 31499.5
+    });
+  });
+
+  it('lets a new RESERVE_SET replace the reserve and never shows a negative outstanding reserve', () => {
+    expect(ClaimLedgerEntry.summarize([
+      entry('RESERVE_SET', 30000),
+      entry('RESERVE_SET', 10000),
+      entry('PAYMENT', 12000)
+    ])).toMatchObject({ reserve: 10000, outstandingReserve: 0, netIncurred: 12000 });
+  });
+});
+
+describe('Claim.recordPayment caps', () => {
+  it('records a payment within the caps and marks the claim paid once the approved amount is reached', async () => {
+    const { claim, ledger } = buildClaim({ approvedAmount: '30000.00', entries: [entry('PAYMENT', 10000)] });
+
+    await claim.recordPayment(20000, 'BANK_TRANSFER', 'REF-1', 'user-1');
+
+    expect(ledger).toHaveLength(2);
+    expect(claim).toMatchObject({ paidAmount: 30000, status: 'PAID' });
+  });
+
+  it('refuses a payment above the approved amount', async () => {
+    const { claim, ledger } = buildClaim({ approvedAmount: '30000.00', entries: [entry('PAYMENT', 25000)] });
+
+    await expect(claim.recordPayment(5000.01, 'CASH', null, 'user-1'))
+      .rejects.toThrow('above the approved amount of 30000');
+    expect(ledger).toHaveLength(1);
+  });
+
+  it('refuses a payment above the policy sum insured', async () => {
+    const { claim } = buildClaim({ approvedAmount: '50000.00', sumInsured: '40000.00', entries: [entry('PAYMENT', 35000)] });
+
+    await expect(claim.recordPayment(6000, 'CASH', null, 'user-1'))
+      .rejects.toThrow('above the policy sum insured of 40000');
+  });
+
+  it('refuses payments on claims that are not approved', async () => {
+    const { claim } = buildClaim({ status: 'UNDER_REVIEW' });
+
+    await expect(claim.recordPayment(100, 'CASH', null, 'user-1'))
+      .rejects.toThrow('Only approved or paid claims can receive payments');
+  });
+});
+
+describe('claimLedgerService.addEntry', () => {
+  it('refuses entries the claim status does not allow', async () => {
+    const { claim } = buildClaim({ status: 'SUBMITTED' });
+
+    await expect(claimLedgerService.addEntry(claim, { entryType: 'RECOVERY', amount: 100 }, 'user-1'))
+      .rejects.toMatchObject({ statusCode: 409 });
+  });
+
+  it('refuses a reserve adjustment that takes the reserve below zero', async () => {
+    const { claim } = buildClaim({ entries: [entry('RESERVE_SET', 1000)] });
+
+    await expect(claimLedgerService.addEntry(claim, { entryType: 'RESERVE_ADJUST', amount: -1500 }, 'user-1'))
+      .rejects.toThrow('Adjustment would take the reserve below zero (current reserve 1000)');
+  });
+});
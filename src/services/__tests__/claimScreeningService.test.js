@@ -0,0 +1,117 @@
+import claimScreeningService, { SCREENING_RULES } from '../claimScreeningService.js';
+
+const rule = name => SCREENING_RULES.find(r => r.rule === name);
+
+const buildClaim = (overrides = {}) => ({
+  id: 'claim-1',
+  policyId: 'policy-1',
+  clientId: 'client-1',
+  dateOfLoss: '2025-06-15',
+  location: 'Moi Avenue, Nairobi',
+  description: 'Rear-ended at a junction',
+  isPoliceReport: false,
+  policeReportNumber: null,
+  metadata: {},
+  ...overrides
+});
+
+const policy = (overrides = {}) => ({ policyStartDate: '2025-01-01', overdueInstallments: 0, ...overrides });
+
+// Fake Claim model answering the repeat and duplicate look-ups
+const claimModel = ({ count = 0, sameDay = [] } = {}) => ({
+  count: async () => count,
+  findAll: async () => sameDay
+});
+
+describe('claim screening rules', () => {
+  it('flags a loss within CLAIM_EARLY_LOSS_DAYS of inception', async () => {
+    const { evaluate } = rule('EARLY_LOSS');
+
+    expect(await evaluate(buildClaim({ dateOfLoss: '2025-01-20' }), { policy: policy() }))
+      .toBe('Loss 19 day(s) after the policy started (threshold 30)');
+    expect(await evaluate(buildClaim({ dateOfLoss: '2025-03-01' }), { policy: policy() })).toBeNull();
+  });
+
+  it('flags other submitted claims on the policy around the loss date', async () => {
+    const { evaluate } = rule('REPEAT_CLAIMS');
+
+    expect(await evaluate(buildClaim(), { Claim: claimModel({ count: 2 }) }))
+      .toBe('2 other claim(s) on this policy within 90 days of the loss');
+    expect(await evaluate(buildClaim(), { Claim: claimModel() })).toBeNull();
+  });
+
+  it('flags another client claiming the same date and location', async () => {
+    const { evaluate } = rule('DUPLICATE_LOSS');
+    const Claim = claimModel({
+      sameDay: [
+        { claimNumber: 'CLM-2', location: '  moi avenue,   NAIROBI ' },
+        { claimNumber: 'CLM-3', location: 'Kenyatta Avenue, Nairobi' }
+      ]
+    });
+
+    expect(await evaluate(buildClaim(), { Claim })).toBe('Same date and location as claim(s) CLM-2');
+  });
+
+  it('flags a policy with overdue installments', async () => {
+    const { evaluate } = rule('POLICY_IN_ARREARS');
+
+    expect(await evaluate(buildClaim(), { policy: policy({ overdueInstallments: 2 }) }))
+      .toBe('Policy has 2 overdue installment(s)');
+    expect(await evaluate(buildClaim(), { policy: policy() })).toBeNull();
+  });
+
+  it('flags a theft with no police report', async () => {
+    const { evaluate } = rule('THEFT_WITHOUT_POLICE_REPORT');
+
+    expect(await evaluate(buildClaim({ description: 'Car was stolen overnight' }))).toBe('Theft loss with no police report');
+    expect(await evaluate(buildClaim({ metadata: { claimType: 'THEFT' }, policeReportNumber: 'OB/12/2025' }))).toBeNull();
+    expect(await evaluate(buildClaim())).toBeNull();
+  });
+});
+
+describe('claimScreeningService.screen', () => {
+  const screenClaim = async (claimOverrides, { policyOverrides, Claim = claimModel() } = {}) => {
+    const updates = {};
+    const claim = buildClaim({
+      constructor: Claim,
+      sequelize: { models: { Policy: { findByPk: async () => policy(policyOverrides) } } },
+      update: async (values, options) => Object.assign(updates, values, { options }),
+      ...claimOverrides
+    });
+
+    const result = await claimScreeningService.screen(claim, { transaction: 'txn' });
+    return { result, updates };
+  };
+
+  it('scores a clean claim at zero and does not refer it', async () => {
+    const { result, updates } = await screenClaim();
+
+    expect(result).toEqual({ riskScore: 0, flags: [], referred: false });
+    expect(updates).toMatchObject({ riskScore: 0, riskFlags: [], options: { transaction: 'txn' } });
+    expect(updates.referralStatus).toBeUndefined();
+  });
+
+  it('adds up triggered rules and refers claims at the threshold', async () => {
+    const { result, updates } = await screenClaim(
+      { dateOfLoss: '2025-01-10' },
+      { policyOverrides: { overdueInstallments: 1 } }
+    );
+
+    expect(result.flags.map(flag => flag.rule)).toEqual(['EARLY_LOSS', 'POLICY_IN_ARREARS']);
+    expect(result).toMatchObject({ riskScore: 50, referred: true });
+    expect(updates.referralStatus).toBe('PENDING');
+  });
+
+  it('caps the score at 100', async () => {
+    const { result } = await screenClaim(
+      { dateOfLoss: '2025-01-10', description: 'Burglary at the shop' },
+      {
+        policyOverrides: { overdueInstallments: 1 },
+        Claim: claimModel({ count: 1, sameDay: [{ claimNumber: 'CLM-9', location: 'Moi Avenue, Nairobi' }] })
+      }
+    );
+
+    expect(result.flags).toHaveLength(5);
+    expect(result.riskScore).toBe(100);
+  });
+});
@@ -0,0 +1,196 @@
+import installmentService from '../installmentService.js';
+
+const buildPolicy = (overrides = {}) => ({
+  id: 'policy-1',
+  annualPremium: '12000.00',
+  adjustedPremium: null,
+  downPayment: '0.00',
+  installmentFrequency: 'MONTHLY',
+  totalInstallments: 12,
+  policyStartDate: '2025-01-01',
+  policyEndDate: '2025-12-31',
+  update: async function (values) {
+    Object.assign(this, values);
+    return this;
+  },
+  ...overrides
+});
+
+const installmentRow = (values) => ({
+  status: 'PENDING',
+  paidAmount: '0.00',
+  paidAt: null,
+  lastPaymentId: null,
+  update: async function (changes) {
+    Object.assign(this, changes);
+    return this;
+  },
+  ...values
+});
+
+// Wire fake installment and payment tables onto a policy
+const withModels = (policy, { installments = [], viewPayments = [], transactions = [] } = {}) => {
+  const byPolicy = ({ where }) => (row) => Object.entries(where).every(([key, value]) =>
+    Array.isArray(value) ? value.includes(row[key]) : row[key] === value
+  );
+
+  policy.sequelize = {
+    models: {
+      PolicyInstallment: {
+        findAll: async () => [...installments].sort((a, b) => a.installmentNumber - b.installmentNumber),
+        create: async (values) => {
+          const row = installmentRow(values);
+          installments.push(row);
+          return row;
+        }
+      },
+      Payment: { findAll: async (options) => viewPayments.filter(byPolicy(options)) },
+      PaymentTransaction: { findAll: async (options) => transactions.filter(byPolicy(options)) }
+    }
+  };
+
+  return policy;
+};
+
+describe('installmentService.buildSchedule', () => {
+  it('spreads the premium evenly with no down payment', () => {
+    const rows = installmentService.buildSchedule(buildPolicy({ totalInstallments: 4, installmentFrequency: 'QUARTERLY' }));
+
+    expect(rows).toEqual([
+      { policyId: 'policy-1', installmentNumber: 1, dueDate: '2025-01-01', amount: 3000 },
+      { policyId: 'policy-1', installmentNumber: 2, dueDate: '2025-04-01', amount: 3000 },
+      { policyId: 'policy-1', installmentNumber: 3, dueDate: '2025-07-01', amount: 3000 },
+      { policyId: 'policy-1', installmentNumber: 4, dueDate: '2025-10-01', amount: 3000 }
+    ]);
+  });
+
+  it('puts the down payment on the start date and starts installments a period later', () => {
+    const rows = installmentService.buildSchedule(buildPolicy({ downPayment: '3000.00', totalInstallments: 3 }));
+
+    expect(rows.map(row => [row.installmentNumber, row.dueDate, row.amount])).toEqual([
+      [0, '2025-01-01', 3000],
+      [1, '2025-02-01', 3000],
+      [2, '2025-03-01', 3000],
+      [3, '2025-04-01', 3000]
+    ]);
+  });
+
+  it('lets the last installment absorb rounding', () => {
+    const rows = installmentService.buildSchedule(buildPolicy({ annualPremium: '10000.00', totalInstallments: 3 }));
+
+    expect(rows.map(row => row.amount)).toEqual([3333.33, 3333.33, 3333.34]);
+  });
+
+  it('schedules the adjusted premium when there is one', () => {
+    const rows = installmentService.buildSchedule(buildPolicy({ adjustedPremium: '6000.00', totalInstallments: 2 }));
+
+    expect(rows.map(row => row.amount)).toEqual([3000, 3000]);
+  });
+
+  it('rejects a down payment larger than the premium', () => {
+    expect(() => installmentService.buildSchedule(buildPolicy({ downPayment: '12000.01' })))
+      .toThrow('Down payment cannot exceed the premium');
+  });
+
+  it('rejects installments that run past the end of cover', () => {
+    expect(() => installmentService.buildSchedule(buildPolicy({ downPayment: '1000.00', totalInstallments: 12 })))
+      .toThrow('12 MONTHLY installments do not fit inside the policy period');
+  });
+});
+
+describe('installmentService.syncInstallments', () => {
+  it('matches view payments and payment transactions by installment number', async () => {
+    const installments = [
+      installmentRow({ installmentNumber: 0, dueDate: '2099-01-01', amount: '2000.00' }),
+      installmentRow({ installmentNumber: 1, dueDate: '2099-02-01', amount: '5000.00' }),
+      installmentRow({ installmentNumber: 2, dueDate: '2099-03-01', amount: '5000.00' })
+    ];
+    const policy = withModels(buildPolicy({ totalInstallments: 2 }), {
+      installments,
+      viewPayments: [
+        { id: 'pay-1', policyId: 'policy-1', status: 'COMPLETED', paymentType: 'DOWN_PAYMENT', installmentNumber: null, amount: '2000.00', paymentDate: '2025-01-01' },
+        { id: 'pay-2', policyId: 'policy-1', status: 'PENDING', installmentNumber: 1, amount: '5000.00', paymentDate: '2025-01-20' }
+      ],
+      transactions: [
+        { id: 'txn-1', policyId: 'policy-1', status: 'COMPLETED', installmentNumber: 1, amount: '2500.00', paymentDate: '2025-02-01' },
+        { id: 'txn-2', policyId: 'policy-1', status: 'COMPLETED', paymentType: 'ADJUSTMENT', installmentNumber: null, amount: '-500.00', paymentDate: '2025-02-10' }
+      ]
+    });
+
+    const { unmatched } = await installmentService.syncInstallments(policy);
+
+    expect(installments.map(i => [i.installmentNumber, i.paidAmount, i.status])).toEqual([
+      [0, 2000, 'PAID'],
+      [1, 2500, 'PARTIALLY_PAID'],
+      [2, 0, 'PENDING']
+    ]);
+    expect(installments[0].lastPaymentId).toBe('pay-1');
+    expect(unmatched.map(payment => payment.id)).toEqual(['txn-2']);
+    expect(policy).toMatchObject({ totalInstallments: 2, paidInstallments: 0, overdueInstallments: 0 });
+  });
+
+  it('nets an approved refund against the installment it was taken from', async () => {
+    const installments = [
+      installmentRow({ installmentNumber: 1, dueDate: '2099-01-01', amount: '5000.00' }),
+      installmentRow({ installmentNumber: 2, dueDate: '2099-02-01', amount: '5000.00' })
+    ];
+    const policy = withModels(buildPolicy({ totalInstallments: 2 }), {
+      installments,
+      viewPayments: [
+        { id: 'pay-1', policyId: 'policy-1', status: 'COMPLETED', installmentNumber: 1, amount: '5000.00', paymentDate: '2025-01-01' }
+      ],
+      transactions: [
+        { id: 'txn-1', policyId: 'policy-1', status: 'REFUNDED', installmentNumber: 2, amount: '5000.00', paymentDate: '2025-02-01' },
+        { id: 'txn-2', policyId: 'policy-1', status: 'COMPLETED', paymentType: 'ADJUSTMENT', installmentNumber: 2, amount: '-2000.00', paymentDate: '2025-02-15' }
+      ]
+    });
+
+    const { unmatched } = await installmentService.syncInstallments(policy);
+
+    expect(installments.map(i => [i.installmentNumber, i.paidAmount, i.status])).toEqual([
+      [1, 5000, 'PAID'],
+      [2, 3000, 'PARTIALLY_PAID']
+    ]);
+    expect(unmatched).toEqual([]);
+    expect(policy).toMatchObject({ paidInstallments: 1 });
+  });
+
+  it('marks unpaid installments past their due date as overdue', async () => {
+    const installments = [
+      installmentRow({ installmentNumber: 1, dueDate: '2020-01-01', amount: '5000.00' }),
+      installmentRow({ installmentNumber: 2, dueDate: '2020-02-01', amount: '5000.00' })
+    ];
+    const policy = withModels(buildPolicy(), {
+      installments,
+      viewPayments: [
+        { id: 'pay-1', policyId: 'policy-1', status: 'COMPLETED', installmentNumber: 1, amount: '5000.00', paymentDate: '2019-12-30' }
+      ]
+    });
+
+    await installmentService.syncInstallments(policy);
+
+    expect(installments.map(i => i.status)).toEqual(['PAID', 'OVERDUE']);
+    expect(policy).toMatchObject({ totalInstallments: 2, paidInstallments: 1, overdueInstallments: 1 });
+  });
+});
+
+describe('installmentService.addInstallment', () => {
+  it('adds the premium after the last installment', async () => {
+    const installments = [
+      installmentRow({ installmentNumber: 1, dueDate: '2099-01-01', amount: '5000.00', status: 'PAID' }),
+      installmentRow({ installmentNumber: 2, dueDate: '2099-07-01', amount: '5000.00' })
+    ];
+    const policy = withModels(buildPolicy(), { installments });
+
+    const installment = await installmentService.addInstallment(policy, 1234.567, '2099-03-15');
+
+    expect(installment).toMatchObject({ installmentNumber: 3, dueDate: '2099-03-15', amount: 1234.57 });
+    expect(policy).toMatchObject({ totalInstallments: 3, paidInstallments: 1 });
+  });
+
+  it('leaves policies without a schedule alone', async () => {
+    const policy = withModels(buildPolicy());
+
+    expect(await installmentService.addInstallment(policy, 1000, '2099-03-15')).toBeNull();
+  });
+});
@@ -0,0 +1,170 @@
+import Policy from '../../models/Policy.js';
+import policyCancellationService, { DEFAULT_SHORT_PERIOD_SCALE } from '../policyCancellationService.js';
+import endorsementService from '../endorsementService.js';
+
+// A year of cover at 100 a day, paid in full through the view
+const buildPolicy = ({ viewPayments = [{ amount: '36500.00' }], ...overrides } = {}) => {
+  const transactions = [];
+  const endorsements = [];
+
+  const policy = {
+    id: 'policy-1',
+    clientId: 'CUST001',
+    policyNumber: 'POL/MOTOR/2025/000001',
+    status: 'ACTIVE',
+    sumInsured: '1000000.00',
+    annualPremium: '36500.00',
+    adjustedPremium: null,
+    policyStartDate: '2025-01-01',
+    policyEndDate: '2025-12-31',
+    getPayments: async () => viewPayments,
+    calculateTotalPaid: Policy.prototype.calculateTotalPaid,
+    update: async function (values) {
+      Object.assign(this, values);
+      return this;
+    },
+    ...overrides
+  };
+
+  policy.sequelize = {
+    transaction: async () => ({ commit: async () => {}, rollback: async () => {} }),
+    models: {
+      Policy: { findByPk: async () => policy },
+      Endorsement: {
+        findOne: async ({ where }) => endorsements.filter(e => e.status === where.status).pop() || null
+      },
+      PaymentTransaction: {
+        create: async (values) => {
+          const row = { id: `txn-${transactions.length + 1}`, ...values };
+          transactions.push(row);
+          return row;
+        },
+        findAll: async ({ where }) => transactions.filter(t => [].concat(where.status).includes(t.status))
+      }
+    }
+  };
+
+  return { policy, transactions, endorsements };
+};
+
+describe('policyCancellationService.getShortPeriodCharge', () => {
+  it.each([
+    [1, 20],
+    [3, 40],
+    [6, 70],
+    [10, 100],
+    [13, 100]
+  ])('retains the right share after %i months', (months, percent) => {
+    expect(policyCancellationService.getShortPeriodCharge(DEFAULT_SHORT_PERIOD_SCALE, months)).toBe(percent);
+  });
+});
+
+describe('policyCancellationService.calculateRefund', () => {
+  it('refunds the unexpired days on a pro-rata cancellation', async () => {
+    const { policy } = buildPolicy();
+
+    const refund = await policyCancellationService.calculateRefund(policy, {}, { cancellationDate: '2025-07-02' });
+
+    expect(refund).toMatchObject({
+      refundMethod: 'PRO_RATA',
+      termDays: 365,
+      daysInForce: 182,
+      daysRemaining: 183,
+      chargePercent: null,
+      earnedPremium: 18200,
+      unearnedPremium: 18300,
+      totalPaid: 36500,
+      refundAmount: 18300,
+      outstandingAmount: 0
+    });
+  });
+
+  it('treats a cancellation before cover starts as a cancellation on the start date', async () => {
+    const { policy } = buildPolicy();
+
+    const refund = await policyCancellationService.calculateRefund(policy, {}, { cancellationDate: '2024-12-01' });
+
+    expect(refund.daysInForce).toBe(0);
+    expect(refund.refundAmount).toBe(36500);
+  });
+
+  it('reports what is still owed when less than the earned premium was paid', async () => {
+    const { policy } = buildPolicy({ viewPayments: [{ amount: '10000.00' }] });
+
+    const refund = await policyCancellationService.calculateRefund(policy, {}, { cancellationDate: '2025-07-02' });
+
+    expect(refund.refundAmount).toBe(0);
+    expect(refund.outstandingAmount).toBe(8200);
+  });
+
+  it('retains the default short-period charge for the months in force', async () => {
+    const { policy } = buildPolicy();
+
+    const refund = await policyCancellationService.calculateRefund(
+      policy,
+      { cancellationRefundMethod: 'SHORT_PERIOD' },
+      { cancellationDate: '2025-03-15' }
+    );
+
+    expect(refund).toMatchObject({
+      refundMethod: 'SHORT_PERIOD',
+      chargePercent: 40,
+      earnedPremium: 14600,
+      refundAmount: 21900
+    });
+  });
+
+  it('uses the product short-period scale when it has one', async () => {
+    const { policy } = buildPolicy();
+    const product = {
+      cancellationRefundMethod: 'PRO_RATA',
+      shortPeriodScale: [{ upToMonths: 6, chargePercent: 50 }, { upToMonths: 12, chargePercent: 100 }]
+    };
+
+    const refund = await policyCancellationService.calculateRefund(policy, product, {
+      cancellationDate: '2025-03-15',
+      refundMethod: 'SHORT_PERIOD'
+    });
+
+    expect(refund.chargePercent).toBe(50);
+    expect(refund.refundAmount).toBe(18250);
+  });
+
+  it('does not refund an endorsement return premium a second time', async () => {
+    const { policy, transactions, endorsements } = buildPolicy();
+
+    // Halve the annual premium from 2 July: 183 of 365 days at 18250 less
+    const figures = endorsementService.calculateAdjustment(policy, {
+      effectiveDate: '2025-07-02',
+      annualBasis: 36500,
+      newAnnualPremium: 18250
+    });
+    const endorsement = {
+      ...figures,
+      policyId: policy.id,
+      endorsementNumber: 'END-000001',
+      status: 'PENDING',
+      changes: {},
+      sequelize: policy.sequelize,
+      update: async function (values) {
+        Object.assign(this, values);
+        return this;
+      }
+    };
+    endorsements.push(endorsement);
+
+    await endorsementService.approveEndorsement(endorsement, 'user-1');
+
+    expect(policy.adjustedPremium).toBe(27350);
+    expect(transactions).toEqual([
+      expect.objectContaining({ amount: -9150, paymentType: 'ADJUSTMENT', status: 'COMPLETED' })
+    ]);
+
+    const refund = await policyCancellationService.calculateRefund(policy, {}, { cancellationDate: '2025-07-02' });
+
+    // Cover to 1 July was earned at the original rate; together the two refunds return the rest
+    expect(refund.totalPaid).toBe(27350);
+    expect(refund.earnedPremium).toBe(18200);
+    expect(refund.refundAmount).toBe(9150);
+  });
+});
@@ -0,0 +1,677 @@
+import ratingEngineService from '../ratingEngineService.js';
+import { CATEGORY_RISK_INPUTS, validateRuleTable } from '../../utils/ratingRules.js';
+
+const product = (overrides = {}) => ({
+  name: 'Test Product',
+  baseRate: 1,
+  minimumPremium: 0,
+  maximumCover: null,
+  taxRate: 0,
+  taxInclusive: false,
+  ...overrides
+});
+
+const ratingRule = (category, rules) => ({ version: 3, category, rules });
+
+describe('ratingEngineService.calculatePremium', () => {
+  describe('MOTOR', () => {
+    const rule = ratingRule('MOTOR', {
+      baseRate: 5,
+      factors: [
+        {
+          name: 'vehicleAge',
+          input: 'vehicleAge',
+          type: 'range',
+          bands: [{ max: 3, rate: 0 }, { min: 4, max: 10, rate: 10 }, { min: 11, rate: 25 }]
+        },
+        {
+          name: 'vehicleUse',
+          input: 'vehicleUse',
+          type: 'lookup',
+          values: { PRIVATE: 0, COMMERCIAL: 20, PSV: 35 },
+          description: 'Commercial use loading'
+        },
+        {
+          name: 'driverAge',
+          input: 'driverAge',
+          type: 'range',
+          bands: [{ max: 24, rate: 15 }, { min: 25, max: 70, rate: 0 }, { min: 71, rate: 10 }]
+        },
+        {
+          name: 'noClaimsDiscount',
+          input: 'claimsHistory',
+          type: 'range',
+          bands: [{ max: 0, rate: -10 }, { min: 1, max: 2, rate: 15 }],
+          description: 'No claims discount'
+        },
+        {
+          name: 'engineCapacity',
+          input: 'engineCapacity',
+          type: 'range',
+          required: false,
+          bands: [{ min: 3000, rate: 10 }]
+        }
+      ]
+    });
+
+    it('is a valid MOTOR rule table', () => {
+      expect(validateRuleTable(rule.rules, 'MOTOR')).toEqual([]);
+    });
+
+    it('rates the risk with loadings, a rule discount, exclusive tax and fees', () => {
+      const breakdown = ratingEngineService.calculatePremium(
+        product({ taxRate: 0.45 }),
+        {
+          sumInsured: 1000000,
+          riskFactors: { vehicleAge: 7, vehicleUse: 'commercial', driverAge: 30, claimsHistory: 0 },
+          fees: [{ type: 'STAMP_DUTY', amount: 40, description: 'Stamp duty' }]
+        },
+        rule
+      );
+
+      expect(breakdown).toEqual({
+        sumInsured: 1000000,
+        ratingRuleVersion: 3,
+        rate: 5,
+        basePremium: 50000,
+        loadings: [
+          {
+            type: 'VEHICLE_AGE',
+            rate: 10,
+            amount: 5000,
+            description: 'vehicleAge: 7',
+            factor: 'vehicleAge',
+            input: 'vehicleAge',
+            value: 7
+          },
+          {
+            type: 'VEHICLE_USE',
+            rate: 20,
+            amount: 10000,
+            description: 'Commercial use loading',
+            factor: 'vehicleUse',
+            input: 'vehicleUse',
+            value: 'commercial'
+          }
+        ],
+        discounts: [
+          {
+            type: 'NO_CLAIMS_DISCOUNT',
+            rate: 10,
+            amount: 5000,
+            description: 'No claims discount',
+            factor: 'noClaimsDiscount',
+            input: 'claimsHistory',
+            value: 0
+          }
+        ],
+        taxes: [{ type: 'PREMIUM_TAX', rate: 0.45, amount: 270, description: 'Premium tax' }],
+        fees: [{ type: 'STAMP_DUTY', amount: 40, description: 'Stamp duty' }],
+        totalLoadings: 15000,
+        totalDiscounts: 5000,
+        netPremium: 60000,
+        totalTax: 270,
+        totalFees: 40,
+        totalPremium: 60310
+      });
+    });
+
+    it('rejects a risk missing a required input', () => {
+      expect(() => ratingEngineService.calculatePremium(
+        product(),
+        { sumInsured: 1000000, riskFactors: { vehicleUse: 'PRIVATE', driverAge: 30, claimsHistory: 0 } },
+        rule
+      )).toThrow(expect.objectContaining({ statusCode: 400, message: 'Missing risk inputs: vehicleAge' }));
+    });
+  });
+
+  describe('HEALTH', () => {
+    const rule = ratingRule('HEALTH', {
+      baseRate: 2,
+      factors: [
+        {
+          name: 'age',
+          input: 'age',
+          type: 'range',
+          bands: [{ max: 17, rate: -20 }, { min: 18, max: 45, rate: 0 }, { min: 46, max: 60, rate: 30 }, { min: 61, rate: 60 }]
+        },
+        { name: 'dependants', input: 'dependants', type: 'perUnit', amount: 2500 },
+        { name: 'preExistingConditions', input: 'preExistingConditions', type: 'lookup', values: { YES: 25, NO: 0 } },
+        {
+          name: 'coverLevel',
+          input: 'coverLevel',
+          type: 'lookup',
+          default: 'BASIC',
+          values: { BASIC: { amount: 0 }, ENHANCED: { rate: 15 } }
+        }
+      ]
+    });
+
+    it('is a valid HEALTH rule table', () => {
+      expect(validateRuleTable(rule.rules, 'HEALTH')).toEqual([]);
+    });
+
+    it('rates the risk with per-dependant amounts and shows inclusive tax without adding it', () => {
+      const breakdown = ratingEngineService.calculatePremium(
+        product({ taxRate: 16, taxInclusive: true }),
+        { sumInsured: 500000, riskFactors: { age: 50, dependants: 3, preExistingConditions: 'yes' } },
+        rule
+      );
+
+      expect(breakdown).toEqual({
+        sumInsured: 500000,
+        ratingRuleVersion: 3,
+        rate: 2,
+        basePremium: 10000,
+        loadings: [
+          { type: 'AGE', rate: 30, amount: 3000, description: 'age: 50', factor: 'age', input: 'age', value: 50 },
+          {
+            type: 'DEPENDANTS',
+            amount: 7500,
+            description: 'dependants: 3',
+            factor: 'dependants',
+            input: 'dependants',
+            value: 3
+          },
+          {
+            type: 'PRE_EXISTING_CONDITIONS',
+            rate: 25,
+            amount: 2500,
+            description: 'preExistingConditions: yes',
+            factor: 'preExistingConditions',
+            input: 'preExistingConditions',
+            value: 'yes'
+          }
+        ],
+        discounts: [],
+        taxes: [{ type: 'PREMIUM_TAX', rate: 16, amount: 3172.41, inclusive: true, description: 'Premium tax (included)' }],
+        fees: [],
+        totalLoadings: 13000,
+        totalDiscounts: 0,
+        netPremium: 23000,
+        totalTax: 0,
+        totalFees: 0,
+        totalPremium: 23000
+      });
+    });
+  });
+
+  describe('LIFE', () => {
+    const rule = ratingRule('LIFE', {
+      baseRate: 0.5,
+      factors: [
+        {
+          name: 'age',
+          input: 'age',
+          type: 'range',
+          bands: [{ min: 18, max: 35, rate: 0 }, { min: 36, max: 50, rate: 40 }, { min: 51, max: 65, rate: 90 }]
+        },
+        { name: 'smoker', input: 'smoker', type: 'lookup', values: { TRUE: 50, FALSE: 0 } },
+        { name: 'term', input: 'term', type: 'range', bands: [{ max: 10, rate: 0 }, { min: 11, rate: -5 }] },
+        { name: 'gender', input: 'gender', type: 'lookup', values: { MALE: 0, FEMALE: -5 } }
+      ]
+    });
+
+    it('is a valid LIFE rule table', () => {
+      expect(validateRuleTable(rule.rules, 'LIFE')).toEqual([]);
+    });
+
+    it('rates the risk with boolean lookups and several rule discounts', () => {
+      const breakdown = ratingEngineService.calculatePremium(
+        product(),
+        { sumInsured: 2000000, riskFactors: { age: 42, smoker: true, term: 20, gender: 'FEMALE' } },
+        rule
+      );
+
+      expect(breakdown).toEqual({
+        sumInsured: 2000000,
+        ratingRuleVersion: 3,
+        rate: 0.5,
+        basePremium: 10000,
+        loadings: [
+          { type: 'AGE', rate: 40, amount: 4000, description: 'age: 42', factor: 'age', input: 'age', value: 42 },
+          {
+            type: 'SMOKER',
+            rate: 50,
+            amount: 5000,
+            description: 'smoker: true',
+            factor: 'smoker',
+            input: 'smoker',
+            value: true
+          }
+        ],
+        discounts: [
+          { type: 'TERM', rate: 5, amount: 500, description: 'term: 20', factor: 'term', input: 'term', value: 20 },
+          {
+            type: 'GENDER',
+            rate: 5,
+            amount: 500,
+            description: 'gender: FEMALE',
+            factor: 'gender',
+            input: 'gender',
+            value: 'FEMALE'
+          }
+        ],
+        taxes: [],
+        fees: [],
+        totalLoadings: 9000,
+        totalDiscounts: 1000,
+        netPremium: 18000,
+        totalTax: 0,
+        totalFees: 0,
+        totalPremium: 18000
+      });
+    });
+  });
+
+  describe('TRAVEL', () => {
+    const rule = ratingRule('TRAVEL', {
+      baseRate: 1,
+      factors: [
+        {
+          name: 'destination',
+          input: 'destination',
+          type: 'lookup',
+          values: { AFRICA: 0, EUROPE: { rate: 50 }, WORLDWIDE: { rate: 100 } }
+        },
+        { name: 'days', input: 'days', type: 'perUnit', amount: 50 },
+        { name: 'age', input: 'age', type: 'range', bands: [{ max: 65, rate: 0 }, { min: 66, rate: 100 }] },
+        { name: 'travellers', input: 'travellers', type: 'perUnit', amount: 300 }
+      ]
+    });
+
+    it('is a valid TRAVEL rule table', () => {
+      expect(validateRuleTable(rule.rules, 'TRAVEL')).toEqual([]);
+    });
+
+    it('tops the premium up to the product minimum as its own loading', () => {
+      const breakdown = ratingEngineService.calculatePremium(
+        product({ minimumPremium: 3000 }),
+        {
+          sumInsured: 100000,
+          riskFactors: { destination: 'Europe', days: 14, age: 30, travellers: 2 },
+          fees: [{ type: 'POLICY_FEE', amount: 100 }]
+        },
+        rule
+      );
+
+      expect(breakdown).toEqual({
+        sumInsured: 100000,
+        ratingRuleVersion: 3,
+        rate: 1,
+        basePremium: 1000,
+        loadings: [
+          {
+            type: 'DESTINATION',
+            rate: 50,
+            amount: 500,
+            description: 'destination: Europe',
+            factor: 'destination',
+            input: 'destination',
+            value: 'Europe'
+          },
+          { type: 'DAYS', amount: 700, description: 'days: 14', factor: 'days', input: 'days', value: 14 },
+          {
+            type: 'TRAVELLERS',
+            amount: 600,
+            description: 'travellers: 2',
+            factor: 'travellers',
+            input: 'travellers',
+            value: 2
+          },
+          { type: 'MINIMUM_PREMIUM', amount: 200, description: 'Top-up to minimum premium' }
+        ],
+        discounts: [],
+        taxes: [],
+        fees: [{ type: 'POLICY_FEE', amount: 100, description: 'POLICY_FEE' }],
+        totalLoadings: 2000,
+        totalDiscounts: 0,
+        netPremium: 3000,
+        totalTax: 0,
+        totalFees: 100,
+        totalPremium: 3100
+      });
+    });
+  });
+
+  describe('PROPERTY', () => {
+    const rule = ratingRule('PROPERTY', {
+      factors: [
+        { name: 'constructionType', input: 'constructionType', type: 'lookup', values: { STONE: 0, TIMBER: 40, MIXED: 15 } },
+        { name: 'occupancy', input: 'occupancy', type: 'lookup', values: { RESIDENTIAL: 0, COMMERCIAL: 20, INDUSTRIAL: 50 } },
+        { name: 'location', input: 'location', type: 'lookup', required: false, values: { URBAN: 0, RURAL: 10 } },
+        { name: 'securityFeatures', input: 'securityFeatures', type: 'perUnit', rate: -2.5 }
+      ]
+    });
+
+    it('is a valid PROPERTY rule table', () => {
+      expect(validateRuleTable(rule.rules, 'PROPERTY')).toEqual([]);
+    });
+
+    it('falls back to the product base rate and puts manual discounts after rule discounts', () => {
+      const breakdown = ratingEngineService.calculatePremium(
+        product({ baseRate: 0.15, taxRate: 2 }),
+        {
+          sumInsured: 10000000,
+          riskFactors: { constructionType: 'MIXED', occupancy: 'RESIDENTIAL', securityFeatures: 3 },
+          discounts: [{ type: 'LOYALTY', rate: 5, description: 'Loyalty discount' }]
+        },
+        rule
+      );
+
+      expect(breakdown).toEqual({
+        sumInsured: 10000000,
+        ratingRuleVersion: 3,
+        rate: 0.15,
+        basePremium: 15000,
+        loadings: [
+          {
+            type: 'CONSTRUCTION_TYPE',
+            rate: 15,
+            amount: 2250,
+            description: 'constructionType: MIXED',
+            factor: 'constructionType',
+            input: 'constructionType',
+            value: 'MIXED'
+          }
+        ],
+        discounts: [
+          {
+            type: 'SECURITY_FEATURES',
+            rate: 7.5,
+            amount: 1125,
+            description: 'securityFeatures: 3',
+            factor: 'securityFeatures',
+            input: 'securityFeatures',
+            value: 3
+          },
+          { type: 'LOYALTY', rate: 5, amount: 750, description: 'Loyalty discount' }
+        ],
+        taxes: [{ type: 'PREMIUM_TAX', rate: 2, amount: 307.5, description: 'Premium tax' }],
+        fees: [],
+        totalLoadings: 2250,
+        totalDiscounts: 1875,
+        netPremium: 15375,
+        totalTax: 307.5,
+        totalFees: 0,
+        totalPremium: 15682.5
+      });
+    });
+  });
+
+  describe('MARINE', () => {
+    const rule = ratingRule('MARINE', {
+      baseRate: 0.3,
+      factors: [
+        { name: 'cargoType', input: 'cargoType', type: 'lookup', values: { GENERAL: 0, PERISHABLE: 25, HAZARDOUS: 60 } },
+        { name: 'conveyance', input: 'conveyance', type: 'lookup', values: { SEA: 0, AIR: -10, ROAD: 15 } },
+        { name: 'route', input: 'route', type: 'lookup', values: { DOMESTIC: 0, REGIONAL: 10, INTERNATIONAL: 20 } }
+      ]
+    });
+
+    it('is a valid MARINE rule table', () => {
+      expect(validateRuleTable(rule.rules, 'MARINE')).toEqual([]);
+    });
+
+    it('adds flat manual loadings after the rule loadings', () => {
+      const breakdown = ratingEngineService.calculatePremium(
+        product(),
+        {
+          sumInsured: 5000000,
+          riskFactors: { cargoType: 'PERISHABLE', conveyance: 'ROAD', route: 'INTERNATIONAL' },
+          loadings: [{ type: 'WAR_AND_STRIKES', amount: 1000, description: 'War and strikes cover' }]
+        },
+        rule
+      );
+
+      expect(breakdown).toEqual({
+        sumInsured: 5000000,
+        ratingRuleVersion: 3,
+        rate: 0.3,
+        basePremium: 15000,
+        loadings: [
+          {
+            type: 'CARGO_TYPE',
+            rate: 25,
+            amount: 3750,
+            description: 'cargoType: PERISHABLE',
+            factor: 'cargoType',
+            input: 'cargoType',
+            value: 'PERISHABLE'
+          },
+          {
+            type: 'CONVEYANCE',
+            rate: 15,
+            amount: 2250,
+            description: 'conveyance: ROAD',
+            factor: 'conveyance',
+            input: 'conveyance',
+            value: 'ROAD'
+          },
+          {
+            type: 'ROUTE',
+            rate: 20,
+            amount: 3000,
+            description: 'route: INTERNATIONAL',
+            factor: 'route',
+            input: 'route',
+            value: 'INTERNATIONAL'
+          },
+          { type: 'WAR_AND_STRIKES', amount: 1000, description: 'War and strikes cover' }
+        ],
+        discounts: [],
+        taxes: [],
+        fees: [],
+        totalLoadings: 10000,
+        totalDiscounts: 0,
+        netPremium: 25000,
+        totalTax: 0,
+        totalFees: 0,
+        totalPremium: 25000
+      });
+    });
+  });
+
+  describe('PERSONAL_ACCIDENT', () => {
+    const rule = ratingRule('PERSONAL_ACCIDENT', {
+      baseRate: 0.25,
+      factors: [
+        { name: 'age', input: 'age', type: 'range', bands: [{ max: 60, rate: 0 }, { min: 61, rate: 50 }] },
+        {
+          name: 'occupation',
+          input: 'occupation',
+          type: 'lookup',
+          values: { OFFICE: 0, MANUAL: { rate: 30 }, HAZARDOUS: { rate: 75 } }
+        },
+        { name: 'largeSumInsured', input: 'sumInsured', type: 'range', bands: [{ min: 5000000, rate: -10 }] }
+      ]
+    });
+
+    it('is a valid PERSONAL_ACCIDENT rule table', () => {
+      expect(validateRuleTable(rule.rules, 'PERSONAL_ACCIDENT')).toEqual([]);
+    });
+
+    it('skips a factor whose bands do not cover the risk', () => {
+      const breakdown = ratingEngineService.calculatePremium(
+        product(),
+        { sumInsured: 1000000, riskFactors: { age: 64, occupation: 'manual' } },
+        rule
+      );
+
+      expect(breakdown).toEqual({
+        sumInsured: 1000000,
+        ratingRuleVersion: 3,
+        rate: 0.25,
+        basePremium: 2500,
+        loadings: [
+          { type: 'AGE', rate: 50, amount: 1250, description: 'age: 64', factor: 'age', input: 'age', value: 64 },
+          {
+            type: 'OCCUPATION',
+            rate: 30,
+            amount: 750,
+            description: 'occupation: manual',
+            factor: 'occupation',
+            input: 'occupation',
+            value: 'manual'
+          }
+        ],
+        discounts: [],
+        taxes: [],
+        fees: [],
+        totalLoadings: 2000,
+        totalDiscounts: 0,
+        netPremium: 4500,
+        totalTax: 0,
+        totalFees: 0,
+        totalPremium: 4500
+      });
+    });
+  });
+
+  describe('categories without their own risk inputs', () => {
+    const categories = [
+      'LIABILITY',
+      'BUSINESS_INTERRUPTION',
+      'ENGINEERING',
+      'AGRICULTURE',
+      'CYBER',
+      'BOND',
+      'FIDELITY',
+      'CREDIT',
+      'SURETY',
+      'MISCELLANEOUS'
+    ];
+
+    const rules = {
+      baseRate: 1,
+      factors: [
+        {
+          name: 'largeRiskDiscount',
+          input: 'sumInsured',
+          type: 'range',
+          bands: [{ max: 999999, rate: 0 }, { min: 1000000, rate: -10 }]
+        }
+      ]
+    };
+
+    it('covers every category that declares no risk inputs', () => {
+      categories.forEach(category => expect(CATEGORY_RISK_INPUTS[category]).toBeUndefined());
+    });
+
+    it.each(categories)('%s rates on the sum insured', (category) => {
+      expect(validateRuleTable(rules, category)).toEqual([]);
+
+      const breakdown = ratingEngineService.calculatePremium(
+        product({ taxRate: 10 }),
+        { sumInsured: 2000000 },
+        ratingRule(category, rules)
+      );
+
+      expect(breakdown).toEqual({
+        sumInsured: 2000000,
+        ratingRuleVersion: 3,
+        rate: 1,
+        basePremium: 20000,
+        loadings: [],
+        discounts: [
+          {
+            type: 'LARGE_RISK_DISCOUNT',
+            rate: 10,
+            amount: 2000,
+            description: 'largeRiskDiscount: 2000000',
+            factor: 'largeRiskDiscount',
+            input: 'sumInsured',
+            value: 2000000
+          }
+        ],
+        taxes: [{ type: 'PREMIUM_TAX', rate: 10, amount: 1800, description: 'Premium tax' }],
+        fees: [],
+        totalLoadings: 0,
+        totalDiscounts: 2000,
+        netPremium: 18000,
+        totalTax: 1800,
+        totalFees: 0,
+        totalPremium: 19800
+      });
+    });
+  });
+
+  describe('without a rating rule', () => {
+    it('applies the product base rate flat', () => {
+      expect(ratingEngineService.calculatePremium(product({ baseRate: 3.5 }), { sumInsured: 400000 })).toEqual({
+        sumInsured: 400000,
+        ratingRuleVersion: null,
+        rate: 3.5,
+        basePremium: 14000,
+        loadings: [],
+        discounts: [],
+        taxes: [],
+        fees: [],
+        totalLoadings: 0,
+        totalDiscounts: 0,
+        netPremium: 14000,
+        totalTax: 0,
+        totalFees: 0,
+        totalPremium: 14000
+      });
+    });
+
+    it('prices manual loadings and discounts by rate or amount, then adds exclusive tax and fees', () => {
+      const premium = ratingEngineService.calculatePremium(product({ baseRate: 2, taxRate: 16 }), {
+        sumInsured: 1000000,
+        loadings: [{ type: 'YOUNG_DRIVER', rate: 10 }, { type: 'PSV_USE', amount: 1500, description: 'PSV use' }],
+        discounts: [{ type: 'NO_CLAIMS', rate: 5 }],
+        fees: [{ type: 'STAMP_DUTY', amount: 40 }]
+      });
+
+      expect(premium).toMatchObject({
+        basePremium: 20000,
+        loadings: [
+          { type: 'YOUNG_DRIVER', rate: 10, amount: 2000, description: 'YOUNG_DRIVER' },
+          { type: 'PSV_USE', amount: 1500, description: 'PSV use' }
+        ],
+        discounts: [{ type: 'NO_CLAIMS', rate: 5, amount: 1000 }],
+        taxes: [{ type: 'PREMIUM_TAX', rate: 16, amount: 3600, description: 'Premium tax' }],
+        fees: [{ type: 'STAMP_DUTY', amount: 40, description: 'STAMP_DUTY' }],
+        netPremium: 22500,
+        totalTax: 3600,
+        totalFees: 40,
+        totalPremium: 26140
+      });
+    });
+
+    it('shows inclusive tax without adding it to the premium', () => {
+      const premium = ratingEngineService.calculatePremium(product({ taxRate: 16, taxInclusive: true }), { sumInsured: 116000 });
+
+      expect(premium.taxes).toEqual([
+        { type: 'PREMIUM_TAX', rate: 16, amount: 160, inclusive: true, description: 'Premium tax (included)' }
+      ]);
+      expect(premium).toMatchObject({ netPremium: 1160, totalTax: 0, totalPremium: 1160 });
+    });
+
+    it('tops the premium up to the product minimum after discounts', () => {
+      const premium = ratingEngineService.calculatePremium(product({ minimumPremium: 5000 }), {
+        sumInsured: 100000,
+        discounts: [{ type: 'STAFF', amount: 200 }]
+      });
+
+      expect(premium.loadings).toEqual([
+        { type: 'MINIMUM_PREMIUM', amount: 4200, description: 'Top-up to minimum premium' }
+      ]);
+      expect(premium).toMatchObject({ basePremium: 1000, totalDiscounts: 200, netPremium: 5000, totalPremium: 5000 });
+    });
+
+    it('rejects a sum insured that is not positive', () => {
+      expect(() => ratingEngineService.calculatePremium(product(), { sumInsured: 0 }))
+        .toThrow(expect.objectContaining({ statusCode: 400, message: 'Sum insured must be greater than zero' }));
+    });
+
+    it('rejects a sum insured above the maximum cover', () => {
+      expect(() => ratingEngineService.calculatePremium(product({ maximumCover: 500000 }), { sumInsured: 600000 }))
+        .toThrow(expect.objectContaining({
+          statusCode: 400,
+          message: 'Sum insured exceeds the maximum cover of 500000 for Test Product'
+        }));
+    });
+  });
+});
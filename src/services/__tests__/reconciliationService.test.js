@@ -0,0 +1,102 @@
+import { jest } from '@jest/globals';
+import { Op } from 'sequelize';
+
+// Just enough of a Sequelize where clause for the reconciliation look-ups
+const matches = (row, where) => Object.entries(where).every(([key, value]) => {
+  if (Array.isArray(value)) return value.includes(row[key]);
+  if (value && value[Op.ne] !== undefined) return row[key] !== value[Op.ne];
+  if (value && value[Op.between]) {
+    const [from, to] = value[Op.between];
+    return new Date(row[key]) >= from && new Date(row[key]) <= to;
+  }
+  return row[key] === value;
+}) && (!where[Op.or] || where[Op.or].some(condition => matches(row, condition)));
+
+const table = rows => ({
+  findAll: async ({ where }) => rows.filter(row => matches(row, where)).map(row => ({ ...row, toJSON: () => row }))
+});
+
+const viewPayments = [];
+const transactions = [];
+const matchedLines = [];
+
+jest.unstable_mockModule('../../models/index.js', () => ({
+  default: async () => ({
+    Payment: { unscoped: () => table(viewPayments) },
+    PaymentTransaction: table(transactions),
+    ReconciliationLine: { findAll: async () => matchedLines },
+    Reconciliation: {},
+    Policy: {},
+    User: {}
+  })
+}));
+
+const { default: reconciliationService } = await import('../reconciliationService.js');
+
+const payment = (id, values) => ({
+  id,
+  status: 'COMPLETED',
+  paymentMethod: 'MPESA',
+  paymentType: 'INSTALLMENT',
+  transactionId: null,
+  mpesaCode: null,
+  ...values
+});
+
+const line = (lineNumber, reference, amount, date) => ({ lineNumber, reference, amount, transactionDate: new Date(date) });
+
+describe('reconciliationService.autoMatch', () => {
+  beforeEach(() => {
+    viewPayments.length = 0;
+    transactions.length = 0;
+    matchedLines.length = 0;
+  });
+
+  it('matches on transaction ID, taking every installment the receipt was split across', async () => {
+    transactions.push(
+      payment('txn-1', { transactionId: 'QFT1ABC234', mpesaCode: 'QFT1ABC234', amount: '3000.00', paymentDate: '2025-03-15' }),
+      payment('txn-2', { transactionId: 'QFT1ABC234-2', mpesaCode: 'QFT1ABC234', amount: '1999.00', paymentDate: '2025-03-15' })
+    );
+
+    const [result] = await reconciliationService.autoMatch([line(2, 'QFT1ABC234', 5000, '2025-03-15')], 'MPESA', 2);
+
+    expect(result).toMatchObject({ status: 'MATCHED', matchMethod: 'TRANSACTION_ID', paymentIds: ['txn-1', 'txn-2'], variance: 1 });
+  });
+
+  it('falls back to the M-Pesa code on the view', async () => {
+    viewPayments.push(payment('pay-1', { transactionId: 'ws_CO_1', mpesaCode: 'QFT1ABC999', amount: '2500.00', paymentDate: '2025-03-15' }));
+
+    const [result] = await reconciliationService.autoMatch([line(2, 'QFT1ABC999', 2500, '2025-03-16')], 'MPESA', 2);
+
+    expect(result).toMatchObject({ status: 'MATCHED', matchMethod: 'MPESA_CODE', paymentIds: ['pay-1'], variance: 0 });
+  });
+
+  it('matches on amount to the nearest payment date within the tolerance, using each payment once', async () => {
+    viewPayments.push(payment('pay-far', { paymentMethod: 'BANK_TRANSFER', amount: '12000.00', paymentDate: '2025-04-03' }));
+    transactions.push(
+      payment('txn-near', { paymentMethod: 'BANK_TRANSFER', amount: '12000.00', paymentDate: '2025-04-01' }),
+      payment('txn-refund', { paymentMethod: 'BANK_TRANSFER', paymentType: 'ADJUSTMENT', amount: '-12000.00', paymentDate: '2025-04-01' })
+    );
+
+    const results = await reconciliationService.autoMatch([
+      line(2, null, 12000, '2025-04-01'),
+      line(3, 'FT-UNKNOWN', 12000, '2025-04-01'),
+      line(4, null, 12000, '2025-04-01')
+    ], 'BANK', 2);
+
+    expect(results.map(result => [result.status, result.paymentIds])).toEqual([
+      ['MATCHED', ['txn-near']],
+      ['MATCHED', ['pay-far']],
+      ['UNMATCHED', undefined]
+    ]);
+  });
+
+  it('skips payments already matched on another statement', async () => {
+    transactions.push(payment('txn-1', { transactionId: 'QFT1ABC234', amount: '5000.00', paymentDate: '2025-03-15' }));
+    matchedLines.push({ paymentIds: ['txn-1'] });
+
+    const [result] = await reconciliationService.autoMatch([line(2, 'QFT1ABC234', 5000, '2025-03-15')], 'MPESA', 2);
+
+    expect(result.status).toBe('UNMATCHED');
+  });
+});
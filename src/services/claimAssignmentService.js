@@ -0,0 +1,311 @@
+import moment from 'moment';
+import { Op } from 'sequelize';
+import initializeModels from '../models/index.js';
+import AppError from '../utils/appError.js';
+
+// Claims that still need work from their adjuster
+export const OPEN_CLAIM_STATUSES = ['SUBMITTED', 'UNDER_REVIEW', 'APPROVED'];
+
+// Ways an adjuster can be picked automatically
+export const ASSIGNMENT_STRATEGIES = ['ROUND_ROBIN', 'LEAST_OPEN'];
+
+let Claim, ClaimAssignment, User;
+
+// Initialize models when needed
+const initializeClaimAssignmentService = async () => {
+  if (!Claim) {
+    const models = await initializeModels();
+    Claim = models.Claim;
+    ClaimAssignment = models.ClaimAssignment;
+    User = models.User;
+  }
+};
+
+class ClaimAssignmentService {
+  /**
+   * Strategy for automatic assignment (CLAIM_ASSIGNMENT_STRATEGY, default LEAST_OPEN)
+   * @returns {string} ROUND_ROBIN or LEAST_OPEN
+   */
+  getStrategy() {
+    const strategy = (process.env.CLAIM_ASSIGNMENT_STRATEGY || '').toUpperCase();
+    return ASSIGNMENT_STRATEGIES.includes(strategy) ? strategy : 'LEAST_OPEN';
+  }
+
+  /**
+   * Days a claim may stay under review before it breaches the SLA (CLAIM_REVIEW_SLA_DAYS, default 5)
+   * @returns {number} SLA in days
+   */
+  getReviewSlaDays() {
+    const days = parseInt(process.env.CLAIM_REVIEW_SLA_DAYS, 10);
+    return Number.isInteger(days) && days > 0 ? days : 5;
+  }
+
+  /**
+   * Active users with the claims role, in a stable order
+   * @param {Object} [options] - Options
+   * @param {Transaction} [options.transaction] - Transaction to read in
+   * @returns {Promise<Array<User>>} Adjusters
+   */
+  async getAdjusters({ transaction } = {}) {
+    await initializeClaimAssignmentService();
+
+    return User.findAll({
+      where: { role: 'claims', isActive: true },
+      attributes: ['id', 'firstName', 'lastName', 'email'],
+      order: [['id', 'ASC']],
+      transaction
+    });
+  }
+
+  /**
+   * Count open claims per adjuster
+   * @param {Array<string>} adjusterIds - Adjusters to count for
+   * @param {Transaction} [transaction] - Transaction to read in
+   * @returns {Promise<Object>} Open claim count by adjuster ID
+   */
+  async countOpenClaims(adjusterIds, transaction) {
+    const rows = await Claim.findAll({
+      where: { assignedTo: adjusterIds, status: OPEN_CLAIM_STATUSES },
+      attributes: ['assignedTo', [Claim.sequelize.fn('COUNT', Claim.sequelize.col('CLAIM_ID')), 'openClaims']],
+      group: ['assignedTo'],
+      raw: true,
+      transaction
+    });
+
+    return Object.fromEntries(rows.map(row => [row.assignedTo, parseInt(row.openClaims, 10)]));
+  }
+
+  /**
+   * Pick the adjuster for the next automatic assignment
+   * @param {string} strategy - ROUND_ROBIN or LEAST_OPEN
+   * @param {Transaction} [transaction] - Transaction to read in
+   * @returns {Promise<User|null>} The adjuster, or null if there are none
+   */
+  async pickAdjuster(strategy, transaction) {
+    const adjusters = await this.getAdjusters({ transaction });
+    if (adjusters.length === 0) return null;
+
+    if (strategy === 'ROUND_ROBIN') {
+      // Carry on from whoever got the last automatic assignment
+      const last = await ClaimAssignment.findOne({
+        where: { method: 'ROUND_ROBIN' },
+        order: [['assignedAt', 'DESC']],
+        transaction
+      });
+      const lastIndex = last ? adjusters.findIndex(adjuster => adjuster.id === last.assignedTo) : -1;
+      return adjusters[(lastIndex + 1) % adjusters.length];
+    }
+
+    // Fewest open claims; ties go to the first adjuster in order
+    const openClaims = await this.countOpenClaims(adjusters.map(adjuster => adjuster.id), transaction);
+    return adjusters.reduce((best, adjuster) =>
+      ((openClaims[adjuster.id] || 0) < (openClaims[best.id] || 0) ? adjuster : best));
+  }
+
+  /**
+   * Assign a claim to an adjuster and record it in the assignment history
+   * @param {Claim} claim - Claim to assign
+   * @param {string} adjusterId - Adjuster taking the claim
+   * @param {Object} details - Assignment details
+   * @param {string} details.method - ROUND_ROBIN, LEAST_OPEN or MANUAL
+   * @param {string} [details.reason] - Reason for a manual reassignment
+   * @param {string} [details.assignedBy] - User making the assignment (omit for automatic)
+   * @param {Transaction} [details.transaction] - Transaction to write in (one is started if omitted)
+   * @returns {Promise<ClaimAssignment>} The assignment record
+   */
+  async assign(claim, adjusterId, { method, reason = null, assignedBy = null, transaction: outerTransaction }) {
+    await initializeClaimAssignmentService();
+    const transaction = outerTransaction || await Claim.sequelize.transaction();
+
+    try {
+      const assignment = await ClaimAssignment.create({
+        claimId: claim.id,
+        assignedTo: adjusterId,
+        previousAssignee: claim.assignedTo,
+        method,
+        reason,
+        assignedBy
+      }, { transaction });
+
+      await claim.update({
+        assignedTo: adjusterId,
+        dateAssigned: new Date(),
+        updatedBy: assignedBy || claim.updatedBy
+      }, { transaction });
+
+      if (!outerTransaction) await transaction.commit();
+      return assignment;
+    } catch (error) {
+      if (!outerTransaction) await transaction.rollback();
+      throw error;
+    }
+  }
+
+  /**
+   * Assign a submitted claim automatically using the configured strategy.
+   * Claims waiting on a fraud referral are left unassigned.
+   * @param {Claim} claim - Claim to assign
+   * @param {Object} [options] - Options
+   * @param {Transaction} [options.transaction] - Transaction to assign in
+   * @returns {Promise<ClaimAssignment|null>} The assignment, or null if there is no adjuster to take it
+   */
+  async autoAssign(claim, { transaction } = {}) {
+    await initializeClaimAssignmentService();
+
+    // Referred claims wait for the referral decision
+    if (claim.assignedTo || claim.status !== 'SUBMITTED' || claim.referralStatus === 'PENDING') return null;
+
+    const strategy = this.getStrategy();
+    const adjuster = await this.pickAdjuster(strategy, transaction);
+    if (!adjuster) return null;
+
+    return this.assign(claim, adjuster.id, { method: strategy, transaction });
+  }
+
+  /**
+   * Reassign a claim to another adjuster
+   * @param {Claim} claim - Claim to reassign
+   * @param {string} adjusterId - New adjuster
+   * @param {string} reason - Why the claim is moving
+   * @param {string} userId - User making the change
+   * @returns {Promise<ClaimAssignment>} The assignment record
+   */
+  async reassign(claim, adjusterId, reason, userId) {
+    await initializeClaimAssignmentService();
+
+    if (!OPEN_CLAIM_STATUSES.includes(claim.status)) {
+      throw new AppError(`Claims with status ${claim.status} cannot be reassigned`, 409);
+    }
+
+    if (claim.assignedTo === adjusterId) {
+      throw new AppError('Claim is already assigned to this adjuster', 409);
+    }
+
+    const adjuster = await User.findOne({ where: { id: adjusterId, role: 'claims', isActive: true } });
+    if (!adjuster) {
+      throw new AppError('Adjuster not found or not an active claims user', 404);
+    }
+
+    return this.assign(claim, adjuster.id, { method: 'MANUAL', reason, assignedBy: userId });
+  }
+
+  /**
+   * Assignment history of a claim, oldest first
+   * @param {Claim} claim - Claim
+   * @returns {Promise<Array>} Assignment records
+   */
+  async getHistory(claim) {
+    await initializeClaimAssignmentService();
+
+    return ClaimAssignment.findAll({
+      where: { claimId: claim.id },
+      include: [
+        { model: User, as: 'assignee', attributes: ['id', 'firstName', 'lastName'] },
+        { model: User, as: 'assigner', attributes: ['id', 'firstName', 'lastName'] }
+      ],
+      order: [['assignedAt', 'ASC']]
+    });
+  }
+
+  /**
+   * Whether a claim has been under review longer than the SLA
+   * @param {Claim} claim - Claim
+   * @returns {boolean} True if the SLA is breached
+   */
+  isSlaBreached(claim) {
+    if (claim.status !== 'UNDER_REVIEW') return false;
+
+    const started = claim.reviewStartedAt || claim.dateAssigned;
+    return Boolean(started) && moment().diff(moment(started), 'days', true) > this.getReviewSlaDays();
+  }
+
+  /**
+   * Open claims grouped by adjuster, with SLA flags
+   * @param {Object} [filters] - Filters
+   * @param {string} [filters.adjusterId] - Only this adjuster's queue
+   * @returns {Promise<Object>} Queue per adjuster plus the unassigned claims
+   */
+  async getQueue({ adjusterId } = {}) {
+    await initializeClaimAssignmentService();
+
+    const adjusters = (await this.getAdjusters()).filter(adjuster => !adjusterId || adjuster.id === adjusterId);
+    const claims = await Claim.findAll({
+      where: {
+        status: OPEN_CLAIM_STATUSES,
+        ...(adjusterId
+          ? { assignedTo: adjusterId }
+          : { [Op.or]: [{ assignedTo: adjusters.map(adjuster => adjuster.id) }, { assignedTo: null }] })
+      },
+      order: [['dateReported', 'ASC']]
+    });
+
+    const slaDays = this.getReviewSlaDays();
+    const toQueueItem = (claim) => ({
+      id: claim.id,
+      claimNumber: claim.claimNumber,
+      status: claim.status,
+      dateReported: claim.dateReported,
+      dateAssigned: claim.dateAssigned,
+      reviewStartedAt: claim.reviewStartedAt,
+      estimatedAmount: claim.estimatedAmount,
+      slaBreached: this.isSlaBreached(claim)
+    });
+
+    const queues = adjusters.map((adjuster) => {
+      const items = claims.filter(claim => claim.assignedTo === adjuster.id).map(toQueueItem);
+      return {
+        adjuster,
+        openClaims: items.length,
+        underReview: items.filter(item => item.status === 'UNDER_REVIEW').length,
+        slaBreached: items.filter(item => item.slaBreached).length,
+        claims: items
+      };
+    });
+
+    return {
+      strategy: this.getStrategy(),
+      slaDays,
+      queues,
+      unassigned: adjusterId ? [] : claims.filter(claim => !claim.assignedTo).map(toQueueItem)
+    };
+  }
+
+  /**
+   * Nightly run: assign any submitted claims still without an adjuster and
+   * flag claims under review past the SLA
+   * @returns {Promise<Object>} Summary of the run
+   */
+  async processClaimQueue() {
+    await initializeClaimAssignmentService();
+
+    const unassigned = await Claim.findAll({
+      where: {
+        status: 'SUBMITTED',
+        assignedTo: null,
+        [Op.or]: [{ referralStatus: null }, { referralStatus: { [Op.ne]: 'PENDING' } }]
+      },
+      order: [['dateReported', 'ASC']]
+    });
+
+    const assigned = [];
+    for (const claim of unassigned) {
+      if (await this.autoAssign(claim)) assigned.push(claim.claimNumber);
+    }
+
+    const reviewing = await Claim.findAll({
+      where: { status: 'UNDER_REVIEW', slaBreachedAt: null }
+    });
+
+    const flagged = [];
+    for (const claim of reviewing) {
+      if (!this.isSlaBreached(claim)) continue;
+
+      await claim.update({ slaBreachedAt: new Date() });
+      flagged.push(claim.claimNumber);
+    }
+
+    return { assigned, flagged };
+  }
+}
+
+export default new ClaimAssignmentService();
@@ -0,0 +1,255 @@
+import fs from 'fs';
+import AppError from '../utils/appError.js';
+import { getRequiredDocuments, buildChecklist } from '../utils/claimChecklist.js';
+import documentService from './documentService.js';
+import notificationService from './notificationService.js';
+
+// How an incomplete checklist is handled on submission
+const ENFORCEMENT_MODES = ['block', 'warn'];
+
+// Claim statuses in which supporting documents can still be added or reviewed
+const DOCUMENT_STATUSES = ['DRAFT', 'SUBMITTED', 'UNDER_REVIEW'];
+
+// Documents generated when a claim is approved
+const SETTLEMENT_DOCUMENT_TYPES = ['DISCHARGE_VOUCHER', 'SETTLEMENT_LETTER'];
+
+// Claim statuses in which the settlement documents apply
+const SETTLED_STATUSES = ['APPROVED', 'PAID', 'CLOSED'];
+
+class ClaimDocumentService {
+  /**
+   * How missing documents are handled when a claim is submitted (CLAIM_DOCUMENT_ENFORCEMENT, default block)
+   * @returns {string} block (submission refused) or warn (submitted with the outstanding list)
+   */
+  getEnforcement() {
+    const mode = (process.env.CLAIM_DOCUMENT_ENFORCEMENT || '').toLowerCase();
+    return ENFORCEMENT_MODES.includes(mode) ? mode : 'block';
+  }
+
+  /**
+   * Get the documents a claim needs and which are still outstanding.
+   * Only verified documents count towards the checklist.
+   * @param {Claim} claim - Claim
+   * @returns {Promise<Object>} Claim type, checklist items, outstanding types and whether it is complete
+   */
+  async getChecklist(claim) {
+    const { Document, Policy, Product } = claim.sequelize.models;
+
+    const policy = await Policy.findByPk(claim.policyId, { attributes: ['id', 'productId'] });
+    const product = policy ? await Product.findByPk(policy.productId) : null;
+
+    const documents = await Document.findAll({
+      where: { claimId: claim.id },
+      attributes: ['id', 'documentType', 'status', 'originalName', 'createdAt'],
+      order: [['CREATED_AT', 'ASC']]
+    });
+
+    const required = getRequiredDocuments(product, claim.claimType);
+
+    return {
+      claimType: claim.claimType,
+      category: product ? product.category : null,
+      enforcement: this.getEnforcement(),
+      ...buildChecklist(required, documents)
+    };
+  }
+
+  /**
+   * Check a claim's documents before it is submitted
+   * @param {Claim} claim - Claim about to be submitted
+   * @returns {Promise<Object>} The checklist
+   * @throws {AppError} 409 listing the outstanding documents when enforcement is block
+   */
+  async assertSubmittable(claim) {
+    const checklist = await this.getChecklist(claim);
+
+    if (!checklist.complete && checklist.enforcement === 'block') {
+      throw new AppError(
+        `Required documents are not yet verified: ${checklist.outstanding.join(', ')}`,
+        409,
+        checklist.outstanding
+      );
+    }
+
+    return checklist;
+  }
+
+  /**
+   * Attach an uploaded document to a claim
+   * @param {Claim} claim - Claim
+   * @param {Object} file - Uploaded file
+   * @param {Object} details - Document details
+   * @param {string} details.documentType - Document type
+   * @param {string} [details.description] - Description
+   * @param {string} userId - User uploading the document
+   * @returns {Promise<Document>} The saved document
+   */
+  async uploadDocument(claim, file, { documentType, description }, userId) {
+    const { Document } = claim.sequelize.models;
+
+    if (!file) {
+      throw new AppError('A file is required', 400);
+    }
+
+    if (!DOCUMENT_STATUSES.includes(claim.status)) {
+      throw new AppError(`Documents cannot be added to a claim with status ${claim.status}`, 409);
+    }
+
+    return documentService.saveUploadedDocument(file, {
+      documentType,
+      policyId: claim.policyId,
+      claimId: claim.id,
+      description,
+      userId
+    }, Document);
+  }
+
+  /**
+   * Verify or reject a document attached to a claim
+   * @param {Claim} claim - Claim
+   * @param {string} documentId - Document to review
+   * @param {Object} decision - Review decision
+   * @param {string} decision.status - VERIFIED or REJECTED
+   * @param {string} [decision.reason] - Rejection reason
+   * @param {string} userId - User reviewing the document
+   * @returns {Promise<Document>} The reviewed document
+   */
+  async reviewDocument(claim, documentId, { status, reason }, userId) {
+    const { Document } = claim.sequelize.models;
+
+    const document = await Document.findOne({ where: { id: documentId, claimId: claim.id } });
+    if (!document) {
+      throw new AppError('Document not found on this claim', 404);
+    }
+
+    if (status === 'VERIFIED') {
+      await document.verify(userId);
+    } else {
+      await document.reject(userId, reason);
+    }
+
+    return document;
+  }
+
+  /**
+   * Generate the discharge voucher and settlement letter for an approved claim.
+   * Earlier versions are marked EXPIRED so only the latest pair is current.
+   * @param {Claim} claim - Approved claim
+   * @param {string} userId - User approving the claim
+   * @param {Object} [options] - Options
+   * @param {Transaction} [options.transaction] - Transaction to write in
+   * @returns {Promise<Object>} The discharge voucher and settlement letter documents
+   */
+  async generateSettlementDocuments(claim, userId, { transaction } = {}) {
+    const { Client, Document, Policy, Product } = claim.sequelize.models;
+
+    if (!['APPROVED', 'PAID'].includes(claim.status)) {
+      throw new AppError(`Settlement documents cannot be generated for a claim with status ${claim.status}`, 409);
+    }
+
+    const policy = await Policy.findByPk(claim.policyId, { transaction });
+    const [client, product] = await Promise.all([
+      Client.findByPk(claim.clientId, { transaction }),
+      policy ? Product.findByPk(policy.productId, { transaction }) : null
+    ]);
+    const details = { client, policy, product };
+
+    await Document.update(
+      { status: 'EXPIRED', updatedBy: userId },
+      { where: { claimId: claim.id, documentType: SETTLEMENT_DOCUMENT_TYPES, status: 'VERIFIED' }, transaction }
+    );
+
+    const dischargeVoucher = await documentService.generateDischargeVoucher(claim, details, userId, { transaction });
+    const settlementLetter = await documentService.generateSettlementLetter(claim, details, userId, { transaction });
+
+    return { dischargeVoucher, settlementLetter };
+  }
+
+  /**
+   * Get the current discharge voucher and settlement letter of a claim
+   * @param {Claim} claim - Claim
+   * @returns {Promise<Object>} The documents (null where none has been generated)
+   */
+  async getSettlementDocuments(claim) {
+    const { Document } = claim.sequelize.models;
+
+    const documents = await Document.findAll({
+      where: { claimId: claim.id, documentType: SETTLEMENT_DOCUMENT_TYPES, status: 'VERIFIED' },
+      order: [['CREATED_AT', 'DESC']]
+    });
+
+    const latest = documentType => documents.find(document => document.documentType === documentType) || null;
+
+    return {
+      dischargeVoucher: latest('DISCHARGE_VOUCHER'),
+      settlementLetter: latest('SETTLEMENT_LETTER')
+    };
+  }
+
+  /**
+   * Email the settlement letter and discharge voucher to the client,
+   * generating them first if the claim has none
+   * @param {Claim} claim - Approved claim
+   * @param {Object} options - Send options
+   * @param {string} [options.to] - Recipient (defaults to the client's email)
+   * @param {string} [options.message] - Custom email body
+   * @param {string} userId - User sending the documents
+   * @returns {Promise<Object>} Recipient, message ID and the documents sent
+   */
+  async sendSettlementDocuments(claim, { to, message } = {}, userId) {
+    const { Client } = claim.sequelize.models;
+
+    if (!SETTLED_STATUSES.includes(claim.status)) {
+      throw new AppError(`Claims with status ${claim.status} have no settlement documents to send`, 409);
+    }
+
+    let documents = await this.getSettlementDocuments(claim);
+    if (!documents.dischargeVoucher || !documents.settlementLetter) {
+      documents = await this.generateSettlementDocuments(claim, userId);
+    }
+
+    const client = await Client.findByPk(claim.clientId);
+    const recipient = to || (client && client.email);
+
+    if (!recipient) {
+      throw new AppError('Client has no email address; provide a recipient', 400);
+    }
+
+    const result = await notificationService.sendClaimSettlement(
+      client,
+      claim,
+      [documents.settlementLetter, documents.dischargeVoucher],
+      { to: recipient, message }
+    );
+
+    if (!result.success) {
+      throw new AppError(`Settlement email could not be sent: ${result.error}`, 502);
+    }
+
+    return { sentTo: recipient, messageId: result.messageId, ...documents };
+  }
+
+  /**
+   * Find a claim document and check its file is still in storage
+   * @param {Claim} claim - Claim
+   * @param {string} documentId - Document to download
+   * @returns {Promise<Document>} The document
+   */
+  async getDocumentFile(claim, documentId) {
+    const { Document } = claim.sequelize.models;
+
+    const document = await Document.findOne({ where: { id: documentId, claimId: claim.id } });
+    if (!document) {
+      throw new AppError('Document not found on this claim', 404);
+    }
+
+    const exists = await fs.promises.access(document.filePath).then(() => true, () => false);
+    if (!exists) {
+      throw new AppError('Document file is missing from storage', 404);
+    }
+
+    return document;
+  }
+}
+
+export default new ClaimDocumentService();
@@ -0,0 +1,95 @@
+import AppError from '../utils/appError.js';
+import { roundMoney } from '../utils/proRata.js';
+import claimService from './claimService.js';
+
+// Claim statuses each kind of ledger entry can be made in
+const ENTRY_STATUSES = {
+  RESERVE_SET: ['SUBMITTED', 'UNDER_REVIEW', 'APPROVED'],
+  RESERVE_ADJUST: ['SUBMITTED', 'UNDER_REVIEW', 'APPROVED'],
+  PAYMENT: ['APPROVED', 'PAID'],
+  RECOVERY: ['APPROVED', 'PAID', 'CLOSED'],
+  SALVAGE: ['APPROVED', 'PAID', 'CLOSED']
+};
+
+class ClaimLedgerService {
+  /**
+   * Get a claim's ledger entries and the position they add up to
+   * @param {Claim} claim - Claim
+   * @returns {Promise<Object>} Entries (oldest first) and summary
+   */
+  async getLedger(claim) {
+    const { ClaimLedgerEntry, User } = claim.sequelize.models;
+
+    const entries = await ClaimLedgerEntry.findAll({
+      where: { claimId: claim.id },
+      include: [
+        { model: User, as: 'creator', attributes: ['id', 'firstName', 'lastName'] }
+      ],
+      order: [['CREATED_AT', 'ASC']]
+    });
+
+    return {
+      entries,
+      summary: {
+        approvedAmount: claim.approvedAmount === null ? null : parseFloat(claim.approvedAmount),
+        ...ClaimLedgerEntry.summarize(entries)
+      }
+    };
+  }
+
+  /**
+   * Add an entry to a claim's ledger. Payments go through Claim.recordPayment,
+   * which enforces the approved amount and sum insured caps.
+   * @param {Claim} claim - Claim
+   * @param {Object} entry - Entry details
+   * @param {string} entry.entryType - RESERVE_SET, RESERVE_ADJUST, PAYMENT, RECOVERY or SALVAGE
+   * @param {number} entry.amount - Amount (negative only for RESERVE_ADJUST)
+   * @param {string} [entry.entryDate] - Date the movement took effect (defaults to today)
+   * @param {string} [entry.paymentMethod] - How money was paid or received
+   * @param {string} [entry.reference] - External reference
+   * @param {string} [entry.notes] - Notes
+   * @param {string} userId - User making the entry
+   * @returns {Promise<Object>} The new entry and the updated ledger summary
+   */
+  async addEntry(claim, { entryType, amount, entryDate, paymentMethod, reference, notes }, userId) {
+    const { ClaimLedgerEntry } = claim.sequelize.models;
+    const value = roundMoney(parseFloat(amount));
+
+    if (!(ENTRY_STATUSES[entryType] || []).includes(claim.status)) {
+      throw new AppError(`${entryType} entries cannot be made on a claim with status ${claim.status}`, 409);
+    }
+
+    if (entryType === 'RESERVE_ADJUST' ? value === 0 : !(value > 0)) {
+      throw new AppError('Amount must be greater than zero', 400);
+    }
+
+    let entry;
+
+    if (entryType === 'PAYMENT') {
+      entry = await claimService.runTransition(() =>
+        claim.recordPayment(value, paymentMethod, reference, userId, notes, entryDate));
+    } else {
+      if (entryType === 'RESERVE_ADJUST') {
+        const { reserve } = await claim.getLedgerSummary();
+        if (reserve + value < 0) {
+          throw new AppError(`Adjustment would take the reserve below zero (current reserve ${reserve})`, 409);
+        }
+      }
+
+      entry = await ClaimLedgerEntry.create({
+        claimId: claim.id,
+        entryType,
+        amount: value,
+        entryDate: entryDate || new Date(),
+        paymentMethod,
+        reference,
+        notes,
+        createdBy: userId
+      });
+    }
+
+    return { entry, summary: await claim.getLedgerSummary() };
+  }
+}
+
+export default new ClaimLedgerService();
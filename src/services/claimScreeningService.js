@@ -0,0 +1,199 @@
+import moment from 'moment';
+import { Op } from 'sequelize';
+import initializeModels from '../models/index.js';
+import AppError from '../utils/appError.js';
+
+// Read a positive integer setting, falling back to a default
+const intSetting = (name, fallback) => {
+  const value = parseInt(process.env[name], 10);
+  return Number.isInteger(value) && value > 0 ? value : fallback;
+};
+
+const normalizeLocation = location => (location || '').trim().toLowerCase().replace(/\s+/g, ' ');
+
+// Descriptions that point to a theft loss
+const THEFT_PATTERN = /\b(theft|thief|stolen|steal|burglary|burglar|robbery|robbed|hijack(ed|ing)?|break-in)\b/i;
+
+/**
+ * Screening rules run when a claim is submitted.
+ * Each rule returns a detail string when it triggers, or null.
+ */
+export const SCREENING_RULES = [
+  {
+    rule: 'EARLY_LOSS',
+    description: 'Loss soon after the policy started',
+    score: 30,
+    evaluate: async (claim, { policy }) => {
+      const days = intSetting('CLAIM_EARLY_LOSS_DAYS', 30);
+      const sinceInception = moment(claim.dateOfLoss).diff(moment(policy.policyStartDate).startOf('day'), 'days');
+
+      return sinceInception <= days
+        ? `Loss ${sinceInception} day(s) after the policy started (threshold ${days})`
+        : null;
+    }
+  },
+  {
+    rule: 'REPEAT_CLAIMS',
+    description: 'Several claims on the same policy in a short window',
+    score: 25,
+    evaluate: async (claim, { Claim, transaction }) => {
+      const days = intSetting('CLAIM_REPEAT_WINDOW_DAYS', 90);
+      const count = await Claim.count({
+        where: {
+          id: { [Op.ne]: claim.id },
+          policyId: claim.policyId,
+          status: { [Op.ne]: 'DRAFT' },
+          dateOfLoss: {
+            [Op.between]: [
+              moment(claim.dateOfLoss).subtract(days, 'days').format('YYYY-MM-DD'),
+              moment(claim.dateOfLoss).add(days, 'days').format('YYYY-MM-DD')
+            ]
+          }
+        },
+        transaction
+      });
+
+      return count > 0 ? `${count} other claim(s) on this policy within ${days} days of the loss` : null;
+    }
+  },
+  {
+    rule: 'DUPLICATE_LOSS',
+    description: 'Same loss date and location claimed by another client',
+    score: 40,
+    evaluate: async (claim, { Claim, transaction }) => {
+      const sameDay = await Claim.findAll({
+        where: {
+          id: { [Op.ne]: claim.id },
+          clientId: { [Op.ne]: claim.clientId },
+          dateOfLoss: claim.dateOfLoss,
+          status: { [Op.ne]: 'DRAFT' }
+        },
+        attributes: ['claimNumber', 'location'],
+        transaction
+      });
+
+      const matches = sameDay.filter(other => normalizeLocation(other.location) === normalizeLocation(claim.location));
+
+      return matches.length > 0
+        ? `Same date and location as claim(s) ${matches.map(other => other.claimNumber).join(', ')}`
+        : null;
+    }
+  },
+  {
+    rule: 'POLICY_IN_ARREARS',
+    description: 'Policy has overdue installments',
+    score: 20,
+    evaluate: async (claim, { policy }) => (
+      policy.overdueInstallments > 0
+        ? `Policy has ${policy.overdueInstallments} overdue installment(s)`
+        : null
+    )
+  },
+  {
+    rule: 'THEFT_WITHOUT_POLICE_REPORT',
+    description: 'Theft claimed without a police report',
+    score: 25,
+    evaluate: async (claim) => {
+      const isTheft = claim.claimType === 'THEFT' || THEFT_PATTERN.test(claim.description || '');
+
+      return isTheft && !claim.isPoliceReport && !claim.policeReportNumber
+        ? 'Theft loss with no police report'
+        : null;
+    }
+  }
+];
+
+let Claim;
+
+// Initialize models when needed
+const initializeClaimScreeningService = async () => {
+  if (!Claim) {
+    const models = await initializeModels();
+    Claim = models.Claim;
+  }
+};
+
+class ClaimScreeningService {
+  /**
+   * Score at or above which a claim is referred (CLAIM_REFERRAL_THRESHOLD, default 50)
+   * @returns {number} Referral threshold
+   */
+  getReferralThreshold() {
+    return intSetting('CLAIM_REFERRAL_THRESHOLD', 50);
+  }
+
+  /**
+   * Run every screening rule against a claim and store the score and triggered rules.
+   * Claims scoring at or above the threshold are referred for investigation.
+   * @param {Claim} claim - Submitted claim
+   * @param {Object} [options] - Options
+   * @param {Transaction} [options.transaction] - Transaction to read and write in
+   * @returns {Promise<Object>} Score, triggered rules and whether the claim was referred
+   */
+  async screen(claim, { transaction } = {}) {
+    const { Policy } = claim.sequelize.models;
+    const policy = await Policy.findByPk(claim.policyId, { transaction });
+    const context = { Claim: claim.constructor, policy, transaction };
+
+    const flags = [];
+    for (const { rule, score, evaluate } of SCREENING_RULES) {
+      const detail = await evaluate(claim, context);
+      if (detail) flags.push({ rule, score, detail });
+    }
+
+    const riskScore = Math.min(100, flags.reduce((total, flag) => total + flag.score, 0));
+    const referred = riskScore >= this.getReferralThreshold();
+
+    await claim.update({
+      riskScore,
+      riskFlags: flags,
+      screenedAt: new Date(),
+      ...(referred && { referralStatus: 'PENDING' })
+    }, { transaction });
+
+    return { riskScore, flags, referred };
+  }
+
+  /**
+   * Claims waiting on a fraud referral decision, highest risk first
+   * @returns {Promise<Array<Claim>>} Referred claims
+   */
+  async getReferralQueue() {
+    await initializeClaimScreeningService();
+
+    return Claim.findAll({
+      where: { referralStatus: 'PENDING' },
+      include: [
+        { association: 'policy', attributes: ['id', 'policyNumber', 'policyStartDate', 'overdueInstallments'] },
+        { association: 'client', attributes: ['id', 'firstName', 'lastName'] }
+      ],
+      order: [['riskScore', 'DESC'], ['dateReported', 'ASC']]
+    });
+  }
+
+  /**
+   * Record the outcome of a referral
+   * @param {Claim} claim - Referred claim
+   * @param {string} decision - CLEARED (carry on with the claim) or CONFIRMED (fraud; the claim is rejected)
+   * @param {string} notes - Investigator notes
+   * @param {string} userId - User deciding the referral
+   * @returns {Promise<Claim>} The updated claim
+   */
+  async decideReferral(claim, decision, notes, userId) {
+    if (claim.referralStatus !== 'PENDING') {
+      throw new AppError('Claim is not waiting on a referral decision', 409);
+    }
+
+    await claim.update({
+      referralStatus: decision,
+      referralNotes: notes,
+      referralReviewedBy: userId,
+      referralReviewedAt: new Date(),
+      updatedBy: userId
+    });
+
+    return claim;
+  }
+}
+
+export default new ClaimScreeningService();
@@ -0,0 +1,291 @@
+import moment from 'moment';
+import initializeModels from '../models/index.js';
+import AppError from '../utils/appError.js';
+import claimAssignmentService from './claimAssignmentService.js';
+import claimDocumentService from './claimDocumentService.js';
+import claimScreeningService from './claimScreeningService.js';
+
+let Claim, Policy, Client;
+
+// Initialize models when needed
+const initializeClaimService = async () => {
+  if (!Claim) {
+    const models = await initializeModels();
+    Claim = models.Claim;
+    Policy = models.Policy;
+    Client = models.Client;
+  }
+};
+
+// Fields a claimant can still change while the claim is a draft
+const EDITABLE_CLAIM_FIELDS = [
+  'claimType',
+  'dateOfLoss',
+  'description',
+  'location',
+  'estimatedAmount',
+  'policeReportNumber',
+  'isPoliceReport'
+];
+
+class ClaimService {
+  /**
+   * Find the Client record behind a customer login (matched on email)
+   * @param {User} user - Logged-in user
+   * @returns {Promise<Client|null>} The client, or null for staff users
+   * @throws {AppError} 403 if a customer has no client record
+   */
+  async getClientForUser(user) {
+    await initializeClaimService();
+
+    if (user.role !== 'customer') return null;
+
+    const client = await Client.findOne({ where: { email: user.email.toLowerCase() } });
+    if (!client) {
+      throw new AppError('No client record is linked to this account', 403);
+    }
+
+    return client;
+  }
+
+  /**
+   * Check that a user may see a claim; customers only see their own
+   * @param {Claim} claim - Claim being accessed
+   * @param {User} user - Logged-in user
+   * @throws {AppError} 403 if the claim belongs to another client
+   */
+  async assertCanAccess(claim, user) {
+    const client = await this.getClientForUser(user);
+
+    if (client && claim.clientId !== client.id) {
+      throw new AppError('Not authorized to access this claim', 403);
+    }
+  }
+
+  /**
+   * Check a date of loss against the policy period
+   * @param {Policy} policy - Policy claimed against
+   * @param {Date|string} dateOfLoss - Date of loss
+   * @throws {AppError} 400 if the loss is in the future or outside the period of cover
+   */
+  assertDateOfLoss(policy, dateOfLoss) {
+    const lossDate = moment(dateOfLoss).startOf('day');
+
+    if (lossDate.isAfter(moment().endOf('day'))) {
+      throw new AppError('Date of loss cannot be in the future', 400);
+    }
+
+    if (lossDate.isBefore(moment(policy.policyStartDate).startOf('day')) ||
+        lossDate.isAfter(moment(policy.policyEndDate).endOf('day'))) {
+      throw new AppError(
+        `Date of loss must fall within the policy period (${moment(policy.policyStartDate).format('YYYY-MM-DD')} to ${moment(policy.policyEndDate).format('YYYY-MM-DD')})`,
+        400
+      );
+    }
+  }
+
+  /**
+   * File a claim against an active policy
+   * @param {Object} input - Claim details
+   * @param {string} input.policyId - Policy claimed against
+   * @param {string} [input.claimType=OTHER] - Kind of loss
+   * @param {string} input.dateOfLoss - Date the loss happened
+   * @param {string} input.description - What happened
+   * @param {string} input.location - Where it happened
+   * @param {number} [input.estimatedAmount] - Claimant's estimate
+   * @param {boolean} [input.saveAsDraft=false] - Keep the claim as a draft instead of submitting it
+   * @param {User} user - User filing the claim
+   * @returns {Promise<Claim>} The new claim; it stays a draft while required documents are
+   * outstanding and CLAIM_DOCUMENT_ENFORCEMENT is block
+   */
+  async fileClaim(input, user) {
+    await initializeClaimService();
+
+    const policy = await Policy.findByPk(input.policyId);
+    if (!policy) {
+      throw new AppError('Policy not found', 404);
+    }
+
+    const client = await this.getClientForUser(user);
+    if (client && policy.clientId !== client.id) {
+      throw new AppError('Claims can only be filed against your own policies', 403);
+    }
+
+    if (policy.status !== 'ACTIVE') {
+      throw new AppError(`Claims cannot be filed against a policy with status ${policy.status}`, 409);
+    }
+
+    this.assertDateOfLoss(policy, input.dateOfLoss);
+
+    const claim = await Claim.create({
+      policyId: policy.id,
+      clientId: policy.clientId,
+      claimType: input.claimType || 'OTHER',
+      dateOfLoss: moment(input.dateOfLoss).format('YYYY-MM-DD'),
+      description: input.description,
+      location: input.location,
+      estimatedAmount: input.estimatedAmount,
+      policeReportNumber: input.policeReportNumber,
+      isPoliceReport: Boolean(input.isPoliceReport || input.policeReportNumber),
+      status: 'DRAFT',
+      createdBy: user.id
+    });
+
+    if (input.saveAsDraft) return claim;
+
+    // Documents are uploaded against the claim, so keep it as a draft until they are in
+    const checklist = await claimDocumentService.getChecklist(claim);
+    if (!checklist.complete && checklist.enforcement === 'block') return claim;
+
+    return this.submitClaim(claim, user.id);
+  }
+
+  /**
+   * Change the details of a draft claim
+   * @param {Claim} claim - Draft claim
+   * @param {Object} changes - New values for the editable fields
+   * @param {string} userId - User editing the claim
+   * @returns {Promise<Claim>} The updated claim
+   */
+  async updateClaim(claim, changes, userId) {
+    await initializeClaimService();
+
+    if (claim.status !== 'DRAFT') {
+      throw new AppError('Only draft claims can be edited', 409);
+    }
+
+    const updates = Object.fromEntries(
+      EDITABLE_CLAIM_FIELDS
+        .filter(field => changes[field] !== undefined)
+        .map(field => [field, changes[field]])
+    );
+
+    if (updates.dateOfLoss) {
+      const policy = await Policy.findByPk(claim.policyId);
+      this.assertDateOfLoss(policy, updates.dateOfLoss);
+      updates.dateOfLoss = moment(updates.dateOfLoss).format('YYYY-MM-DD');
+    }
+
+    return claim.update({ ...updates, updatedBy: userId });
+  }
+
+  /**
+   * Submit a draft claim, screen it for fraud and hand it to an adjuster in one
+   * transaction; if any step fails the claim stays a draft.
+   * Claims referred by the screening wait in the referral queue instead.
+   * Outstanding required documents block submission unless CLAIM_DOCUMENT_ENFORCEMENT is warn.
+   * @param {Claim} claim - Draft claim
+   * @param {string} userId - User submitting the claim
+   * @returns {Promise<Claim>} The submitted claim
+   */
+  async submitClaim(claim, userId) {
+    if (claim.status === 'DRAFT') {
+      await claimDocumentService.assertSubmittable(claim);
+    }
+
+    const transaction = await claim.sequelize.transaction();
+
+    try {
+      await this.runTransition(() => claim.submit(userId, { transaction }));
+
+      const { referred } = await claimScreeningService.screen(claim, { transaction });
+      if (!referred) {
+        await claimAssignmentService.autoAssign(claim, { transaction });
+      }
+
+      await transaction.commit();
+      return claim;
+    } catch (error) {
+      await transaction.rollback();
+      throw error;
+    }
+  }
+
+  /**
+   * Decide a fraud referral. Cleared claims go on to an adjuster; confirmed ones are rejected.
+   * @param {Claim} claim - Referred claim
+   * @param {string} decision - CLEARED or CONFIRMED
+   * @param {string} notes - Investigator notes
+   * @param {string} userId - User deciding the referral
+   * @returns {Promise<Claim>} The updated claim
+   */
+  async decideReferral(claim, decision, notes, userId) {
+    await claimScreeningService.decideReferral(claim, decision, notes, userId);
+
+    if (decision === 'CONFIRMED') {
+      return this.runTransition(() => claim.reject(`Confirmed fraudulent after referral: ${notes}`, userId));
+    }
+
+    await claimAssignmentService.autoAssign(claim);
+    return claim;
+  }
+
+  /**
+   * Move a claim to a new status through the model's transition methods.
+   * PAID is reached by recording payments, not set directly.
+   * @param {Claim} claim - Claim to update
+   * @param {Object} change - Requested change
+   * @param {string} change.status - SUBMITTED, UNDER_REVIEW, APPROVED, REJECTED or CLOSED
+   * @param {number} [change.approvedAmount] - Amount approved (defaults to the estimate)
+   * @param {string} [change.reason] - Rejection reason
+   * @param {string} userId - User making the change
+   * @returns {Promise<Claim>} The updated claim
+   */
+  async updateStatus(claim, { status, approvedAmount, reason }, userId) {
+    if (claim.referralStatus === 'PENDING' && ['UNDER_REVIEW', 'APPROVED'].includes(status)) {
+      throw new AppError('Claim is referred for fraud review; decide the referral first', 409);
+    }
+
+    switch (status) {
+      case 'SUBMITTED':
+        return this.submitClaim(claim, userId);
+      case 'UNDER_REVIEW':
+        return this.runTransition(() => claim.startReview(userId));
+      case 'APPROVED':
+        return this.approveClaim(claim, approvedAmount, userId);
+      case 'REJECTED':
+        return this.runTransition(() => claim.reject(reason, userId));
+      case 'CLOSED':
+        return this.runTransition(() => claim.close(userId));
+      default:
+        throw new AppError(`Claims cannot be moved to ${status} directly`, 400);
+    }
+  }
+
+  /**
+   * Approve a claim and generate its discharge voucher and settlement letter.
+   * The documents are written once the approval has committed so a failed approval
+   * leaves no files behind; if they fail they can be generated again from the claim.
+   * @param {Claim} claim - Submitted or under review claim
+   * @param {number} [approvedAmount] - Amount approved (defaults to the estimate)
+   * @param {string} userId - User approving the claim
+   * @returns {Promise<Claim>} The approved claim
+   */
+  async approveClaim(claim, approvedAmount, userId) {
+    await this.runTransition(() => claim.approve(approvedAmount, userId));
+
+    try {
+      await claimDocumentService.generateSettlementDocuments(claim, userId);
+    } catch (error) {
+      console.error(`Settlement documents failed for claim ${claim.claimNumber}:`, error.message);
+    }
+
+    return claim;
+  }
+
+  /**
+   * Run a model transition, reporting rule violations as 409s
+   * @param {Function} transition - Calls the claim's transition method
+   * @returns {Promise<Claim>} The updated claim
+   */
+  async runTransition(transition) {
+    try {
+      return await transition();
+    } catch (error) {
+      if (error instanceof AppError || error.name?.startsWith('Sequelize')) throw error;
+      throw new AppError(error.message, 409);
+    }
+  }
+}
+
+export default new ClaimService();
@@ -0,0 +1,406 @@
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+import moment from 'moment';
+import PDFDocument from 'pdfkit';
+
+// Where generated documents are written
+const STORAGE_PATH = process.env.DOCUMENT_STORAGE_PATH || path.join(process.cwd(), 'uploads', 'documents');
+
+const formatMoney = (amount) => parseFloat(amount || 0).toLocaleString('en-KE', {
+  minimumFractionDigits: 2,
+  maximumFractionDigits: 2
+});
+
+const formatDate = (date) => (date ? moment(date).format('DD MMM YYYY') : '-');
+
+// Company name printed on client-facing documents
+const COMPANY_NAME = process.env.COMPANY_NAME || 'EasyBima';
+
+class DocumentService {
+  /**
+   * Render a PDF to a buffer
+   * @param {Function} draw - Receives the PDFKit document and draws the content
+   * @returns {Promise<Buffer>} The PDF bytes
+   */
+  renderPdf(draw) {
+    return new Promise((resolve, reject) => {
+      const doc = new PDFDocument({ size: 'A4', margin: 50 });
+      const chunks = [];
+
+      doc.on('data', chunk => chunks.push(chunk));
+      doc.on('end', () => resolve(Buffer.concat(chunks)));
+      doc.on('error', reject);
+
+      draw(doc);
+      doc.end();
+    });
+  }
+
+  /**
+   * Draw the company letterhead at the top of a page
+   * @param {PDFDocument} doc - Document being drawn
+   * @param {string} title - Document title
+   */
+  drawLetterhead(doc, title) {
+    doc.fontSize(20).fillColor('#0B5394').text(COMPANY_NAME, { align: 'left' });
+    doc.fontSize(9).fillColor('#555555').text(process.env.COMPANY_ADDRESS || '', { align: 'left' });
+    doc.moveDown(0.5);
+    doc.moveTo(50, doc.y).lineTo(545, doc.y).strokeColor('#0B5394').stroke();
+    doc.moveDown();
+    doc.fillColor('#000000').fontSize(16).text(title, { align: 'center' });
+    doc.moveDown();
+  }
+
+  /**
+   * Draw a two-column table of label/amount lines
+   * @param {PDFDocument} doc - Document being drawn
+   * @param {string} heading - Section heading
+   * @param {Array} lines - Lines {description, amount, rate?}
+   * @param {Object} [options] - Options
+   * @param {string} [options.sign=''] - Prefix for amounts, e.g. '-' for discounts
+   */
+  drawAmountLines(doc, heading, lines, { sign = '' } = {}) {
+    if (!lines || lines.length === 0) return;
+
+    doc.fontSize(11).text(heading, { underline: true });
+    doc.fontSize(10);
+    lines.forEach((line) => {
+      const label = line.rate !== undefined && line.rate !== null
+        ? `${line.description || line.type} (${line.rate}%)`
+        : (line.description || line.type);
+      const y = doc.y;
+      doc.text(label, 60, y, { width: 330 });
+      doc.text(`${sign}${formatMoney(line.amount)}${line.inclusive ? ' (incl.)' : ''}`, 400, y, { width: 145, align: 'right' });
+    });
+    doc.x = 50;
+    doc.moveDown(0.5);
+  }
+
+  /**
+   * Render a client-facing quotation PDF
+   * @param {Quote} quote - Quote to print
+   * @param {Object} details - Data printed on the quotation
+   * @param {Object} details.client - Client being quoted
+   * @param {Object} details.product - Product quoted
+   * @returns {Promise<Buffer>} The PDF bytes
+   */
+  renderQuotation(quote, { client, product }) {
+    return this.renderPdf((doc) => {
+      this.drawLetterhead(doc, 'QUOTATION');
+
+      doc.fontSize(10);
+      doc.text(`Quote Number: ${quote.quoteNumber}`);
+      doc.text(`Date: ${formatDate(quote.createdAt || new Date())}`);
+      doc.text(`Valid From: ${formatDate(quote.validFrom)}   Valid To: ${formatDate(quote.validTo)}`);
+      doc.moveDown();
+
+      doc.fontSize(11).text('Client', { underline: true });
+      doc.fontSize(10);
+      doc.text(client ? `${client.firstName} ${client.lastName}` : '-');
+      if (client && client.email) doc.text(client.email);
+      if (client && client.phone) doc.text(client.phone);
+      if (client && client.address) doc.text(client.address);
+      doc.moveDown();
+
+      doc.fontSize(11).text('Cover', { underline: true });
+      doc.fontSize(10);
+      doc.text(`Product: ${product ? `${product.name} (${product.code})` : '-'}`);
+      doc.text(`Sum Insured: KES ${formatMoney(quote.sumInsured)}`);
+      doc.text(`Rate: ${parseFloat(quote.rate || 0)}%`);
+      doc.moveDown();
+
+      this.drawAmountLines(doc, 'Base Premium', [{ description: 'Base premium', amount: quote.basePremium }]);
+      this.drawAmountLines(doc, 'Loadings', quote.loadings);
+      this.drawAmountLines(doc, 'Discounts', quote.discounts, { sign: '-' });
+      this.drawAmountLines(doc, 'Taxes', quote.taxes);
+      this.drawAmountLines(doc, 'Fees', quote.fees);
+
+      doc.moveDown(0.5);
+      doc.fontSize(12).text(`Total Premium: KES ${formatMoney(quote.totalPremium)}`, { align: 'right' });
+      doc.moveDown();
+
+      if (quote.clientNotes) {
+        doc.fontSize(10).text(quote.clientNotes);
+        doc.moveDown();
+      }
+
+      doc.fontSize(8).fillColor('#555555').text(
+        `This quotation is valid until ${formatDate(quote.validTo)} and is subject to the terms and conditions of the policy.`,
+        { align: 'center' }
+      );
+    });
+  }
+
+  /**
+   * Write a generated file to storage and record it as a system-generated Document
+   * @param {Buffer} buffer - File content
+   * @param {Object} meta - Document details
+   * @param {string} meta.documentType - Document type (see Document.documentType)
+   * @param {string} meta.originalName - Download file name
+   * @param {string} [meta.policyId] - Policy the document belongs to
+   * @param {string} [meta.claimId] - Claim the document belongs to
+   * @param {string} [meta.description] - Description
+   * @param {string} meta.userId - User the document is generated for
+   * @param {Model} Document - Document model
+   * @param {Transaction} [transaction] - Transaction to write in
+   * @returns {Promise<Document>} The saved document
+   */
+  async saveGeneratedDocument(buffer, { documentType, originalName, policyId = null, claimId = null, description = null, userId }, Document, transaction) {
+    await fs.promises.mkdir(STORAGE_PATH, { recursive: true });
+
+    const fileName = `doc_${Date.now()}_${crypto.randomBytes(4).toString('hex')}.pdf`;
+    const filePath = path.join(STORAGE_PATH, fileName);
+    await fs.promises.writeFile(filePath, buffer);
+
+    try {
+      return await Document.create({
+        policyId,
+        claimId,
+        documentType,
+        fileName,
+        originalName,
+        filePath,
+        fileSize: buffer.length,
+        mimeType: 'application/pdf',
+        fileHash: crypto.createHash('sha256').update(buffer).digest('hex'),
+        status: 'VERIFIED',
+        description,
+        isSystemGenerated: true,
+        createdBy: userId
+      }, { transaction });
+    } catch (error) {
+      // Don't leave orphaned files behind
+      await fs.promises.unlink(filePath).catch(() => {});
+      throw error;
+    }
+  }
+
+  /**
+   * Store an uploaded file and record it as a Document waiting for verification
+   * @param {Object} file - Uploaded file (multer memory storage: buffer, originalname, mimetype, size)
+   * @param {Object} meta - Document details
+   * @param {string} meta.documentType - Document type (see Document.documentType)
+   * @param {string} [meta.policyId] - Policy the document belongs to
+   * @param {string} [meta.claimId] - Claim the document supports
+   * @param {string} [meta.description] - Description
+   * @param {string} meta.userId - User uploading the document
+   * @param {Model} Document - Document model
+   * @returns {Promise<Document>} The saved document
+   */
+  async saveUploadedDocument(file, { documentType, policyId = null, claimId = null, description = null, userId }, Document) {
+    await fs.promises.mkdir(STORAGE_PATH, { recursive: true });
+
+    const extension = path.extname(file.originalname || '').toLowerCase();
+    const fileName = `doc_${Date.now()}_${crypto.randomBytes(4).toString('hex')}${extension}`;
+    const filePath = path.join(STORAGE_PATH, fileName);
+    await fs.promises.writeFile(filePath, file.buffer);
+
+    try {
+      return await Document.create({
+        policyId,
+        claimId,
+        documentType,
+        fileName,
+        originalName: file.originalname,
+        filePath,
+        fileSize: file.size,
+        mimeType: file.mimetype,
+        fileHash: crypto.createHash('sha256').update(file.buffer).digest('hex'),
+        status: 'UPLOADED',
+        description,
+        createdBy: userId
+      });
+    } catch (error) {
+      await fs.promises.unlink(filePath).catch(() => {});
+      throw error;
+    }
+  }
+
+  /**
+   * Generate the policy schedule PDF and attach it to the policy
+   * @param {Policy} policy - Issued policy
+   * @param {Object} details - Data printed on the schedule
+   * @param {Object} details.client - Policyholder
+   * @param {Object} details.product - Product
+   * @param {Array} [details.installments] - Installment plan
+   * @param {string} userId - User issuing the policy
+   * @param {Object} [options] - Options
+   * @param {Transaction} [options.transaction] - Transaction to write in
+   * @returns {Promise<Document>} The schedule document
+   */
+  async generatePolicySchedule(policy, { client, product, installments = [] }, userId, { transaction } = {}) {
+    const { Document } = policy.sequelize.models;
+
+    const buffer = await this.renderPdf((doc) => {
+      this.drawLetterhead(doc, 'POLICY SCHEDULE');
+
+      doc.fontSize(11);
+      doc.text(`Policy Number: ${policy.policyNumber}`);
+      doc.text(`Product: ${product ? product.name : '-'}`);
+      doc.text(`Policyholder: ${client ? `${client.firstName} ${client.lastName}` : '-'}`);
+      doc.text(`Period of Cover: ${formatDate(policy.policyStartDate)} to ${formatDate(policy.policyEndDate)}`);
+      doc.text(`Sum Insured: KES ${formatMoney(policy.sumInsured)}`);
+      doc.text(`Annual Premium: KES ${formatMoney(policy.annualPremium)}`);
+      doc.moveDown();
+
+      if (installments.length > 0) {
+        doc.fontSize(13).text('Payment Plan');
+        doc.moveDown(0.5);
+        doc.fontSize(10);
+        installments.forEach((installment) => {
+          const label = installment.installmentNumber === 0
+            ? 'Down payment'
+            : `Installment ${installment.installmentNumber}`;
+          doc.text(`${label}: KES ${formatMoney(installment.amount)} due ${formatDate(installment.dueDate)}`);
+        });
+        doc.moveDown();
+      }
+
+      doc.fontSize(9).text(`Issued on ${formatDate(new Date())}`, { align: 'right' });
+    });
+
+    return this.saveGeneratedDocument(buffer, {
+      documentType: 'SCHEDULE',
+      originalName: `schedule-${policy.policyNumber.replace(/[^A-Z0-9-]/gi, '-')}.pdf`,
+      policyId: policy.id,
+      description: `Policy schedule for ${policy.policyNumber}`,
+      userId
+    }, Document, transaction);
+  }
+
+  /**
+   * Draw the claim, policy and amount block shared by the settlement documents
+   * @param {PDFDocument} doc - Document being drawn
+   * @param {Claim} claim - Approved claim
+   * @param {Object} details - Claim context
+   * @param {Object} details.client - Claimant
+   * @param {Object} details.policy - Policy claimed against
+   * @param {Object} details.product - Product
+   */
+  drawClaimDetails(doc, claim, { client, policy, product }) {
+    doc.fontSize(10);
+    doc.text(`Claim Number: ${claim.claimNumber}`);
+    doc.text(`Policy Number: ${policy ? policy.policyNumber : '-'}`);
+    doc.text(`Product: ${product ? product.name : '-'}`);
+    doc.text(`Claimant: ${client ? `${client.firstName} ${client.lastName}` : '-'}`);
+    doc.text(`Date of Loss: ${formatDate(claim.dateOfLoss)}`);
+    doc.text(`Place of Loss: ${claim.location || '-'}`);
+    doc.moveDown();
+
+    doc.fontSize(11).text('Particulars of Loss', { underline: true });
+    doc.fontSize(10).text(claim.description || '-');
+    doc.moveDown();
+
+    doc.fontSize(12).text(`Amount Agreed in Settlement: KES ${formatMoney(claim.approvedAmount)}`);
+    doc.moveDown();
+  }
+
+  /**
+   * Generate the discharge voucher the claimant signs to accept the settlement
+   * @param {Claim} claim - Approved claim
+   * @param {Object} details - Claim context (client, policy, product)
+   * @param {string} userId - User approving the claim
+   * @param {Object} [options] - Options
+   * @param {Transaction} [options.transaction] - Transaction to write in
+   * @returns {Promise<Document>} The voucher document
+   */
+  async generateDischargeVoucher(claim, details, userId, { transaction } = {}) {
+    const { Document } = claim.sequelize.models;
+    const { client } = details;
+
+    const buffer = await this.renderPdf((doc) => {
+      this.drawLetterhead(doc, 'DISCHARGE VOUCHER');
+      this.drawClaimDetails(doc, claim, details);
+
+      doc.fontSize(10).text(
+        `I/We, ${client ? `${client.firstName} ${client.lastName}` : 'the undersigned'}, accept the sum of ` +
+        `KES ${formatMoney(claim.approvedAmount)} in full and final settlement of all claims arising from the ` +
+        `loss of ${formatDate(claim.dateOfLoss)} under claim ${claim.claimNumber}, and discharge ${COMPANY_NAME} ` +
+        'from any further liability in respect of this loss.',
+        { align: 'justify' }
+      );
+      doc.moveDown(3);
+
+      doc.text('Signature of Claimant: ______________________________   Date: ______________');
+      doc.moveDown(2);
+      doc.text('ID Number: ______________________________');
+      doc.moveDown(2);
+      doc.text('Witness: ______________________________   Signature: ______________');
+      doc.moveDown(2);
+
+      doc.fontSize(8).fillColor('#555555').text(
+        `Issued on ${formatDate(new Date())}. Payment is made once the signed voucher is returned.`,
+        { align: 'center' }
+      );
+    });
+
+    return this.saveGeneratedDocument(buffer, {
+      documentType: 'DISCHARGE_VOUCHER',
+      originalName: `discharge-voucher-${claim.claimNumber.replace(/[^A-Z0-9-]/gi, '-')}.pdf`,
+      policyId: claim.policyId,
+      claimId: claim.id,
+      description: `Discharge voucher for claim ${claim.claimNumber}`,
+      userId
+    }, Document, transaction);
+  }
+
+  /**
+   * Generate the letter telling the claimant their claim has been settled
+   * @param {Claim} claim - Approved claim
+   * @param {Object} details - Claim context (client, policy, product)
+   * @param {string} userId - User approving the claim
+   * @param {Object} [options] - Options
+   * @param {Transaction} [options.transaction] - Transaction to write in
+   * @returns {Promise<Document>} The letter document
+   */
+  async generateSettlementLetter(claim, details, userId, { transaction } = {}) {
+    const { Document } = claim.sequelize.models;
+    const { client, policy } = details;
+
+    const buffer = await this.renderPdf((doc) => {
+      this.drawLetterhead(doc, 'CLAIM SETTLEMENT');
+
+      doc.fontSize(10);
+      doc.text(formatDate(new Date()), { align: 'right' });
+      doc.moveDown();
+      if (client) {
+        doc.text(`${client.firstName} ${client.lastName}`);
+        if (client.address) doc.text(client.address);
+        doc.moveDown();
+      }
+
+      doc.text(`Dear ${client ? client.firstName : 'Sir/Madam'},`);
+      doc.moveDown();
+      doc.fontSize(11).text(`RE: CLAIM ${claim.claimNumber} UNDER POLICY ${policy ? policy.policyNumber : '-'}`, { underline: true });
+      doc.moveDown();
+
+      doc.fontSize(10).text(
+        'We are pleased to inform you that your claim has been approved for settlement in the sum of ' +
+        `KES ${formatMoney(claim.approvedAmount)}. Please sign and return the enclosed discharge voucher so that ` +
+        'we can release the payment.',
+        { align: 'justify' }
+      );
+      doc.moveDown();
+
+      this.drawClaimDetails(doc, claim, details);
+
+      doc.fontSize(10).text('Thank you for insuring with us.');
+      doc.moveDown(2);
+      doc.text('Yours faithfully,');
+      doc.moveDown(2);
+      doc.text(`Claims Department, ${COMPANY_NAME}`);
+    });
+
+    return this.saveGeneratedDocument(buffer, {
+      documentType: 'SETTLEMENT_LETTER',
+      originalName: `settlement-letter-${claim.claimNumber.replace(/[^A-Z0-9-]/gi, '-')}.pdf`,
+      policyId: claim.policyId,
+      claimId: claim.id,
+      description: `Settlement letter for claim ${claim.claimNumber}`,
+      userId
+    }, Document, transaction);
+  }
+}
+
+export default new DocumentService();
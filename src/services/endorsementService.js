@@ -0,0 +1,244 @@
+import moment from 'moment';
+import AppError from '../utils/appError.js';
+import { getTermDays, getDaysRemaining, calculateProRata, roundMoney } from '../utils/proRata.js';
+import installmentService from './installmentService.js';
+
+// Policy fields an endorsement can change through `changes`; cover and premium go through the figures
+export const ENDORSABLE_POLICY_FIELDS = ['intermediaryId'];
+
+class EndorsementService {
+  /**
+   * Get the annual premium the policy is currently rated at.
+   * This is the last approved endorsement's annual premium, or the policy's own.
+   * @param {Policy} policy - Policy to rate
+   * @param {Transaction} [transaction] - Transaction to read in
+   * @returns {Promise<number>} Annual premium basis
+   */
+  async getAnnualBasis(policy, transaction) {
+    const { Endorsement } = policy.sequelize.models;
+
+    const lastApproved = await Endorsement.findOne({
+      where: { policyId: policy.id, status: 'APPROVED' },
+      order: [['approvedAt', 'DESC']],
+      transaction
+    });
+
+    return parseFloat(lastApproved ? lastApproved.newAnnualPremium : policy.annualPremium);
+  }
+
+  /**
+   * Work out the pro-rata premium for a change taking effect mid-term
+   * @param {Policy} policy - Policy being endorsed
+   * @param {Object} change - Requested change
+   * @param {Date|string} change.effectiveDate - When the change takes effect
+   * @param {number} change.annualBasis - Current annual premium basis
+   * @param {number} [change.newSumInsured] - New sum insured (rate is kept)
+   * @param {number} [change.newAnnualPremium] - Explicit new annual premium
+   * @param {number} [change.additionalAnnualPremium] - Annual premium for added cover
+   * @returns {Object} Sum insured, annual premiums, day counts and the adjustment
+   */
+  calculateAdjustment(policy, { effectiveDate, annualBasis, newSumInsured, newAnnualPremium, additionalAnnualPremium = 0 }) {
+    const currentSumInsured = parseFloat(policy.sumInsured);
+    const sumInsured = newSumInsured !== undefined ? parseFloat(newSumInsured) : currentSumInsured;
+
+    let annualPremium;
+    if (newAnnualPremium !== undefined) {
+      annualPremium = parseFloat(newAnnualPremium);
+    } else {
+      // Keep the current rate when only the sum insured changes
+      annualPremium = currentSumInsured > 0
+        ? annualBasis * (sumInsured / currentSumInsured)
+        : annualBasis;
+      annualPremium += parseFloat(additionalAnnualPremium || 0);
+    }
+    annualPremium = roundMoney(annualPremium);
+
+    const termDays = getTermDays(policy.policyStartDate, policy.policyEndDate);
+    const daysRemaining = getDaysRemaining(effectiveDate, policy.policyEndDate);
+
+    return {
+      previousSumInsured: currentSumInsured,
+      newSumInsured: sumInsured,
+      previousAnnualPremium: annualBasis,
+      newAnnualPremium: annualPremium,
+      termDays,
+      daysRemaining,
+      premiumAdjustment: calculateProRata(annualPremium - annualBasis, daysRemaining, termDays)
+    };
+  }
+
+  /**
+   * Raise a pending endorsement against a live policy
+   * @param {Policy} policy - Policy being endorsed
+   * @param {Object} input - Endorsement request
+   * @param {string} userId - User raising the endorsement
+   * @returns {Promise<Endorsement>} The pending endorsement
+   */
+  async createEndorsement(policy, input, userId) {
+    const { Endorsement } = policy.sequelize.models;
+
+    if (policy.status !== 'ACTIVE') {
+      throw new AppError('Only active policies can be endorsed', 409);
+    }
+
+    const effectiveDate = moment(input.effectiveDate || new Date()).startOf('day');
+    if (effectiveDate.isBefore(moment(policy.policyStartDate).startOf('day')) ||
+        effectiveDate.isAfter(moment(policy.policyEndDate).endOf('day'))) {
+      throw new AppError('Effective date must fall within the policy period', 400);
+    }
+
+    const changes = input.changes || {};
+    const unsupported = Object.keys(changes).filter(field => !ENDORSABLE_POLICY_FIELDS.includes(field));
+    if (unsupported.length > 0) {
+      throw new AppError(
+        `Endorsements cannot change ${unsupported.join(', ')}; supported changes are ${ENDORSABLE_POLICY_FIELDS.join(', ')}`,
+        400
+      );
+    }
+
+    const pending = await Endorsement.findOne({
+      where: { policyId: policy.id, status: 'PENDING' }
+    });
+
+    if (pending) {
+      throw new AppError(`Policy already has a pending endorsement ${pending.endorsementNumber}`, 409);
+    }
+
+    const annualBasis = await this.getAnnualBasis(policy);
+    const figures = this.calculateAdjustment(policy, {
+      effectiveDate,
+      annualBasis,
+      newSumInsured: input.newSumInsured,
+      newAnnualPremium: input.newAnnualPremium,
+      additionalAnnualPremium: input.additionalAnnualPremium
+    });
+
+    return Endorsement.create({
+      policyId: policy.id,
+      endorsementType: input.endorsementType,
+      description: input.description,
+      changes,
+      effectiveDate: effectiveDate.format('YYYY-MM-DD'),
+      ...figures,
+      status: 'PENDING',
+      createdBy: userId
+    });
+  }
+
+  /**
+   * Approve an endorsement: apply its changes to the policy and refund any return premium.
+   * Additional premium raises the adjusted premium and is added to the schedule as a new installment;
+   * return premium is paid back as a negative ADJUSTMENT so the policy's total paid is net of it.
+   * @param {Endorsement} endorsement - Endorsement to approve
+   * @param {string} userId - User approving the endorsement
+   * @param {Object} [options] - Approval options
+   * @param {string} [options.paymentMethod='MPESA'] - Method the return premium is paid back by
+   * @returns {Promise<Object>} The endorsement, updated policy, return premium refund and additional premium installment (if any)
+   */
+  async approveEndorsement(endorsement, userId, { paymentMethod = 'MPESA' } = {}) {
+    const { Policy, PaymentTransaction } = endorsement.sequelize.models;
+
+    if (endorsement.status !== 'PENDING') {
+      throw new AppError('Only pending endorsements can be approved', 409);
+    }
+
+    const transaction = await endorsement.sequelize.transaction();
+
+    try {
+      const policy = await Policy.findByPk(endorsement.policyId, { transaction });
+
+      if (policy.status !== 'ACTIVE') {
+        throw new AppError('Only active policies can be endorsed', 409);
+      }
+
+      if (parseFloat(policy.sumInsured) !== parseFloat(endorsement.previousSumInsured)) {
+        throw new AppError('Policy sum insured changed since the endorsement was raised', 409);
+      }
+
+      const adjustment = parseFloat(endorsement.premiumAdjustment);
+      const currentPremium = parseFloat(policy.adjustedPremium || policy.annualPremium);
+
+      await policy.update({
+        ...endorsement.changes,
+        sumInsured: endorsement.newSumInsured,
+        adjustedPremium: roundMoney(Math.max(0, currentPremium + adjustment)),
+        updatedBy: userId
+      }, { transaction });
+
+      // Backdated additional premium falls due on approval rather than straight into arrears
+      let installment = null;
+      if (adjustment > 0) {
+        const dueDate = moment.max(moment(endorsement.effectiveDate), moment().startOf('day'));
+        installment = await installmentService.addInstallment(policy, adjustment, dueDate, { transaction });
+      }
+
+      let payment = null;
+      if (adjustment < 0) {
+        payment = await PaymentTransaction.create({
+          customerCode: policy.clientId,
+          policyId: policy.id,
+          amount: adjustment,
+          paymentMethod,
+          paymentType: 'ADJUSTMENT',
+          status: 'COMPLETED',
+          reference: endorsement.endorsementNumber,
+          paymentDate: new Date(),
+          notes: `Return premium for endorsement ${endorsement.endorsementNumber}`,
+          createdBy: userId
+        }, { transaction });
+      }
+
+      await endorsement.update({
+        status: 'APPROVED',
+        approvedBy: userId,
+        approvedAt: new Date(),
+        paymentId: payment ? payment.id : null,
+        updatedBy: userId
+      }, { transaction });
+
+      await transaction.commit();
+
+      return { endorsement, policy, payment, installment };
+    } catch (error) {
+      await transaction.rollback();
+      throw error;
+    }
+  }
+
+  /**
+   * Reject a pending endorsement
+   * @param {Endorsement} endorsement - Endorsement to reject
+   * @param {string} reason - Reason for rejection
+   * @param {string} userId - User rejecting the endorsement
+   * @returns {Promise<Endorsement>} The rejected endorsement
+   */
+  async rejectEndorsement(endorsement, reason, userId) {
+    if (endorsement.status !== 'PENDING') {
+      throw new AppError('Only pending endorsements can be rejected', 409);
+    }
+
+    return endorsement.update({
+      status: 'REJECTED',
+      rejectionReason: reason,
+      approvedBy: userId,
+      approvedAt: new Date(),
+      updatedBy: userId
+    });
+  }
+
+  /**
+   * Get the endorsement log of a policy, oldest first
+   * @param {Policy} policy - Policy to get endorsements for
+   * @returns {Promise<Array>} Endorsements
+   */
+  async getEndorsements(policy) {
+    const { Endorsement } = policy.sequelize.models;
+
+    return Endorsement.findAll({
+      where: { policyId: policy.id },
+      order: [['createdAt', 'ASC']]
+    });
+  }
+}
+
+export default new EndorsementService();
@@ -0,0 +1,310 @@
+import moment from 'moment';
+import AppError from '../utils/appError.js';
+import { roundMoney } from '../utils/proRata.js';
+
+// Months between installments for each Policy.installmentFrequency
+export const FREQUENCY_MONTHS = {
+  MONTHLY: 1,
+  QUARTERLY: 3,
+  SEMI_ANNUAL: 6,
+  ANNUAL: 12
+};
+
+class InstallmentService {
+  /**
+   * Build the dated installment rows for a policy without saving them.
+   * The down payment (if any) is due on the start date as installment 0 and the
+   * first regular installment falls one period later; without a down payment
+   * the first installment is due on the start date.
+   * @param {Policy} policy - Policy to schedule
+   * @returns {Array<Object>} Installment rows
+   * @throws {AppError} If the plan does not fit inside the policy period
+   */
+  buildSchedule(policy) {
+    const premium = parseFloat(policy.adjustedPremium || policy.annualPremium);
+    const downPayment = parseFloat(policy.downPayment || 0);
+    const count = parseInt(policy.totalInstallments, 10) || 1;
+    const stepMonths = FREQUENCY_MONTHS[policy.installmentFrequency] || FREQUENCY_MONTHS.MONTHLY;
+    const startDate = moment(policy.policyStartDate).startOf('day');
+    const endDate = moment(policy.policyEndDate).endOf('day');
+
+    if (downPayment > premium) {
+      throw new AppError('Down payment cannot exceed the premium', 400);
+    }
+
+    const rows = [];
+
+    if (downPayment > 0) {
+      rows.push({
+        policyId: policy.id,
+        installmentNumber: 0,
+        dueDate: startDate.format('YYYY-MM-DD'),
+        amount: roundMoney(downPayment)
+      });
+    }
+
+    // Spread the balance evenly; the last installment absorbs rounding
+    const balance = roundMoney(premium - downPayment);
+    const regularAmount = roundMoney(balance / count);
+    const offset = downPayment > 0 ? 1 : 0;
+
+    for (let i = 1; i <= count; i++) {
+      const dueDate = startDate.clone().add((i - 1 + offset) * stepMonths, 'months');
+
+      if (dueDate.isAfter(endDate)) {
+        throw new AppError(
+          `${count} ${policy.installmentFrequency} installments do not fit inside the policy period`,
+          400
+        );
+      }
+
+      rows.push({
+        policyId: policy.id,
+        installmentNumber: i,
+        dueDate: dueDate.format('YYYY-MM-DD'),
+        amount: i === count ? roundMoney(balance - regularAmount * (count - 1)) : regularAmount
+      });
+    }
+
+    return rows;
+  }
+
+  /**
+   * Generate (or regenerate) a policy's installment schedule
+   * @param {Policy} policy - Policy to schedule
+   * @param {Object} [options] - Options
+   * @param {Transaction} [options.transaction] - Transaction to write in
+   * @returns {Promise<Array>} The saved installment rows
+   * @throws {AppError} 409 if payments have already been matched to the schedule
+   */
+  async generateSchedule(policy, { transaction } = {}) {
+    const { PolicyInstallment } = policy.sequelize.models;
+
+    const existing = await PolicyInstallment.findAll({
+      where: { policyId: policy.id },
+      transaction
+    });
+
+    if (existing.some(installment => parseFloat(installment.paidAmount) > 0)) {
+      throw new AppError('Schedule already has payments matched to it and cannot be regenerated', 409);
+    }
+
+    const rows = this.buildSchedule(policy);
+
+    await PolicyInstallment.destroy({ where: { policyId: policy.id }, transaction });
+    const installments = await PolicyInstallment.bulkCreate(rows, { transaction });
+
+    const regular = rows.filter(row => row.installmentNumber > 0);
+    await policy.update({
+      installmentAmount: regular.length > 0 ? regular[0].amount : null,
+      totalInstallments: regular.length,
+      paidInstallments: 0,
+      overdueInstallments: 0
+    }, { transaction });
+
+    return installments;
+  }
+
+  /**
+   * Add an installment for premium raised mid-term, e.g. by an endorsement.
+   * It is numbered after the last installment so paid installments keep their amounts.
+   * Policies without a schedule are left alone; the premium shows in their outstanding balance.
+   * @param {Policy} policy - Policy whose schedule is extended
+   * @param {number} amount - Amount due
+   * @param {Date|string} dueDate - Date the installment falls due
+   * @param {Object} [options] - Options
+   * @param {Transaction} [options.transaction] - Transaction to write in
+   * @returns {Promise<PolicyInstallment|null>} The new installment, or null if the policy has no schedule
+   */
+  async addInstallment(policy, amount, dueDate, { transaction } = {}) {
+    const { PolicyInstallment } = policy.sequelize.models;
+
+    const installments = await PolicyInstallment.findAll({
+      where: { policyId: policy.id },
+      order: [['installmentNumber', 'ASC']],
+      transaction
+    });
+
+    if (installments.length === 0) {
+      return null;
+    }
+
+    const installment = await PolicyInstallment.create({
+      policyId: policy.id,
+      installmentNumber: installments[installments.length - 1].installmentNumber + 1,
+      dueDate: moment(dueDate).format('YYYY-MM-DD'),
+      amount: roundMoney(amount)
+    }, { transaction });
+
+    await this.recomputeCounters(policy, [...installments, installment], { transaction });
+
+    return installment;
+  }
+
+  /**
+   * Match completed payments to installments and recompute the policy's
+   * paid, pending and overdue counters.
+   * Payments from the view and from PaymentTransaction are matched by
+   * installmentNumber; a DOWN_PAYMENT without a number is matched to installment 0.
+   * Endorsement and cancellation refunds carry no number and are left unmatched:
+   * they take the same amount off the premium and off what was paid. A refunded
+   * payment still counts in full: the negative ADJUSTMENT written when its refund
+   * was approved carries the same installment number and takes the amount back off.
+   * @param {Policy} policy - Policy to sync
+   * @param {Object} [options] - Options
+   * @param {Transaction} [options.transaction] - Transaction to write in
+   * @returns {Promise<Object>} Installments and any payments that could not be matched
+   */
+  async syncInstallments(policy, { transaction } = {}) {
+    const { PolicyInstallment, Payment, PaymentTransaction } = policy.sequelize.models;
+
+    const installments = await PolicyInstallment.findAll({
+      where: { policyId: policy.id },
+      order: [['installmentNumber', 'ASC']],
+      transaction
+    });
+
+    const where = { policyId: policy.id, status: 'COMPLETED' };
+    const payments = [
+      ...await Payment.findAll({ where, transaction }),
+      // Only receipts are marked REFUNDED; the view is read-only
+      ...await PaymentTransaction.findAll({ where: { ...where, status: ['COMPLETED', 'REFUNDED'] }, transaction })
+    ].sort((a, b) => new Date(a.paymentDate) - new Date(b.paymentDate));
+
+    const byNumber = new Map(installments.map(installment => [installment.installmentNumber, {
+      paid: 0,
+      lastPayment: null
+    }]));
+    const unmatched = [];
+
+    for (const payment of payments) {
+      const number = payment.installmentNumber !== null && payment.installmentNumber !== undefined
+        ? payment.installmentNumber
+        : (payment.paymentType === 'DOWN_PAYMENT' ? 0 : null);
+
+      if (number === null || !byNumber.has(number)) {
+        unmatched.push(payment);
+        continue;
+      }
+
+      const entry = byNumber.get(number);
+      entry.paid += parseFloat(payment.amount);
+      entry.lastPayment = payment;
+    }
+
+    const today = moment().startOf('day');
+
+    for (const installment of installments) {
+      if (installment.status === 'CANCELLED') continue;
+
+      const { paid, lastPayment } = byNumber.get(installment.installmentNumber);
+      const paidAmount = roundMoney(paid);
+      let status;
+
+      if (paidAmount >= parseFloat(installment.amount)) {
+        status = 'PAID';
+      } else if (moment(installment.dueDate).isBefore(today)) {
+        status = 'OVERDUE';
+      } else {
+        status = paidAmount > 0 ? 'PARTIALLY_PAID' : 'PENDING';
+      }
+
+      await installment.update({
+        paidAmount,
+        status,
+        paidAt: status === 'PAID' ? (installment.paidAt || (lastPayment && lastPayment.paymentDate) || new Date()) : null,
+        lastPaymentId: lastPayment ? lastPayment.id : installment.lastPaymentId
+      }, { transaction });
+    }
+
+    await this.recomputeCounters(policy, installments, { transaction });
+
+    return { installments, unmatched };
+  }
+
+  /**
+   * Recompute a policy's installment counters from its schedule
+   * @param {Policy} policy - Policy to update
+   * @param {Array} installments - The policy's installment rows
+   * @param {Object} [options] - Options
+   * @param {Transaction} [options.transaction] - Transaction to write in
+   * @returns {Promise<Policy>} The updated policy
+   */
+  async recomputeCounters(policy, installments, { transaction } = {}) {
+    // Policies issued before schedules existed keep the counters they were given
+    if (installments.length === 0) {
+      return policy;
+    }
+
+    const regular = installments.filter(installment =>
+      installment.installmentNumber > 0 && installment.status !== 'CANCELLED'
+    );
+
+    // pendingInstallments is derived by the Policy beforeValidate hook
+    return policy.update({
+      totalInstallments: Math.max(1, regular.length),
+      paidInstallments: regular.filter(installment => installment.status === 'PAID').length,
+      overdueInstallments: regular.filter(installment => installment.status === 'OVERDUE').length
+    }, { transaction });
+  }
+
+  /**
+   * Cancel every installment that is not yet fully paid, e.g. when the policy is cancelled
+   * @param {Policy} policy - Policy whose schedule is being closed
+   * @param {Object} [options] - Options
+   * @param {Transaction} [options.transaction] - Transaction to write in
+   * @returns {Promise<number>} Number of installments cancelled
+   */
+  async cancelUnpaidInstallments(policy, { transaction } = {}) {
+    const { PolicyInstallment } = policy.sequelize.models;
+
+    const [cancelled] = await PolicyInstallment.update(
+      { status: 'CANCELLED' },
+      {
+        where: {
+          policyId: policy.id,
+          status: ['PENDING', 'PARTIALLY_PAID', 'OVERDUE']
+        },
+        transaction
+      }
+    );
+
+    return cancelled;
+  }
+
+  /**
+   * Get a policy's schedule with a summary of what is paid and outstanding
+   * @param {Policy} policy - Policy to get the schedule for
+   * @returns {Promise<Object>} Installments and summary
+   */
+  async getSchedule(policy) {
+    const { PolicyInstallment } = policy.sequelize.models;
+
+    const installments = await PolicyInstallment.findAll({
+      where: { policyId: policy.id },
+      order: [['installmentNumber', 'ASC']]
+    });
+
+    const active = installments.filter(installment => installment.status !== 'CANCELLED');
+    const totalDue = roundMoney(active.reduce((sum, installment) => sum + parseFloat(installment.amount), 0));
+    const totalPaid = roundMoney(active.reduce((sum, installment) => sum + parseFloat(installment.paidAmount), 0));
+    const nextDue = active.find(installment => installment.status !== 'PAID') || null;
+
+    return {
+      installments,
+      summary: {
+        installmentFrequency: policy.installmentFrequency,
+        totalInstallments: policy.totalInstallments,
+        paidInstallments: policy.paidInstallments,
+        pendingInstallments: policy.pendingInstallments,
+        overdueInstallments: policy.overdueInstallments,
+        totalDue,
+        totalPaid,
+        outstanding: roundMoney(Math.max(0, totalDue - totalPaid)),
+        nextDue
+      }
+    };
+  }
+}
+
+export default new InstallmentService();
@@ -0,0 +1,507 @@
+import crypto from 'crypto';
+import moment from 'moment';
+import initializeModels from '../models/index.js';
+import AppError from '../utils/appError.js';
+import { roundMoney } from '../utils/proRata.js';
+import installmentService from './installmentService.js';
+import paymentAllocationService, { PAYABLE_POLICY_STATUSES } from './paymentAllocationService.js';
+
+// Daraja sandbox; point MPESA_BASE_URL at production or a local stub instead
+const DEFAULT_BASE_URL = 'https://sandbox.safaricom.co.ke';
+
+// Settings an STK push needs
+const STK_SETTINGS = ['consumerKey', 'consumerSecret', 'shortcode', 'passkey', 'callbackUrl', 'callbackSecret'];
+
+// Settings registering the C2B URLs needs
+const C2B_SETTINGS = ['consumerKey', 'consumerSecret', 'shortcode', 'c2bUrl', 'callbackSecret'];
+
+// Reference signed into the C2B URLs (they are registered once, not per payment)
+const C2B_REFERENCE = 'C2B';
+
+// C2B validation responses
+const C2B_ACCEPTED = { ResultCode: '0', ResultDesc: 'Accepted' };
+const C2B_INVALID_ACCOUNT = { ResultCode: 'C2B00012', ResultDesc: 'Rejected' };
+
+// STK result code when the customer cancels the prompt
+const RESULT_CANCELLED_BY_USER = 1032;
+
+let Payment, PaymentTransaction, Policy, PolicyInstallment, Client, PaymentSuspense;
+
+// Initialize models when needed
+const initializeMpesaService = async () => {
+  if (!PaymentTransaction) {
+    const models = await initializeModels();
+    Payment = models.Payment;
+    PaymentTransaction = models.PaymentTransaction;
+    Policy = models.Policy;
+    PolicyInstallment = models.PolicyInstallment;
+    Client = models.Client;
+    PaymentSuspense = models.PaymentSuspense;
+  }
+};
+
+class MpesaService {
+  constructor() {
+    // OAuth token is cached until shortly before it expires
+    this.accessToken = null;
+    this.accessTokenExpiresAt = 0;
+  }
+
+  /**
+   * Daraja settings from the environment
+   * @param {Array<string>} [required] - Settings that must be present (defaults to those an STK push needs)
+   * @returns {Object} Base URL, credentials, shortcode, passkey and callback settings
+   * @throws {AppError} 503 if a required setting is missing
+   */
+  getConfig(required = STK_SETTINGS) {
+    const config = {
+      baseUrl: (process.env.MPESA_BASE_URL || DEFAULT_BASE_URL).replace(/\/$/, ''),
+      consumerKey: process.env.MPESA_CONSUMER_KEY,
+      consumerSecret: process.env.MPESA_CONSUMER_SECRET,
+      shortcode: process.env.MPESA_SHORTCODE,
+      passkey: process.env.MPESA_PASSKEY,
+      callbackUrl: process.env.MPESA_CALLBACK_URL,
+      callbackSecret: process.env.MPESA_CALLBACK_SECRET,
+      c2bUrl: process.env.MPESA_C2B_URL
+    };
+
+    const missing = required.filter(key => !config[key]);
+    if (missing.length > 0) {
+      throw new AppError(`M-Pesa is not configured (missing ${missing.join(', ')})`, 503);
+    }
+
+    return config;
+  }
+
+  /**
+   * Call a Daraja endpoint
+   * @param {string} path - Path under the base URL
+   * @param {Object} options - fetch options
+   * @returns {Promise<Object>} Parsed JSON response
+   * @throws {AppError} 502 if Daraja cannot be reached or rejects the request
+   */
+  async request(path, options) {
+    const { baseUrl } = this.getConfig([]);
+    let response;
+
+    try {
+      response = await fetch(`${baseUrl}${path}`, options);
+    } catch (error) {
+      throw new AppError(`M-Pesa could not be reached: ${error.message}`, 502);
+    }
+
+    const body = await response.json().catch(() => ({}));
+
+    if (!response.ok) {
+      throw new AppError(`M-Pesa rejected the request: ${body.errorMessage || body.ResponseDescription || response.statusText}`, 502);
+    }
+
+    return body;
+  }
+
+  /**
+   * Get an OAuth access token, reusing the cached one while it is valid
+   * @returns {Promise<string>} Access token
+   */
+  async getAccessToken() {
+    if (this.accessToken && Date.now() < this.accessTokenExpiresAt) {
+      return this.accessToken;
+    }
+
+    const { consumerKey, consumerSecret } = this.getConfig(['consumerKey', 'consumerSecret']);
+    const credentials = Buffer.from(`${consumerKey}:${consumerSecret}`).toString('base64');
+
+    const body = await this.request('/oauth/v1/generate?grant_type=client_credentials', {
+      method: 'GET',
+      headers: { Authorization: `Basic ${credentials}` }
+    });
+
+    // Refresh a minute early so a token never expires mid-request
+    this.accessToken = body.access_token;
+    this.accessTokenExpiresAt = Date.now() + (parseInt(body.expires_in, 10) - 60) * 1000;
+
+    return this.accessToken;
+  }
+
+  /**
+   * Convert a Kenyan mobile number to the 2547XXXXXXXX form Daraja expects
+   * @param {string} phone - Phone number (07..., 01..., +254... or 254...)
+   * @returns {string} Normalized number
+   * @throws {AppError} 400 if the number is not a Kenyan mobile number
+   */
+  normalizePhone(phone) {
+    const digits = String(phone || '').replace(/\D/g, '');
+    const normalized = digits.replace(/^0(?=[17]\d{8}$)/, '254');
+
+    if (!/^254[17]\d{8}$/.test(normalized)) {
+      throw new AppError(`${phone || 'Phone number'} is not a valid M-Pesa number`, 400);
+    }
+
+    return normalized;
+  }
+
+  /**
+   * Sign a payment reference so the callback can prove it came from our own STK request
+   * @param {string} reference - Payment ID carried in the callback URL
+   * @returns {string} Hex HMAC-SHA256 signature
+   */
+  signReference(reference) {
+    const { callbackSecret } = this.getConfig(['callbackSecret']);
+    return crypto.createHmac('sha256', callbackSecret).update(reference).digest('hex');
+  }
+
+  /**
+   * Check a callback signature in constant time
+   * @param {string} reference - Payment ID from the callback URL
+   * @param {string} signature - Signature from the callback URL
+   * @returns {boolean} True if the signature matches
+   */
+  verifySignature(reference, signature) {
+    if (!reference || !signature) return false;
+
+    const expected = Buffer.from(this.signReference(reference), 'hex');
+    const given = Buffer.from(String(signature), 'hex');
+
+    return given.length === expected.length && crypto.timingSafeEqual(given, expected);
+  }
+
+  /**
+   * Callback URL for one STK request, signed with MPESA_CALLBACK_SECRET
+   * @param {string} reference - Payment ID
+   * @returns {string} Callback URL
+   */
+  buildCallbackUrl(reference) {
+    const { callbackUrl } = this.getConfig(['callbackUrl']);
+    const url = new URL(callbackUrl);
+
+    url.searchParams.set('ref', reference);
+    url.searchParams.set('signature', this.signReference(reference));
+
+    return url.toString();
+  }
+
+  /**
+   * Start a Lipa na M-Pesa Online (STK push) request for a policy installment.
+   * A PENDING payment is recorded with the CheckoutRequestID as its transaction ID;
+   * the callback completes it.
+   * @param {Object} request - STK request
+   * @param {string} request.policyId - Policy being paid
+   * @param {number} request.installmentNumber - Installment being paid (0 for the down payment)
+   * @param {string} [request.phone] - Number to prompt (defaults to the client's phone)
+   * @param {number} [request.amount] - Amount (defaults to the installment balance)
+   * @param {Client} [client] - Customer making the request; they may only pay their own policies
+   * @param {string} userId - User starting the request
+   * @returns {Promise<Object>} The pending payment and the Daraja request IDs
+   */
+  async initiateStkPush({ policyId, installmentNumber, phone, amount }, client, userId) {
+    await initializeMpesaService();
+    const config = this.getConfig();
+
+    const policy = await Policy.findByPk(policyId);
+    if (!policy) {
+      throw new AppError('Policy not found', 404);
+    }
+
+    if (client && policy.clientId !== client.id) {
+      throw new AppError('Not authorized to pay for this policy', 403);
+    }
+
+    if (!PAYABLE_POLICY_STATUSES.includes(policy.status)) {
+      throw new AppError(`Payments cannot be taken on a policy with status ${policy.status}`, 409);
+    }
+
+    const installment = await PolicyInstallment.findOne({ where: { policyId: policy.id, installmentNumber } });
+    if (!installment) {
+      throw new AppError(`Installment ${installmentNumber} not found on this policy`, 404);
+    }
+
+    if (['PAID', 'CANCELLED'].includes(installment.status)) {
+      throw new AppError(`Installment ${installmentNumber} is already ${installment.status.toLowerCase()}`, 409);
+    }
+
+    // Daraja only takes whole shillings
+    const balance = roundMoney(parseFloat(installment.amount) - parseFloat(installment.paidAmount || 0));
+    const value = Math.ceil(amount || balance);
+
+    if (value < 1 || value > Math.ceil(balance)) {
+      throw new AppError(`Amount must be between 1 and the installment balance of ${balance}`, 400);
+    }
+
+    const policyholder = client || await Client.findByPk(policy.clientId);
+    const msisdn = this.normalizePhone(phone || (policyholder && policyholder.phone));
+
+    const payment = await PaymentTransaction.create({
+      customerCode: policy.clientId,
+      policyId: policy.id,
+      amount: value,
+      paymentMethod: 'MPESA',
+      paymentType: installmentNumber === 0 ? 'DOWN_PAYMENT' : 'INSTALLMENT',
+      installmentNumber,
+      status: 'PENDING',
+      notes: `STK push to ${msisdn} for installment ${installmentNumber} of ${policy.policyNumber}`,
+      createdBy: userId
+    });
+
+    const timestamp = moment().format('YYYYMMDDHHmmss');
+    let response;
+
+    try {
+      response = await this.request('/mpesa/stkpush/v1/processrequest', {
+        method: 'POST',
+        headers: {
+          Authorization: `Bearer ${await this.getAccessToken()}`,
+          'Content-Type': 'application/json'
+        },
+        body: JSON.stringify({
+          BusinessShortCode: config.shortcode,
+          Password: Buffer.from(`${config.shortcode}${config.passkey}${timestamp}`).toString('base64'),
+          Timestamp: timestamp,
+          TransactionType: 'CustomerPayBillOnline',
+          Amount: value,
+          PartyA: msisdn,
+          PartyB: config.shortcode,
+          PhoneNumber: msisdn,
+          CallBackURL: this.buildCallbackUrl(payment.id),
+          AccountReference: policy.policyNumber.slice(0, 12),
+          TransactionDesc: `Installment ${installmentNumber}`
+        })
+      });
+
+      if (String(response.ResponseCode) !== '0') {
+        throw new AppError(`M-Pesa rejected the request: ${response.ResponseDescription}`, 502);
+      }
+    } catch (error) {
+      await payment.update({ status: 'FAILED', notes: `${payment.notes}: ${error.message}` });
+      throw error;
+    }
+
+    await payment.update({ transactionId: response.CheckoutRequestID });
+
+    return {
+      payment,
+      checkoutRequestId: response.CheckoutRequestID,
+      merchantRequestId: response.MerchantRequestID,
+      customerMessage: response.CustomerMessage
+    };
+  }
+
+  /**
+   * Handle the STK result Daraja posts to the callback URL.
+   * The signature must match the payment reference, and the CheckoutRequestID must
+   * belong to that payment. Successful payments are completed and the policy's
+   * installments re-synced; repeated callbacks are ignored.
+   * @param {Object} params - Callback URL parameters
+   * @param {string} params.ref - Payment ID
+   * @param {string} params.signature - Signature of the payment ID
+   * @param {Object} body - Callback body ({Body: {stkCallback}})
+   * @returns {Promise<Object>} The payment and what happened to it
+   */
+  async handleStkCallback({ ref, signature }, body) {
+    if (!this.verifySignature(ref, signature)) {
+      throw new AppError('Invalid callback signature', 401);
+    }
+
+    await initializeMpesaService();
+
+    const callback = body && body.Body && body.Body.stkCallback;
+    if (!callback || !callback.CheckoutRequestID) {
+      throw new AppError('Malformed STK callback', 400);
+    }
+
+    const payment = await PaymentTransaction.findOne({ where: { transactionId: callback.CheckoutRequestID } });
+    if (!payment || payment.id !== ref) {
+      throw new AppError('No STK request matches this callback', 404);
+    }
+
+    if (payment.status !== 'PENDING') {
+      return { payment, outcome: 'DUPLICATE' };
+    }
+
+    const resultCode = parseInt(callback.ResultCode, 10);
+
+    if (resultCode !== 0) {
+      await payment.update({
+        status: resultCode === RESULT_CANCELLED_BY_USER ? 'CANCELLED' : 'FAILED',
+        notes: `${payment.notes}: ${callback.ResultDesc}`
+      });
+      return { payment, outcome: payment.status };
+    }
+
+    const items = (callback.CallbackMetadata && callback.CallbackMetadata.Item) || [];
+    const metadata = Object.fromEntries(items.map(item => [item.Name, item.Value]));
+
+    // Only the first callback to reach a pending payment completes it
+    const [completed] = await PaymentTransaction.update(
+      { status: 'COMPLETED', mpesaCode: metadata.MpesaReceiptNumber || null },
+      { where: { id: payment.id, status: 'PENDING' } }
+    );
+    if (completed === 0) {
+      return { payment: await payment.reload(), outcome: 'DUPLICATE' };
+    }
+
+    const policy = await Policy.findByPk(payment.policyId);
+    if (policy) {
+      await installmentService.syncInstallments(policy);
+    }
+
+    return {
+      payment: await payment.reload(),
+      outcome: 'COMPLETED',
+      receipt: metadata.MpesaReceiptNumber
+    };
+  }
+
+  /**
+   * Register the C2B validation and confirmation URLs for the paybill.
+   * MPESA_C2B_URL is the base both hang off, e.g. https://api.example.com/api/payments/c2b;
+   * Daraja refuses URLs containing words such as "mpesa" or "safaricom".
+   * @returns {Promise<Object>} Registered URLs and Daraja's response
+   */
+  async registerC2bUrls() {
+    const { shortcode, c2bUrl } = this.getConfig(C2B_SETTINGS);
+    const signature = this.signReference(C2B_REFERENCE);
+    const urls = {
+      validationUrl: `${c2bUrl.replace(/\/$/, '')}/validation?signature=${signature}`,
+      confirmationUrl: `${c2bUrl.replace(/\/$/, '')}/confirmation?signature=${signature}`
+    };
+
+    // Completed: if validation cannot be reached the payment still goes through and lands in suspense
+    const response = await this.request('/mpesa/c2b/v1/registerurl', {
+      method: 'POST',
+      headers: {
+        Authorization: `Bearer ${await this.getAccessToken()}`,
+        'Content-Type': 'application/json'
+      },
+      body: JSON.stringify({
+        ShortCode: shortcode,
+        ResponseType: 'Completed',
+        ConfirmationURL: urls.confirmationUrl,
+        ValidationURL: urls.validationUrl
+      })
+    });
+
+    return { ...urls, response };
+  }
+
+  /**
+   * Find the policy a paybill account number refers to
+   * @param {string} accountReference - Account number the payer entered
+   * @returns {Promise<Policy|null>} The policy
+   */
+  async findPolicyByAccount(accountReference) {
+    const policyNumber = String(accountReference || '').trim().toUpperCase();
+    if (!policyNumber) return null;
+
+    return Policy.findOne({ where: { policyNumber } });
+  }
+
+  /**
+   * Decide whether Daraja should accept a paybill payment: only known policy numbers are accepted
+   * @param {Object} params - URL parameters
+   * @param {string} params.signature - Signature registered with the URL
+   * @param {Object} body - Validation request (BillRefNumber, TransAmount, ...)
+   * @returns {Promise<Object>} Daraja validation response
+   */
+  async validateC2b({ signature }, body) {
+    if (!this.verifySignature(C2B_REFERENCE, signature)) {
+      throw new AppError('Invalid callback signature', 401);
+    }
+
+    await initializeMpesaService();
+
+    const policy = await this.findPolicyByAccount(body.BillRefNumber);
+
+    return policy ? C2B_ACCEPTED : C2B_INVALID_ACCOUNT;
+  }
+
+  /**
+   * Record a confirmed paybill payment. Money for a payable policy is allocated to its
+   * oldest unpaid installments; unknown accounts, policies that cannot take premium and
+   * any overpayment go to the suspense queue. Repeated confirmations are ignored.
+   * @param {Object} params - URL parameters
+   * @param {string} params.signature - Signature registered with the URL
+   * @param {Object} body - Confirmation (TransID, TransTime, TransAmount, BillRefNumber, MSISDN, names)
+   * @returns {Promise<Object>} What happened to the receipt
+   */
+  async confirmC2b({ signature }, body) {
+    if (!this.verifySignature(C2B_REFERENCE, signature)) {
+      throw new AppError('Invalid callback signature', 401);
+    }
+
+    await initializeMpesaService();
+
+    const reference = body.TransID;
+    const amount = roundMoney(parseFloat(body.TransAmount));
+
+    if (!reference || !(amount > 0)) {
+      throw new AppError('Malformed C2B confirmation', 400);
+    }
+
+    // The receipt may already have come in through the payments view
+    const [existingPayment, existingViewPayment, existingSuspense] = await Promise.all([
+      PaymentTransaction.findOne({ where: { mpesaCode: reference } }),
+      Payment.unscoped().findOne({ where: { mpesaCode: reference } }),
+      PaymentSuspense.findOne({ where: { reference } })
+    ]);
+    if (existingPayment || existingViewPayment || existingSuspense) {
+      return { outcome: 'DUPLICATE' };
+    }
+
+    const receivedAt = moment(String(body.TransTime), 'YYYYMMDDHHmmss', true);
+    const receipt = {
+      reference,
+      receivedAt: receivedAt.isValid() ? receivedAt.toDate() : new Date(),
+      accountReference: body.BillRefNumber,
+      payerPhone: body.MSISDN,
+      payerName: [body.FirstName, body.MiddleName, body.LastName].filter(Boolean).join(' ') || null,
+      payload: body
+    };
+
+    const policy = await this.findPolicyByAccount(body.BillRefNumber);
+
+    if (!policy) {
+      const suspense = await paymentAllocationService.holdInSuspense({ ...receipt, amount }, 'UNKNOWN_ACCOUNT');
+      return { outcome: 'SUSPENSE', suspense };
+    }
+
+    if (!PAYABLE_POLICY_STATUSES.includes(policy.status)) {
+      const suspense = await paymentAllocationService.holdInSuspense({
+        ...receipt,
+        amount,
+        notes: `Policy ${policy.policyNumber} is ${policy.status}`
+      }, 'POLICY_NOT_PAYABLE');
+      return { outcome: 'SUSPENSE', suspense };
+    }
+
+    const transaction = await PaymentTransaction.sequelize.transaction();
+
+    try {
+      // Nobody is logged in for a paybill payment; record it against the policy's creator
+      // unless a dedicated system user is configured
+      const { payments, remainder } = await paymentAllocationService.allocate(policy, {
+        amount,
+        reference,
+        paymentMethod: 'MPESA',
+        paymentDate: receipt.receivedAt,
+        notes: `Paybill payment from ${receipt.payerPhone || 'unknown number'}`
+      }, process.env.PAYMENT_SYSTEM_USER_ID || policy.createdBy, { transaction });
+
+      const suspense = remainder > 0
+        ? await paymentAllocationService.holdInSuspense({
+          ...receipt,
+          amount: remainder,
+          notes: `Remainder of ${amount} after paying every installment of ${policy.policyNumber}`
+        }, 'OVERPAYMENT', { transaction })
+        : null;
+
+      await transaction.commit();
+
+      return { outcome: payments.length > 0 ? 'ALLOCATED' : 'SUSPENSE', payments, suspense };
+    } catch (error) {
+      await transaction.rollback();
+      throw error;
+    }
+  }
+}
+
+export default new MpesaService();
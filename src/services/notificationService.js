@@ -1,10 +1,10 @@
-const nodemailer = require("nodemailer");
-const twilio = require("twilio");
+import nodemailer from "nodemailer";
+import twilio from "twilio";
 
 class NotificationService {
   constructor() {
     // Email transporter
-    this.emailTransporter = nodemailer.createTransporter({
+    this.emailTransporter = nodemailer.createTransport({
       host: process.env.EMAIL_HOST,
       port: process.env.EMAIL_PORT,
       secure: false,
@@ -14,11 +14,19 @@ class NotificationService {
       },
     });
 
-    // SMS client
-    this.smsClient = twilio(
-      process.env.TWILIO_ACCOUNT_SID,
-      process.env.TWILIO_AUTH_TOKEN
-    );
+    // SMS client is created on first use; twilio throws without credentials
+    this.smsClient = null;
+  }
+
+  // Get (or create) the SMS client
+  getSmsClient() {
+    if (!this.smsClient) {
+      this.smsClient = twilio(
+        process.env.TWILIO_ACCOUNT_SID,
+        process.env.TWILIO_AUTH_TOKEN
+      );
+    }
+    return this.smsClient;
   }
 
   // Send email
@@ -44,7 +52,7 @@ class NotificationService {
   // Send SMS
   async sendSMS({ to, message }) {
     try {
-      const result = await this.smsClient.messages.create({
+      const result = await this.getSmsClient().messages.create({
         body: message,
         from: process.env.TWILIO_PHONE_NUMBER,
         to,
@@ -129,6 +137,110 @@ Thank you.`;
     return results;
   }
 
+  // Fill {{placeholders}} in a reminder template
+  renderTemplate(template, values) {
+    return template.replace(/{{\s*(\w+)\s*}}/g, (match, key) =>
+      values[key] !== undefined && values[key] !== null ? String(values[key]) : match
+    );
+  }
+
+  // Send cancellation warning for a policy in arrears
+  async sendCancellationWarning(client, policy, reminder = null) {
+    const values = {
+      firstName: client.firstName,
+      lastName: client.lastName,
+      policyNumber: policy.policyNumber,
+      status: policy.status,
+      overdueInstallments: policy.overdueInstallments,
+    };
+
+    const emailSubject = reminder && reminder.emailSubject
+      ? this.renderTemplate(reminder.emailSubject, values)
+      : `Cancellation Warning - Policy ${policy.policyNumber}`;
+    const emailText = reminder && reminder.emailTemplate
+      ? this.renderTemplate(reminder.emailTemplate, values)
+      : `Dear ${client.firstName} ${client.lastName},
+
+Your policy ${policy.policyNumber} has ${policy.overdueInstallments} overdue installment(s) and its cover is now ${policy.status.toLowerCase()}.
+
+Please clear the arrears to restore your cover. If payment is not received the policy will lapse.
+
+Thank you.`;
+
+    const smsMessage = reminder && reminder.smsTemplate
+      ? this.renderTemplate(reminder.smsTemplate, values)
+      : `Policy ${policy.policyNumber} is ${policy.status.toLowerCase()} with ${policy.overdueInstallments} overdue installment(s). Pay now to avoid lapse.`;
+
+    const results = [];
+
+    if (client.email && (!reminder || reminder.emailEnabled)) {
+      const emailResult = await this.sendEmail({
+        to: client.email,
+        subject: emailSubject,
+        text: emailText,
+      });
+      results.push({ type: "email", ...emailResult });
+    }
+
+    if (client.phone && (!reminder || reminder.smsEnabled)) {
+      const smsResult = await this.sendSMS({
+        to: client.phone,
+        message: smsMessage,
+      });
+      results.push({ type: "sms", ...smsResult });
+    }
+
+    return results;
+  }
+
+  // Send quotation PDF to client
+  async sendQuotation(client, quote, pdfBuffer, { to, message } = {}) {
+    const emailSubject = `Your Quotation ${quote.quoteNumber}`;
+    const emailText = message || `Dear ${client.firstName} ${client.lastName},
+
+Please find attached your insurance quotation ${quote.quoteNumber} for a total premium of ${quote.totalPremium}.
+
+The quotation is valid until ${quote.validTo}. Contact us to accept it or if you have any questions.
+
+Thank you.`;
+
+    return await this.sendEmail({
+      to: to || client.email,
+      subject: emailSubject,
+      text: emailText,
+      attachments: [
+        {
+          filename: `quotation-${quote.quoteNumber}.pdf`,
+          content: pdfBuffer,
+          contentType: "application/pdf",
+        },
+      ],
+    });
+  }
+
+  // Send claim settlement letter and discharge voucher to client
+  async sendClaimSettlement(client, claim, documents, { to, message } = {}) {
+    const emailSubject = `Settlement of Claim ${claim.claimNumber}`;
+    const emailText = message || `Dear ${client.firstName} ${client.lastName},
+
+Your claim ${claim.claimNumber} has been approved for settlement in the sum of ${claim.approvedAmount}.
+
+Please find attached the settlement letter and discharge voucher. Sign the discharge voucher and return it to us so that we can release the payment.
+
+Thank you.`;
+
+    return await this.sendEmail({
+      to: to || client.email,
+      subject: emailSubject,
+      text: emailText,
+      attachments: documents.map((document) => ({
+        filename: document.originalName,
+        path: document.filePath,
+        contentType: "application/pdf",
+      })),
+    });
+  }
+
   // Send document by email
   async sendDocumentByEmail(client, document, filePath) {
     const emailSubject = `Document: ${document.documentType} - ${document.originalName}`;
@@ -154,4 +266,4 @@ Thank you.`;
   }
 }
 
-module.exports = new NotificationService();
+export default new NotificationService();
@@ -0,0 +1,215 @@
+import { Op } from 'sequelize';
+import initializeModels from '../models/index.js';
+import AppError from '../utils/appError.js';
+import { roundMoney } from '../utils/proRata.js';
+import installmentService from './installmentService.js';
+
+// Policies that can still take premium
+export const PAYABLE_POLICY_STATUSES = ['ACTIVE', 'SUSPENDED', 'LAPSED'];
+
+// Installments that still have a balance to pay
+const UNPAID_INSTALLMENT_STATUSES = ['PENDING', 'PARTIALLY_PAID', 'OVERDUE'];
+
+// How money held in suspense was paid, by the channel it came in through
+const SUSPENSE_PAYMENT_METHODS = {
+  MPESA_C2B: 'MPESA'
+};
+
+let Policy, PaymentSuspense, User;
+
+// Initialize models when needed
+const initializePaymentAllocationService = async () => {
+  if (!PaymentSuspense) {
+    const models = await initializeModels();
+    Policy = models.Policy;
+    PaymentSuspense = models.PaymentSuspense;
+    User = models.User;
+  }
+};
+
+class PaymentAllocationService {
+  /**
+   * Allocate money received against a policy to its unpaid installments, oldest first.
+   * One COMPLETED payment is recorded per installment the money reaches; anything
+   * left once every installment is paid is returned as the remainder.
+   * @param {Policy} policy - Policy the money is for
+   * @param {Object} receipt - Money received
+   * @param {number} receipt.amount - Amount received
+   * @param {string} receipt.reference - Receipt reference (e.g. the M-Pesa code)
+   * @param {string} receipt.paymentMethod - MPESA, BANK_TRANSFER, CASH, CHEQUE or CARD
+   * @param {Date} [receipt.paymentDate] - When the money was received
+   * @param {string} [receipt.notes] - Notes recorded on each payment
+   * @param {string} userId - User recorded as creating the payments
+   * @param {Object} [options] - Options
+   * @param {Transaction} [options.transaction] - Transaction to write in
+   * @returns {Promise<Object>} Payments created and the unallocated remainder
+   */
+  async allocate(policy, { amount, reference, paymentMethod, paymentDate = new Date(), notes = null }, userId, { transaction } = {}) {
+    const { PaymentTransaction, PolicyInstallment } = policy.sequelize.models;
+
+    const installments = await PolicyInstallment.findAll({
+      where: { policyId: policy.id, status: UNPAID_INSTALLMENT_STATUSES },
+      order: [['installmentNumber', 'ASC']],
+      transaction
+    });
+
+    // Transaction IDs are unique, so parts of a receipt after the first get a suffix;
+    // count earlier parts in case the receipt was allocated in stages
+    const earlierParts = await PaymentTransaction.count({
+      where: { transactionId: { [Op.like]: `${reference}%` } },
+      transaction
+    });
+
+    const payments = [];
+    let remaining = roundMoney(parseFloat(amount));
+
+    for (const installment of installments) {
+      if (remaining <= 0) break;
+
+      const balance = roundMoney(parseFloat(installment.amount) - parseFloat(installment.paidAmount || 0));
+      if (balance <= 0) continue;
+
+      const allocated = Math.min(balance, remaining);
+      const part = earlierParts + payments.length;
+
+      payments.push(await PaymentTransaction.create({
+        customerCode: policy.clientId,
+        policyId: policy.id,
+        amount: allocated,
+        paymentMethod,
+        paymentType: installment.installmentNumber === 0 ? 'DOWN_PAYMENT' : 'INSTALLMENT',
+        installmentNumber: installment.installmentNumber,
+        transactionId: part === 0 ? reference : `${reference}-${part + 1}`,
+        mpesaCode: paymentMethod === 'MPESA' ? reference : null,
+        paymentDate,
+        status: 'COMPLETED',
+        notes,
+        createdBy: userId
+      }, { transaction }));
+
+      remaining = roundMoney(remaining - allocated);
+    }
+
+    if (payments.length > 0) {
+      await installmentService.syncInstallments(policy, { transaction });
+    }
+
+    return { payments, remainder: remaining };
+  }
+
+  /**
+   * Hold money that could not be allocated automatically in the suspense queue
+   * @param {Object} receipt - Money received
+   * @param {string} receipt.reference - Receipt reference
+   * @param {number} receipt.amount - Amount to hold
+   * @param {Date} receipt.receivedAt - When the money was received
+   * @param {string} [receipt.accountReference] - Account number the payer entered
+   * @param {string} [receipt.payerPhone] - Payer phone number
+   * @param {string} [receipt.payerName] - Payer name
+   * @param {string} [receipt.notes] - Notes
+   * @param {Object} [receipt.payload] - Notification as received
+   * @param {string} reason - UNKNOWN_ACCOUNT, POLICY_NOT_PAYABLE or OVERPAYMENT
+   * @param {Object} [options] - Options
+   * @param {Transaction} [options.transaction] - Transaction to write in
+   * @returns {Promise<PaymentSuspense>} The suspense entry
+   */
+  async holdInSuspense(receipt, reason, { transaction } = {}) {
+    await initializePaymentAllocationService();
+
+    return PaymentSuspense.create({ ...receipt, reason, status: 'UNALLOCATED' }, { transaction });
+  }
+
+  /**
+   * Money waiting in suspense, oldest first
+   * @param {Object} [filters] - Filters
+   * @param {string} [filters.status=UNALLOCATED] - UNALLOCATED or ALLOCATED
+   * @returns {Promise<Array<PaymentSuspense>>} Suspense entries
+   */
+  async getSuspenseQueue({ status = 'UNALLOCATED' } = {}) {
+    await initializePaymentAllocationService();
+
+    return PaymentSuspense.findAll({
+      where: { status },
+      include: [
+        { model: Policy, as: 'policy', attributes: ['id', 'policyNumber'] },
+        { model: User, as: 'allocator', attributes: ['id', 'firstName', 'lastName'] }
+      ],
+      order: [['receivedAt', 'ASC']]
+    });
+  }
+
+  /**
+   * Allocate money held in suspense to a policy by hand. If the policy cannot
+   * absorb it all, the rest stays in suspense on the same entry.
+   * @param {string} suspenseId - Suspense entry
+   * @param {string} policyId - Policy to allocate to
+   * @param {string} [notes] - Notes on the allocation
+   * @param {string} userId - User allocating the money
+   * @returns {Promise<Object>} The entry, payments created and any remainder
+   */
+  async allocateSuspense(suspenseId, policyId, notes, userId) {
+    await initializePaymentAllocationService();
+
+    const entry = await PaymentSuspense.findByPk(suspenseId);
+    if (!entry) {
+      throw new AppError('Suspense entry not found', 404);
+    }
+
+    if (entry.status !== 'UNALLOCATED') {
+      throw new AppError('Suspense entry has already been allocated', 409);
+    }
+
+    const policy = await Policy.findByPk(policyId);
+    if (!policy) {
+      throw new AppError('Policy not found', 404);
+    }
+
+    if (!PAYABLE_POLICY_STATUSES.includes(policy.status)) {
+      throw new AppError(`Payments cannot be allocated to a policy with status ${policy.status}`, 409);
+    }
+
+    const transaction = await PaymentSuspense.sequelize.transaction();
+
+    try {
+      // Re-read under a row lock so two allocations of the same entry cannot both go through
+      const locked = await PaymentSuspense.findByPk(suspenseId, { transaction, lock: transaction.LOCK.UPDATE });
+      if (locked.status !== 'UNALLOCATED') {
+        throw new AppError('Suspense entry has already been allocated', 409);
+      }
+
+      const { payments, remainder } = await this.allocate(policy, {
+        amount: locked.amount,
+        reference: locked.reference,
+        paymentMethod: SUSPENSE_PAYMENT_METHODS[locked.source],
+        paymentDate: locked.receivedAt,
+        notes: `Allocated from suspense${notes ? `: ${notes}` : ''}`
+      }, userId, { transaction });
+
+      if (payments.length === 0) {
+        throw new AppError('Policy has no unpaid installments to allocate to', 409);
+      }
+
+      const allocated = roundMoney(parseFloat(locked.amount) - remainder);
+      const note = `${allocated} allocated to ${policy.policyNumber}${notes ? ` (${notes})` : ''}`;
+
+      await locked.update(remainder > 0
+        ? { amount: remainder, reason: 'OVERPAYMENT', notes: [locked.notes, note].filter(Boolean).join('; ') }
+        : {
+          status: 'ALLOCATED',
+          policyId: policy.id,
+          allocatedBy: userId,
+          allocatedAt: new Date(),
+          notes: [locked.notes, note].filter(Boolean).join('; ')
+        }, { transaction });
+
+      await transaction.commit();
+
+      return { entry: locked, payments, remainder };
+    } catch (error) {
+      await transaction.rollback();
+      throw error;
+    }
+  }
+}
+
+export default new PaymentAllocationService();
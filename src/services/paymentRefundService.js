@@ -0,0 +1,280 @@
+import { Op } from 'sequelize';
+import initializeModels from '../models/index.js';
+import AppError from '../utils/appError.js';
+import { roundMoney } from '../utils/proRata.js';
+import installmentService from './installmentService.js';
+import paymentTransactionService from './paymentTransactionService.js';
+
+// Refunds that count against what is left to refund on a payment
+const OPEN_REFUND_STATUSES = ['PENDING', 'APPROVED'];
+
+let Payment, PaymentRefund, PaymentTransaction, Policy, User;
+
+// Initialize models when needed
+const initializePaymentRefundService = async () => {
+  if (!PaymentRefund) {
+    const models = await initializeModels();
+    Payment = models.Payment;
+    PaymentRefund = models.PaymentRefund;
+    PaymentTransaction = models.PaymentTransaction;
+    Policy = models.Policy;
+    User = models.User;
+  }
+};
+
+class PaymentRefundService {
+  /**
+   * Amount of a payment that can still be refunded: what other refunds have not
+   * taken of it, capped at what the policy has been paid net of refunds already
+   * made (approved refunds and endorsement return premiums are negative
+   * adjustments). Nothing is refundable on a cancelled policy; the cancellation
+   * settled its refund.
+   * @param {Object} payment - Payment or receipt
+   * @param {Policy} policy - Policy the payment is for
+   * @param {Object} [options] - Options
+   * @param {Array<string>} [options.statuses] - Refund statuses that count against the payment (pending and approved by default)
+   * @param {string} [options.excludeRefundId] - Refund being approved, left out of the count
+   * @param {Transaction} [options.transaction] - Transaction to read in
+   * @returns {Promise<number>} Amount still refundable
+   */
+  async getRefundable(payment, policy, { statuses = OPEN_REFUND_STATUSES, excludeRefundId = null, transaction } = {}) {
+    await initializePaymentRefundService();
+
+    if (policy.status === 'CANCELLED') {
+      return 0;
+    }
+
+    const others = excludeRefundId ? { id: { [Op.ne]: excludeRefundId } } : {};
+
+    const refunded = await PaymentRefund.sum('amount', {
+      where: { ...others, paymentId: payment.id, status: statuses },
+      transaction
+    });
+
+    // Approved refunds are already off the net paid; pending ones are not yet
+    const pending = statuses.includes('PENDING')
+      ? await PaymentRefund.sum('amount', { where: { ...others, policyId: policy.id, status: 'PENDING' }, transaction })
+      : 0;
+
+    const netPaid = roundMoney(await policy.calculateTotalPaid() - (parseFloat(pending) || 0));
+    const leftOnPayment = roundMoney(parseFloat(payment.amount) - (parseFloat(refunded) || 0));
+
+    return Math.max(0, Math.min(leftOnPayment, netPaid));
+  }
+
+  /**
+   * Raise a refund against a completed payment or receipt. It waits as PENDING
+   * until a different user approves it.
+   * @param {string} paymentId - Payment (VW_PAYMENT) or receipt being refunded
+   * @param {Object} data - Refund details
+   * @param {number} [data.amount] - Amount to refund (defaults to everything still refundable)
+   * @param {string} data.reason - Why the refund is needed
+   * @param {string} data.refundMethod - MPESA, BANK_TRANSFER, CASH, CHEQUE or CARD
+   * @param {string} [data.notes] - Notes
+   * @param {string} userId - User raising the refund
+   * @returns {Promise<PaymentRefund>} The refund
+   */
+  async requestRefund(paymentId, { amount, reason, refundMethod, notes }, userId) {
+    await initializePaymentRefundService();
+
+    const { source, payment } = await paymentTransactionService.getPaymentById(paymentId);
+
+    if (payment.paymentType === 'ADJUSTMENT') {
+      throw new AppError('Adjustments cannot be refunded', 409);
+    }
+
+    // A partly refunded payment is already REFUNDED but may still have money left to refund
+    if (!['COMPLETED', 'REFUNDED'].includes(payment.status)) {
+      throw new AppError(`Cannot refund a payment with status ${payment.status}`, 409);
+    }
+
+    if (!payment.policyId) {
+      throw new AppError('Payment is not linked to a policy', 409);
+    }
+
+    const policy = await Policy.findByPk(payment.policyId);
+    if (!policy) {
+      throw new AppError('Policy for this payment no longer exists', 409);
+    }
+
+    if (policy.status === 'CANCELLED') {
+      throw new AppError('Policy is cancelled; its refund was settled on cancellation', 409);
+    }
+
+    const refundable = await this.getRefundable(payment, policy);
+    if (refundable <= 0) {
+      throw new AppError('Nothing is left to refund on this payment', 409);
+    }
+
+    const refundAmount = amount === undefined ? refundable : roundMoney(amount);
+    if (refundAmount > refundable) {
+      throw new AppError(`Refund cannot exceed the ${refundable} still refundable on this payment`, 400);
+    }
+
+    return PaymentRefund.create({
+      paymentId: payment.id,
+      paymentSource: source,
+      policyId: payment.policyId,
+      amount: refundAmount,
+      refundMethod,
+      reason,
+      notes: notes || null,
+      status: 'PENDING',
+      requestedBy: userId
+    });
+  }
+
+  /**
+   * Refunds by status, oldest first (by default the queue waiting for approval)
+   * @param {Object} [filters] - Filters
+   * @param {string} [filters.status=PENDING] - Refund status
+   * @param {string} [filters.paymentId] - Refunds against one payment
+   * @returns {Promise<Array<PaymentRefund>>} Refunds
+   */
+  async getRefunds({ status = 'PENDING', paymentId } = {}) {
+    await initializePaymentRefundService();
+
+    const where = { status };
+    if (paymentId) where.paymentId = paymentId;
+
+    return PaymentRefund.findAll({
+      where,
+      include: [
+        { model: Policy, as: 'policy', attributes: ['id', 'policyNumber'] },
+        { model: User, as: 'requester', attributes: ['id', 'firstName', 'lastName'] },
+        { model: User, as: 'reviewer', attributes: ['id', 'firstName', 'lastName'] }
+      ],
+      order: [['createdAt', 'ASC']]
+    });
+  }
+
+  /**
+   * Load a pending refund for review, enforcing that the reviewer is not the requester
+   * @param {string} refundId - Refund
+   * @param {string} userId - User reviewing the refund
+   * @returns {Promise<PaymentRefund>} The refund
+   */
+  async getRefundForReview(refundId, userId) {
+    await initializePaymentRefundService();
+
+    const refund = await PaymentRefund.findByPk(refundId);
+    if (!refund) {
+      throw new AppError('Refund not found', 404);
+    }
+
+    if (refund.status !== 'PENDING') {
+      throw new AppError(`Refund has already been ${refund.status.toLowerCase()}`, 409);
+    }
+
+    if (refund.requestedBy === userId) {
+      throw new AppError('A refund must be approved or rejected by someone other than the user who raised it', 403);
+    }
+
+    return refund;
+  }
+
+  /**
+   * Approve a refund: a negative ADJUSTMENT entry is written against the same
+   * installment, a refunded receipt is marked REFUNDED, and the policy's
+   * installments and counters are recomputed, all in one transaction.
+   * VW_PAYMENT is read-only, so a refunded view payment is only marked by its refund.
+   * The policy is locked and what is refundable checked again against approved
+   * refunds only, so two approvals cannot refund the same money.
+   * @param {string} refundId - Refund
+   * @param {Object} [data] - Approval details
+   * @param {string} [data.refundReference] - Reference of the money paid back
+   * @param {string} userId - User approving the refund
+   * @returns {Promise<Object>} The refund, the adjustment entry and the policy's schedule
+   */
+  async approveRefund(refundId, { refundReference } = {}, userId) {
+    const refund = await this.getRefundForReview(refundId, userId);
+    const transaction = await PaymentRefund.sequelize.transaction();
+
+    try {
+      // Another reviewer may have decided the refund since it was loaded
+      const locked = await PaymentRefund.findByPk(refund.id, { transaction, lock: transaction.LOCK.UPDATE });
+      if (locked.status !== 'PENDING') {
+        throw new AppError(`Refund has already been ${locked.status.toLowerCase()}`, 409);
+      }
+
+      // Refunds on one policy are approved one at a time (view payments cannot be locked themselves)
+      const policy = await Policy.findByPk(refund.policyId, { transaction, lock: transaction.LOCK.UPDATE });
+      if (!policy) {
+        throw new AppError('Policy for this refund no longer exists', 409);
+      }
+
+      const original = refund.paymentSource === 'RECEIPT'
+        ? await PaymentTransaction.findByPk(refund.paymentId, { transaction, lock: transaction.LOCK.UPDATE })
+        : await Payment.unscoped().findByPk(refund.paymentId, { transaction });
+      if (!original) {
+        throw new AppError('Refunded payment no longer exists', 409);
+      }
+
+      const refundable = await this.getRefundable(original, policy, {
+        statuses: ['APPROVED'],
+        excludeRefundId: refund.id,
+        transaction
+      });
+      if (parseFloat(locked.amount) > refundable) {
+        throw new AppError(`Refund exceeds the ${refundable} still refundable on this payment`, 409);
+      }
+
+      if (refund.paymentSource === 'RECEIPT') {
+        await original.update({ status: 'REFUNDED', updatedBy: userId }, { transaction });
+      }
+
+      const adjustment = await PaymentTransaction.create({
+        customerCode: original.customerCode,
+        policyId: refund.policyId,
+        amount: -parseFloat(refund.amount),
+        paymentMethod: refund.refundMethod,
+        reference: refundReference || null,
+        paymentDate: new Date(),
+        paymentType: 'ADJUSTMENT',
+        installmentNumber: original.installmentNumber ?? (original.paymentType === 'DOWN_PAYMENT' ? 0 : null),
+        status: 'COMPLETED',
+        validatedBy: userId,
+        validatedAt: new Date(),
+        notes: `Refund of payment ${original.transactionId || original.receiptNumber || original.id}: ${refund.reason}`,
+        createdBy: refund.requestedBy
+      }, { transaction });
+
+      await locked.update({
+        status: 'APPROVED',
+        reviewedBy: userId,
+        reviewedAt: new Date(),
+        refundReference: refundReference || null,
+        adjustmentId: adjustment.id
+      }, { transaction });
+
+      await installmentService.syncInstallments(policy, { transaction });
+
+      await transaction.commit();
+
+      return { refund: locked, adjustment, schedule: await installmentService.getSchedule(policy) };
+    } catch (error) {
+      await transaction.rollback();
+      throw error;
+    }
+  }
+
+  /**
+   * Reject a refund; the payment is left as it was
+   * @param {string} refundId - Refund
+   * @param {string} reason - Why the refund is rejected
+   * @param {string} userId - User rejecting the refund
+   * @returns {Promise<PaymentRefund>} The refund
+   */
+  async rejectRefund(refundId, reason, userId) {
+    const refund = await this.getRefundForReview(refundId, userId);
+
+    return refund.update({
+      status: 'REJECTED',
+      reviewedBy: userId,
+      reviewedAt: new Date(),
+      rejectionReason: reason
+    });
+  }
+}
+
+export default new PaymentRefundService();
@@ -0,0 +1,401 @@
+import { Op } from 'sequelize';
+import initializeModels from '../models/index.js';
+import AppError from '../utils/appError.js';
+import { roundMoney } from '../utils/proRata.js';
+import installmentService from './installmentService.js';
+import { PAYABLE_POLICY_STATUSES } from './paymentAllocationService.js';
+
+// Columns read from the VW_PAYMENT view for payment history
+const VIEW_ATTRIBUTES = [
+  'PAYMENT_ID',
+  'CUSTOMER_CODE',
+  'POLICY_ID',
+  'AMOUNT',
+  'PAYMENT_METHOD',
+  'MPESA_CODE',
+  'TRANSACTION_ID',
+  'PAYMENT_DATE',
+  'STATUS',
+  'CREATED_AT',
+  'UPDATED_AT'
+];
+
+// Receipts shown in payment history; rejected and cancelled ones are left out
+const HISTORY_RECEIPT_STATUSES = ['PENDING', 'COMPLETED', 'REFUNDED'];
+
+// Receipts whose money counts towards the policy (refund adjustments are negative)
+const PAID_RECEIPT_STATUSES = ['COMPLETED', 'REFUNDED'];
+
+// Methods staff capture receipts for; M-Pesa payments are confirmed by Daraja instead
+const RECEIPT_PAYMENT_METHODS = ['CASH', 'CHEQUE', 'BANK_TRANSFER'];
+
+// Staff receipts waiting in the validation queue (not M-Pesa requests or premium adjustments)
+const isStaffReceipt = receipt => RECEIPT_PAYMENT_METHODS.includes(receipt.paymentMethod)
+  && receipt.paymentType !== 'ADJUSTMENT';
+
+// Receipt fields that can be corrected while a receipt waits for validation
+const EDITABLE_RECEIPT_FIELDS = ['amount', 'reference', 'paymentDate', 'installmentNumber', 'notes'];
+
+let Payment, PaymentTransaction, Policy, User;
+
+// Initialize models when needed
+const initializePaymentTransactionService = async () => {
+  if (!PaymentTransaction) {
+    const models = await initializeModels();
+    Payment = models.Payment;
+    PaymentTransaction = models.PaymentTransaction;
+    Policy = models.Policy;
+    User = models.User;
+  }
+};
+
+// Present a receipt in the same shape as a VW_PAYMENT row
+const toHistoryRow = receipt => ({
+  PAYMENT_ID: receipt.id,
+  CUSTOMER_CODE: receipt.customerCode,
+  POLICY_ID: receipt.policyId,
+  AMOUNT: receipt.amount,
+  PAYMENT_METHOD: receipt.paymentMethod,
+  MPESA_CODE: receipt.mpesaCode,
+  TRANSACTION_ID: receipt.transactionId || receipt.receiptNumber,
+  PAYMENT_DATE: receipt.paymentDate,
+  STATUS: receipt.status,
+  CREATED_AT: receipt.createdAt,
+  UPDATED_AT: receipt.updatedAt,
+  SOURCE: 'RECEIPT'
+});
+
+class PaymentTransactionService {
+  /**
+   * Payment history from the VW_PAYMENT view and PAYMENT_TRANSACTIONS (staff
+   * receipts, M-Pesa payments and refund adjustments), newest first. Both
+   * sources are read up to the end of the requested page and merged, so counts
+   * and paging cover the combined history.
+   * @param {Object} [filters] - Filters
+   * @param {string} [filters.customerCode] - Customer
+   * @param {string} [filters.policyId] - Policy
+   * @param {string} [filters.startDate] - Earliest payment date
+   * @param {string} [filters.endDate] - Latest payment date
+   * @param {number} [filters.minAmount] - Smallest amount
+   * @param {number} [filters.maxAmount] - Largest amount
+   * @param {Object} [paging] - Paging
+   * @param {number} [paging.page=1] - Page number
+   * @param {number} [paging.limit=10] - Rows per page
+   * @returns {Promise<Object>} {count, rows} with rows in VW_PAYMENT shape plus SOURCE
+   */
+  async getPaymentHistory({ customerCode, policyId, startDate, endDate, minAmount, maxAmount } = {}, { page = 1, limit = 10 } = {}) {
+    await initializePaymentTransactionService();
+
+    const viewWhere = {};
+    const receiptWhere = { status: HISTORY_RECEIPT_STATUSES };
+
+    if (customerCode) {
+      viewWhere.CUSTOMER_CODE = customerCode;
+      receiptWhere.customerCode = customerCode;
+    }
+
+    if (policyId) {
+      viewWhere.POLICY_ID = policyId;
+      receiptWhere.policyId = policyId;
+    }
+
+    if (startDate || endDate) {
+      const range = {};
+      if (startDate) range[Op.gte] = new Date(startDate);
+      if (endDate) range[Op.lte] = new Date(endDate);
+      viewWhere.PAYMENT_DATE = range;
+      receiptWhere.paymentDate = range;
+    }
+
+    if (minAmount || maxAmount) {
+      const range = {};
+      if (minAmount) range[Op.gte] = parseFloat(minAmount);
+      if (maxAmount) range[Op.lte] = parseFloat(maxAmount);
+      viewWhere.AMOUNT = range;
+      receiptWhere.amount = range;
+    }
+
+    const offset = (parseInt(page, 10) - 1) * parseInt(limit, 10);
+    const window = offset + parseInt(limit, 10);
+
+    const [viewPayments, receipts] = await Promise.all([
+      Payment.findAndCountAll({
+        attributes: VIEW_ATTRIBUTES,
+        where: viewWhere,
+        limit: window,
+        order: [['PAYMENT_DATE', 'DESC']],
+        raw: true
+      }),
+      PaymentTransaction.findAndCountAll({
+        where: receiptWhere,
+        limit: window,
+        order: [['paymentDate', 'DESC']]
+      })
+    ]);
+
+    const rows = [
+      ...viewPayments.rows.map(payment => ({ ...payment, SOURCE: 'PAYMENT_VIEW' })),
+      ...receipts.rows.map(toHistoryRow)
+    ]
+      .sort((a, b) => new Date(b.PAYMENT_DATE) - new Date(a.PAYMENT_DATE))
+      .slice(offset, window);
+
+    return { count: viewPayments.count + receipts.count, rows };
+  }
+
+  /**
+   * Totals paid by a customer across the view and PAYMENT_TRANSACTIONS.
+   * Refund adjustments are negative, so the total is net of refunds.
+   * @param {string} customerCode - Customer
+   * @returns {Promise<Object>} {totalPayments, totalAmount}
+   */
+  async getCustomerSummary(customerCode) {
+    await initializePaymentTransactionService();
+
+    const viewSummary = await Payment.getCustomerPaymentSummary(customerCode);
+    const where = { customerCode, status: PAID_RECEIPT_STATUSES };
+    const [receiptCount, receiptTotal] = await Promise.all([
+      PaymentTransaction.count({ where: { ...where, paymentType: { [Op.ne]: 'ADJUSTMENT' } } }),
+      PaymentTransaction.sum('amount', { where })
+    ]);
+
+    return {
+      totalPayments: viewSummary.totalPayments + receiptCount,
+      totalAmount: roundMoney(viewSummary.totalAmount + (parseFloat(receiptTotal) || 0))
+    };
+  }
+
+  /**
+   * Find a payment in the view or among the captured receipts
+   * @param {string} id - Payment or receipt ID
+   * @returns {Promise<Object>} {source, payment}
+   */
+  async getPaymentById(id) {
+    await initializePaymentTransactionService();
+
+    const payment = await Payment.findByPk(id);
+    if (payment) {
+      return { source: 'PAYMENT_VIEW', payment };
+    }
+
+    const receipt = await PaymentTransaction.findByPk(id, {
+      include: [
+        { model: Policy, as: 'policy', attributes: ['id', 'policyNumber'] },
+        { model: User, as: 'creator', attributes: ['id', 'firstName', 'lastName'] },
+        { model: User, as: 'validator', attributes: ['id', 'firstName', 'lastName'] }
+      ]
+    });
+    if (!receipt) {
+      throw new AppError('Payment not found', 404);
+    }
+
+    return { source: 'RECEIPT', payment: receipt };
+  }
+
+  /**
+   * Receipts by status, oldest first (by default the queue waiting for validation)
+   * @param {Object} [filters] - Filters
+   * @param {string} [filters.status=PENDING] - Receipt status
+   * @returns {Promise<Array<PaymentTransaction>>} Receipts
+   */
+  async getReceipts({ status = 'PENDING' } = {}) {
+    await initializePaymentTransactionService();
+
+    return PaymentTransaction.findAll({
+      where: { status, paymentMethod: RECEIPT_PAYMENT_METHODS, paymentType: { [Op.ne]: 'ADJUSTMENT' } },
+      include: [
+        { model: Policy, as: 'policy', attributes: ['id', 'policyNumber'] },
+        { model: User, as: 'creator', attributes: ['id', 'firstName', 'lastName'] }
+      ],
+      order: [['paymentDate', 'ASC']]
+    });
+  }
+
+  /**
+   * Load a receipt, checking it can still be acted on
+   * @param {string} id - Receipt ID
+   * @param {string} action - What is being done, for the error message
+   * @returns {Promise<PaymentTransaction>} The receipt
+   */
+  async getPendingReceipt(id, action) {
+    await initializePaymentTransactionService();
+
+    const receipt = await PaymentTransaction.findByPk(id);
+    if (!receipt) {
+      if (await Payment.findByPk(id)) {
+        throw new AppError('Payments from the payment view are read-only', 405);
+      }
+      throw new AppError('Receipt not found', 404);
+    }
+
+    if (!isStaffReceipt(receipt)) {
+      throw new AppError('M-Pesa payments and premium adjustments are not validated by staff', 405);
+    }
+
+    if (receipt.status !== 'PENDING') {
+      throw new AppError(`Cannot ${action} a receipt with status ${receipt.status}`, 409);
+    }
+
+    return receipt;
+  }
+
+  /**
+   * Reject a reference already used on another live receipt of the same method
+   * @param {string} paymentMethod - CASH, CHEQUE or BANK_TRANSFER
+   * @param {string} reference - Cheque number or transfer reference
+   * @param {string} [excludeId] - Receipt being edited
+   */
+  async assertReferenceUnused(paymentMethod, reference, excludeId = null) {
+    if (!reference) return;
+
+    const where = { paymentMethod, reference, status: HISTORY_RECEIPT_STATUSES, paymentType: { [Op.ne]: 'ADJUSTMENT' } };
+    if (excludeId) where.id = { [Op.ne]: excludeId };
+
+    const existing = await PaymentTransaction.findOne({ where });
+    if (existing) {
+      throw new AppError(`Reference ${reference} is already on receipt ${existing.receiptNumber}`, 409);
+    }
+  }
+
+  /**
+   * Capture a cash, cheque or bank transfer receipt against a policy. It waits
+   * as PENDING until another user validates it.
+   * @param {Object} data - Receipt details
+   * @param {string} data.policyId - Policy paid for
+   * @param {number} data.amount - Amount received
+   * @param {string} data.paymentMethod - CASH, CHEQUE or BANK_TRANSFER
+   * @param {string} [data.reference] - Cheque number or transfer reference
+   * @param {Date} [data.paymentDate] - When the money was received
+   * @param {number} [data.installmentNumber] - Installment paid (0 is the down payment)
+   * @param {string} [data.notes] - Notes
+   * @param {string} userId - User capturing the receipt
+   * @returns {Promise<PaymentTransaction>} The receipt
+   */
+  async captureReceipt({ policyId, amount, paymentMethod, reference, paymentDate, installmentNumber, notes }, userId) {
+    await initializePaymentTransactionService();
+
+    const policy = await Policy.findByPk(policyId);
+    if (!policy) {
+      throw new AppError('Policy not found', 404);
+    }
+
+    if (!PAYABLE_POLICY_STATUSES.includes(policy.status)) {
+      throw new AppError(`Payments cannot be receipted for a policy with status ${policy.status}`, 409);
+    }
+
+    await this.assertReferenceUnused(paymentMethod, reference);
+
+    return PaymentTransaction.create({
+      customerCode: policy.clientId,
+      policyId: policy.id,
+      amount,
+      paymentMethod,
+      reference: reference || null,
+      paymentDate: paymentDate || new Date(),
+      paymentType: installmentNumber === 0 ? 'DOWN_PAYMENT' : 'INSTALLMENT',
+      installmentNumber: installmentNumber === undefined ? null : installmentNumber,
+      notes: notes || null,
+      status: 'PENDING',
+      createdBy: userId
+    });
+  }
+
+  /**
+   * Correct a receipt that has not been validated yet
+   * @param {string} id - Receipt ID
+   * @param {Object} updates - Fields to change (see EDITABLE_RECEIPT_FIELDS)
+   * @param {string} userId - User making the change
+   * @returns {Promise<PaymentTransaction>} The receipt
+   */
+  async updateReceipt(id, updates, userId) {
+    const receipt = await this.getPendingReceipt(id, 'update');
+
+    const changes = Object.fromEntries(
+      EDITABLE_RECEIPT_FIELDS.filter(field => updates[field] !== undefined).map(field => [field, updates[field]])
+    );
+
+    if (changes.reference !== undefined) {
+      await this.assertReferenceUnused(receipt.paymentMethod, changes.reference, receipt.id);
+    }
+
+    if (changes.installmentNumber !== undefined) {
+      changes.paymentType = changes.installmentNumber === 0 ? 'DOWN_PAYMENT' : 'INSTALLMENT';
+    }
+
+    return receipt.update({ ...changes, updatedBy: userId });
+  }
+
+  /**
+   * Cancel a receipt captured in error before it is validated
+   * @param {string} id - Receipt ID
+   * @param {string} reason - Why it is cancelled
+   * @param {string} userId - User cancelling the receipt
+   * @returns {Promise<PaymentTransaction>} The receipt
+   */
+  async cancelReceipt(id, reason, userId) {
+    const receipt = await this.getPendingReceipt(id, 'cancel');
+
+    return receipt.update({ status: 'CANCELLED', rejectionReason: reason, updatedBy: userId });
+  }
+
+  /**
+   * Validate a receipt so it counts towards the policy. The validator must not
+   * be the user who captured it.
+   * @param {string} id - Receipt ID
+   * @param {string} userId - User validating the receipt
+   * @returns {Promise<PaymentTransaction>} The receipt
+   */
+  async validateReceipt(id, userId) {
+    const receipt = await this.getPendingReceipt(id, 'validate');
+
+    if (receipt.createdBy === userId) {
+      throw new AppError('A receipt must be validated by someone other than the user who captured it', 403);
+    }
+
+    const policy = await Policy.findByPk(receipt.policyId);
+    const transaction = await PaymentTransaction.sequelize.transaction();
+
+    try {
+      await receipt.update({
+        status: 'COMPLETED',
+        validatedBy: userId,
+        validatedAt: new Date(),
+        updatedBy: userId
+      }, { transaction });
+
+      await installmentService.syncInstallments(policy, { transaction });
+
+      await transaction.commit();
+
+      return receipt;
+    } catch (error) {
+      await transaction.rollback();
+      throw error;
+    }
+  }
+
+  /**
+   * Reject a receipt whose money was not received (bounced cheque, transfer not found)
+   * @param {string} id - Receipt ID
+   * @param {string} reason - Why it is rejected
+   * @param {string} userId - User rejecting the receipt
+   * @returns {Promise<PaymentTransaction>} The receipt
+   */
+  async rejectReceipt(id, reason, userId) {
+    const receipt = await this.getPendingReceipt(id, 'reject');
+
+    if (receipt.createdBy === userId) {
+      throw new AppError('A receipt must be rejected by someone other than the user who captured it', 403);
+    }
+
+    return receipt.update({
+      status: 'REJECTED',
+      rejectionReason: reason,
+      validatedBy: userId,
+      validatedAt: new Date(),
+      updatedBy: userId
+    });
+  }
+}
+
+export default new PaymentTransactionService();
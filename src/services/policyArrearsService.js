@@ -0,0 +1,142 @@
+import initializeModels from '../models/index.js';
+import AppError from '../utils/appError.js';
+import policyLifecycleService from './policyLifecycleService.js';
+import installmentService from './installmentService.js';
+import notificationService from './notificationService.js';
+
+let Policy, Product, Client, Reminder;
+
+// Initialize models when needed
+const initializeArrearsService = async () => {
+  if (!Policy) {
+    const models = await initializeModels();
+    Policy = models.Policy;
+    Product = models.Product;
+    Client = models.Client;
+    Reminder = models.Reminder;
+  }
+};
+
+class PolicyArrearsService {
+  /**
+   * Decide what status a policy should move to given its overdue installments
+   * @param {Policy} policy - Policy being checked
+   * @param {Object} product - The policy's product (holds the grace thresholds)
+   * @returns {string|null} SUSPENDED, LAPSED or null if no change is due
+   */
+  getArrearsAction(policy, product) {
+    const overdue = policy.overdueInstallments || 0;
+    const suspensionGrace = product.suspensionGraceInstallments ?? 1;
+    const lapseGrace = product.lapseGraceInstallments ?? 3;
+
+    if (overdue > lapseGrace) {
+      return 'LAPSED';
+    }
+
+    if (overdue > suspensionGrace && policy.status === 'ACTIVE') {
+      return 'SUSPENDED';
+    }
+
+    return null;
+  }
+
+  /**
+   * Send the product's cancellation_warning reminder for a policy in arrears
+   * @param {Policy} policy - Policy that was suspended or lapsed (with client loaded)
+   * @returns {Promise<Array>} Notification results
+   */
+  async sendCancellationWarning(policy) {
+    await initializeArrearsService();
+
+    if (!policy.client) return [];
+
+    const reminder = await Reminder.findOne({
+      where: {
+        productId: policy.productId,
+        reminderType: 'cancellation_warning',
+        isActive: true
+      }
+    });
+
+    return notificationService.sendCancellationWarning(policy.client, policy, reminder);
+  }
+
+  /**
+   * Sync installments for every live policy and suspend or lapse those
+   * whose overdue installments exceed their product's grace thresholds
+   * @returns {Promise<Object>} Summary of the run
+   */
+  async processArrears() {
+    await initializeArrearsService();
+
+    const policies = await Policy.findAll({
+      where: { status: ['ACTIVE', 'SUSPENDED'] },
+      include: [
+        { model: Product, as: 'product' },
+        {
+          model: Client,
+          as: 'client',
+          attributes: ['id', 'firstName', 'lastName', 'email', 'phone']
+        }
+      ]
+    });
+
+    const summary = { checked: policies.length, suspended: [], lapsed: [], errors: [] };
+
+    for (const policy of policies) {
+      try {
+        await installmentService.syncInstallments(policy);
+
+        const toStatus = this.getArrearsAction(policy, policy.product || {});
+        if (!toStatus) continue;
+
+        await policyLifecycleService.transition(policy, toStatus, {
+          actorId: null,
+          reason: `${policy.overdueInstallments} overdue installment(s)`
+        });
+
+        summary[toStatus === 'LAPSED' ? 'lapsed' : 'suspended'].push(policy.policyNumber);
+
+        // A failed notification must not undo the status change
+        try {
+          await this.sendCancellationWarning(policy);
+        } catch (error) {
+          console.error(`Cancellation warning failed for policy ${policy.policyNumber}:`, error.message);
+        }
+      } catch (error) {
+        summary.errors.push({ policyNumber: policy.policyNumber, message: error.message });
+      }
+    }
+
+    return summary;
+  }
+
+  /**
+   * Restore cover on a suspended or lapsed policy once its arrears are cleared
+   * @param {Policy} policy - Policy to reinstate
+   * @param {string} userId - User reinstating the policy
+   * @param {string} [reason] - Reason recorded in the status history
+   * @returns {Promise<Policy>} The reinstated policy
+   */
+  async reinstatePolicy(policy, userId, reason) {
+    if (!['SUSPENDED', 'LAPSED'].includes(policy.status)) {
+      throw new AppError(`Policies with status ${policy.status} cannot be reinstated`, 409);
+    }
+
+    await installmentService.syncInstallments(policy);
+
+    if (policy.overdueInstallments > 0) {
+      throw new AppError(
+        `Policy still has ${policy.overdueInstallments} overdue installment(s); arrears must be cleared first`,
+        409
+      );
+    }
+
+    return policyLifecycleService.transition(policy, 'ACTIVE', {
+      actorId: userId,
+      reason: reason || 'Reinstated after arrears were cleared'
+    });
+  }
+}
+
+export default new PolicyArrearsService();
@@ -0,0 +1,221 @@
+import moment from 'moment';
+import { Op } from 'sequelize';
+import AppError from '../utils/appError.js';
+import { getTermDays, getDaysRemaining, calculateProRata, roundMoney } from '../utils/proRata.js';
+import policyLifecycleService from './policyLifecycleService.js';
+import endorsementService from './endorsementService.js';
+import installmentService from './installmentService.js';
+
+/**
+ * Short-period scale used when a product does not define its own.
+ * Each band gives the % of the annual premium the insurer retains for cover
+ * that was in force up to that many months.
+ */
+export const DEFAULT_SHORT_PERIOD_SCALE = [
+  { upToMonths: 1, chargePercent: 20 },
+  { upToMonths: 2, chargePercent: 30 },
+  { upToMonths: 3, chargePercent: 40 },
+  { upToMonths: 4, chargePercent: 50 },
+  { upToMonths: 5, chargePercent: 60 },
+  { upToMonths: 6, chargePercent: 70 },
+  { upToMonths: 7, chargePercent: 75 },
+  { upToMonths: 8, chargePercent: 80 },
+  { upToMonths: 9, chargePercent: 85 },
+  { upToMonths: 12, chargePercent: 100 }
+];
+
+class PolicyCancellationService {
+  /**
+   * Find the % of premium retained for a number of months in force
+   * @param {Array} scale - Short-period scale bands
+   * @param {number} monthsInForce - Months the policy was in force (rounded up)
+   * @returns {number} Percentage of the annual premium retained
+   */
+  getShortPeriodCharge(scale, monthsInForce) {
+    const bands = [...scale].sort((a, b) => a.upToMonths - b.upToMonths);
+    const band = bands.find(b => monthsInForce <= b.upToMonths);
+    return band ? parseFloat(band.chargePercent) : 100;
+  }
+
+  /**
+   * Calculate the refund due on cancelling a policy.
+   * What has been paid is counted net of earlier refunds such as endorsement return premiums.
+   * @param {Policy} policy - Policy being cancelled
+   * @param {Object} product - The policy's product
+   * @param {Object} options - Calculation options
+   * @param {Date|string} [options.cancellationDate] - Effective cancellation date (defaults to today)
+   * @param {string} [options.refundMethod] - PRO_RATA or SHORT_PERIOD (defaults to the product setting)
+   * @returns {Promise<Object>} Itemised refund calculation
+   */
+  async calculateRefund(policy, product, { cancellationDate, refundMethod } = {}) {
+    const method = refundMethod || product.cancellationRefundMethod || 'PRO_RATA';
+    const startDate = moment(policy.policyStartDate).startOf('day');
+
+    // Cancelling before cover starts is treated as cancelling on the start date
+    let effectiveDate = moment(cancellationDate || new Date()).startOf('day');
+    if (effectiveDate.isBefore(startDate)) {
+      effectiveDate = startDate.clone();
+    }
+
+    const premium = parseFloat(policy.adjustedPremium || policy.annualPremium);
+    const termDays = getTermDays(policy.policyStartDate, policy.policyEndDate);
+    const daysRemaining = getDaysRemaining(effectiveDate, policy.policyEndDate);
+    const daysInForce = termDays - daysRemaining;
+
+    let earnedPremium;
+    let chargePercent = null;
+
+    if (method === 'SHORT_PERIOD') {
+      const scale = product.shortPeriodScale && product.shortPeriodScale.length > 0
+        ? product.shortPeriodScale
+        : DEFAULT_SHORT_PERIOD_SCALE;
+      const monthsInForce = Math.max(1, Math.ceil(effectiveDate.diff(startDate, 'months', true)));
+      chargePercent = this.getShortPeriodCharge(scale, monthsInForce);
+      earnedPremium = roundMoney(Math.min(premium, premium * (chargePercent / 100)));
+    } else {
+      // Unexpired cover is refunded at the current annual rate, which endorsements may have changed mid-term
+      const annualBasis = await endorsementService.getAnnualBasis(policy);
+      earnedPremium = roundMoney(Math.max(0, premium - calculateProRata(annualBasis, daysRemaining, termDays)));
+    }
+
+    const totalPaid = roundMoney(await policy.calculateTotalPaid());
+    const refundAmount = roundMoney(Math.max(0, totalPaid - earnedPremium));
+
+    return {
+      refundMethod: method,
+      cancellationDate: effectiveDate.toDate(),
+      premium,
+      termDays,
+      daysInForce,
+      daysRemaining,
+      chargePercent,
+      earnedPremium,
+      unearnedPremium: roundMoney(premium - earnedPremium),
+      totalPaid,
+      refundAmount,
+      outstandingAmount: roundMoney(Math.max(0, earnedPremium - totalPaid))
+    };
+  }
+
+  /**
+   * Work out the commission to claw back for the unearned part of the premium
+   * @param {Policy} policy - Policy being cancelled
+   * @param {Object} refund - Result of calculateRefund
+   * @param {Transaction} [transaction] - Transaction to read in
+   * @returns {Promise<Object|null>} Clawback amount and rate, or null if nothing to claw back
+   */
+  async calculateClawback(policy, refund, transaction) {
+    const { Commission } = policy.sequelize.models;
+
+    if (!policy.intermediaryId || refund.premium <= 0) return null;
+
+    const commissions = await Commission.findAll({
+      where: {
+        policyId: policy.id,
+        status: { [Op.ne]: 'CANCELLED' }
+      },
+      transaction
+    });
+
+    const earned = commissions
+      .filter(c => c.commissionType !== 'CLAWBACK')
+      .reduce((sum, c) => sum + parseFloat(c.amount), 0);
+    const clawedBack = commissions
+      .filter(c => c.commissionType === 'CLAWBACK')
+      .reduce((sum, c) => sum + parseFloat(c.amount), 0);
+
+    const unearnedRatio = refund.unearnedPremium / refund.premium;
+    const amount = roundMoney(Math.min(earned * unearnedRatio, earned - clawedBack));
+
+    if (amount < 0.01) return null;
+
+    return {
+      amount,
+      rate: roundMoney(unearnedRatio * 100)
+    };
+  }
+
+  /**
+   * Cancel a policy: refund unearned premium, claw back commission and
+   * record the status change, all in one transaction.
+   * The refund is a negative ADJUSTMENT, so the policy's total paid is net of it.
+   * @param {Policy} policy - Policy to cancel
+   * @param {Object} options - Cancellation options
+   * @param {string} options.reason - Cancellation reason
+   * @param {Date|string} [options.cancellationDate] - Effective cancellation date
+   * @param {string} [options.refundMethod] - PRO_RATA or SHORT_PERIOD
+   * @param {string} [options.paymentMethod='MPESA'] - Method the refund is paid by
+   * @param {string} userId - User cancelling the policy
+   * @returns {Promise<Object>} Policy, refund calculation, refund payment and clawback commission
+   */
+  async cancelPolicy(policy, { reason, cancellationDate, refundMethod, paymentMethod = 'MPESA' }, userId) {
+    const { Product, PaymentTransaction, Commission } = policy.sequelize.models;
+
+    if (!policyLifecycleService.canTransition(policy.status, 'CANCELLED')) {
+      throw new AppError(`Cannot cancel a policy with status ${policy.status}`, 409);
+    }
+
+    const product = await Product.findByPk(policy.productId);
+    if (!product) {
+      throw new AppError('Product not found', 404);
+    }
+
+    const refund = await this.calculateRefund(policy, product, { cancellationDate, refundMethod });
+
+    const transaction = await policy.sequelize.transaction();
+
+    try {
+      let refundPayment = null;
+      if (refund.refundAmount > 0) {
+        refundPayment = await PaymentTransaction.create({
+          customerCode: policy.clientId,
+          policyId: policy.id,
+          amount: -refund.refundAmount,
+          paymentMethod,
+          paymentType: 'ADJUSTMENT',
+          status: 'COMPLETED',
+          reference: policy.policyNumber,
+          paymentDate: new Date(),
+          notes: `Cancellation refund (${refund.refundMethod}) for policy ${policy.policyNumber}`,
+          createdBy: userId
+        }, { transaction });
+      }
+
+      let clawback = null;
+      const clawbackFigures = await this.calculateClawback(policy, refund, transaction);
+      if (clawbackFigures) {
+        clawback = await Commission.create({
+          intermediaryId: policy.intermediaryId,
+          productId: policy.productId,
+          policyId: policy.id,
+          amount: clawbackFigures.amount,
+          rate: clawbackFigures.rate,
+          commissionType: 'CLAWBACK',
+          period: moment(refund.cancellationDate).format('YYYY-[Q]Q'),
+          notes: `Clawback on cancellation of policy ${policy.policyNumber}`
+        }, { transaction });
+      }
+
+      await policyLifecycleService.transition(policy, 'CANCELLED', {
+        actorId: userId,
+        reason,
+        changes: {
+          cancellationDate: refund.cancellationDate,
+          cancellationReason: reason
+        },
+        transaction
+      });
+
+      await installmentService.cancelUnpaidInstallments(policy, { transaction });
+
+      await transaction.commit();
+
+      return { policy, refund, refundPayment, clawback };
+    } catch (error) {
+      await transaction.rollback();
+      throw error;
+    }
+  }
+}
+
+export default new PolicyCancellationService();
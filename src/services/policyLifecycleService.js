@@ -0,0 +1,112 @@
+import AppError from '../utils/appError.js';
+
+/**
+ * Allowed policy status transitions.
+ * EXPIRED and CANCELLED are terminal: an expired policy comes back only
+ * through a renewal, which issues a new policy.
+ */
+export const POLICY_TRANSITIONS = {
+  ACTIVE: ['SUSPENDED', 'LAPSED', 'CANCELLED', 'EXPIRED'],
+  SUSPENDED: ['ACTIVE', 'LAPSED', 'CANCELLED', 'EXPIRED'],
+  LAPSED: ['ACTIVE', 'CANCELLED', 'EXPIRED'],
+  EXPIRED: [],
+  CANCELLED: []
+};
+
+class PolicyLifecycleService {
+  /**
+   * Check whether a policy may move from one status to another
+   * @param {string} fromStatus - Current status
+   * @param {string} toStatus - Requested status
+   * @returns {boolean} True if the transition is allowed
+   */
+  canTransition(fromStatus, toStatus) {
+    return (POLICY_TRANSITIONS[fromStatus] || []).includes(toStatus);
+  }
+
+  /**
+   * Move a policy to a new status and record the change in its history
+   * @param {Policy} policy - Policy instance to transition
+   * @param {string} toStatus - Target status
+   * @param {Object} options - Transition options
+   * @param {string} [options.actorId] - User performing the transition (omit for system jobs)
+   * @param {string} [options.reason] - Reason for the transition
+   * @param {Object} [options.changes] - Extra policy attributes to update alongside the status
+   * @param {Transaction} [options.transaction] - Existing transaction to join
+   * @returns {Promise<Policy>} The updated policy
+   * @throws {AppError} 409 if the transition is not allowed
+   */
+  async transition(policy, toStatus, { actorId = null, reason = null, changes = {}, transaction } = {}) {
+    const fromStatus = policy.status;
+
+    if (!this.canTransition(fromStatus, toStatus)) {
+      throw new AppError(`Cannot change policy status from ${fromStatus} to ${toStatus}`, 409);
+    }
+
+    const t = transaction || await policy.sequelize.transaction();
+
+    try {
+      await policy.update({
+        ...changes,
+        status: toStatus,
+        updatedBy: actorId || policy.updatedBy
+      }, { transaction: t });
+
+      await this.recordHistory(policy, fromStatus, toStatus, { actorId, reason, transaction: t });
+
+      if (!transaction) await t.commit();
+
+      return policy;
+    } catch (error) {
+      if (!transaction) await t.rollback();
+      throw error;
+    }
+  }
+
+  /**
+   * Write a status history entry for a policy
+   * @param {Policy} policy - Policy the entry belongs to
+   * @param {string|null} fromStatus - Previous status (null on creation)
+   * @param {string} toStatus - New status
+   * @param {Object} options - Entry options
+   * @param {string} [options.actorId] - User performing the change
+   * @param {string} [options.reason] - Reason for the change
+   * @param {Transaction} [options.transaction] - Transaction to write in
+   * @returns {Promise<PolicyStatusHistory>} The created history entry
+   */
+  async recordHistory(policy, fromStatus, toStatus, { actorId = null, reason = null, transaction } = {}) {
+    const { PolicyStatusHistory } = policy.sequelize.models;
+
+    return PolicyStatusHistory.create({
+      policyId: policy.id,
+      fromStatus,
+      toStatus,
+      reason,
+      changedBy: actorId,
+      changedAt: new Date()
+    }, { transaction });
+  }
+
+  /**
+   * Get the status history of a policy, oldest first
+   * @param {Policy} policy - Policy to get the history for
+   * @returns {Promise<Array>} History entries
+   */
+  async getHistory(policy) {
+    const { PolicyStatusHistory, User } = policy.sequelize.models;
+
+    return PolicyStatusHistory.findAll({
+      where: { policyId: policy.id },
+      include: [
+        {
+          model: User,
+          as: 'actor',
+          attributes: ['id', 'firstName', 'lastName', 'email']
+        }
+      ],
+      order: [['changedAt', 'ASC']]
+    });
+  }
+}
+
+export default new PolicyLifecycleService();
@@ -0,0 +1,239 @@
+import moment from 'moment';
+import { Op } from 'sequelize';
+import initializeModels from '../models/index.js';
+import AppError from '../utils/appError.js';
+import quoteBindingService from './quoteBindingService.js';
+import ratingEngineService from './ratingEngineService.js';
+import ratingRulesService from './ratingRulesService.js';
+import quoteLifecycleService, { OPEN_QUOTE_STATUSES } from './quoteLifecycleService.js';
+import quoteRevisionService from './quoteRevisionService.js';
+import quoteService from './quoteService.js';
+
+let Policy, Quote, Product, Client;
+
+// Initialize models when needed
+const initializeRenewalService = async () => {
+  if (!Policy) {
+    const models = await initializeModels();
+    Policy = models.Policy;
+    Quote = models.Quote;
+    Product = models.Product;
+    Client = models.Client;
+  }
+};
+
+class PolicyRenewalService {
+  /**
+   * Find active policies whose end date falls inside a window
+   * @param {Object} options - Window options
+   * @param {number} [options.days=30] - Days from today (used when no explicit dates are given)
+   * @param {Date|string} [options.fromDate] - Window start
+   * @param {Date|string} [options.toDate] - Window end
+   * @returns {Promise<Array>} Expiring policies with client and product
+   */
+  async findExpiringPolicies({ days = 30, fromDate, toDate } = {}) {
+    await initializeRenewalService();
+
+    const from = fromDate ? moment(fromDate).startOf('day') : moment().startOf('day');
+    const to = toDate ? moment(toDate).endOf('day') : moment().add(days, 'days').endOf('day');
+
+    return Policy.findAll({
+      where: {
+        status: 'ACTIVE',
+        policyEndDate: {
+          [Op.gte]: from.toDate(),
+          [Op.lte]: to.toDate()
+        }
+      },
+      include: [
+        {
+          model: Client,
+          as: 'client',
+          attributes: ['id', 'firstName', 'lastName', 'email', 'phone']
+        },
+        {
+          model: Product,
+          as: 'product',
+          attributes: ['id', 'name', 'code', 'category']
+        }
+      ],
+      order: [['policyEndDate', 'ASC']]
+    });
+  }
+
+  /**
+   * Price a renewal at the product's current rating and the prior sum insured
+   * @param {Object} product - Product being renewed
+   * @param {number} sumInsured - Sum insured carried over from the expiring policy
+   * @param {Object} [ratingRule] - Product's active rating rule version
+   * @param {Object} [riskFactors] - Risk inputs carried over from the original quote
+   * @returns {Object} Premium figures for the renewal quote
+   */
+  priceRenewal(product, sumInsured, ratingRule = null, riskFactors = {}) {
+    const { ratingRuleVersion, rate, basePremium, loadings, discounts, taxes, totalPremium } =
+      ratingEngineService.calculatePremium(product, { sumInsured, riskFactors }, ratingRule);
+
+    return { ratingRuleVersion, rate, basePremium, loadings, discounts, taxes, totalPremium };
+  }
+
+  /**
+   * Check a policy can be renewed
+   * @param {Policy} policy - Policy to renew
+   * @throws {AppError} 409 unless the policy is ACTIVE or EXPIRED
+   */
+  assertRenewable(policy) {
+    if (!['ACTIVE', 'EXPIRED'].includes(policy.status)) {
+      throw new AppError(`Policies with status ${policy.status} cannot be renewed`, 409);
+    }
+  }
+
+  /**
+   * Create a renewal quote for a policy
+   * @param {Policy} policy - Policy to renew
+   * @param {string} userId - User raising the renewal
+   * @returns {Promise<Quote>} The renewal quote
+   * @throws {AppError} If the policy cannot be renewed or already has an open renewal
+   */
+  async createRenewalQuote(policy, userId) {
+    await initializeRenewalService();
+
+    this.assertRenewable(policy);
+
+    const openRenewal = await Quote.findOne({
+      where: {
+        renewalOfPolicyId: policy.id,
+        status: OPEN_QUOTE_STATUSES
+      }
+    });
+
+    if (openRenewal) {
+      throw new AppError(`Policy already has an open renewal quote ${openRenewal.quoteNumber}`, 409);
+    }
+
+    const product = await Product.findByPk(policy.productId);
+    if (!product) {
+      throw new AppError('Product not found', 404);
+    }
+
+    // Rate on the risk details captured when the policy was first quoted
+    const originalQuote = policy.quoteId ? await Quote.findByPk(policy.quoteId) : null;
+    const riskFactors = (originalQuote && originalQuote.riskDetails) || {};
+
+    const sumInsured = parseFloat(policy.sumInsured);
+    const ratingRule = await ratingRulesService.getActiveRuleSet(product);
+    const pricing = this.priceRenewal(product, sumInsured, ratingRule, riskFactors);
+
+    // Keep the quote open at least until the current cover ends
+    const validFrom = moment().startOf('day');
+    const validTo = moment.max(validFrom.clone().add(30, 'days'), moment(policy.policyEndDate));
+
+    const transaction = await Quote.sequelize.transaction();
+
+    try {
+      const quote = await Quote.create({
+        quoteNumber: quoteService.generateQuoteNumber('RNW'),
+        clientId: policy.clientId,
+        productId: policy.productId,
+        intermediaryId: policy.intermediaryId,
+        renewalOfPolicyId: policy.id,
+        sumInsured,
+        riskDetails: riskFactors,
+        ...pricing,
+        validFrom: validFrom.format('YYYY-MM-DD'),
+        validTo: validTo.format('YYYY-MM-DD'),
+        // Renewals are priced by the system with no discretionary discount, so need no approval
+        status: 'APPROVED',
+        approvedAt: new Date(),
+        notes: `Renewal of policy ${policy.policyNumber}`,
+        createdBy: userId
+      }, { transaction });
+
+      await quoteRevisionService.recordRevision(quote, userId, {
+        reason: `Renewal of policy ${policy.policyNumber}`,
+        transaction
+      });
+
+      await transaction.commit();
+      return quote;
+    } catch (error) {
+      await transaction.rollback();
+      throw error;
+    }
+  }
+
+  /**
+   * Create renewal quotes for every active policy expiring inside a window
+   * @param {Object} window - Window options (see findExpiringPolicies)
+   * @param {string} userId - User running the batch
+   * @returns {Promise<Object>} Created quotes and the policies that were skipped
+   */
+  async createRenewalQuotes(window, userId) {
+    const policies = await this.findExpiringPolicies(window);
+    const created = [];
+    const skipped = [];
+
+    for (const policy of policies) {
+      try {
+        const quote = await this.createRenewalQuote(policy, userId);
+        created.push({ policyId: policy.id, policyNumber: policy.policyNumber, quote });
+      } catch (error) {
+        skipped.push({ policyId: policy.id, policyNumber: policy.policyNumber, reason: error.message });
+      }
+    }
+
+    return { created, skipped };
+  }
+
+  /**
+   * Accept a renewal quote and issue the successor policy.
+   * The new cover starts the day after the expiring policy ends.
+   * @param {Quote} quote - Accepted renewal quote
+   * @param {string} userId - User accepting the renewal
+   * @returns {Promise<Policy>} The successor policy
+   */
+  async acceptRenewal(quote, userId) {
+    await initializeRenewalService();
+
+    if (!quote.renewalOfPolicyId) {
+      throw new AppError('Quote is not a renewal quote', 400);
+    }
+
+    if (!quote.isValid()) {
+      throw new AppError('Renewal quote is no longer open for acceptance', 409);
+    }
+
+    const previousPolicy = await Policy.findByPk(quote.renewalOfPolicyId);
+    if (!previousPolicy) {
+      throw new AppError('Policy being renewed not found', 404);
+    }
+
+    this.assertRenewable(previousPolicy);
+
+    const policyStartDate = moment(previousPolicy.policyEndDate).add(1, 'day').startOf('day');
+    const policyEndDate = policyStartDate.clone().add(1, 'year').subtract(1, 'day').endOf('day');
+
+    if (quote.status !== 'ACCEPTED') {
+      await quoteLifecycleService.accept(quote, userId);
+    }
+
+    // The successor keeps the expiring policy's payment plan
+    const { policy } = await quoteBindingService.bindQuote(quote, userId, {
+      policyStartDate: policyStartDate.toDate(),
+      policyEndDate: policyEndDate.toDate(),
+      installmentFrequency: previousPolicy.installmentFrequency,
+      totalInstallments: previousPolicy.totalInstallments,
+      downPayment: previousPolicy.downPayment,
+      commissionType: 'RENEWAL',
+      reason: `Renewal of policy ${previousPolicy.policyNumber}`,
+      // The policy may have been cancelled since the renewal quote was issued
+      beforeIssue: async (transaction) => {
+        const current = await Policy.findByPk(previousPolicy.id, { transaction, lock: transaction.LOCK.UPDATE });
+        this.assertRenewable(current);
+      }
+    });
+
+    return policy;
+  }
+}
+
+export default new PolicyRenewalService();
@@ -0,0 +1,146 @@
+import moment from 'moment';
+import initializeModels from '../models/index.js';
+import { roundMoney } from '../utils/proRata.js';
+
+/**
+ * Quote funnel stages in order, with the test for whether a quote got that far.
+ * Timestamps are checked first; the status covers quotes from before they were recorded.
+ * Stages are cumulative: a quote accepted without being emailed still counts as sent.
+ */
+export const FUNNEL_STAGES = [
+  { stage: 'created', reached: () => true },
+  { stage: 'approved', reached: quote => Boolean(quote.approvedAt) || quote.status === 'APPROVED' },
+  { stage: 'sent', reached: quote => Boolean(quote.lastSentAt) || quote.status === 'SENT' },
+  { stage: 'accepted', reached: quote => Boolean(quote.acceptedAt) || quote.status === 'ACCEPTED' },
+  { stage: 'converted', reached: quote => Boolean(quote.convertedAt) || quote.status === 'CONVERTED' }
+];
+
+let Quote, Product, Intermediary, User;
+
+// Initialize models when needed
+const initializeQuoteAnalyticsService = async () => {
+  if (!Quote) {
+    const models = await initializeModels();
+    Quote = models.Quote;
+    Product = models.Product;
+    Intermediary = models.Intermediary;
+    User = models.User;
+  }
+};
+
+const percent = (count, total) => (total > 0 ? roundMoney((count / total) * 100) : 0);
+
+const median = (values) => {
+  if (values.length === 0) return null;
+  const sorted = [...values].sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+};
+
+class QuoteAnalyticsService {
+  /**
+   * Index of the furthest funnel stage a quote reached
+   * @param {Quote} quote - Quote
+   * @returns {number} Index into FUNNEL_STAGES
+   */
+  getFurthestStage(quote) {
+    for (let index = FUNNEL_STAGES.length - 1; index > 0; index--) {
+      if (FUNNEL_STAGES[index].reached(quote)) return index;
+    }
+    return 0;
+  }
+
+  /**
+   * Build the funnel for a set of quotes
+   * @param {Array<Quote>} quotes - Quotes to summarise
+   * @returns {Object} Stage counts, average premium per stage, conversion rates and median days to convert
+   */
+  summarize(quotes) {
+    const furthest = quotes.map(quote => this.getFurthestStage(quote));
+
+    const stages = FUNNEL_STAGES.map(({ stage }, index) => {
+      const reached = quotes.filter((quote, position) => furthest[position] >= index);
+      const premium = reached.reduce((sum, quote) => sum + parseFloat(quote.totalPremium || 0), 0);
+
+      return { stage, count: reached.length, averagePremium: reached.length > 0 ? roundMoney(premium / reached.length) : 0 };
+    });
+
+    stages.forEach((entry, index) => {
+      entry.rateFromPrevious = index === 0 ? 100 : percent(entry.count, stages[index - 1].count);
+      entry.rateFromCreated = percent(entry.count, stages[0].count);
+    });
+
+    // Days from quote creation to policy issue
+    const daysToConvert = quotes
+      .filter(quote => quote.convertedAt)
+      .map(quote => moment(quote.convertedAt).diff(moment(quote.createdAt), 'hours', true) / 24);
+    const medianDays = median(daysToConvert);
+
+    return {
+      totalQuotes: quotes.length,
+      stages,
+      conversionRate: stages[stages.length - 1].rateFromCreated,
+      medianDaysToConvert: medianDays === null ? null : roundMoney(medianDays)
+    };
+  }
+
+  /**
+   * Summarise quotes grouped by one attribute
+   * @param {Array<Quote>} quotes - Quotes to group
+   * @param {string} key - Quote attribute to group on
+   * @param {Object} names - Display name per group ID
+   * @returns {Array} One funnel per group, largest first
+   */
+  summarizeBy(quotes, key, names) {
+    const groups = quotes.reduce((byKey, quote) => {
+      const id = quote[key] || null;
+      (byKey.get(id) || byKey.set(id, []).get(id)).push(quote);
+      return byKey;
+    }, new Map());
+
+    return [...groups.entries()]
+      .map(([id, groupQuotes]) => ({
+        id,
+        name: id ? (names[id] || 'Unknown') : 'None',
+        ...this.summarize(groupQuotes)
+      }))
+      .sort((a, b) => b.totalQuotes - a.totalQuotes);
+  }
+
+  /**
+   * Quote conversion funnel: created → approved → sent → accepted → converted,
+   * overall and by product, intermediary and creator
+   * @param {Object} [where] - Quote filter (e.g. a CREATED_AT range)
+   * @returns {Promise<Object>} Funnel report
+   */
+  async getFunnel(where = {}) {
+    await initializeQuoteAnalyticsService();
+
+    const quotes = await Quote.findAll({
+      where,
+      attributes: [
+        'id', 'productId', 'intermediaryId', 'createdBy', 'status', 'totalPremium',
+        'createdAt', 'approvedAt', 'lastSentAt', 'acceptedAt', 'convertedAt'
+      ]
+    });
+
+    const idsOf = key => [...new Set(quotes.map(quote => quote[key]).filter(Boolean))];
+
+    const [products, intermediaries, users] = await Promise.all([
+      Product.findAll({ where: { id: idsOf('productId') }, attributes: ['id', 'name'] }),
+      Intermediary.findAll({ where: { id: idsOf('intermediaryId') }, attributes: ['id', 'name'] }),
+      User.findAll({ where: { id: idsOf('createdBy') }, attributes: ['id', 'firstName', 'lastName'] })
+    ]);
+
+    const namesById = (records, toName) => Object.fromEntries(records.map(record => [record.id, toName(record)]));
+
+    return {
+      ...this.summarize(quotes),
+      byProduct: this.summarizeBy(quotes, 'productId', namesById(products, product => product.name)),
+      byIntermediary: this.summarizeBy(quotes, 'intermediaryId', namesById(intermediaries, intermediary => intermediary.name)),
+      byCreator: this.summarizeBy(quotes, 'createdBy', namesById(users, user => `${user.firstName} ${user.lastName}`))
+    };
+  }
+}
+
+export default new QuoteAnalyticsService();
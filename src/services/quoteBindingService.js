@@ -0,0 +1,159 @@
+import moment from 'moment';
+import { UniqueConstraintError } from 'sequelize';
+import AppError from '../utils/appError.js';
+import { roundMoney } from '../utils/proRata.js';
+import { generatePolicyNumber } from '../utils/policyNumber.js';
+import policyLifecycleService from './policyLifecycleService.js';
+import installmentService from './installmentService.js';
+import documentService from './documentService.js';
+
+// Times a bind is retried when another bind took the same policy number first
+const POLICY_NUMBER_ATTEMPTS = 3;
+
+class QuoteBindingService {
+  /**
+   * Raise the intermediary's commission on a newly issued policy.
+   * The intermediary's own rate wins over the product default.
+   * @param {Policy} policy - Issued policy
+   * @param {Object} product - The policy's product
+   * @param {string} commissionType - NEW_BUSINESS or RENEWAL
+   * @param {Transaction} [transaction] - Transaction to write in
+   * @returns {Promise<Commission|null>} The commission, or null if there is nothing to pay
+   */
+  async raiseCommission(policy, product, commissionType, transaction) {
+    const { Commission, Intermediary } = policy.sequelize.models;
+
+    if (!policy.intermediaryId) return null;
+
+    const intermediary = await Intermediary.findByPk(policy.intermediaryId, { transaction });
+    const rate = parseFloat(
+      (intermediary && parseFloat(intermediary.commissionRate) > 0)
+        ? intermediary.commissionRate
+        : product.commissionRate
+    ) || 0;
+
+    const amount = roundMoney(parseFloat(policy.annualPremium) * (rate / 100));
+    if (amount < 0.01) return null;
+
+    return Commission.create({
+      intermediaryId: policy.intermediaryId,
+      productId: policy.productId,
+      policyId: policy.id,
+      amount,
+      rate,
+      commissionType,
+      period: moment(policy.policyStartDate).format('YYYY-[Q]Q'),
+      notes: `${commissionType === 'RENEWAL' ? 'Renewal' : 'New business'} commission on policy ${policy.policyNumber}`
+    }, { transaction });
+  }
+
+  /**
+   * Bind a quote: issue the policy, set up its installment plan, raise the
+   * intermediary commission and attach the policy schedule, all in one transaction.
+   * The whole transaction is retried if another bind takes the policy number first.
+   * @param {Quote} quote - Quote to bind
+   * @param {string} userId - User binding the quote
+   * @param {Object} [options] - Binding options
+   * @param {Date|string} [options.policyStartDate] - Cover start date (defaults to today)
+   * @param {Date|string} [options.policyEndDate] - Cover end date (defaults to one year of cover)
+   * @param {string} [options.installmentFrequency] - MONTHLY, QUARTERLY, SEMI_ANNUAL or ANNUAL
+   * @param {number} [options.totalInstallments] - Number of regular installments
+   * @param {number} [options.downPayment] - Amount due on the start date
+   * @param {string} [options.commissionType='NEW_BUSINESS'] - Commission raised for the intermediary
+   * @param {string} [options.reason] - Reason recorded in the policy's status history
+   * @param {Function} [options.beforeIssue] - Called with the transaction before the policy is issued; throw to abort
+   * @returns {Promise<Object>} Policy, installments, commission and schedule document
+   */
+  async bindQuote(quote, userId, {
+    policyStartDate,
+    policyEndDate,
+    installmentFrequency,
+    totalInstallments,
+    downPayment,
+    commissionType = 'NEW_BUSINESS',
+    reason,
+    beforeIssue
+  } = {}) {
+    const { Policy, Product, Client } = quote.sequelize.models;
+
+    if (quote.status !== 'ACCEPTED') {
+      throw new AppError('Quote must be accepted by the client before it can be bound', 409);
+    }
+
+    if (!quote.isValid()) {
+      throw new AppError('Quote has expired and can no longer be bound', 409);
+    }
+
+    const [product, client] = await Promise.all([
+      Product.findByPk(quote.productId),
+      Client.findByPk(quote.clientId)
+    ]);
+
+    if (!product) {
+      throw new AppError('Product not found', 404);
+    }
+
+    // Only pass through the plan fields that were given so Policy defaults apply
+    const paymentPlan = Object.fromEntries(
+      Object.entries({ installmentFrequency, totalInstallments, downPayment })
+        .filter(([, value]) => value !== undefined && value !== null)
+    );
+
+    for (let attempt = 1; ; attempt += 1) {
+      const transaction = await quote.sequelize.transaction();
+
+      try {
+        if (beforeIssue) {
+          await beforeIssue(transaction);
+        }
+
+        const policyNumber = await generatePolicyNumber(Policy, {
+          product,
+          quote,
+          date: policyStartDate || new Date(),
+          transaction
+        });
+
+        const policy = await quote.convertToPolicy({
+          convertedById: userId,
+          policyStartDate,
+          policyEndDate,
+          policyNumber,
+          paymentPlan,
+          transaction
+        });
+
+        await policyLifecycleService.recordHistory(policy, null, 'ACTIVE', {
+          actorId: userId,
+          reason: reason || `Bound from quote ${quote.quoteNumber}`,
+          transaction
+        });
+
+        const installments = await installmentService.generateSchedule(policy, { transaction });
+        const commission = await this.raiseCommission(policy, product, commissionType, transaction);
+        const schedule = await documentService.generatePolicySchedule(
+          policy,
+          { client, product, installments },
+          userId,
+          { transaction }
+        );
+
+        await transaction.commit();
+
+        return { policy, installments, commission, schedule };
+      } catch (error) {
+        await transaction.rollback();
+
+        // Policy numbers are read-then-incremented, so a concurrent bind can take ours first
+        if (error instanceof UniqueConstraintError && attempt < POLICY_NUMBER_ATTEMPTS) {
+          await quote.reload();
+          continue;
+        }
+
+        throw error;
+      }
+    }
+  }
+}
+
+export default new QuoteBindingService();
@@ -0,0 +1,206 @@
+import moment from 'moment';
+import { Op } from 'sequelize';
+import initializeModels from '../models/index.js';
+import AppError from '../utils/appError.js';
+import { roundMoney } from '../utils/proRata.js';
+
+/**
+ * Allowed quote status transitions.
+ * Re-pricing a quote the client has not accepted sends it back to DRAFT.
+ * DECLINED, EXPIRED and CONVERTED are terminal.
+ */
+export const QUOTE_TRANSITIONS = {
+  DRAFT: ['PENDING_APPROVAL', 'APPROVED', 'DECLINED', 'EXPIRED'],
+  PENDING_APPROVAL: ['DRAFT', 'APPROVED', 'DECLINED', 'EXPIRED'],
+  APPROVED: ['DRAFT', 'SENT', 'ACCEPTED', 'DECLINED', 'EXPIRED'],
+  SENT: ['DRAFT', 'ACCEPTED', 'DECLINED', 'EXPIRED'],
+  ACCEPTED: ['CONVERTED', 'EXPIRED'],
+  DECLINED: [],
+  EXPIRED: [],
+  CONVERTED: []
+};
+
+// Statuses a quote can still move on from
+export const OPEN_QUOTE_STATUSES = ['DRAFT', 'PENDING_APPROVAL', 'APPROVED', 'SENT', 'ACCEPTED'];
+
+// Statuses in which a quote can still be re-priced
+export const EDITABLE_QUOTE_STATUSES = ['DRAFT', 'PENDING_APPROVAL', 'APPROVED', 'SENT'];
+
+let Quote;
+
+// Initialize models when needed
+const initializeQuoteLifecycleService = async () => {
+  if (!Quote) {
+    const models = await initializeModels();
+    Quote = models.Quote;
+  }
+};
+
+class QuoteLifecycleService {
+  /**
+   * Check whether a quote may move from one status to another
+   * @param {string} fromStatus - Current status
+   * @param {string} toStatus - Requested status
+   * @returns {boolean} True if the transition is allowed
+   */
+  canTransition(fromStatus, toStatus) {
+    return (QUOTE_TRANSITIONS[fromStatus] || []).includes(toStatus);
+  }
+
+  /**
+   * Move a quote to a new status
+   * @param {Quote} quote - Quote instance to transition
+   * @param {string} toStatus - Target status
+   * @param {Object} [options] - Transition options
+   * @param {string} [options.actorId] - User performing the transition (omit for system jobs)
+   * @param {Object} [options.changes] - Extra quote attributes to update alongside the status
+   * @param {Transaction} [options.transaction] - Transaction to write in
+   * @returns {Promise<Quote>} The updated quote
+   * @throws {AppError} 409 if the transition is not allowed
+   */
+  async transition(quote, toStatus, { actorId = null, changes = {}, transaction } = {}) {
+    if (!this.canTransition(quote.status, toStatus)) {
+      throw new AppError(`Cannot change quote status from ${quote.status} to ${toStatus}`, 409);
+    }
+
+    return quote.update({
+      ...changes,
+      status: toStatus,
+      updatedBy: actorId || quote.updatedBy
+    }, { transaction });
+  }
+
+  /**
+   * Discount as a % of the premium before discounts
+   * @param {Quote} quote - Quote to measure
+   * @returns {number} Discount percentage
+   */
+  getDiscountPercent(quote) {
+    const sum = (items) => (items || []).reduce((total, item) => total + parseFloat(item.amount || 0), 0);
+    const grossPremium = parseFloat(quote.basePremium || 0) + sum(quote.loadings);
+
+    return grossPremium > 0 ? roundMoney((sum(quote.discounts) / grossPremium) * 100) : 0;
+  }
+
+  /**
+   * Discount % above which a quote needs an approver (QUOTE_DISCOUNT_APPROVAL_THRESHOLD, default 10)
+   * @returns {number} Threshold percentage
+   */
+  getApprovalThreshold() {
+    const threshold = parseFloat(process.env.QUOTE_DISCOUNT_APPROVAL_THRESHOLD);
+    return Number.isFinite(threshold) ? threshold : 10;
+  }
+
+  /**
+   * Submit a draft quote. Quotes discounted beyond the threshold wait for
+   * approval; the rest are approved straight away.
+   * @param {Quote} quote - Draft quote
+   * @param {string} userId - User submitting the quote
+   * @returns {Promise<Object>} The quote and whether it needs approval
+   */
+  async submit(quote, userId) {
+    if (quote.status !== 'DRAFT') {
+      throw new AppError('Only draft quotes can be submitted', 409);
+    }
+
+    if (moment(quote.validTo).endOf('day').isBefore(moment())) {
+      throw new AppError('Quote validity period has passed', 409);
+    }
+
+    const discountPercent = this.getDiscountPercent(quote);
+    const requiresApproval = discountPercent > this.getApprovalThreshold();
+
+    if (requiresApproval) {
+      await this.transition(quote, 'PENDING_APPROVAL', { actorId: userId });
+    } else {
+      await this.transition(quote, 'APPROVED', {
+        actorId: userId,
+        changes: { approvedAt: new Date(), approvedById: userId }
+      });
+    }
+
+    return { quote, requiresApproval, discountPercent };
+  }
+
+  /**
+   * Approve a quote that was held for its discount
+   * @param {Quote} quote - Quote pending approval
+   * @param {string} userId - Approver (must not be the quote's creator)
+   * @returns {Promise<Quote>} The approved quote
+   */
+  async approve(quote, userId) {
+    if (quote.status !== 'PENDING_APPROVAL') {
+      throw new AppError('Only quotes pending approval can be approved', 409);
+    }
+
+    if (quote.createdBy === userId) {
+      throw new AppError('Quotes cannot be approved by the user who created them', 403);
+    }
+
+    return this.transition(quote, 'APPROVED', {
+      actorId: userId,
+      changes: { approvedAt: new Date(), approvedById: userId }
+    });
+  }
+
+  /**
+   * Decline a quote
+   * @param {Quote} quote - Quote to decline
+   * @param {string} reason - Reason for declining
+   * @param {string} userId - User declining the quote
+   * @returns {Promise<Quote>} The declined quote
+   */
+  async decline(quote, reason, userId) {
+    return this.transition(quote, 'DECLINED', {
+      actorId: userId,
+      changes: { declineReason: reason }
+    });
+  }
+
+  /**
+   * Record the client's acceptance of an approved quote
+   * @param {Quote} quote - Approved or sent quote
+   * @param {string} userId - User recording the acceptance
+   * @param {Object} [options] - Options
+   * @param {Transaction} [options.transaction] - Transaction to write in
+   * @returns {Promise<Quote>} The accepted quote
+   */
+  async accept(quote, userId, { transaction } = {}) {
+    if (!quote.isValid()) {
+      throw new AppError('Quote has expired and can no longer be accepted', 409);
+    }
+
+    return this.transition(quote, 'ACCEPTED', {
+      actorId: userId,
+      changes: { acceptedAt: new Date() },
+      transaction
+    });
+  }
+
+  /**
+   * Expire every open quote whose validity period has passed
+   * @returns {Promise<Object>} Summary of the run
+   */
+  async expireQuotes() {
+    await initializeQuoteLifecycleService();
+
+    const quotes = await Quote.findAll({
+      where: {
+        status: OPEN_QUOTE_STATUSES,
+        validTo: { [Op.lt]: moment().format('YYYY-MM-DD') }
+      }
+    });
+
+    const expired = [];
+    for (const quote of quotes) {
+      if (quote.isValid()) continue;
+
+      await this.transition(quote, 'EXPIRED');
+      expired.push(quote.quoteNumber);
+    }
+
+    return { checked: quotes.length, expired };
+  }
+}
+
+export default new QuoteLifecycleService();
@@ -0,0 +1,111 @@
+import AppError from '../utils/appError.js';
+import { buildSnapshot, diffSnapshots } from '../utils/quoteComparison.js';
+
+class QuoteRevisionService {
+  /**
+   * Record the quote's current pricing as a new revision
+   * @param {Quote} quote - Quote as just created or re-priced
+   * @param {string} userId - User who priced the quote
+   * @param {Object} [options] - Options
+   * @param {Object} [options.adjustments] - Manual loadings, discounts and fees the quote was priced with
+   * @param {string} [options.reason] - Why the quote was re-priced
+   * @param {Transaction} [options.transaction] - Transaction to write in
+   * @returns {Promise<QuoteRevision>} The new revision
+   */
+  async recordRevision(quote, userId, { adjustments = {}, reason = null, transaction } = {}) {
+    const { QuoteRevision } = quote.sequelize.models;
+
+    const latestNumber = await QuoteRevision.max('revisionNumber', {
+      where: { quoteId: quote.id },
+      transaction
+    });
+
+    return QuoteRevision.create({
+      quoteId: quote.id,
+      revisionNumber: (latestNumber || 0) + 1,
+      snapshot: {
+        ...buildSnapshot(quote),
+        adjustments: {
+          loadings: adjustments.loadings || [],
+          discounts: adjustments.discounts || [],
+          fees: adjustments.fees || []
+        }
+      },
+      changeReason: reason,
+      createdBy: userId
+    }, { transaction });
+  }
+
+  /**
+   * List a quote's revisions, oldest first
+   * @param {Quote} quote - Quote
+   * @returns {Promise<Array>} Revisions
+   */
+  async getRevisions(quote) {
+    const { QuoteRevision, User } = quote.sequelize.models;
+
+    return QuoteRevision.findAll({
+      where: { quoteId: quote.id },
+      include: [
+        { model: User, as: 'creator', attributes: ['id', 'firstName', 'lastName', 'email'] }
+      ],
+      order: [['revisionNumber', 'ASC']]
+    });
+  }
+
+  /**
+   * Get the latest revision of a quote
+   * @param {Quote} quote - Quote
+   * @param {Object} [options] - Options
+   * @param {Transaction} [options.transaction] - Transaction to read in
+   * @returns {Promise<QuoteRevision|null>} The latest revision, or null for quotes that predate revisions
+   */
+  async getLatestRevision(quote, { transaction } = {}) {
+    const { QuoteRevision } = quote.sequelize.models;
+
+    return QuoteRevision.findOne({
+      where: { quoteId: quote.id },
+      order: [['revisionNumber', 'DESC']],
+      transaction
+    });
+  }
+
+  /**
+   * Diff two revisions of a quote field by field
+   * @param {Quote} quote - Quote
+   * @param {number} fromNumber - Earlier revision number
+   * @param {number} toNumber - Later revision number
+   * @returns {Promise<Object>} Both revisions' headers and the list of changes
+   * @throws {AppError} 404 if either revision does not exist
+   */
+  async compareRevisions(quote, fromNumber, toNumber) {
+    const { QuoteRevision } = quote.sequelize.models;
+
+    const revisions = await QuoteRevision.findAll({
+      where: { quoteId: quote.id, revisionNumber: [fromNumber, toNumber] }
+    });
+
+    const from = revisions.find(revision => revision.revisionNumber === fromNumber);
+    const to = revisions.find(revision => revision.revisionNumber === toNumber);
+
+    if (!from || !to) {
+      throw new AppError(`Revision ${!from ? fromNumber : toNumber} not found for quote ${quote.quoteNumber}`, 404);
+    }
+
+    // Revision details without the snapshot itself
+    const header = (revision) => {
+      const { snapshot, ...details } = revision.get({ plain: true });
+      return details;
+    };
+
+    return {
+      quoteId: quote.id,
+      quoteNumber: quote.quoteNumber,
+      from: header(from),
+      to: header(to),
+      changes: diffSnapshots(from.snapshot, to.snapshot)
+    };
+  }
+}
+
+export default new QuoteRevisionService();
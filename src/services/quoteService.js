@@ -0,0 +1,337 @@
+import moment from 'moment';
+import initializeModels from '../models/index.js';
+import AppError from '../utils/appError.js';
+import { buildSnapshot, diffSnapshots } from '../utils/quoteComparison.js';
+import ratingEngineService from './ratingEngineService.js';
+import ratingRulesService from './ratingRulesService.js';
+import quoteLifecycleService, { EDITABLE_QUOTE_STATUSES } from './quoteLifecycleService.js';
+import quoteRevisionService from './quoteRevisionService.js';
+import documentService from './documentService.js';
+import notificationService from './notificationService.js';
+
+let Quote, Product, Client;
+
+// Initialize models when needed
+const initializeQuoteService = async () => {
+  if (!Quote) {
+    const models = await initializeModels();
+    Quote = models.Quote;
+    Product = models.Product;
+    Client = models.Client;
+  }
+};
+
+class QuoteService {
+  /**
+   * Load a product that can be quoted
+   * @param {string} productId - Product ID
+   * @returns {Promise<Object>} The product
+   * @throws {AppError} 404 if missing, 400 if the product is not on sale
+   */
+  async getRateableProduct(productId) {
+    await initializeQuoteService();
+
+    const product = await Product.findByPk(productId);
+    if (!product) {
+      throw new AppError('Product not found', 404);
+    }
+
+    if (product.status !== 'ACTIVE') {
+      throw new AppError(`Product ${product.code} is not available for quoting`, 400);
+    }
+
+    return product;
+  }
+
+  /**
+   * Price a risk without saving anything
+   * @param {Object} input - Product ID and risk inputs (see RatingEngineService.calculatePremium)
+   * @returns {Promise<Object>} Product summary and premium breakdown
+   */
+  async calculate(input) {
+    const product = await this.getRateableProduct(input.productId);
+    const ratingRule = await ratingRulesService.getActiveRuleSet(product);
+    const breakdown = ratingEngineService.calculatePremium(product, input, ratingRule);
+
+    return {
+      product: {
+        id: product.id,
+        code: product.code,
+        name: product.name,
+        category: product.category
+      },
+      breakdown
+    };
+  }
+
+  /**
+   * Rate a risk and save it as a draft quote
+   * @param {Object} input - Quote request
+   * @param {string} input.clientId - Client being quoted
+   * @param {string} input.productId - Product being quoted
+   * @param {string} [input.intermediaryId] - Intermediary who brought the business
+   * @param {Object} [input.riskFactors] - Category risk inputs for the product's rating rules
+   * @param {Date|string} [input.validFrom] - Start of validity (defaults to today)
+   * @param {Date|string} [input.validTo] - End of validity (defaults to 30 days later)
+   * @param {string} userId - User creating the quote
+   * @returns {Promise<Quote>} The saved quote
+   */
+  async createQuote(input, userId) {
+    await initializeQuoteService();
+
+    const client = await Client.findByPk(input.clientId);
+    if (!client) {
+      throw new AppError('Client not found', 404);
+    }
+
+    const product = await this.getRateableProduct(input.productId);
+    const ratingRule = await ratingRulesService.getActiveRuleSet(product);
+    const breakdown = ratingEngineService.calculatePremium(product, input, ratingRule);
+
+    const validFrom = moment(input.validFrom || new Date()).startOf('day');
+    const validTo = input.validTo ? moment(input.validTo) : validFrom.clone().add(30, 'days');
+
+    if (validTo.isBefore(validFrom)) {
+      throw new AppError('Valid to date must be after valid from date', 400);
+    }
+
+    const transaction = await Quote.sequelize.transaction();
+
+    try {
+      const quote = await Quote.create({
+        quoteNumber: this.generateQuoteNumber(),
+        clientId: client.id,
+        productId: product.id,
+        intermediaryId: input.intermediaryId || null,
+        sumInsured: breakdown.sumInsured,
+        riskDetails: input.riskFactors || {},
+        ratingRuleVersion: breakdown.ratingRuleVersion,
+        rate: breakdown.rate,
+        basePremium: breakdown.basePremium,
+        loadings: breakdown.loadings,
+        discounts: breakdown.discounts,
+        taxes: breakdown.taxes,
+        fees: breakdown.fees,
+        totalPremium: breakdown.totalPremium,
+        validFrom: validFrom.format('YYYY-MM-DD'),
+        validTo: validTo.format('YYYY-MM-DD'),
+        status: 'DRAFT',
+        notes: input.notes,
+        clientNotes: input.clientNotes,
+        createdBy: userId
+      }, { transaction });
+
+      await quoteRevisionService.recordRevision(quote, userId, {
+        adjustments: input,
+        reason: 'Quote created',
+        transaction
+      });
+
+      await transaction.commit();
+      return quote;
+    } catch (error) {
+      await transaction.rollback();
+      throw error;
+    }
+  }
+
+  /**
+   * Re-price a quote and record the new figures as a revision.
+   * Inputs that are left out keep their previous values. A quote that was
+   * submitted, approved or sent goes back to DRAFT and must be submitted again.
+   * @param {Quote} quote - Quote to re-price
+   * @param {Object} input - Changes
+   * @param {number} [input.sumInsured] - New sum insured
+   * @param {Object} [input.riskFactors] - New risk inputs (replace the previous ones)
+   * @param {Array} [input.loadings] - Manual loadings (replace the previous ones)
+   * @param {Array} [input.discounts] - Manual discounts (replace the previous ones)
+   * @param {Array} [input.fees] - Fees (replace the previous ones)
+   * @param {Date|string} [input.validTo] - New end of validity
+   * @param {string} [input.notes] - Internal notes
+   * @param {string} [input.clientNotes] - Notes printed on the quotation
+   * @param {string} [input.changeReason] - Why the quote was re-priced
+   * @param {string} userId - User re-pricing the quote
+   * @returns {Promise<Object>} The updated quote and its new revision
+   */
+  async updateQuote(quote, input, userId) {
+    if (!EDITABLE_QUOTE_STATUSES.includes(quote.status)) {
+      throw new AppError(`Quotes with status ${quote.status} can no longer be changed`, 409);
+    }
+
+    const product = await this.getRateableProduct(quote.productId);
+    const ratingRule = await ratingRulesService.getActiveRuleSet(product);
+
+    // Manual adjustments are kept on the revision; quotes from before revisions only carry fees
+    const latest = await quoteRevisionService.getLatestRevision(quote);
+    const previous = (latest && latest.snapshot.adjustments) || { loadings: [], discounts: [], fees: quote.fees || [] };
+
+    const adjustments = {
+      loadings: input.loadings || previous.loadings,
+      discounts: input.discounts || previous.discounts,
+      fees: input.fees || previous.fees
+    };
+
+    const breakdown = ratingEngineService.calculatePremium(product, {
+      sumInsured: input.sumInsured !== undefined ? input.sumInsured : quote.sumInsured,
+      riskFactors: input.riskFactors || quote.riskDetails || {},
+      ...adjustments
+    }, ratingRule);
+
+    const validTo = input.validTo ? moment(input.validTo) : moment(quote.validTo);
+    if (validTo.isBefore(moment(quote.validFrom))) {
+      throw new AppError('Valid to date must be after valid from date', 400);
+    }
+
+    const changes = {
+      sumInsured: breakdown.sumInsured,
+      riskDetails: input.riskFactors || quote.riskDetails || {},
+      ratingRuleVersion: breakdown.ratingRuleVersion,
+      rate: breakdown.rate,
+      basePremium: breakdown.basePremium,
+      loadings: breakdown.loadings,
+      discounts: breakdown.discounts,
+      taxes: breakdown.taxes,
+      fees: breakdown.fees,
+      totalPremium: breakdown.totalPremium,
+      validTo: validTo.format('YYYY-MM-DD'),
+      ...(input.notes !== undefined && { notes: input.notes }),
+      ...(input.clientNotes !== undefined && { clientNotes: input.clientNotes }),
+      updatedBy: userId
+    };
+
+    const transaction = await Quote.sequelize.transaction();
+
+    try {
+      if (quote.status === 'DRAFT') {
+        await quote.update(changes, { transaction });
+      } else {
+        // The previous approval was for the old figures
+        await quoteLifecycleService.transition(quote, 'DRAFT', {
+          actorId: userId,
+          changes: { ...changes, approvedAt: null, approvedById: null },
+          transaction
+        });
+      }
+
+      const revision = await quoteRevisionService.recordRevision(quote, userId, {
+        adjustments,
+        reason: input.changeReason,
+        transaction
+      });
+
+      await transaction.commit();
+      return { quote, revision };
+    } catch (error) {
+      await transaction.rollback();
+      throw error;
+    }
+  }
+
+  /**
+   * Price the same risk against several products and diff each against the cheapest
+   * @param {Object} input - Risk inputs shared by every product (see RatingEngineService.calculatePremium)
+   * @param {Array<string>} input.productIds - Products to compare
+   * @returns {Promise<Object>} Priced options, products that could not be priced, and the differences
+   */
+  async compareProducts({ productIds, ...risk }) {
+    const options = [];
+    const unavailable = [];
+
+    for (const productId of [...new Set(productIds)]) {
+      try {
+        options.push(await this.calculate({ ...risk, productId }));
+      } catch (error) {
+        if (!(error instanceof AppError)) throw error;
+        unavailable.push({ productId, error: error.message });
+      }
+    }
+
+    options.sort((a, b) => a.breakdown.totalPremium - b.breakdown.totalPremium);
+
+    const [cheapest] = options;
+    const baseline = cheapest ? buildSnapshot({ ...cheapest.breakdown, riskDetails: risk.riskFactors }) : null;
+
+    return {
+      options,
+      unavailable,
+      cheapestProductId: cheapest ? cheapest.product.id : null,
+      differences: options.slice(1).map(option => ({
+        productId: option.product.id,
+        changes: diffSnapshots(baseline, buildSnapshot({ ...option.breakdown, riskDetails: risk.riskFactors }))
+      }))
+    };
+  }
+
+  /**
+   * Render the quotation PDF for a quote
+   * @param {Quote} quote - Quote to print
+   * @returns {Promise<Object>} PDF buffer, file name and the client it is addressed to
+   */
+  async renderQuotePdf(quote) {
+    await initializeQuoteService();
+
+    const [client, product] = await Promise.all([
+      Client.findByPk(quote.clientId),
+      Product.findByPk(quote.productId)
+    ]);
+
+    const buffer = await documentService.renderQuotation(quote, { client, product });
+
+    return { buffer, fileName: `quotation-${quote.quoteNumber}.pdf`, client };
+  }
+
+  /**
+   * Email the quotation PDF to the client and log the send on the quote.
+   * Sending an approved quote moves it to SENT.
+   * @param {Quote} quote - Approved, sent or accepted quote
+   * @param {Object} options - Send options
+   * @param {string} [options.to] - Recipient (defaults to the client's email)
+   * @param {string} [options.message] - Custom email body
+   * @param {string} userId - User sending the quote
+   * @returns {Promise<Quote>} The updated quote
+   */
+  async sendQuote(quote, { to, message } = {}, userId) {
+    if (!['APPROVED', 'SENT', 'ACCEPTED'].includes(quote.status)) {
+      throw new AppError(`Quotes with status ${quote.status} cannot be sent to the client`, 409);
+    }
+
+    const { buffer, client } = await this.renderQuotePdf(quote);
+    const recipient = to || (client && client.email);
+
+    if (!recipient) {
+      throw new AppError('Client has no email address; provide a recipient', 400);
+    }
+
+    const result = await notificationService.sendQuotation(client, quote, buffer, { to: recipient, message });
+
+    if (!result.success) {
+      throw new AppError(`Quotation email could not be sent: ${result.error}`, 502);
+    }
+
+    const sentAt = new Date();
+    const changes = {
+      sendLog: [...(quote.sendLog || []), { sentAt, sentTo: recipient, sentBy: userId, messageId: result.messageId }],
+      lastSentAt: sentAt,
+      updatedBy: userId
+    };
+
+    if (quote.status === 'APPROVED') {
+      return quoteLifecycleService.transition(quote, 'SENT', { actorId: userId, changes });
+    }
+
+    return quote.update(changes);
+  }
+
+  /**
+   * Generate a unique quote number
+   * @param {string} [prefix='QT'] - Number prefix (renewal quotes use RNW)
+   * @returns {string} Quote number
+   */
+  generateQuoteNumber(prefix = 'QT') {
+    const timestamp = new Date().getTime().toString().slice(-6);
+    const random = Math.floor(1000 + Math.random() * 9000);
+    return `${prefix}-${timestamp}${random}`;
+  }
+}
+
+export default new QuoteService();
@@ -0,0 +1,166 @@
+import AppError from '../utils/appError.js';
+import { roundMoney } from '../utils/proRata.js';
+import { evaluateRuleTable } from '../utils/ratingRules.js';
+
+const sumAmounts = (items) => roundMoney(items.reduce((sum, item) => sum + item.amount, 0));
+
+class RatingEngineService {
+  /**
+   * Price an adjustment line (loading or discount).
+   * A line with a rate is priced as a % of the base premium; otherwise its amount is used as given.
+   * @param {Object} line - {type, rate?, amount?, description?}
+   * @param {number} basePremium - Base premium the rate applies to
+   * @returns {Object} The line with its amount worked out
+   */
+  priceAdjustment(line, basePremium) {
+    const rate = line.rate !== undefined && line.rate !== null ? parseFloat(line.rate) : null;
+    const amount = rate !== null
+      ? roundMoney(basePremium * (rate / 100))
+      : roundMoney(parseFloat(line.amount || 0));
+
+    return {
+      type: line.type,
+      ...(rate !== null && { rate }),
+      amount,
+      description: line.description || line.type
+    };
+  }
+
+  /**
+   * Work out the tax lines for a premium.
+   * Exclusive tax is added on top; inclusive tax is shown for information and
+   * is already part of the premium.
+   * @param {Object} product - Product being rated
+   * @param {number} netPremium - Premium after loadings and discounts
+   * @returns {Array} Tax lines
+   */
+  calculateTaxes(product, netPremium) {
+    const taxRate = parseFloat(product.taxRate || 0);
+    if (taxRate <= 0) return [];
+
+    if (product.taxInclusive) {
+      return [{
+        type: 'PREMIUM_TAX',
+        rate: taxRate,
+        amount: roundMoney(netPremium - netPremium / (1 + taxRate / 100)),
+        inclusive: true,
+        description: 'Premium tax (included)'
+      }];
+    }
+
+    return [{
+      type: 'PREMIUM_TAX',
+      rate: taxRate,
+      amount: roundMoney(netPremium * (taxRate / 100)),
+      description: 'Premium tax'
+    }];
+  }
+
+  /**
+   * Apply a rating rule table to a risk.
+   * Factors that raise the premium become loadings; those that lower it become discounts.
+   * @param {Object} ratingRule - ProductRatingRule version (or {version, rules})
+   * @param {Object} riskFactors - Risk inputs
+   * @param {number} basePremium - Base premium that factor rates apply to
+   * @returns {Object} Loadings and discounts from the rules
+   * @throws {AppError} 400 if a required risk input is missing
+   */
+  applyRatingRules(ratingRule, riskFactors, basePremium) {
+    const { adjustments, missingInputs } = evaluateRuleTable(ratingRule.rules, riskFactors, basePremium);
+
+    if (missingInputs.length > 0) {
+      throw new AppError(`Missing risk inputs: ${[...new Set(missingInputs)].join(', ')}`, 400);
+    }
+
+    return {
+      loadings: adjustments.filter(line => line.amount > 0),
+      discounts: adjustments
+        .filter(line => line.amount < 0)
+        .map(line => ({
+          ...line,
+          ...(line.rate !== undefined && { rate: Math.abs(line.rate) }),
+          amount: Math.abs(line.amount)
+        }))
+    };
+  }
+
+  /**
+   * Rate a risk against a product and return an itemised premium breakdown
+   * @param {Object} product - Product being quoted (baseRate, minimumPremium, maximumCover, taxRate, taxInclusive)
+   * @param {Object} input - Risk inputs
+   * @param {number} input.sumInsured - Sum insured
+   * @param {Object} [input.riskFactors] - Category risk inputs evaluated by the rating rules
+   * @param {Array} [input.loadings] - Extra loadings {type, rate|amount, description}
+   * @param {Array} [input.discounts] - Discounts {type, rate|amount, description}
+   * @param {Array} [input.fees] - Fees {type, amount, description}
+   * @param {Object} [ratingRule] - Active rating rule version for the product (flat base rate if omitted)
+   * @returns {Object} Premium breakdown in the shape stored on a Quote
+   * @throws {AppError} 400 if the sum insured is invalid or above the product's maximum cover
+   */
+  calculatePremium(product, { sumInsured, riskFactors = {}, loadings = [], discounts = [], fees = [] }, ratingRule = null) {
+    const insured = parseFloat(sumInsured);
+
+    if (!Number.isFinite(insured) || insured <= 0) {
+      throw new AppError('Sum insured must be greater than zero', 400);
+    }
+
+    if (product.maximumCover && insured > parseFloat(product.maximumCover)) {
+      throw new AppError(`Sum insured exceeds the maximum cover of ${parseFloat(product.maximumCover)} for ${product.name}`, 400);
+    }
+
+    const rules = ratingRule ? ratingRule.rules : {};
+    const rate = parseFloat(rules.baseRate !== undefined ? rules.baseRate : (product.baseRate || 0));
+    const basePremium = roundMoney(insured * (rate / 100));
+
+    const ruled = ratingRule
+      ? this.applyRatingRules(ratingRule, { sumInsured: insured, ...riskFactors }, basePremium)
+      : { loadings: [], discounts: [] };
+
+    const pricedLoadings = [...ruled.loadings, ...loadings.map(line => this.priceAdjustment(line, basePremium))];
+    const pricedDiscounts = [...ruled.discounts, ...discounts.map(line => this.priceAdjustment(line, basePremium))];
+
+    let netPremium = roundMoney(
+      Math.max(0, basePremium + sumAmounts(pricedLoadings) - sumAmounts(pricedDiscounts))
+    );
+
+    // Top up to the product minimum as its own loading so the breakdown still adds up
+    const minimumPremium = parseFloat(product.minimumPremium || 0);
+    if (netPremium < minimumPremium) {
+      pricedLoadings.push({
+        type: 'MINIMUM_PREMIUM',
+        amount: roundMoney(minimumPremium - netPremium),
+        description: 'Top-up to minimum premium'
+      });
+      netPremium = minimumPremium;
+    }
+
+    const taxes = this.calculateTaxes(product, netPremium);
+    const pricedFees = fees.map(line => ({
+      type: line.type,
+      amount: roundMoney(parseFloat(line.amount || 0)),
+      description: line.description || line.type
+    }));
+
+    const totalTax = sumAmounts(taxes.filter(tax => !tax.inclusive));
+    const totalFees = sumAmounts(pricedFees);
+
+    return {
+      sumInsured: insured,
+      ratingRuleVersion: ratingRule ? ratingRule.version : null,
+      rate,
+      basePremium,
+      loadings: pricedLoadings,
+      discounts: pricedDiscounts,
+      taxes,
+      fees: pricedFees,
+      totalLoadings: sumAmounts(pricedLoadings),
+      totalDiscounts: sumAmounts(pricedDiscounts),
+      netPremium,
+      totalTax,
+      totalFees,
+      totalPremium: roundMoney(netPremium + totalTax + totalFees)
+    };
+  }
+}
+
+export default new RatingEngineService();
@@ -0,0 +1,173 @@
+import AppError from '../utils/appError.js';
+import { validateRuleTable, CATEGORY_RISK_INPUTS } from '../utils/ratingRules.js';
+import ratingEngineService from './ratingEngineService.js';
+
+class RatingRulesService {
+  /**
+   * Get the rating rule version a product is currently rated with
+   * @param {Object} product - Product instance
+   * @param {Object} [options] - Options
+   * @param {Transaction} [options.transaction] - Transaction to read in
+   * @returns {Promise<ProductRatingRule|null>} Active version, or null if the product uses its flat base rate
+   */
+  async getActiveRuleSet(product, { transaction } = {}) {
+    const { ProductRatingRule } = product.sequelize.models;
+
+    return ProductRatingRule.findOne({
+      where: { productId: product.id, status: 'ACTIVE' },
+      transaction
+    });
+  }
+
+  /**
+   * List every rule version of a product, newest first
+   * @param {Object} product - Product instance
+   * @returns {Promise<Object>} Versions and the risk inputs the category accepts
+   */
+  async getRuleSets(product) {
+    const { ProductRatingRule } = product.sequelize.models;
+
+    const versions = await ProductRatingRule.findAll({
+      where: { productId: product.id },
+      order: [['version', 'DESC']]
+    });
+
+    return {
+      category: product.category,
+      riskInputs: CATEGORY_RISK_INPUTS[product.category] || [],
+      active: versions.find(version => version.status === 'ACTIVE') || null,
+      versions
+    };
+  }
+
+  /**
+   * Validate a rule table for a product's category
+   * @param {Object} product - Product instance
+   * @param {Object} rules - Rule table
+   * @throws {AppError} 400 listing every problem found
+   */
+  assertValidRules(product, rules) {
+    const problems = validateRuleTable(rules, product.category);
+
+    if (problems.length > 0) {
+      throw new AppError('Invalid rating rules', 400, problems.map(msg => ({ msg })));
+    }
+  }
+
+  /**
+   * Upload a new rule version for a product
+   * @param {Object} product - Product instance
+   * @param {Object} input - Upload request
+   * @param {Object} input.rules - Rule table
+   * @param {string} [input.notes] - What changed
+   * @param {boolean} [input.activate=false] - Put the version into use straight away
+   * @param {string} userId - User uploading the rules
+   * @returns {Promise<ProductRatingRule>} The new version
+   */
+  async uploadRuleSet(product, { rules, notes, activate = false }, userId) {
+    const { ProductRatingRule } = product.sequelize.models;
+
+    this.assertValidRules(product, rules);
+
+    const transaction = await product.sequelize.transaction();
+
+    try {
+      const latestVersion = await ProductRatingRule.max('version', {
+        where: { productId: product.id },
+        paranoid: false,
+        transaction
+      });
+
+      const ruleSet = await ProductRatingRule.create({
+        productId: product.id,
+        version: (latestVersion || 0) + 1,
+        category: product.category,
+        rules,
+        notes,
+        status: 'DRAFT',
+        createdBy: userId
+      }, { transaction });
+
+      if (activate) {
+        await this.activate(ruleSet, userId, { transaction });
+      }
+
+      await transaction.commit();
+
+      return ruleSet;
+    } catch (error) {
+      await transaction.rollback();
+      throw error;
+    }
+  }
+
+  /**
+   * Put a rule version into use, retiring the one it replaces
+   * @param {ProductRatingRule} ruleSet - Version to activate
+   * @param {string} userId - User activating the version
+   * @param {Object} [options] - Options
+   * @param {Transaction} [options.transaction] - Existing transaction to join
+   * @returns {Promise<ProductRatingRule>} The activated version
+   */
+  async activate(ruleSet, userId, { transaction } = {}) {
+    const { ProductRatingRule } = ruleSet.sequelize.models;
+
+    if (ruleSet.status === 'ACTIVE') {
+      throw new AppError(`Version ${ruleSet.version} is already active`, 409);
+    }
+
+    const t = transaction || await ruleSet.sequelize.transaction();
+
+    try {
+      await ProductRatingRule.update(
+        { status: 'RETIRED' },
+        { where: { productId: ruleSet.productId, status: 'ACTIVE' }, transaction: t }
+      );
+
+      await ruleSet.update({
+        status: 'ACTIVE',
+        activatedBy: userId,
+        activatedAt: new Date()
+      }, { transaction: t });
+
+      if (!transaction) await t.commit();
+
+      return ruleSet;
+    } catch (error) {
+      if (!transaction) await t.rollback();
+      throw error;
+    }
+  }
+
+  /**
+   * Price a sample risk with a rule table without saving anything.
+   * Uses the rules given, else a stored version, else the active version.
+   * @param {Object} product - Product instance
+   * @param {Object} input - Preview request
+   * @param {Object} [input.rules] - Unsaved rule table to try out
+   * @param {number} [input.version] - Stored version to try out
+   * @param {number} input.sumInsured - Sample sum insured
+   * @param {Object} [input.riskFactors] - Sample risk inputs
+   * @returns {Promise<Object>} Premium breakdown for the sample risk
+   */
+  async previewRules(product, { rules, version, sumInsured, riskFactors = {} }) {
+    const { ProductRatingRule } = product.sequelize.models;
+
+    let ruleSet;
+    if (rules) {
+      this.assertValidRules(product, rules);
+      ruleSet = { version: null, rules };
+    } else if (version) {
+      ruleSet = await ProductRatingRule.findOne({ where: { productId: product.id, version } });
+      if (!ruleSet) {
+        throw new AppError(`Rating rule version ${version} not found`, 404);
+      }
+    } else {
+      ruleSet = await this.getActiveRuleSet(product);
+    }
+
+    return ratingEngineService.calculatePremium(product, { sumInsured, riskFactors }, ruleSet);
+  }
+}
+
+export default new RatingRulesService();
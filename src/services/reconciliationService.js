@@ -0,0 +1,430 @@
+import moment from 'moment';
+import { Op } from 'sequelize';
+import initializeModels from '../models/index.js';
+import AppError from '../utils/appError.js';
+import { roundMoney } from '../utils/proRata.js';
+import { parseStatement } from '../utils/statementParser.js';
+
+// Payment methods that show up on each kind of statement
+const STATEMENT_PAYMENT_METHODS = {
+  MPESA: ['MPESA'],
+  BANK: ['BANK_TRANSFER', 'CASH', 'CHEQUE', 'CARD']
+};
+
+// Days either side of a statement date that a payment of the same amount can be matched
+const DEFAULT_DATE_TOLERANCE_DAYS = 2;
+
+// Payments whose money was received; a later refund does not change what the statement shows
+const RECEIVED_STATUSES = ['COMPLETED', 'REFUNDED'];
+
+let Payment, PaymentTransaction, Policy, Reconciliation, ReconciliationLine, User;
+
+// Initialize models when needed
+const initializeReconciliationService = async () => {
+  if (!Reconciliation) {
+    const models = await initializeModels();
+    Payment = models.Payment;
+    PaymentTransaction = models.PaymentTransaction;
+    Policy = models.Policy;
+    Reconciliation = models.Reconciliation;
+    ReconciliationLine = models.ReconciliationLine;
+    User = models.User;
+  }
+};
+
+const getDateToleranceDays = () => {
+  const days = parseInt(process.env.RECONCILIATION_DATE_TOLERANCE_DAYS, 10);
+  return Number.isNaN(days) || days < 0 ? DEFAULT_DATE_TOLERANCE_DAYS : days;
+};
+
+const sumAmounts = records => roundMoney(records.reduce((total, record) => total + parseFloat(record.amount), 0));
+
+class ReconciliationService {
+  /**
+   * Look up payments from the VW_PAYMENT view and PAYMENT_TRANSACTIONS
+   * together. Staff receipts have no transaction ID, so their cheque or
+   * transfer reference is returned as the transactionId.
+   * @param {Object} criteria - What to look up (combined with AND)
+   * @param {Array<string>} [criteria.ids] - Payment or receipt IDs
+   * @param {Array<string>} [criteria.references] - Transaction IDs, M-Pesa codes or receipt references
+   * @param {Array<string>} [criteria.methods] - Payment methods
+   * @param {Date} [criteria.from] - Earliest payment date
+   * @param {Date} [criteria.to] - Latest payment date
+   * @param {boolean} [criteria.receivedOnly=true] - Leave out payments whose money was not received
+   * @param {Object} [options] - Options
+   * @param {boolean} [options.withPolicy] - Include the policy number
+   * @param {Transaction} [options.transaction] - Transaction to read in
+   * @returns {Promise<Array<Object>>} Payments ordered by payment date
+   */
+  async findPayments({ ids, references, methods, from, to, receivedOnly = true }, { withPolicy = false, transaction } = {}) {
+    await initializeReconciliationService();
+
+    const paymentWhere = {};
+    // Refund adjustments are money paid out, never statement credits
+    const receiptWhere = { paymentType: { [Op.ne]: 'ADJUSTMENT' } };
+
+    if (receivedOnly) {
+      paymentWhere.status = RECEIVED_STATUSES;
+      receiptWhere.status = RECEIVED_STATUSES;
+    }
+
+    if (ids) {
+      paymentWhere.id = ids;
+      receiptWhere.id = ids;
+    }
+
+    if (references) {
+      paymentWhere[Op.or] = [{ transactionId: references }, { mpesaCode: references }];
+      receiptWhere[Op.or] = [{ reference: references }, { transactionId: references }, { mpesaCode: references }];
+    }
+
+    if (methods) {
+      paymentWhere.paymentMethod = methods;
+      receiptWhere.paymentMethod = methods;
+    }
+
+    if (from && to) {
+      paymentWhere.paymentDate = { [Op.between]: [from, to] };
+      receiptWhere.paymentDate = { [Op.between]: [from, to] };
+    }
+
+    const include = withPolicy ? [{ model: Policy, as: 'policy', attributes: ['id', 'policyNumber'] }] : [];
+
+    // Lookups may run in the upload's transaction, so one after the other
+    const payments = await Payment.unscoped().findAll({ where: paymentWhere, include, transaction });
+    const receipts = await PaymentTransaction.findAll({ where: receiptWhere, include, transaction });
+
+    return [
+      ...payments.map(payment => ({ ...payment.toJSON(), source: 'PAYMENT_VIEW' })),
+      ...receipts.map(receipt => ({ ...receipt.toJSON(), transactionId: receipt.transactionId || receipt.reference, source: 'RECEIPT' }))
+    ].sort((a, b) => new Date(a.paymentDate) - new Date(b.paymentDate));
+  }
+
+  /**
+   * IDs of payments already accounted for by a matched statement line
+   * @param {Object} [options] - Options
+   * @param {Transaction} [options.transaction] - Transaction to read in
+   * @returns {Promise<Set<string>>} Payment IDs
+   */
+  async getMatchedPaymentIds({ transaction } = {}) {
+    await initializeReconciliationService();
+
+    const lines = await ReconciliationLine.findAll({
+      where: { status: 'MATCHED' },
+      attributes: ['paymentIds'],
+      transaction
+    });
+
+    return new Set(lines.flatMap(line => line.paymentIds || []));
+  }
+
+  /**
+   * Find the system payments for each statement line. A line is matched on its
+   * reference (transaction ID or receipt reference, then M-Pesa code, taking every
+   * installment the receipt was split across), failing that on the same amount with the
+   * nearest payment date within the tolerance. A payment is only used once.
+   * @param {Array<Object>} lines - Parsed statement lines
+   * @param {string} source - BANK or MPESA
+   * @param {number} toleranceDays - Date tolerance for amount matches
+   * @param {Object} [options] - Options
+   * @param {Transaction} [options.transaction] - Transaction to read in
+   * @returns {Promise<Array<Object>>} Lines with status, matchMethod, paymentIds and variance
+   */
+  async autoMatch(lines, source, toleranceDays, { transaction } = {}) {
+    await initializeReconciliationService();
+
+    const claimed = await this.getMatchedPaymentIds({ transaction });
+    const references = [...new Set(lines.map(line => line.reference).filter(Boolean))];
+    const dates = lines.map(line => line.transactionDate.getTime());
+
+    const referenced = references.length === 0
+      ? []
+      : await this.findPayments({ references }, { transaction });
+
+    const nearby = await this.findPayments({
+      methods: STATEMENT_PAYMENT_METHODS[source],
+      from: moment(Math.min(...dates)).subtract(toleranceDays, 'days').startOf('day').toDate(),
+      to: moment(Math.max(...dates)).add(toleranceDays, 'days').endOf('day').toDate()
+    }, { transaction });
+
+    const unclaimed = payment => !claimed.has(payment.id);
+
+    return lines.map((line) => {
+      let method = null;
+      let payments = [];
+
+      if (line.reference) {
+        const byTransactionId = referenced.filter(payment => unclaimed(payment)
+          && (payment.transactionId === line.reference || (payment.transactionId || '').startsWith(`${line.reference}-`)));
+        const byMpesaCode = referenced.filter(payment => unclaimed(payment) && payment.mpesaCode === line.reference);
+
+        if (byTransactionId.length > 0) {
+          method = 'TRANSACTION_ID';
+          payments = byTransactionId;
+        } else if (byMpesaCode.length > 0) {
+          method = 'MPESA_CODE';
+          payments = byMpesaCode;
+        }
+      }
+
+      if (!method) {
+        const lineDate = moment(line.transactionDate).startOf('day');
+        const [nearest] = nearby
+          .filter(payment => unclaimed(payment) && roundMoney(parseFloat(payment.amount)) === line.amount)
+          .map(payment => ({ payment, days: Math.abs(moment(payment.paymentDate).startOf('day').diff(lineDate, 'days')) }))
+          .filter(({ days }) => days <= toleranceDays)
+          .sort((a, b) => a.days - b.days);
+
+        if (nearest) {
+          method = 'AMOUNT_DATE';
+          payments = [nearest.payment];
+        }
+      }
+
+      if (!method) {
+        return { ...line, status: 'UNMATCHED' };
+      }
+
+      payments.forEach(payment => claimed.add(payment.id));
+
+      return {
+        ...line,
+        status: 'MATCHED',
+        matchMethod: method,
+        paymentIds: payments.map(payment => payment.id),
+        variance: roundMoney(line.amount - sumAmounts(payments))
+      };
+    });
+  }
+
+  /**
+   * Reconcile an uploaded bank or M-Pesa statement against the system payments
+   * @param {Object} file - Uploaded statement (multer file)
+   * @param {string} source - BANK or MPESA
+   * @param {string} userId - User uploading the statement
+   * @returns {Promise<Object>} Reconciliation report (see getReport)
+   */
+  async createReconciliation(file, source, userId) {
+    await initializeReconciliationService();
+
+    if (!file) {
+      throw new AppError('Statement file is required', 400);
+    }
+
+    let lines;
+    try {
+      lines = parseStatement(file.buffer);
+    } catch (error) {
+      throw new AppError(`Statement could not be read: ${error.message}`, 400);
+    }
+
+    if (lines.length === 0) {
+      throw new AppError('Statement has no money-in lines to reconcile', 400);
+    }
+
+    const dateToleranceDays = getDateToleranceDays();
+    const dates = lines.map(line => line.transactionDate.getTime());
+    const transaction = await Reconciliation.sequelize.transaction();
+
+    let reconciliation;
+    try {
+      reconciliation = await Reconciliation.create({
+        source,
+        fileName: file.originalname,
+        periodStart: new Date(Math.min(...dates)),
+        periodEnd: new Date(Math.max(...dates)),
+        dateToleranceDays,
+        createdBy: userId
+      }, { transaction });
+
+      const matched = await this.autoMatch(lines, source, dateToleranceDays, { transaction });
+
+      await ReconciliationLine.bulkCreate(
+        matched.map(line => ({ ...line, reconciliationId: reconciliation.id })),
+        { transaction }
+      );
+
+      await transaction.commit();
+    } catch (error) {
+      await transaction.rollback();
+      throw error;
+    }
+
+    return this.getReport(reconciliation.id);
+  }
+
+  /**
+   * Reconciliations run so far, newest first
+   * @param {Object} [filters] - Filters
+   * @param {string} [filters.source] - BANK or MPESA
+   * @returns {Promise<Array<Reconciliation>>} Reconciliations
+   */
+  async getReconciliations({ source } = {}) {
+    await initializeReconciliationService();
+
+    return Reconciliation.findAll({
+      where: source ? { source } : {},
+      include: [{ model: User, as: 'creator', attributes: ['id', 'firstName', 'lastName'] }],
+      order: [['CREATED_AT', 'DESC']]
+    });
+  }
+
+  /**
+   * Reconciliation report: statement lines that were matched, statement lines
+   * still unmatched or written off, and system payments from the statement
+   * period that no statement line accounts for
+   * @param {string} reconciliationId - Reconciliation
+   * @returns {Promise<Object>} Report with a summary of counts and totals
+   */
+  async getReport(reconciliationId) {
+    await initializeReconciliationService();
+
+    const reconciliation = await Reconciliation.findByPk(reconciliationId, {
+      include: [
+        { model: ReconciliationLine, as: 'lines' },
+        { model: User, as: 'creator', attributes: ['id', 'firstName', 'lastName'] }
+      ],
+      order: [[{ model: ReconciliationLine, as: 'lines' }, 'lineNumber', 'ASC']]
+    });
+
+    if (!reconciliation) {
+      throw new AppError('Reconciliation not found', 404);
+    }
+
+    const { lines } = reconciliation;
+    const claimed = await this.getMatchedPaymentIds();
+    const linkedPayments = await this.findPayments(
+      { ids: lines.flatMap(line => line.paymentIds || []), receivedOnly: false },
+      { withPolicy: true }
+    );
+
+    const unmatchedSystem = (await this.findPayments({
+      methods: STATEMENT_PAYMENT_METHODS[reconciliation.source],
+      from: moment(reconciliation.periodStart).startOf('day').toDate(),
+      to: moment(reconciliation.periodEnd).endOf('day').toDate()
+    }, { withPolicy: true })).filter(payment => !claimed.has(payment.id));
+
+    const paymentsById = new Map(linkedPayments.map(payment => [payment.id, payment]));
+    const byStatus = status => lines.filter(line => line.status === status);
+
+    const matched = byStatus('MATCHED').map(line => ({
+      ...line.toJSON(),
+      payments: (line.paymentIds || []).map(id => paymentsById.get(id)).filter(Boolean)
+    }));
+    const unmatchedStatement = byStatus('UNMATCHED');
+    const writtenOff = byStatus('WRITTEN_OFF');
+
+    return {
+      reconciliation: {
+        id: reconciliation.id,
+        source: reconciliation.source,
+        fileName: reconciliation.fileName,
+        periodStart: reconciliation.periodStart,
+        periodEnd: reconciliation.periodEnd,
+        dateToleranceDays: reconciliation.dateToleranceDays,
+        creator: reconciliation.creator,
+        createdAt: reconciliation.createdAt
+      },
+      summary: {
+        statementLines: lines.length,
+        statementTotal: sumAmounts(lines),
+        matched: matched.length,
+        matchedTotal: sumAmounts(matched),
+        variance: roundMoney(matched.reduce((total, line) => total + parseFloat(line.variance || 0), 0)),
+        unmatchedStatement: unmatchedStatement.length,
+        unmatchedStatementTotal: sumAmounts(unmatchedStatement),
+        writtenOff: writtenOff.length,
+        writtenOffTotal: sumAmounts(writtenOff),
+        unmatchedSystem: unmatchedSystem.length,
+        unmatchedSystemTotal: sumAmounts(unmatchedSystem)
+      },
+      matched,
+      unmatchedStatement,
+      writtenOff,
+      unmatchedSystem
+    };
+  }
+
+  /**
+   * Load an unmatched statement line for a manual action
+   * @param {string} reconciliationId - Reconciliation
+   * @param {string} lineId - Statement line
+   * @returns {Promise<ReconciliationLine>} The line
+   */
+  async getUnmatchedLine(reconciliationId, lineId) {
+    await initializeReconciliationService();
+
+    const line = await ReconciliationLine.findOne({ where: { id: lineId, reconciliationId } });
+    if (!line) {
+      throw new AppError('Statement line not found', 404);
+    }
+
+    if (line.status !== 'UNMATCHED') {
+      throw new AppError(`Statement line is already ${line.status.toLowerCase().replace('_', ' ')}`, 409);
+    }
+
+    return line;
+  }
+
+  /**
+   * Match an unmatched statement line to system payments by hand
+   * @param {string} reconciliationId - Reconciliation
+   * @param {string} lineId - Statement line
+   * @param {Array<string>} paymentIds - Received payments the line accounts for
+   * @param {string} userId - User making the match
+   * @returns {Promise<Object>} The line and the payments it was matched to
+   */
+  async manualMatch(reconciliationId, lineId, paymentIds, userId) {
+    const line = await this.getUnmatchedLine(reconciliationId, lineId);
+    const ids = [...new Set(paymentIds)];
+
+    const payments = await this.findPayments({ ids, receivedOnly: false });
+    if (payments.length !== ids.length) {
+      throw new AppError('One or more payments were not found', 404);
+    }
+
+    const notReceived = payments.filter(payment => !RECEIVED_STATUSES.includes(payment.status));
+    if (notReceived.length > 0) {
+      throw new AppError('Only completed or refunded payments can be matched', 409, notReceived.map(payment => ({ id: payment.id, status: payment.status })));
+    }
+
+    const claimed = await this.getMatchedPaymentIds();
+    const alreadyMatched = ids.filter(id => claimed.has(id));
+    if (alreadyMatched.length > 0) {
+      throw new AppError('One or more payments are already matched to a statement line', 409, alreadyMatched.map(id => ({ id })));
+    }
+
+    await line.update({
+      status: 'MATCHED',
+      matchMethod: 'MANUAL',
+      paymentIds: ids,
+      variance: roundMoney(parseFloat(line.amount) - sumAmounts(payments)),
+      resolvedBy: userId,
+      resolvedAt: new Date()
+    });
+
+    return { line, payments };
+  }
+
+  /**
+   * Write off an unmatched statement line that no system payment will account for
+   * (bank charges, transfers between own accounts, money returned to the payer)
+   * @param {string} reconciliationId - Reconciliation
+   * @param {string} lineId - Statement line
+   * @param {string} reason - Why the line is written off
+   * @param {string} userId - User writing the line off
+   * @returns {Promise<ReconciliationLine>} The line
+   */
+  async writeOff(reconciliationId, lineId, reason, userId) {
+    const line = await this.getUnmatchedLine(reconciliationId, lineId);
+
+    return line.update({
+      status: 'WRITTEN_OFF',
+      writeOffReason: reason,
+      resolvedBy: userId,
+      resolvedAt: new Date()
+    });
+  }
+}
+
+export default new ReconciliationService();
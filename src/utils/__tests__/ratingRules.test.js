@@ -0,0 +1,92 @@
+import { CATEGORY_RISK_INPUTS, evaluateRuleTable, validateRuleTable } from '../ratingRules.js';
+
+describe('evaluateRuleTable', () => {
+  const rules = {
+    factors: [
+      { name: 'driverAge', input: 'driverAge', type: 'range', bands: [{ max: 24, rate: 15 }, { min: 25, rate: 0 }] },
+      { name: 'vehicleUse', input: 'vehicleUse', type: 'lookup', default: 'PRIVATE', values: { PRIVATE: 0, PSV: { amount: 4000 } } },
+      { name: 'engineCapacity', input: 'engineCapacity', type: 'range', required: false, bands: [{ min: 3000, rate: 10 }] },
+      { name: 'claimsHistory', input: 'claimsHistory', type: 'perUnit', rate: 5 }
+    ]
+  };
+
+  it('prices each factor against the base premium and drops zero lines', () => {
+    expect(evaluateRuleTable(rules, { driverAge: 22, vehicleUse: 'psv', claimsHistory: 2 }, 20000)).toEqual({
+      adjustments: [
+        {
+          type: 'DRIVER_AGE',
+          rate: 15,
+          amount: 3000,
+          description: 'driverAge: 22',
+          factor: 'driverAge',
+          input: 'driverAge',
+          value: 22
+        },
+        {
+          type: 'VEHICLE_USE',
+          amount: 4000,
+          description: 'vehicleUse: psv',
+          factor: 'vehicleUse',
+          input: 'vehicleUse',
+          value: 'psv'
+        },
+        {
+          type: 'CLAIMS_HISTORY',
+          rate: 10,
+          amount: 2000,
+          description: 'claimsHistory: 2',
+          factor: 'claimsHistory',
+          input: 'claimsHistory',
+          value: 2
+        }
+      ],
+      missingInputs: []
+    });
+  });
+
+  it('uses factor defaults and reports required inputs that are missing', () => {
+    expect(evaluateRuleTable(rules, { driverAge: '' }, 20000)).toEqual({
+      adjustments: [],
+      missingInputs: ['driverAge', 'claimsHistory']
+    });
+  });
+});
+
+describe('validateRuleTable', () => {
+  it.each(Object.keys(CATEGORY_RISK_INPUTS))('accepts every %s risk input', (category) => {
+    const factors = CATEGORY_RISK_INPUTS[category].map(input => ({
+      name: input,
+      input,
+      type: 'perUnit',
+      rate: 1
+    }));
+
+    expect(validateRuleTable({ baseRate: 1, factors }, category)).toEqual([]);
+  });
+
+  it('rejects inputs that belong to another category', () => {
+    const factors = [{ name: 'smoker', input: 'smoker', type: 'lookup', values: { TRUE: 50 } }];
+
+    expect(validateRuleTable({ factors }, 'MOTOR')).toEqual([
+      'factors[0] (smoker): input "smoker" is not a MOTOR risk input'
+    ]);
+  });
+
+  it('reports malformed factors', () => {
+    const factors = [
+      { name: 'age', input: 'age', type: 'range', bands: [] },
+      { name: 'age', input: 'age', type: 'perUnit' },
+      { input: 'occupation', type: 'lookup' },
+      { name: 'occupation', input: 'occupation', type: 'band' }
+    ];
+
+    expect(validateRuleTable({ baseRate: -1, factors }, 'PERSONAL_ACCIDENT')).toEqual([
+      'baseRate must be a non-negative number',
+      'factors[0] (age): range factors need at least one band',
+      'factors[1] (age): duplicate factor name',
+      'factors[1] (age): perUnit factors need a rate or an amount',
+      'factors[2]: name is required',
+      'factors[3] (occupation): type must be one of range, lookup, perUnit'
+    ]);
+  });
+});
@@ -0,0 +1,46 @@
+import { parseStatement } from '../statementParser.js';
+
+const csv = rows => Buffer.from(rows.map(row => row.join(',')).join('\n'));
+
+describe('parseStatement', () => {
+  it('reads the money-in lines of an M-Pesa statement below its title block', () => {
+    const lines = parseStatement(csv([
+      ['M-PESA Organisation Statement'],
+      ['Short Code', '600123'],
+      [],
+      ['Receipt No.', 'Completion Time', 'Details', 'Transaction Status', 'Paid In', 'Withdrawn', 'A/C No.'],
+      ['QFT1ABC234', '15/03/2025 10:20:00', 'Pay Bill from 254712345678', 'Completed', '5000.00', '', 'POL-1'],
+      ['QFT1ABC235', '15/03/2025 11:00:00', 'Pay Bill from 254712345679', 'Failed', '3000.00', '', 'POL-2'],
+      ['QFT1ABC236', '16/03/2025 09:00:00', 'Charge', 'Completed', '', '-55.00', ''],
+      ['QFT1ABC237', '16/03/2025 12:30:00', 'Pay Bill from 254712345670', 'Completed', '"1,250.50"', '', '']
+    ]));
+
+    expect(lines).toHaveLength(2);
+    expect(lines[0]).toMatchObject({
+      lineNumber: 5,
+      reference: 'QFT1ABC234',
+      description: 'Pay Bill from 254712345678 | POL-1',
+      amount: 5000
+    });
+    expect(lines[0].transactionDate).toEqual(new Date(2025, 2, 15, 10, 20));
+    expect(lines[0].raw).toMatchObject({ 'Receipt No.': 'QFT1ABC234', 'A/C No.': 'POL-1' });
+    expect(lines[1]).toMatchObject({ lineNumber: 8, reference: 'QFT1ABC237', amount: 1250.5 });
+  });
+
+  it('prefers a credit column over a plain amount column on a bank statement', () => {
+    const lines = parseStatement(csv([
+      ['Value Date', 'Narrative', 'Reference', 'Amount', 'Credit'],
+      ['01/04/2025', 'Transfer in', 'FT25091ABC', '-100.00', '12000.00'],
+      ['02/04/2025', 'Cheque deposit', 'CHQ000123', '', '']
+    ]));
+
+    expect(lines).toEqual([
+      expect.objectContaining({ lineNumber: 2, reference: 'FT25091ABC', description: 'Transfer in', amount: 12000 })
+    ]);
+  });
+
+  it('refuses a file with no date and amount header', () => {
+    expect(() => parseStatement(csv([['Name', 'Phone'], ['Jane', '0712345678']])))
+      .toThrow('Could not find the header row');
+  });
+});
@@ -0,0 +1,117 @@
+// Required claim documents by product category and claim type.
+// ALL applies to every claim in the category; a claim type adds to it.
+// A product can replace its category's list with Product.claimDocumentRequirements.
+
+export const CLAIM_TYPES = ['ACCIDENT', 'THEFT', 'FIRE', 'FLOOD', 'ILLNESS', 'DEATH', 'LIABILITY', 'OTHER'];
+
+// Document types that can be asked for on a claim
+export const CLAIM_DOCUMENT_TYPES = [
+  'CLAIM_FORM',
+  'ID_COPY',
+  'DRIVING_LICENCE',
+  'LOGBOOK',
+  'POLICE_REPORT',
+  'MEDICAL_REPORT',
+  'REPAIR_ESTIMATE',
+  'DEATH_CERTIFICATE',
+  'INVOICE',
+  'RECEIPT',
+  'OTHER'
+];
+
+export const DEFAULT_CLAIM_DOCUMENTS = {
+  MOTOR: {
+    ALL: ['CLAIM_FORM', 'ID_COPY', 'DRIVING_LICENCE', 'LOGBOOK'],
+    ACCIDENT: ['POLICE_REPORT', 'REPAIR_ESTIMATE'],
+    THEFT: ['POLICE_REPORT'],
+    FIRE: ['POLICE_REPORT']
+  },
+  HEALTH: {
+    ALL: ['CLAIM_FORM', 'ID_COPY', 'MEDICAL_REPORT', 'INVOICE']
+  },
+  LIFE: {
+    ALL: ['CLAIM_FORM', 'ID_COPY'],
+    DEATH: ['DEATH_CERTIFICATE']
+  },
+  PERSONAL_ACCIDENT: {
+    ALL: ['CLAIM_FORM', 'ID_COPY', 'MEDICAL_REPORT'],
+    DEATH: ['DEATH_CERTIFICATE', 'POLICE_REPORT']
+  },
+  PROPERTY: {
+    ALL: ['CLAIM_FORM', 'ID_COPY', 'REPAIR_ESTIMATE'],
+    THEFT: ['POLICE_REPORT'],
+    FIRE: ['POLICE_REPORT']
+  },
+  DEFAULT: {
+    ALL: ['CLAIM_FORM', 'ID_COPY'],
+    THEFT: ['POLICE_REPORT']
+  }
+};
+
+/**
+ * Check a product's requirements table: keys are ALL or a claim type, values lists of document types
+ * @param {Object} requirements - Requirements table
+ * @returns {Array<string>} Problems found (empty when valid)
+ */
+export const validateRequirements = (requirements) => {
+  if (!requirements || typeof requirements !== 'object' || Array.isArray(requirements)) {
+    return ['Requirements must be an object keyed by ALL or claim type'];
+  }
+
+  return Object.entries(requirements).flatMap(([key, documentTypes]) => {
+    if (key !== 'ALL' && !CLAIM_TYPES.includes(key)) {
+      return [`${key} is not ALL or a claim type`];
+    }
+    if (!Array.isArray(documentTypes)) {
+      return [`${key} must be a list of document types`];
+    }
+    return documentTypes
+      .filter(documentType => !CLAIM_DOCUMENT_TYPES.includes(documentType))
+      .map(documentType => `${documentType} is not a claim document type`);
+  });
+};
+
+/**
+ * Requirements table in force for a product: its own, else its category's defaults
+ * @param {Object} product - Product (category, claimDocumentRequirements)
+ * @returns {Object} Requirements keyed by ALL or claim type
+ */
+export const getRequirements = product => (product && product.claimDocumentRequirements)
+  || DEFAULT_CLAIM_DOCUMENTS[product && product.category]
+  || DEFAULT_CLAIM_DOCUMENTS.DEFAULT;
+
+/**
+ * Work out which document types a claim needs
+ * @param {Object} product - The claim's product (category, claimDocumentRequirements)
+ * @param {string} claimType - The claim's type
+ * @returns {Array<string>} Required document types
+ */
+export const getRequiredDocuments = (product, claimType) => {
+  const requirements = getRequirements(product);
+
+  return [...new Set([...(requirements.ALL || []), ...(requirements[claimType] || [])])];
+};
+
+/**
+ * Match a claim's documents against its required list
+ * @param {Array<string>} required - Required document types
+ * @param {Array<Object>} documents - Documents attached to the claim
+ * @returns {Object} Checklist items and whether every one is verified
+ */
+export const buildChecklist = (required, documents) => {
+  const items = required.map((documentType) => {
+    const candidates = documents.filter(document => document.documentType === documentType);
+    const verified = candidates.find(document => document.status === 'VERIFIED');
+    const latest = candidates[candidates.length - 1];
+
+    return {
+      documentType,
+      status: verified ? 'VERIFIED' : (latest ? latest.status : 'MISSING'),
+      documentId: (verified || latest || {}).id || null
+    };
+  });
+
+  const outstanding = items.filter(item => item.status !== 'VERIFIED').map(item => item.documentType);
+
+  return { items, outstanding, complete: outstanding.length === 0 };
+};
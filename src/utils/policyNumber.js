@@ -0,0 +1,66 @@
+import moment from 'moment';
+import { Op } from 'sequelize';
+
+// Default layout, e.g. POL/MOTOR-COMP/2024/000123
+export const DEFAULT_POLICY_NUMBER_FORMAT = 'POL/{PRODUCT}/{YYYY}/{SEQ}';
+
+/**
+ * Fill the date and product tokens of a policy number format.
+ * Supported tokens: {PRODUCT}, {CATEGORY}, {YYYY}, {YY}, {MM}, {QUOTE} and {SEQ}.
+ * {SEQ} is left in place for the caller to fill.
+ * @param {string} format - Policy number format
+ * @param {Object} context - Values for the tokens
+ * @returns {string} Format with every token but {SEQ} replaced
+ */
+export const renderPolicyNumberFormat = (format, { product = {}, quote = {}, date = new Date() } = {}) => {
+  const issued = moment(date);
+
+  return format
+    .replace(/{PRODUCT}/g, product.code || 'GEN')
+    .replace(/{CATEGORY}/g, product.category || 'GEN')
+    .replace(/{YYYY}/g, issued.format('YYYY'))
+    .replace(/{YY}/g, issued.format('YY'))
+    .replace(/{MM}/g, issued.format('MM'))
+    .replace(/{QUOTE}/g, quote.quoteNumber || '')
+    .toUpperCase();
+};
+
+/**
+ * Generate the next policy number.
+ * The layout comes from POLICY_NUMBER_FORMAT and the sequence is zero-padded to
+ * POLICY_NUMBER_SEQ_LENGTH digits; the sequence restarts whenever the text before
+ * {SEQ} changes (e.g. each year or per product). Two concurrent binds can read
+ * the same latest number; the unique POLICY_NUMBER column rejects the second and
+ * the caller retries with a fresh number.
+ * @param {Model} Policy - Policy model
+ * @param {Object} context - Values for the tokens
+ * @param {Object} [context.product] - Product being issued
+ * @param {Object} [context.quote] - Quote being bound
+ * @param {Date} [context.date] - Issue date (defaults to now)
+ * @param {Transaction} [context.transaction] - Transaction to read in
+ * @returns {Promise<string>} The policy number
+ */
+export const generatePolicyNumber = async (Policy, { product, quote, date, transaction } = {}) => {
+  const format = process.env.POLICY_NUMBER_FORMAT || DEFAULT_POLICY_NUMBER_FORMAT;
+  const seqLength = parseInt(process.env.POLICY_NUMBER_SEQ_LENGTH, 10) || 6;
+  const rendered = renderPolicyNumberFormat(format, { product, quote, date });
+
+  if (!rendered.includes('{SEQ}')) {
+    return rendered;
+  }
+
+  const [prefix, suffix] = rendered.split('{SEQ}');
+
+  const latest = await Policy.findOne({
+    where: { policyNumber: { [Op.like]: `${prefix}%${suffix}` } },
+    order: [['policyNumber', 'DESC']],
+    paranoid: false,
+    transaction
+  });
+
+  const lastSeq = latest
+    ? parseInt(latest.policyNumber.slice(prefix.length, latest.policyNumber.length - suffix.length), 10) || 0
+    : 0;
+
+  return `${prefix}${String(lastSeq + 1).padStart(seqLength, '0')}${suffix}`;
+};
@@ -0,0 +1,24 @@
+import moment from 'moment';
+
+// Day-count helpers for pro-rata premium calculations.
+// Policy periods are counted inclusively: cover from 1 Jan to 31 Dec is 365 days.
+
+// Round a money amount to 2 decimal places
+export const roundMoney = (amount) => Math.round(amount * 100) / 100;
+
+// Number of days of cover in a policy period
+export const getTermDays = (startDate, endDate) => {
+  return moment(endDate).startOf('day').diff(moment(startDate).startOf('day'), 'days') + 1;
+};
+
+// Number of days of cover left from a date to the end of the policy period
+export const getDaysRemaining = (fromDate, endDate) => {
+  const days = moment(endDate).startOf('day').diff(moment(fromDate).startOf('day'), 'days') + 1;
+  return Math.max(0, days);
+};
+
+// Share of an annual amount that applies to the days remaining
+export const calculateProRata = (annualAmount, daysRemaining, termDays) => {
+  if (!termDays) return 0;
+  return roundMoney(annualAmount * (daysRemaining / termDays));
+};
@@ -0,0 +1,108 @@
+import { roundMoney } from './proRata.js';
+
+// Field-by-field comparison of quote pricing.
+// Used both for diffing two revisions of one quote and for comparing
+// several products priced against the same risk.
+
+// Scalar fields captured in a quote revision
+export const SNAPSHOT_FIELDS = [
+  'sumInsured',
+  'rate',
+  'basePremium',
+  'totalPremium',
+  'ratingRuleVersion',
+  'validFrom',
+  'validTo',
+  'notes',
+  'clientNotes'
+];
+
+// Fields compared as numbers (Sequelize returns DECIMALs as strings)
+const NUMERIC_FIELDS = ['sumInsured', 'rate', 'basePremium', 'totalPremium'];
+
+// Premium line items, compared line by line on their type
+export const LINE_ITEM_FIELDS = ['loadings', 'discounts', 'taxes', 'fees'];
+
+const toNumber = (value) => (value === undefined || value === null ? null : parseFloat(value));
+
+/**
+ * Take the pricing snapshot of a quote or of a rating engine breakdown
+ * @param {Object} source - Quote instance or premium breakdown
+ * @returns {Object} Plain snapshot of the comparable fields
+ */
+export const buildSnapshot = (source) => {
+  const data = typeof source.get === 'function' ? source.get({ plain: true }) : source;
+  const snapshot = {};
+
+  SNAPSHOT_FIELDS.forEach((field) => {
+    if (data[field] === undefined) return;
+    snapshot[field] = NUMERIC_FIELDS.includes(field) ? toNumber(data[field]) : data[field];
+  });
+
+  LINE_ITEM_FIELDS.forEach((field) => {
+    snapshot[field] = (data[field] || []).map(line => ({
+      ...line,
+      amount: toNumber(line.amount)
+    }));
+  });
+
+  snapshot.riskDetails = data.riskDetails || data.riskFactors || {};
+
+  return snapshot;
+};
+
+// Build one change entry; numeric changes carry the difference
+const change = (field, from, to) => {
+  const entry = { field, from, to };
+  if (typeof from === 'number' && typeof to === 'number') {
+    entry.difference = roundMoney(to - from);
+  }
+  return entry;
+};
+
+const isEqual = (a, b) => JSON.stringify(a ?? null) === JSON.stringify(b ?? null);
+
+// Sum line amounts per type so repeated types compare as one line
+const linesByType = (lines) => (lines || []).reduce((byType, line) => {
+  const key = line.type || line.description;
+  byType[key] = roundMoney((byType[key] || 0) + (toNumber(line.amount) || 0));
+  return byType;
+}, {});
+
+/**
+ * Diff two pricing snapshots field by field
+ * @param {Object} from - Earlier (or baseline) snapshot
+ * @param {Object} to - Later (or compared) snapshot
+ * @returns {Array} Changes [{field, from, to, difference?}]; line items are
+ *   reported as e.g. 'loadings.YOUNG_DRIVER' and risk inputs as 'riskDetails.vehicleAge'
+ */
+export const diffSnapshots = (from, to) => {
+  const changes = [];
+
+  SNAPSHOT_FIELDS.forEach((field) => {
+    if (!isEqual(from[field], to[field])) {
+      changes.push(change(field, from[field] ?? null, to[field] ?? null));
+    }
+  });
+
+  LINE_ITEM_FIELDS.forEach((field) => {
+    const before = linesByType(from[field]);
+    const after = linesByType(to[field]);
+
+    new Set([...Object.keys(before), ...Object.keys(after)]).forEach((type) => {
+      if (before[type] !== after[type]) {
+        changes.push(change(`${field}.${type}`, before[type] ?? null, after[type] ?? null));
+      }
+    });
+  });
+
+  const riskBefore = from.riskDetails || {};
+  const riskAfter = to.riskDetails || {};
+  new Set([...Object.keys(riskBefore), ...Object.keys(riskAfter)]).forEach((key) => {
+    if (!isEqual(riskBefore[key], riskAfter[key])) {
+      changes.push(change(`riskDetails.${key}`, riskBefore[key] ?? null, riskAfter[key] ?? null));
+    }
+  });
+
+  return changes;
+};
@@ -0,0 +1,160 @@
+import { roundMoney } from './proRata.js';
+
+/**
+ * Risk inputs each product category is expected to be rated on.
+ * Rule tables may only reference these inputs, so a typo in an uploaded
+ * table is caught before it reaches a quote.
+ */
+export const CATEGORY_RISK_INPUTS = {
+  MOTOR: ['vehicleAge', 'vehicleUse', 'vehicleMake', 'engineCapacity', 'driverAge', 'claimsHistory'],
+  HEALTH: ['age', 'dependants', 'preExistingConditions', 'coverLevel'],
+  LIFE: ['age', 'smoker', 'term', 'gender'],
+  TRAVEL: ['destination', 'days', 'age', 'travellers'],
+  PROPERTY: ['constructionType', 'occupancy', 'location', 'securityFeatures'],
+  MARINE: ['cargoType', 'conveyance', 'route'],
+  PERSONAL_ACCIDENT: ['age', 'occupation']
+};
+
+// Inputs any category may use
+const COMMON_RISK_INPUTS = ['sumInsured'];
+
+/**
+ * Work out the outcome a factor gives for a risk value.
+ * Each evaluator returns {rate} (% of base premium), {amount} (flat) or null when nothing applies.
+ */
+export const FACTOR_EVALUATORS = {
+  // Numeric bands: [{min, max, rate|amount}]
+  range: (factor, value) => {
+    const number = parseFloat(value);
+    if (!Number.isFinite(number)) return null;
+
+    const band = factor.bands.find(b =>
+      (b.min === undefined || b.min === null || number >= b.min) &&
+      (b.max === undefined || b.max === null || number <= b.max)
+    );
+    return band ? { rate: band.rate, amount: band.amount } : null;
+  },
+
+  // Exact match: {VALUE: rate} or {VALUE: {rate|amount}}
+  lookup: (factor, value) => {
+    const key = String(value).toUpperCase();
+    const match = Object.entries(factor.values).find(([k]) => k.toUpperCase() === key);
+    if (!match) return null;
+
+    const outcome = match[1];
+    return typeof outcome === 'number' ? { rate: outcome } : { rate: outcome.rate, amount: outcome.amount };
+  },
+
+  // Per unit of the input, e.g. per dependant or per day: {rate|amount} x value
+  perUnit: (factor, value) => {
+    const units = parseFloat(value);
+    if (!Number.isFinite(units) || units <= 0) return null;
+
+    return {
+      rate: factor.rate !== undefined ? factor.rate * units : undefined,
+      amount: factor.amount !== undefined ? factor.amount * units : undefined
+    };
+  }
+};
+
+/**
+ * Check a rule table is well formed for a category
+ * @param {Object} rules - Rule table {baseRate?, factors: []}
+ * @param {string} category - Product category
+ * @returns {Array<string>} Problems found (empty if the table is valid)
+ */
+export const validateRuleTable = (rules, category) => {
+  const problems = [];
+
+  if (!rules || typeof rules !== 'object' || Array.isArray(rules)) {
+    return ['Rules must be an object'];
+  }
+
+  if (rules.baseRate !== undefined && !(Number.isFinite(rules.baseRate) && rules.baseRate >= 0)) {
+    problems.push('baseRate must be a non-negative number');
+  }
+
+  if (!Array.isArray(rules.factors)) {
+    return [...problems, 'factors must be an array'];
+  }
+
+  const allowedInputs = [...COMMON_RISK_INPUTS, ...(CATEGORY_RISK_INPUTS[category] || [])];
+  const names = new Set();
+
+  rules.factors.forEach((factor, index) => {
+    const label = `factors[${index}]${factor && factor.name ? ` (${factor.name})` : ''}`;
+
+    if (!factor || !factor.name) {
+      problems.push(`${label}: name is required`);
+      return;
+    }
+    if (names.has(factor.name)) {
+      problems.push(`${label}: duplicate factor name`);
+    }
+    names.add(factor.name);
+
+    if (!FACTOR_EVALUATORS[factor.type]) {
+      problems.push(`${label}: type must be one of ${Object.keys(FACTOR_EVALUATORS).join(', ')}`);
+    }
+
+    if (CATEGORY_RISK_INPUTS[category] && !allowedInputs.includes(factor.input)) {
+      problems.push(`${label}: input "${factor.input}" is not a ${category} risk input`);
+    }
+
+    if (factor.type === 'range' && (!Array.isArray(factor.bands) || factor.bands.length === 0)) {
+      problems.push(`${label}: range factors need at least one band`);
+    }
+    if (factor.type === 'lookup' && (!factor.values || typeof factor.values !== 'object')) {
+      problems.push(`${label}: lookup factors need a values map`);
+    }
+    if (factor.type === 'perUnit' && factor.rate === undefined && factor.amount === undefined) {
+      problems.push(`${label}: perUnit factors need a rate or an amount`);
+    }
+  });
+
+  return problems;
+};
+
+/**
+ * Evaluate a rule table against a risk
+ * @param {Object} rules - Validated rule table
+ * @param {Object} riskFactors - Risk inputs, e.g. {vehicleAge: 4, vehicleUse: 'PRIVATE'}
+ * @param {number} basePremium - Base premium that rates apply to
+ * @returns {Object} Adjustment lines and any required inputs that were missing
+ */
+export const evaluateRuleTable = (rules, riskFactors, basePremium) => {
+  const adjustments = [];
+  const missingInputs = [];
+
+  for (const factor of rules.factors) {
+    const provided = riskFactors[factor.input];
+    const value = provided !== undefined && provided !== null && provided !== '' ? provided : factor.default;
+
+    if (value === undefined || value === null) {
+      if (factor.required !== false) missingInputs.push(factor.input);
+      continue;
+    }
+
+    const outcome = FACTOR_EVALUATORS[factor.type](factor, value);
+    if (!outcome) continue;
+
+    const rate = outcome.rate !== undefined && outcome.rate !== null ? parseFloat(outcome.rate) : null;
+    const amount = rate !== null
+      ? roundMoney(basePremium * (rate / 100))
+      : roundMoney(parseFloat(outcome.amount || 0));
+
+    if (amount === 0) continue;
+
+    adjustments.push({
+      type: factor.name.replace(/([a-z0-9])([A-Z])/g, '$1_$2').toUpperCase(),
+      ...(rate !== null && { rate }),
+      amount,
+      description: factor.description || `${factor.name}: ${value}`,
+      factor: factor.name,
+      input: factor.input,
+      value
+    });
+  }
+
+  return { adjustments, missingInputs };
+};
@@ -0,0 +1,93 @@
+import XLSX from 'xlsx';
+import moment from 'moment';
+
+// Header names seen on bank and M-Pesa statement exports, compared without case, spaces or punctuation
+const COLUMN_ALIASES = {
+  date: ['completiontime', 'transactiondate', 'transdate', 'date', 'valuedate', 'postingdate', 'bookingdate'],
+  reference: ['receiptno', 'receiptnumber', 'reference', 'referenceno', 'ref', 'transactionid', 'transid', 'bankreference', 'chequeno'],
+  description: ['details', 'description', 'narrative', 'particulars', 'transactiondetails', 'remarks'],
+  amount: ['paidin', 'credit', 'creditamount', 'credits', 'deposit', 'deposits', 'amount'],
+  status: ['transactionstatus', 'status'],
+  account: ['acno', 'accountno', 'accountnumber', 'billrefnumber']
+};
+
+// How many rows to look through for the header row (exports often start with a title block)
+const HEADER_SEARCH_ROWS = 20;
+
+const normalizeHeader = header => String(header || '').toLowerCase().replace(/[^a-z0-9]/g, '');
+
+const toAmount = (value) => {
+  if (typeof value === 'number') return value;
+  const parsed = parseFloat(String(value || '').replace(/[^0-9.-]/g, ''));
+  return Number.isNaN(parsed) ? null : parsed;
+};
+
+const toDate = (value) => {
+  if (value instanceof Date) return value;
+  const parsed = moment(String(value || '').trim(), ['YYYY-MM-DD HH:mm:ss', 'YYYY-MM-DD', 'DD/MM/YYYY HH:mm:ss', 'DD/MM/YYYY', 'DD-MM-YYYY', 'DD MMM YYYY'], true);
+  return parsed.isValid() ? parsed.toDate() : null;
+};
+
+/**
+ * Work out which column holds each field from a header row
+ * @param {Array} row - Candidate header row
+ * @returns {Object|null} Column index per field, or null if the row lacks a date or amount column
+ */
+const mapColumns = (row) => {
+  const headers = row.map(normalizeHeader);
+  const columns = {};
+
+  Object.entries(COLUMN_ALIASES).forEach(([field, aliases]) => {
+    // Aliases are in order of preference, e.g. "Paid In" over "Amount"
+    const alias = aliases.find(name => headers.includes(name));
+    if (alias) columns[field] = headers.indexOf(alias);
+  });
+
+  return columns.date !== undefined && columns.amount !== undefined ? columns : null;
+};
+
+/**
+ * Read the money-in lines from a bank or M-Pesa statement (CSV, XLS or XLSX).
+ * Debits, blank lines and M-Pesa lines that did not complete are left out.
+ * @param {Buffer} buffer - Statement file
+ * @returns {Array<Object>} Lines {lineNumber, transactionDate, reference, description, amount, raw}
+ * @throws {Error} If no header row with a date and an amount column can be found
+ */
+export const parseStatement = (buffer) => {
+  const workbook = XLSX.read(buffer, { type: 'buffer', cellDates: true });
+  const sheet = workbook.Sheets[workbook.SheetNames[0]];
+  const rows = XLSX.utils.sheet_to_json(sheet, { header: 1, defval: null, raw: true });
+
+  let headerIndex = -1;
+  let columns = null;
+  for (let index = 0; index < Math.min(rows.length, HEADER_SEARCH_ROWS) && !columns; index += 1) {
+    columns = mapColumns(rows[index]);
+    if (columns) headerIndex = index;
+  }
+
+  if (!columns) {
+    throw new Error('Could not find the header row; the statement needs a date column and an amount (or paid in/credit) column');
+  }
+
+  const headers = rows[headerIndex];
+  const cell = (row, field) => (columns[field] === undefined ? null : row[columns[field]]);
+
+  return rows.slice(headerIndex + 1).flatMap((row, offset) => {
+    const amount = toAmount(cell(row, 'amount'));
+    const transactionDate = toDate(cell(row, 'date'));
+    const status = cell(row, 'status');
+
+    if (!amount || amount <= 0 || !transactionDate) return [];
+    if (status && !/^completed?$/i.test(String(status).trim())) return [];
+
+    return [{
+      // Spreadsheet row number, counting the header row and anything above it
+      lineNumber: headerIndex + offset + 2,
+      transactionDate,
+      reference: cell(row, 'reference') ? String(cell(row, 'reference')).trim() : null,
+      description: [cell(row, 'description'), cell(row, 'account')].filter(Boolean).join(' | ') || null,
+      amount: Math.round(amount * 100) / 100,
+      raw: Object.fromEntries(headers.map((header, index) => [header || `column${index + 1}`, row[index]]))
+    }];
+  });
+};